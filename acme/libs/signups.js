@@ -14,42 +14,73 @@
  limitations under the License.
  */
 
+const EventEmitter = require('events');
 const uuidv4 = require('uuid/v4');
 const semverCompare = require('semver-compare');
 
+const FLOWS_ERRORS = require('./flows.js').FLOWS_ERRORS;
+const ATTRIBUTE_MAPPER_ERRORS = require('./attribute_mapper.js').ATTRIBUTE_MAPPER_ERRORS;
+const Helpers = require('./helpers.js');
+const OfferPolicy = require('./offer_policy.js').OfferPolicy;
+const OFFER_STAGES = require('./offer_policy.js').OFFER_STAGES;
+const AUDIT_ACTIONS = require('./audit_log.js').AUDIT_ACTIONS;
+
 const Logger = require('./logger.js').Logger;
 const logger = Logger.makeLogger(Logger.logPrefix(__filename));
 
 /**
- * Tracks and manages all the Signup flows.  Should clean up old Signup flows
+ * Tracks and manages all the Signup flows.  The state of every signup is saved to the flow records, so the status of a
+ * signup can be looked up by any instance of the app.  Flows are only kept in memory while
+ * they are running.
  */
 class SignupManager {
 
 	/**
 	 * @param {Agent} agent An agent for connecting to and signing up users.
 	 * @param {Users} user_records A Users instance for creating users.
+	 * @param {Flows} flow_records A Flows instance for saving the state of signups.
+	 * @param {IssuedCredentials} credential_records An IssuedCredentials instance for recording issued credentials.
+	 * @param {AttributeMapper} attribute_mapper Builds user records from proofs and credential attributes from user records.
 	 * @param {CardRenderer} card_renderer The renderer for the credentials.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
 	 * @param {SignupHelper} signup_helper Manages proof schemas and user record creation.
+	 * @param {AuditLog} [audit_log] Records the outcome of each signup.
+	 * @param {OfferPolicy} [offer_policy] Decides how long signups wait on users and how they resend offers.
 	 */
-	constructor (agent, user_records, card_renderer, connection_icon_provider, signup_helper) {
+	constructor (agent, user_records, flow_records, credential_records, attribute_mapper, card_renderer, connection_icon_provider, signup_helper, audit_log, offer_policy) {
 		if (!agent || typeof agent.createVerification !== 'function')
 			throw new TypeError('SignupManager was not given an Agent instance');
 		if (!user_records || typeof user_records.read_user !== 'function')
 			throw new TypeError('SignupManager was not given a Users instance');
+		if (!flow_records || typeof flow_records.save_flow !== 'function')
+			throw new TypeError('SignupManager was not given a Flows instance');
+		if (!credential_records || typeof credential_records.record_credential !== 'function')
+			throw new TypeError('SignupManager was not given an IssuedCredentials instance');
+		if (!attribute_mapper || typeof attribute_mapper.toUserRecord !== 'function')
+			throw new TypeError('SignupManager was not given an AttributeMapper instance');
 		if (!card_renderer || typeof card_renderer.createCardFront !== 'function')
 			throw new TypeError('SignupManager was not given a CardRenderer instance');
 		if (!connection_icon_provider || typeof connection_icon_provider.getImage !== 'function')
 			throw new TypeError('SignupManager was not given an ImageProvider instance');
 		if (!signup_helper || typeof signup_helper.proofToUserRecord !== 'function')
 			throw new TypeError('SignupManager was not given a SignupHelper instance');
+		if (audit_log && typeof audit_log.record_flow !== 'function')
+			throw new TypeError('SignupManager was given an invalid AuditLog instance');
+		if (offer_policy && typeof offer_policy.waitForAnswer !== 'function')
+			throw new TypeError('SignupManager was given an invalid OfferPolicy instance');
 
 		this.agent = agent;
 		this.user_records = user_records;
+		this.flow_records = flow_records;
+		this.credential_records = credential_records;
+		this.attribute_mapper = attribute_mapper;
 		this.signups = {};
+		this.running = {}; // The start() promises of the Signups in this.signups
 		this.card_renderer = card_renderer;
 		this.connection_icon_provider = connection_icon_provider;
 		this.signup_helper = signup_helper;
+		this.audit_log = audit_log ? audit_log : null;
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
 	}
 
 	/**
@@ -58,9 +89,11 @@ class SignupManager {
 	 * @param {string} agent_name The agent name associated with the user.
 	 * @param {string} password The new user's password.
 	 * @param {ConnectionMethod} connection_method The method for connecting to the user.
-	 * @returns {string} A Signup instance ID to be used to check the status of the Signup later.
+	 * @param {string} [proof_path] The alternative proof the user chose to sign up with.  If it's not given, each of the
+	 * signup helper's alternatives is tried in order.
+	 * @returns {Promise<string>} A Signup instance ID to be used to check the status of the Signup later.
 	 */
-	create_signup (user, agent_name, password, connection_method) {
+	async create_signup (user, agent_name, password, connection_method, proof_path) {
 		if (!user || typeof user !== 'string')
 			throw new TypeError('Invalid user was provided to signup manager');
 		if (!agent_name || typeof agent_name !== 'string')
@@ -69,30 +102,114 @@ class SignupManager {
 			throw new TypeError('Invalid password provided to signup manager');
 		if (!connection_method || typeof connection_method !== 'string')
 			throw new TypeError('Invalid connection method for issuing credentials');
+		if (proof_path !== undefined && proof_path !== null && (!proof_path || typeof proof_path !== 'string'))
+			throw new TypeError('Invalid proof path for verifying credentials');
+
+		if (proof_path && (await proofPaths(this.signup_helper)).indexOf(proof_path) < 0) {
+			const error = new Error(`Signup proof path ${proof_path} is not configured`);
+			error.code = SIGNUP_MANAGER_ERRORS.UNKNOWN_PROOF_PATH;
+			throw error;
+		}
 
 		const signup_id = uuidv4();
 		logger.info(`Creating signup ${signup_id}`);
-		this.signups[signup_id] = new Signup(signup_id, agent_name, this.agent, user, password, this.user_records, this.card_renderer, this.connection_icon_provider, this.signup_helper, connection_method);
-		this.signups[signup_id].start();
+		const signup = new Signup(signup_id, agent_name, this.agent, user, password, this.user_records, this.flow_records, this.credential_records, this.attribute_mapper, this.card_renderer, this.connection_icon_provider, this.signup_helper, connection_method, proof_path, this.offer_policy);
+		this.signups[signup_id] = signup;
+		await signup.save();
+		this.running[signup_id] = signup.start();
+
+		// Other instances of the app can't reach this Signup, so they ask for it to be stopped through its flow record
+		const unwatch = this.flow_records.watch_stop_request(signup_id, (request) => {
+			this.stop_requested(signup_id, request).catch((error) => {
+				logger.error(`Failed to stop signup ${signup_id} at the request of ${request.by}: ${error}`);
+			});
+		});
+
+		this.running[signup_id].then(() => {
+			unwatch();
+			// Stopped Signups have already been taken off the list, so the outcome comes from the Signup itself
+			const doc = signup.toDoc();
+
+			// The flow records are all that's needed to report on signups that are done
+			delete this.signups[signup_id];
+			delete this.running[signup_id];
+			if (this.audit_log)
+				return this.audit_log.record_flow(AUDIT_ACTIONS.SIGNUP, doc);
+		}).catch((error) => {
+			logger.error(`Failed to clean up after signup ${signup_id}: ${error}`);
+		});
 		return signup_id;
 	}
 
+	/**
+	 * Looks up a Signup.  Signups that are not running in this instance of the app are loaded from the flow records.
+	 * @param {string} signup_id The ID of a Signup.
+	 * @returns {Promise<Signup>} A promise that resolves with the Signup.
+	 */
+	async find_signup (signup_id) {
+		if (this.signups[signup_id])
+			return this.signups[signup_id];
+
+		let doc;
+		try {
+			doc = await this.flow_records.read_flow(signup_id);
+		} catch (error) {
+			if (error.code !== FLOWS_ERRORS.FLOW_DOES_NOT_EXIST)
+				throw error;
+		}
+
+		if (!doc || doc.flow_type !== Signup.FLOW_TYPE) {
+			const error = new Error(`Signup ${signup_id} was not found in Signup list`);
+			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_FOUND;
+			throw error;
+		}
+
+		// Passwords are never saved in the flow records, but a Signup loaded from them is never restarted.
+		const signup = new Signup(signup_id, doc.agent_name, this.agent, doc.user, null, this.user_records, this.flow_records, this.credential_records, this.attribute_mapper, this.card_renderer, this.connection_icon_provider, this.signup_helper, doc.connection_method, doc.proof_path, this.offer_policy);
+		signup.loadDoc(doc);
+		return signup;
+	}
+
 	/**
 	 * Gets the status of a given Signup.
 	 * @param {string} signup_id The ID of the Signup to check.
-	 * @returns {SignupStatus} The status of the given Signup.
+	 * @returns {Promise<SignupStatus>} The status of the given Signup.
 	 */
-	get_signup_status (signup_id) {
+	async get_signup_status (signup_id) {
 		if (!signup_id || typeof signup_id !== 'string')
 			throw new TypeError('Invalid signup ID was provided to signup manager');
 
-		if (!this.signups[signup_id]) {
-			const error = new Error(`Signup ${signup_id} was not found in Signup list`);
-			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_FOUND;
-			throw error;
+		const signup = await this.find_signup(signup_id);
+		return signup.getStatus();
+	}
+
+	/**
+	 * Calls the given listener with the status of a Signup now and every time the status changes.
+	 * @param {string} signup_id The ID of the Signup to watch.
+	 * @param {function} listener Called with a SignupStatus.
+	 * @returns {Promise<function>} A promise that resolves with a function that stops watching the Signup.
+	 */
+	async watch_signup (signup_id, listener) {
+		if (!signup_id || typeof signup_id !== 'string')
+			throw new TypeError('Invalid signup ID was provided to signup manager');
+		if (typeof listener !== 'function')
+			throw new TypeError('Invalid listener was provided to signup manager');
+
+		const signup = await this.find_signup(signup_id);
+		listener(signup.getStatus());
+
+		if (this.signups[signup_id] === signup) {
+			signup.on('status', listener);
+			return () => {
+				signup.removeListener('status', listener);
+			};
 		}
 
-		return this.signups[signup_id].getStatus();
+		// Signups that are running in another instance of the app can only be followed through the flow records
+		return this.flow_records.watch_flow(signup_id, (doc) => {
+			signup.loadDoc(doc);
+			listener(signup.getStatus());
+		});
 	}
 
 
@@ -100,53 +217,103 @@ class SignupManager {
 	 * Retrieves the user for the given signup flow.  When the signup flow is complete, this lets the caller know who is
 	 * clear to be logged in when a Signup has finished.
 	 * @param {string} signup_id The ID of a Signup.
-	 * @return {string} The user ID associated with the given signup flow.
+	 * @return {Promise<string>} The user ID associated with the given signup flow.
 	 */
-	get_signup_user (signup_id) {
+	async get_signup_user (signup_id) {
 		if (!signup_id || typeof signup_id !== 'string')
 			throw new TypeError('Invalid signup ID was provided to signup manager');
 
-		if (!this.signups[signup_id]) {
-			const error = new Error(`Signup ${signup_id} was not found in Signup list`);
-			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_FOUND;
-			throw error;
-		}
-
-		return this.signups[signup_id].user;
+		const signup = await this.find_signup(signup_id);
+		return signup.user;
 	}
 
 	/**
-	 * Stops the given Signup and deletes it from the Signup list.
-	 *
-	 * @param {string} signup_id The ID of a running Signup.
-	 * @returns {void}
+	 * Resends the offer that a TIMED_OUT Signup is waiting on the user to answer.  Only the instance of the app that is
+	 * running the Signup can resend its offers.
+	 * @param {string} signup_id The ID of the Signup.
+	 * @returns {Promise<void>} A promise that resolves when the Signup has been told to resend the offer.
 	 */
-	delete_signup (signup_id) {
+	async resend_signup (signup_id) {
 		if (!signup_id || typeof signup_id !== 'string')
 			throw new TypeError('Invalid signup ID was provided to signup manager');
 
-		if (!this.signups[signup_id]) {
-			const error = new Error(`Signup ${signup_id} was not found in Signup list`);
-			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_FOUND;
+		const signup = await this.find_signup(signup_id);
+		if (this.signups[signup_id] !== signup) {
+			const error = new Error(`Signup ${signup_id} is running in another instance of the app`);
+			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_LOCAL;
 			throw error;
 		}
-		const signup = this.signups[signup_id];
-		delete this.signups[signup_id];
+		signup.resend();
+	}
 
-		if ([
+	/**
+	 * Stops the given Signup and deletes its flow record.  The record is deleted once the Signup has given up, so that
+	 * nothing the Signup was in the middle of can bring the record back.  A Signup that is still running in another
+	 * instance of the app is asked to stop through its flow record, and that instance deletes the record.
+	 *
+	 * @param {string} signup_id The ID of a Signup.
+	 * @returns {Promise<void>} Resolves when the Signup has been stopped and deleted, or asked to stop.
+	 */
+	async delete_signup (signup_id) {
+		if (!signup_id || typeof signup_id !== 'string')
+			throw new TypeError('Invalid signup ID was provided to signup manager');
+
+		const signup = await this.find_signup(signup_id);
+		const running = [
 			Signup.SIGNUP_STEPS.FINISHED,
 			Signup.SIGNUP_STEPS.ERROR,
 			Signup.SIGNUP_STEPS.STOPPED
-		].indexOf(signup.getStatus().status) >= 0) {
+		].indexOf(signup.getStatus().status) < 0;
+
+		if (running && this.signups[signup_id] !== signup) {
+			await this.flow_records.request_stop(signup_id);
 			return;
 		}
-		signup.stop();
+
+		delete this.signups[signup_id];
+		if (running)
+			await signup.stop();
+		await this.running[signup_id];
+		await this.flow_records.delete_flow(signup_id);
+	}
+
+	/**
+	 * Stops a Signup that is running in this instance of the app and forgets about it.  Used to clean up Signups that
+	 * are stuck.
+	 * @param {string} signup_id The ID of a Signup.
+	 * @returns {Promise<boolean>} Resolves with true if the Signup was running in this instance of the app, once the Signup
+	 * has given up.
+	 */
+	async stop_flow (signup_id) {
+		const signup = this.signups[signup_id];
+		if (!signup)
+			return false;
+
+		delete this.signups[signup_id];
+		await signup.stop();
+		await this.running[signup_id];
+		return true;
+	}
+
+	/**
+	 * Stops a Signup that another instance of the app asked to stop, and deletes its flow record.
+	 * @param {string} signup_id The ID of a Signup running in this instance of the app.
+	 * @param {object} request The stop request from the flow record.
+	 * @returns {Promise<void>} A promise that resolves when the Signup has been stopped and deleted.
+	 */
+	async stop_requested (signup_id, request) {
+		logger.info(`Stopping signup ${signup_id} at the request of ${request.by}`);
+		if (await this.stop_flow(signup_id))
+			await this.flow_records.delete_flow(signup_id);
 	}
 }
 exports.SignupManager = SignupManager;
 
 const SIGNUP_MANAGER_ERRORS = {
-	SIGNUP_NOT_FOUND: 'SIGNUP_NOT_FOUND'
+	SIGNUP_NOT_FOUND: 'SIGNUP_NOT_FOUND',
+	UNKNOWN_PROOF_PATH: 'UNKNOWN_PROOF_PATH',
+	SIGNUP_NOT_TIMED_OUT: 'SIGNUP_NOT_TIMED_OUT',
+	SIGNUP_NOT_LOCAL: 'SIGNUP_NOT_LOCAL'
 };
 exports.SIGNUP_MANAGER_ERRORS = SIGNUP_MANAGER_ERRORS;
 
@@ -155,11 +322,11 @@ exports.SIGNUP_MANAGER_ERRORS = SIGNUP_MANAGER_ERRORS;
  * this class has methods to start, stop, and check the status of the flow.  This allows the UI to be able to keep track
  * of where the flow is and update the user accordingly.
  */
-class Signup {
+class Signup extends EventEmitter {
 
 	/**
 	 * @enum {string}
-	 * @returns {{CREATED: string, ESTABLISHING_CONNECTION: string, CHECKING_CREDENTIAL: string, ISSUING_CREDENTIAL: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
+	 * @returns {{CREATED: string, ESTABLISHING_CONNECTION: string, CHECKING_CREDENTIAL: string, ISSUING_CREDENTIAL: string, TIMED_OUT: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
 	 * @constructor
 	 */
 	static get SIGNUP_STEPS () {
@@ -168,12 +335,20 @@ class Signup {
 			ESTABLISHING_CONNECTION: 'ESTABLISHING_CONNECTION',
 			CHECKING_CREDENTIAL: 'CHECKING_CREDENTIAL',
 			ISSUING_CREDENTIAL: 'ISSUING_CREDENTIAL',
+			TIMED_OUT: 'TIMED_OUT',
 			FINISHED: 'FINISHED',
 			STOPPED: 'STOPPED',
 			ERROR: 'ERROR'
 		};
 	}
 
+	/**
+	 * @returns {string} The flow type of Signups in the flow records.
+	 */
+	static get FLOW_TYPE () {
+		return 'signup';
+	}
+
 	/**
 	 * Describes a method for establishing a connection with another agent.  Out-of-band connections require a user to
 	 * post a connection offer to their agent to establish a connection.  In-band connections only require a user to
@@ -191,18 +366,28 @@ class Signup {
 	 * @param {string} user The user to connect with.
 	 * @param {string} password The new user's password.
 	 * @param {Users} user_records The database of app Users where personal information is stored.
+	 * @param {Flows} flow_records The database where the state of the Signup is saved.
+	 * @param {IssuedCredentials} credential_records The database where issued credentials are recorded.
+	 * @param {AttributeMapper} attribute_mapper Builds user records from proofs and credential attributes from user records.
 	 * @param {CardRenderer} card_renderer The renderer for the credentials.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
 	 * @param {SignupHelper} signup_helper Manages proof schemas and user record creation.
 	 * @param {ConnectionMethod} connection_method The method for establishing the connection to the user
+	 * @param {string} [proof_path] The alternative proof the user chose to sign up with.  All of them are tried if it's
+	 * not given.
+	 * @param {OfferPolicy} [offer_policy] Decides how long to wait on the user and how to resend offers.
 	 */
-	constructor (id, agent_name, agent, user, password, user_records, card_renderer, connection_icon_provider, signup_helper, connection_method) {
+	constructor (id, agent_name, agent, user, password, user_records, flow_records, credential_records, attribute_mapper, card_renderer, connection_icon_provider, signup_helper, connection_method, proof_path, offer_policy) {
+		super();
 		this.id = id;
 		this.agent = agent;
 		this.user = user;
 		this.password = password;
 		this.agent_name = agent_name;
 		this.user_records = user_records;
+		this.flow_records = flow_records;
+		this.credential_records = credential_records;
+		this.attribute_mapper = attribute_mapper;
 		this.status = Signup.SIGNUP_STEPS.CREATED;
 		this.error = null;
 		this.card_renderer = card_renderer;
@@ -210,24 +395,34 @@ class Signup {
 		this.signup_helper = signup_helper;
 		this.connection_offer = null;
 		this.verification = null;
+		this.proof_nonce = null;
+		this.proof_requested_at = null;
 		this.credential = null;
 		this.connection_method = connection_method;
+		this.proof_path = proof_path ? proof_path : null;
+		this.trying_proof_path = null;
+		this.verified_proof_path = null;
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
+		this.timed_out = null;
+		this.stopped = false;
 	}
 
 	/**
-	 * Starts the Signup and begins verifying a user's records and creating their account.
+	 * Starts the Signup and begins verifying a user's records and creating their account.  The Signup checks whether it
+	 * was stopped every time it gets back from waiting on something, and gives up if it was.
 	 * @returns {Promise<void>} Resolves when the signup has finished, been stopped, or had an error.
 	 */
 	async start () {
-		// Get icon to use for connection and credential
-		const icon = await this.connection_icon_provider.getImage();
-
 		let connection;
 		try {
+			// Get icon to use for connection and credential
+			const icon = await this.connection_icon_provider.getImage();
+			this.checkStopped();
 
 			logger.info(`Starting credential signup flow ${this.id}`);
 
 			const my_credential_definitions = await this.agent.getCredentialDefinitions();
+			this.checkStopped();
 			logger.debug(`${this.agent.user}'s list of credential definitions: ${JSON.stringify(my_credential_definitions, 0, 1)}`);
 
 			if (!my_credential_definitions.length) {
@@ -241,20 +436,14 @@ class Signup {
 			logger.debug(`Issuing credential to new user with schema ${schema_id}`);
 
 			const schema = await this.agent.getCredentialSchema(schema_id);
+			this.checkStopped();
 			if (!schema) {
 				const err = new Error('Failed to lookup the selected schema');
 				err.code = SIGNUP_ERRORS.SCHEMA_LOOKUP_FAILED;
 				throw err;
 			}
 
-			logger.info(`Creating signup proof schema for schema ID: ${schema_id}`);
-			const proof_request = await this.signup_helper.getProofSchema();
-
-			const account_proof_schema = await this.agent.createProofSchema(proof_request.name, proof_request.version,
-				proof_request.requested_attributes, proof_request.requested_predicates);
-			logger.debug(`Created proof schema: ${JSON.stringify(account_proof_schema)}`);
-
-			this.status = Signup.SIGNUP_STEPS.ESTABLISHING_CONNECTION;
+			await this.setStatus(Signup.SIGNUP_STEPS.ESTABLISHING_CONNECTION);
 			logger.info(`Connection to user via the ${this.connection_method} method`);
 			const connection_opts = icon ? {icon: icon} : null;
 			let connection;
@@ -276,16 +465,26 @@ class Signup {
 						else
 							connection_to = {name: connection_to};
 					}
-					logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
-					this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
-					logger.info(`Sent connection offer ${this.connection_offer.id} to ${JSON.stringify(connection_to)}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
+						logger.info(`Sent connection offer ${this.connection_offer.id} to ${JSON.stringify(connection_to)}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else if (this.connection_method === 'out_of_band') {
 
-					this.connection_offer = await this.agent.createConnection(null, connection_opts);
-					logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(null, connection_opts);
+						logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else {
 					const error = new Error(`An invalid connection method was used: ${this.connection_method}`);
@@ -305,101 +504,101 @@ class Signup {
 			}
 			logger.info(`Established connection ${connection.id}.  Their DID: ${connection.remote.pairwise.did}`);
 
-			this.status = Signup.SIGNUP_STEPS.CHECKING_CREDENTIAL;
+			await this.setStatus(Signup.SIGNUP_STEPS.CHECKING_CREDENTIAL);
 
-			// If no proof requests, then send request
-			logger.info(`Sending proof request to ${connection.remote.pairwise.did}`);
+			// Try each alternative proof in order until the user answers one that we accept
+			const proof_paths = this.proof_path ? [ this.proof_path ] : await proofPaths(this.signup_helper);
+			const failures = [];
+			let proof;
+			for (const proof_path of proof_paths) {
+				try {
+					proof = await this.checkCredential(connection, proof_path, icon);
+					this.verified_proof_path = proof_path;
+					break;
+				} catch (error) {
+					// A stopped Signup doesn't go on to the next proof
+					if (this.status === Signup.SIGNUP_STEPS.STOPPED)
+						throw error;
+					logger.error(`Signup proof${proof_path ? ` ${proof_path}` : ''} was not accepted: ${error}`);
+					failures.push({proof_path: proof_path, error: error});
+				}
+			}
+			this.trying_proof_path = null;
 
-			try {
-				this.verification = await this.agent.createVerification({
-					did: connection.remote.pairwise.did
-				},
-				account_proof_schema.id,
-				'outbound_proof_request',
-				{
-					icon: icon
-				});
-			} catch (error) {
-				logger.error(`Verification request failed.  Deleting connection ${connection.id}. error: ${error}`);
+			if (!proof) {
+				logger.info(`No signup proofs were accepted.  Deleting connection ${connection.id}`);
 				await this.agent.deleteConnection(connection.id);
+
+				// Keep the original error when there was nothing else to try
+				if (failures.length === 1)
+					throw failures[0].error;
+				const error = new Error(`None of the signup proofs were accepted. ${failures.map((failure) => {
+					return `${failure.proof_path}: ${failure.error.message}`;
+				}).join('; ')}`);
+				error.code = SIGNUP_ERRORS.SIGNUP_PROOF_FAILED;
 				throw error;
 			}
-			logger.info(`Created verification request: ${this.verification.id}`);
+			if (this.verified_proof_path)
+				logger.info(`Signup ${this.id} was verified with the ${this.verified_proof_path} proof`);
 
-			logger.info(`Waiting for verification of proof request from ${connection.remote.pairwise.did}`);
-			let proof;
+			await this.setStatus(Signup.SIGNUP_STEPS.ISSUING_CREDENTIAL);
+
+			logger.info(`Creating user record for ${this.user}`);
+			const personal_info = this.attribute_mapper.toUserRecord(await this.signup_helper.proofToUserRecord(proof));
+			personal_info.email = this.user;
+
+			// Build the credential before creating the user, so that a user record missing required data isn't left behind
+			let cred_attributes;
 			try {
-				proof = await this.agent.waitForVerification(this.verification.id, 30, 3000);
+				const data_attributes = schema.attr_names.filter((attr_name) => {
+					return attr_name !== 'card_front' && attr_name !== 'card_back';
+				});
+				cred_attributes = this.attribute_mapper.toCredential(data_attributes, personal_info);
 			} catch (error) {
-				logger.error(`Failed to complete verification ${this.verification.id}. Deleting verification. error: ${error}`);
-				await this.agent.deleteVerification(this.verification.id);
-				throw error;
-			}
-
-			logger.info(`Final state for verification ${proof.id}: ${proof.state}`);
-			if (proof.state === 'passed') {
-				logger.info(`Verification ${proof.id} to ${connection.remote.pairwise.did} passed crypto validation`);
-			} else {
-				const error = new Error(`Verification ${proof.id} did not pass validation.  Deleting verification`);
-				logger.error(error.message);
-				await this.agent.deleteVerification(proof.id);
+				if (error.code === ATTRIBUTE_MAPPER_ERRORS.REQUIRED_ATTRIBUTE_MISSING)
+					error.message = `User record was missing data required for creating a credential. ${error.message}`;
+				error.code = SIGNUP_ERRORS.LOGIN_INVALID_USER_ATTRIBUTES;
 				throw error;
 			}
 
-			logger.info(`Deleting verification request ${proof.id}`);
-			await this.agent.deleteVerification(proof.id);
-
-			logger.info(`Checking the validity of the proof in verification ${proof.id}`);
-			await this.signup_helper.checkProof(proof);
-
-			this.status = Signup.SIGNUP_STEPS.ISSUING_CREDENTIAL;
-
-			logger.info(`Creating user record for ${this.user}`);
-			const personal_info = await this.signup_helper.proofToUserRecord(proof);
-			personal_info.email = this.user;
+			// Certain attributes are supposed to contain rendered images of the credential
+			if (schema.attr_names.indexOf('card_front') >= 0)
+				cred_attributes.card_front = await this.card_renderer.createCardFront(personal_info);
+			if (schema.attr_names.indexOf('card_back') >= 0)
+				cred_attributes.card_back = await this.card_renderer.createCardBack(personal_info);
 
+			this.checkStopped();
 			const user_doc = await this.user_records.create_user(this.user, this.password, personal_info, {
 				agent_name: this.agent_name
 			});
 			logger.debug(`User record: ${JSON.stringify(user_doc)}`);
 
-			const cred_attributes = {};
-			for (const index in schema.attr_names) {
-				const attr_name = schema.attr_names[index];
-				// Certain attributes are supposed to contain rendered images of the credential
-				if (attr_name === 'card_front') {
-					cred_attributes[attr_name] = await this.card_renderer.createCardFront(personal_info);
-				} else if (attr_name === 'card_back') {
-					cred_attributes[attr_name] = await this.card_renderer.createCardBack(personal_info);
-				} else {
-
-					// Make sure the user has data for this attribute
-					if (!user_doc.personal_info || [ 'string', 'number' ].indexOf(typeof user_doc.personal_info[attr_name]) < 0) {
-						const err = new Error(`User record was missing data '${attr_name}', which is required for creating a credential`);
-						err.code = SIGNUP_ERRORS.LOGIN_INVALID_USER_ATTRIBUTES;
-						throw err;
-					}
-					if (typeof user_doc.personal_info[attr_name] === 'number')
-						cred_attributes[attr_name] = '' + user_doc.personal_info[attr_name];
-					else
-						cred_attributes[attr_name] = user_doc.personal_info[attr_name];				}
-			}
-
-			logger.info(`Sending credential offer to ${connection.remote.pairwise.did}`);
-			this.credential = await this.agent.offerCredential({
-				did: connection.remote.pairwise.did
-			}, {
-				schema_name: schema.name,
-				schema_version: schema.version
-			}, cred_attributes, {
-				icon: icon
-			});
-
-			logger.info(`Waiting for credential offer acceptance for credential ${this.credential.id}`);
+			let offered;
 			let finished_credential;
 			try {
-				finished_credential = await this.agent.waitForCredential(this.credential.id, 30, 3000);
+				finished_credential = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CREDENTIAL, async () => {
+					logger.info(`Sending credential offer to ${connection.remote.pairwise.did}`);
+					this.credential = null;
+					this.credential = await this.agent.offerCredential({
+						did: connection.remote.pairwise.did
+					}, {
+						schema_name: schema.name,
+						schema_version: schema.version
+					}, cred_attributes, {
+						icon: icon
+					});
+
+					offered = Date.now();
+					this.checkStopped();
+					await this.save();
+
+					logger.info(`Waiting for credential offer acceptance for credential ${this.credential.id}`);
+					return this.credential.id;
+				}, this.agent.waitForCredential.bind(this.agent), this.agent.deleteCredential.bind(this.agent));
 			} catch (error) {
+				if (!this.credential)
+					throw error;
+
 				logger.error(`Failed to deliver credential ${this.credential.id}.  Deleting credential. error: ${error}`);
 				await this.agent.deleteCredential(this.credential.id);
 				throw error;
@@ -407,8 +606,22 @@ class Signup {
 
 			logger.info(`Final state for credential ${finished_credential.id}: ${finished_credential.state}`);
 			if (finished_credential.state === 'issued') {
+				// The credential was issued whether or not the Signup was stopped in the meantime, so it still gets recorded
 				logger.info(`Issued credential ${finished_credential.id} to ${connection.remote.pairwise.did}`);
-				this.status = Signup.SIGNUP_STEPS.FINISHED;
+				await this.recordCredential({
+					_id: finished_credential.id,
+					flow_id: this.id,
+					cred_def_id: finished_credential.credential_definition_id,
+					schema_name: schema.name,
+					schema_version: schema.version,
+					attributes: cred_attributes,
+					connection_id: connection.id,
+					connection_did: connection.remote.pairwise.did,
+					offered: offered,
+					issued: Date.now()
+				}, my_credential_definitions);
+				await Helpers.linkConnection(this.user_records, user_doc, connection);
+				await this.setStatus(Signup.SIGNUP_STEPS.FINISHED);
 			} else {
 				const error = new Error(`Offered credential ${finished_credential.id} was not accepted by ${connection.remote.pairwise.did}. Deleting credential and user account.`);
 				logger.error(error.message);
@@ -418,28 +631,273 @@ class Signup {
 			}
 
 		} catch (error) {
+			if (this.status === Signup.SIGNUP_STEPS.STOPPED) {
+				logger.info(`Credential signup flow ${this.id} gave up because it was stopped: ${error}`);
+				return;
+			}
 			logger.error(`Signup failed: ${error.code ? error.code : ' '}${error}`);
-			this.status = Signup.SIGNUP_STEPS.ERROR;
 			this.error = error;
+			await this.setStatus(Signup.SIGNUP_STEPS.ERROR);
 			if (connection && connection.id)
 				await this.agent.deleteConnection(connection.id);
 		}
 	}
 
 	/**
-	 * Stops this Signup, meaning that the Signup will still finish whatever the current signup task is, such as
-	 * verifying a credential, but will cease activity before the next task.
+	 * Asks the user for one of the alternative signup proofs and checks their response.
+	 * @param {object} connection The connection to the user.
+	 * @param {string|null} proof_path The name of the alternative proof to ask for, or null if the signup helper only has
+	 * one.
+	 * @param {string} [icon] The image to attach to the proof request.
+	 * @returns {Promise<object>} A promise that resolves with the accepted verification, or rejects if the user didn't
+	 * answer the proof request or the proof was not accepted.
+	 */
+	async checkCredential (connection, proof_path, icon) {
+		// Every proof request gets its own nonce, so an answer to an earlier request can't be replayed against this one
+		this.proof_nonce = Helpers.generateNonce();
+		const proof_opts = {nonce: this.proof_nonce};
+		if (proof_path)
+			proof_opts.proof_request = proof_path;
+
+		logger.info(`Creating signup proof schema${proof_path ? ` for ${proof_path}` : ''}`);
+		const proof_request = await this.signup_helper.getProofSchema(proof_opts);
+		this.checkStopped();
+
+		let account_proof_schema = await Helpers.createProofSchema(this.agent, proof_request);
+		logger.debug(`Created proof schema: ${JSON.stringify(account_proof_schema)}`);
+		this.checkStopped();
+
+		this.verification = null;
+		let proof;
+		try {
+			proof = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.PROOF, async () => {
+				logger.info(`Sending proof request to ${connection.remote.pairwise.did}`);
+
+				// Resent proof requests get their own nonce too, and the nonce is part of the proof schema
+				const resending = !!this.verification;
+				this.verification = null;
+				if (resending) {
+					this.proof_nonce = Helpers.generateNonce();
+					proof_opts.nonce = this.proof_nonce;
+					account_proof_schema = await Helpers.createProofSchema(this.agent, await this.signup_helper.getProofSchema(proof_opts));
+					logger.debug(`Created proof schema: ${JSON.stringify(account_proof_schema)}`);
+				}
+				this.verification = await this.agent.createVerification({
+					did: connection.remote.pairwise.did
+				},
+				account_proof_schema.id,
+				'outbound_proof_request',
+				{
+					icon: icon
+				});
+				this.proof_requested_at = Date.now();
+				this.trying_proof_path = proof_path;
+				logger.info(`Created verification request: ${this.verification.id}`);
+				this.checkStopped();
+				await this.save();
+
+				logger.info(`Waiting for verification of proof request from ${connection.remote.pairwise.did}`);
+				return this.verification.id;
+			}, this.agent.waitForVerification.bind(this.agent), this.agent.deleteVerification.bind(this.agent));
+		} catch (error) {
+			if (!this.verification)
+				throw error;
+
+			logger.error(`Failed to complete verification ${this.verification.id}. Deleting verification. error: ${error}`);
+			await this.agent.deleteVerification(this.verification.id);
+			throw error;
+		}
+
+		logger.info(`Final state for verification ${proof.id}: ${proof.state}`);
+		if (proof.state === 'passed') {
+			logger.info(`Verification ${proof.id} to ${connection.remote.pairwise.did} passed crypto validation`);
+		} else {
+			const error = new Error(`Verification ${proof.id} did not pass validation.  Deleting verification`);
+			logger.error(error.message);
+			await this.agent.deleteVerification(proof.id);
+			throw error;
+		}
+
+		logger.info(`Deleting verification request ${proof.id}`);
+		await this.agent.deleteVerification(proof.id);
+		this.checkStopped();
+
+		logger.info(`Checking the validity of the proof in verification ${proof.id}`);
+		proof_opts.requested_at = this.proof_requested_at;
+		await this.signup_helper.checkProof(proof, proof_opts);
+		this.checkStopped();
+		return proof;
+	}
+
+	/**
+	 * Records the credential delivered to the new user in their credential history so that admins can see what was
+	 * issued and revoke it later.  The credential has already been issued at this point, so failures are logged rather
+	 * than thrown.
+	 * @param {object} record Information on the issued credential.  See IssuedCredential.
+	 * @param {CredentialDefinition[]} credential_definitions This agent's credential definitions.
+	 * @returns {Promise<void>} Resolves when the credential has been recorded.
+	 */
+	async recordCredential (record, credential_definitions) {
+		const cred_def = credential_definitions.find((def) => {
+			return def.id === record.cred_def_id;
+		});
+
+		record.user = this.user;
+		// Credential definitions that support revocation come with a revocation key
+		record.revocable = !!(cred_def && cred_def.data && cred_def.data.value && cred_def.data.value.revocation);
+		try {
+			await this.credential_records.record_credential(record);
+		} catch (error) {
+			logger.error(`Failed to record credential ${record._id} issued to ${this.user}: ${error}`);
+		}
+	}
+
+	/**
+	 * Resends the offer that the user didn't answer in time.  The Signup must be TIMED_OUT.
+	 * @returns {void}
+	 */
+	resend () {
+		if (this.status !== Signup.SIGNUP_STEPS.TIMED_OUT) {
+			const error = new Error(`Signup ${this.id} is not waiting to resend an offer`);
+			error.code = SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_TIMED_OUT;
+			throw error;
+		}
+		logger.info(`Resending the ${this.timed_out.stage} offer for credential signup flow ${this.id}`);
+		this.emit('resend');
+	}
+
+	/**
+	 * Makes the Signup give up if it was stopped while it was waiting on something.
 	 * @returns {void}
 	 */
-	stop () {
+	checkStopped () {
+		if (this.status !== Signup.SIGNUP_STEPS.STOPPED)
+			return;
+		const error = new Error(`Credential signup flow ${this.id} was stopped`);
+		error.code = FLOWS_ERRORS.FLOW_STOPPED;
+		throw error;
+	}
+
+	/**
+	 * Stops this Signup.  Offers the Signup is waiting on are given up on and deleted, and the Signup doesn't start its
+	 * next task.  Nothing is saved after the stopped state, so deleting the flow record afterwards is final.
+	 * @returns {Promise<void>} Resolves when the stopped state has been saved.
+	 */
+	async stop () {
 		logger.info(`Stopping credential signup flow ${this.id}`);
 		this.status = Signup.SIGNUP_STEPS.STOPPED;
+		await this.save();
+		this.stopped = true;
+	}
+
+	/**
+	 * Moves the Signup to the given step and saves the new state to the flow records.
+	 * @param {SIGNUP_STEPS} status The new status of the Signup.
+	 * @returns {Promise<void>} Resolves when the new state has been saved.
+	 */
+	async setStatus (status) {
+		this.checkStopped();
+		this.status = status;
+		await this.save();
+	}
+
+	/**
+	 * Saves the state of the Signup to the flow records and lets anyone watching the Signup know about the new state.  Failing to save the state shouldn't break a Signup that is
+	 * running in this instance of the app, so errors are logged instead of thrown.
+	 * @returns {Promise<void>} Resolves when the state has been saved.
+	 */
+	async save () {
+		// Once the stopped state is saved, the flow record belongs to whoever stopped the Signup
+		if (this.stopped)
+			return;
+		try {
+			await this.flow_records.save_flow(this.toDoc());
+		} catch (error) {
+			logger.error(`Failed to save the state of signup ${this.id}: ${error}`);
+		}
+		this.emit('status', this.getStatus());
+	}
+
+	/**
+	 * Builds a flow record describing the state of the Signup.  The new user's password is deliberately left out.
+	 * @returns {object} A flow record for the Signup.
+	 */
+	toDoc () {
+		const doc = {
+			_id: this.id,
+			flow_type: Signup.FLOW_TYPE,
+			user: this.user,
+			agent_name: this.agent_name,
+			status: this.status,
+			connection_method: this.connection_method
+		};
+
+		if (this.proof_path)
+			doc.proof_path = this.proof_path;
+
+		if (this.trying_proof_path)
+			doc.trying_proof_path = this.trying_proof_path;
+
+		if (this.verified_proof_path)
+			doc.verified_proof_path = this.verified_proof_path;
+
+		if (this.connection_offer)
+			doc.connection_offer = this.connection_offer;
+
+		if (this.verification)
+			doc.verification = {id: this.verification.id};
+
+		if (this.proof_nonce)
+			doc.proof_nonce = this.proof_nonce;
+
+		if (this.proof_requested_at)
+			doc.proof_requested_at = this.proof_requested_at;
+
+		if (this.credential)
+			doc.credential = {id: this.credential.id};
+
+		if (this.timed_out)
+			doc.timed_out = this.timed_out;
+
+		if (this.error)
+			doc.error = {
+				code: this.error.code ? this.error.code : SIGNUP_ERRORS.SIGNUP_UNKNOWN_ERROR,
+				message: this.error.message
+			};
+
+		return doc;
+	}
+
+	/**
+	 * Restores the state of the Signup from a flow record.
+	 * @param {object} doc A flow record created by toDoc().
+	 * @returns {void}
+	 */
+	loadDoc (doc) {
+		this.status = doc.status;
+		this.connection_offer = doc.connection_offer ? doc.connection_offer : null;
+		this.verification = doc.verification ? doc.verification : null;
+		this.proof_nonce = doc.proof_nonce ? doc.proof_nonce : null;
+		this.proof_requested_at = doc.proof_requested_at ? doc.proof_requested_at : null;
+		this.credential = doc.credential ? doc.credential : null;
+		this.trying_proof_path = doc.trying_proof_path ? doc.trying_proof_path : null;
+		this.verified_proof_path = doc.verified_proof_path ? doc.verified_proof_path : null;
+		this.timed_out = doc.timed_out ? doc.timed_out : null;
+		this.error = null;
+		if (doc.error) {
+			this.error = new Error(doc.error.message);
+			this.error.code = doc.error.code;
+		}
 	}
 
 	/**
 	 * @typedef {object} SignupStatus
 	 * @property {SIGNUP_STEPS} status The status of the Signup.
 	 * @property {error} [error] The error that occurred, if the signup status is ERROR.
+	 * @property {string} [proof_path] The alternative proof the user is being asked for, if the status is
+	 * CHECKING_CREDENTIAL.
+	 * @property {string} [verified_proof_path] The alternative proof that the user signed up with, once it's accepted.
+	 * @property {TimedOutOffer} [timed_out] The offer the user didn't answer in time, if the signup status is TIMED_OUT.
 	 */
 	/**
 	 * Gets the status of the Signup.
@@ -466,6 +924,15 @@ class Signup {
 		if (this.status === Signup.SIGNUP_STEPS.CHECKING_CREDENTIAL && this.verification)
 			ret.verification = {id: this.verification.id};
 
+		if (this.status === Signup.SIGNUP_STEPS.CHECKING_CREDENTIAL && this.trying_proof_path)
+			ret.proof_path = this.trying_proof_path;
+
+		if (this.verified_proof_path)
+			ret.verified_proof_path = this.verified_proof_path;
+
+		if (this.status === Signup.SIGNUP_STEPS.TIMED_OUT && this.timed_out)
+			ret.timed_out = this.timed_out;
+
 		return ret;
 	}
 }
@@ -481,6 +948,19 @@ function sortSchemas (a, b) {
 	return semverCompare(a.schema_version, b.schema_version);
 }
 
+/**
+ * Gets the names of the alternative proofs a signup helper can ask for, in the order they should be tried.  Signup
+ * helpers without alternatives have a single unnamed proof.
+ * @param {SignupHelper} signup_helper A signup helper.
+ * @returns {Promise<Array<string|null>>} A promise that resolves with the names of the alternative proofs.
+ */
+async function proofPaths (signup_helper) {
+	if (typeof signup_helper.getProofAlternatives !== 'function')
+		return [ null ];
+	const alternatives = await signup_helper.getProofAlternatives();
+	return alternatives && alternatives.length ? alternatives : [ null ];
+}
+
 exports.SIGNUP_STEPS = Signup.SIGNUP_STEPS;
 
 const SIGNUP_ERRORS = {
@@ -19,6 +19,17 @@ const bcrypt = require('bcrypt');
 const users_design_doc = require('./design_docs/users.json');
 const DESIGN_DOC = users_design_doc._id.split('/')[1];
 const VIEW_USERS = 'users';
+const VIEW_USERS_BY_PERSONAL_INFO = 'users_by_personal_info';
+const VIEW_USERS_BY_CONNECTION_DID = 'users_by_connection_did';
+const VIEW_USERS_BY_FIELD = 'users_by_field';
+
+/**
+ * How many users are listed on a page when no limit is given.
+ * @type {number}
+ */
+const DEFAULT_USER_LIMIT = 100;
+
+const Roles = require('./roles.js');
 
 const Logger = require('./logger.js').Logger;
 const logger = Logger.makeLogger(Logger.logPrefix(__filename));
@@ -75,6 +86,23 @@ class Users {
 	 * @property {string} [did] A DID for connecting to the user.
 	 */
 
+	/**
+	 * Describes the connection that the app keeps with a user's agent, so that it can be reused instead of asking the
+	 * user to accept a new connection offer every time.
+	 * @typedef {object} UserConnection
+	 * @property {string} id The ID of the connection on the app's agent.
+	 * @property {string} did The user's pairwise DID on the connection.
+	 * @property {number} linked When the connection was linked to the user, in milliseconds since the epoch.
+	 */
+
+	/**
+	 * Describes credentials issued to a user that no longer match the user's personal info, and should be issued again.
+	 * @typedef {object} UserReissue
+	 * @property {string[]} credentials The IDs of the out of date credentials.
+	 * @property {string[]} attributes The names of the credential attributes that changed.
+	 * @property {number} flagged When the credentials were found to be out of date, in milliseconds since the epoch.
+	 */
+
 	/**
 	 * Describes a user record.
 	 * @typedef {object} User
@@ -84,6 +112,11 @@ class Users {
 	 * @property {string} type Allows for our index to distinguish between non-user and user docs in the database.
 	 * @property {object} [personal_info] A list of key/value pairs containing data that could be used to issue a credential.
 	 * @property {UserOpts} [opts] Additions to the user doc can go here.  Makes user records more extensible without library changes.
+	 * @property {UserConnection} [connection] The established connection to the user's agent, if there is one.
+	 * @property {string[]} [roles] The roles that decide what the user can do with the app's APIs.  Users without roles are
+	 * members.
+	 * @property {UserReissue} [reissue] The credentials that need to be issued again because the personal info changed.
+	 * @property {number} [created] When the user was created, in milliseconds since the epoch.
 	 */
 
 	/**
@@ -118,7 +151,9 @@ class Users {
 			_id: username,
 			email: username,
 			password: hash,
-			type: 'user'
+			type: 'user',
+			roles: [ Roles.ROLES.MEMBER ],
+			created: Date.now()
 		};
 		if (personal_info)
 			userDoc.personal_info = personal_info;
@@ -182,37 +217,385 @@ class Users {
 	}
 
 	/**
-	 * Retrieves all the user records
-	 * @returns {Promise<Users>} A promise that resolves with a list of all users.
+	 * Describes which page of users to return.
+	 * @typedef {object} ListUsersOpts
+	 * @property {string} [field] The field to sort and search by.  Either 'email' or a personal info field, ignoring
+	 * case.  Defaults to 'email'.  Users that don't have a personal info field aren't listed when sorting by it.
+	 * @property {string} [search] Only list users whose value for the field starts with this, ignoring case.
+	 * @property {boolean} [descending] Sort from Z to A instead of from A to Z.
+	 * @property {number} [limit] The most users to return.  Defaults to 100.
+	 * @property {number} [skip] How many users to skip before the page starts.  Ignored if there is a bookmark.
+	 * @property {string} [bookmark] Where the page starts, from the bookmark of the previous page.
+	 */
+
+	/**
+	 * Describes a page of users.
+	 * @typedef {object} UserPage
+	 * @property {User[]} users The users on the page.
+	 * @property {number} total How many users match the search, across all pages.
+	 * @property {string|null} bookmark Pass this to get the next page, or null if this is the last page.
+	 */
+
+	/**
+	 * Lists one page of the user records, sorted and searched by email or by a personal info field.
+	 * @param {ListUsersOpts} [opts] Which users to return.
+	 * @returns {Promise<UserPage>} A promise that resolves with the page of users.
 	 */
-	async read_users () {
+	async list_users (opts) {
+		opts = opts ? opts : {};
+		if (opts.field !== undefined && (!opts.field || typeof opts.field !== 'string'))
+			throw new TypeError('Field to list users by was not a non-empty string');
+		if (opts.search !== undefined && typeof opts.search !== 'string')
+			throw new TypeError('Search to list users by was not a string');
+		for (const param of [ 'limit', 'skip' ]) {
+			if (opts[param] !== undefined && (typeof opts[param] !== 'number' || !Number.isInteger(opts[param]) || opts[param] < 0))
+				throw new TypeError(`User list ${param} was not an integer >= 0`);
+		}
+
+		const field = opts.field ? opts.field.toLowerCase() : 'email';
+		const search = opts.search ? opts.search.toLowerCase() : '';
+		const limit = opts.limit ? opts.limit : DEFAULT_USER_LIMIT;
 
-		logger.info('Reading all users');
+		// Keys are [field, lowercase value].  \ufff0 sorts after any value that starts with the search.
+		const first_key = search ? [ field, search ] : [ field ];
+		const last_key = search ? [ field, search + '\ufff0' ] : [ field, {} ];
+		const range = {
+			startkey: opts.descending ? last_key : first_key,
+			endkey: opts.descending ? first_key : last_key
+		};
+
+		const page_opts = {
+			reduce: false,
+			include_docs: true,
+			descending: !!opts.descending,
+			startkey: range.startkey,
+			endkey: range.endkey,
+			limit: limit + 1
+		};
+		if (opts.bookmark) {
+			let bookmark;
+			try {
+				bookmark = JSON.parse(Buffer.from(opts.bookmark, 'base64').toString());
+			} catch (error) {
+				bookmark = null;
+			}
+			if (!Array.isArray(bookmark) || bookmark.length !== 2 || !Array.isArray(bookmark[0]) || bookmark[0][0] !== field || typeof bookmark[1] !== 'string') {
+				const error = new Error(`Bookmark ${opts.bookmark} was not a bookmark for listing users by ${field}`);
+				error.code = USERS_ERRORS.INVALID_BOOKMARK;
+				throw error;
+			}
+			page_opts.startkey = bookmark[0];
+			page_opts.startkey_docid = bookmark[1];
+		} else if (opts.skip) {
+			page_opts.skip = opts.skip;
+		}
+
+		logger.info(`Listing ${limit} users by ${field}${search ? ` starting with ${search}` : ''}`);
 		try {
-			const view_resp = await this.usersDB.view(DESIGN_DOC, VIEW_USERS, {reduce: false, include_docs: true});
-			// Translate couchdb view response into a list of user docs
-			const users = {};
+			const count_resp = await this.usersDB.view(DESIGN_DOC, VIEW_USERS_BY_FIELD, {
+				reduce: true,
+				startkey: range.startkey,
+				endkey: range.endkey,
+				descending: !!opts.descending
+			});
+			const view_resp = await this.usersDB.view(DESIGN_DOC, VIEW_USERS_BY_FIELD, page_opts);
+
+			// The extra row is where the next page starts
+			const rows = view_resp.rows.slice(0, limit);
+			const next = view_resp.rows.length > limit ? view_resp.rows[limit] : null;
+			const users = rows.map((row) => {
+				delete row.doc.password;
+				return row.doc;
+			});
+			logger.info(`Listed ${users.length} users`);
+			return {
+				users: users,
+				total: count_resp.rows.length ? count_resp.rows[0].value : 0,
+				bookmark: next ? Buffer.from(JSON.stringify([ next.key, next.id ])).toString('base64') : null
+			};
+
+		} catch (error) {
+			logger.error(`Failed to list users: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Finds the users whose personal info has all of the given values.
+	 * @param {object} personal_info Maps personal info fields to the values the users must have.
+	 * @returns {Promise<User[]>} A promise that resolves with the matching users.
+	 */
+	async find_users (personal_info) {
+		if (!personal_info || typeof personal_info !== 'object' || !Object.keys(personal_info).length)
+			throw new TypeError('Personal info to find users by was not a non-empty object');
+
+		const keys = Object.keys(personal_info).map((field) => {
+			return [ field, personal_info[field] ];
+		});
+		logger.info(`Finding users with personal info ${JSON.stringify(personal_info)}`);
+		try {
+			const view_resp = await this.usersDB.view(DESIGN_DOC, VIEW_USERS_BY_PERSONAL_INFO, {reduce: false, include_docs: true, keys: keys});
+
+			// A user only matches if every field matched
+			const matches = {};
+			const docs = {};
 			for (const index in view_resp.rows) {
 				const doc = view_resp.rows[index].doc;
-				delete doc.password;
-				users[doc._id] = doc;
+				matches[doc._id] = matches[doc._id] ? matches[doc._id] + 1 : 1;
+				docs[doc._id] = doc;
 			}
-			logger.info(`Successfully read all ${Object.keys(users).length} users`);
+			const users = Object.keys(docs).filter((id) => {
+				return matches[id] === keys.length;
+			}).map((id) => {
+				delete docs[id].password;
+				return docs[id];
+			});
+			logger.info(`Found ${users.length} users with the given personal info`);
 			return users;
 
 		} catch (error) {
-			logger.error(`Failed to read all users: ${error}`);
+			logger.error(`Failed to find users: ${error}`);
 			error.code = USERS_ERRORS.UNKNOWN_USER_READ_FAILURE;
 			throw error;
 		}
 	}
 
+	/**
+	 * Finds the users that are linked to a connection with the given pairwise DID.
+	 * @param {string} connection_did A pairwise DID.
+	 * @returns {Promise<User[]>} A promise that resolves with the matching users.
+	 */
+	async find_connection_users (connection_did) {
+		if (!connection_did || typeof connection_did !== 'string')
+			throw new TypeError('Connection DID was not a non-empty string');
+
+		try {
+			const view_resp = await this.usersDB.view(DESIGN_DOC, VIEW_USERS_BY_CONNECTION_DID, {reduce: false, include_docs: true, keys: [ connection_did ]});
+			return view_resp.rows.map((row) => {
+				delete row.doc.password;
+				return row.doc;
+			});
+		} catch (error) {
+			logger.error(`Failed to find users linked to ${connection_did}: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Links an established connection to a user, replacing any connection that was linked before.
+	 * @param {string} username The email of the user.
+	 * @param {string} connection_id The ID of the connection on the app's agent.
+	 * @param {string} connection_did The user's pairwise DID on the connection.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 */
+	async link_connection (username, connection_id, connection_did) {
+		if (!connection_id || typeof connection_id !== 'string')
+			throw new TypeError('Connection ID was not a non-empty string');
+		if (!connection_did || typeof connection_did !== 'string')
+			throw new TypeError('Connection DID was not a non-empty string');
+
+		logger.info(`Linking connection ${connection_id} to user ${username}`);
+		return this.save_connection(username, {
+			id: connection_id,
+			did: connection_did,
+			linked: Date.now()
+		});
+	}
+
+	/**
+	 * Removes the link between a user and their connection.  The connection itself is left alone.
+	 * @param {string} username The email of the user.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 */
+	async unlink_connection (username) {
+		logger.info(`Unlinking the connection to user ${username}`);
+		return this.save_connection(username, null);
+	}
+
+	/**
+	 * Sets the connection on a user record.
+	 * @param {string} username The email of the user.
+	 * @param {UserConnection|null} connection The connection to link, or null to remove the link.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 */
+	async save_connection (username, connection) {
+		if (!username || typeof username !== 'string')
+			throw new TypeError('Username was not a non-empty string');
+
+		let userdoc;
+		try {
+			const docs = await this.usersDB.view(DESIGN_DOC, VIEW_USERS, {reduce: false, include_docs: true, keys: [ username ]});
+			for (const index in docs.rows) {
+				if (docs.rows[index].key === username)
+					userdoc = docs.rows[index].doc;
+			}
+		} catch (error) {
+			logger.error(`Failed to get user list: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+		if (!userdoc) {
+			const error = new Error('User doc was not found in the database');
+			logger.error(`Cannot update the connection for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.USER_DOES_NOT_EXIST;
+			throw error;
+		}
+
+		if (connection)
+			userdoc.connection = connection;
+		else
+			delete userdoc.connection;
+
+		try {
+			await this.usersDB.insert(userdoc, null);
+			delete userdoc._rev;
+			delete userdoc.password;
+			return userdoc;
+
+		} catch (error) {
+			logger.error(`Failed to update the connection for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Replaces the roles of a user.
+	 * @param {string} username The email of the user.
+	 * @param {string[]} roles The new roles for the user.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 */
+	async set_roles (username, roles) {
+		if (!username || typeof username !== 'string')
+			throw new TypeError('Username was not a non-empty string');
+		Roles.validateRoles(roles);
+
+		let userdoc;
+		try {
+			const docs = await this.usersDB.view(DESIGN_DOC, VIEW_USERS, {reduce: false, include_docs: true, keys: [ username ]});
+			for (const index in docs.rows) {
+				if (docs.rows[index].key === username)
+					userdoc = docs.rows[index].doc;
+			}
+		} catch (error) {
+			logger.error(`Failed to get user list: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+		if (!userdoc) {
+			const error = new Error('User doc was not found in the database');
+			logger.error(`Cannot update the roles for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.USER_DOES_NOT_EXIST;
+			throw error;
+		}
+
+		// Drop duplicates so role lists stay readable in the admin panel
+		userdoc.roles = roles.filter((role, index) => {
+			return roles.indexOf(role) === index;
+		});
+
+		logger.info(`Setting the roles for user ${username} to ${JSON.stringify(userdoc.roles)}`);
+		try {
+			await this.usersDB.insert(userdoc, null);
+			delete userdoc._rev;
+			delete userdoc.password;
+			return userdoc;
+
+		} catch (error) {
+			logger.error(`Failed to update the roles for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Flags the credentials issued to a user that need to be issued again, or clears the flag.
+	 * @param {string} username The email of the user.
+	 * @param {UserReissue|null} reissue The out of date credentials, or null if the user's credentials are up to date.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 */
+	async set_reissue (username, reissue) {
+		if (!username || typeof username !== 'string')
+			throw new TypeError('Username was not a non-empty string');
+		if (reissue !== null && (!reissue || typeof reissue !== 'object' || !Array.isArray(reissue.credentials)))
+			throw new TypeError('Reissue was not an object with a list of credentials, or null');
+
+		let userdoc;
+		try {
+			const docs = await this.usersDB.view(DESIGN_DOC, VIEW_USERS, {reduce: false, include_docs: true, keys: [ username ]});
+			for (const index in docs.rows) {
+				if (docs.rows[index].key === username)
+					userdoc = docs.rows[index].doc;
+			}
+		} catch (error) {
+			logger.error(`Failed to get user list: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+		if (!userdoc) {
+			const error = new Error('User doc was not found in the database');
+			logger.error(`Cannot flag credentials for reissue for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.USER_DOES_NOT_EXIST;
+			throw error;
+		}
+
+		if (reissue)
+			userdoc.reissue = reissue;
+		else
+			delete userdoc.reissue;
+
+		logger.info(`${reissue ? 'Flagging' : 'Clearing'} credentials to reissue for user ${username}`);
+		try {
+			await this.usersDB.insert(userdoc, null);
+			delete userdoc._rev;
+			delete userdoc.password;
+			return userdoc;
+
+		} catch (error) {
+			logger.error(`Failed to flag credentials to reissue for user ${username}: ${error}`);
+			error.code = USERS_ERRORS.UNKNOWN_USER_UPDATE_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Makes sure there is a user with the admin role, creating the user if it doesn't exist.  An existing user that
+	 * doesn't already have the admin role is not promoted, since whoever holds that account knows its password, not the
+	 * configured one.  The password of an existing admin is left alone.
+	 * @param {string} username The email of the admin.
+	 * @param {string} password The password to give the admin if the user has to be created.
+	 * @returns {Promise<User>} A promise that resolves with the admin's user record.
+	 */
+	async bootstrap_admin (username, password) {
+		let user_doc;
+		try {
+			user_doc = await this.read_user(username);
+		} catch (error) {
+			if (error.code !== USERS_ERRORS.USER_DOES_NOT_EXIST)
+				throw error;
+
+			logger.info(`Creating admin user ${username}`);
+			user_doc = await this.create_user(username, password);
+			return this.set_roles(username, Roles.userRoles(user_doc).concat(Roles.ROLES.ADMIN));
+		}
+
+		if (Roles.userRoles(user_doc).indexOf(Roles.ROLES.ADMIN) < 0) {
+			const error = new Error(`User ${username} already exists without the ${Roles.ROLES.ADMIN} role.  Give it the role from the admin panel or pick another admin username`);
+			error.code = USERS_ERRORS.ADMIN_BOOTSTRAP_REFUSED;
+			throw error;
+		}
+		return user_doc;
+	}
+
 	/**
 	 * Updates an existing user's personal information.
 	 * @param {string} username The email of the user to update.
 	 * @param {object} personal_info An object representing a new set of personal info for a user.
 	 * @param {UserOpts} [opts] An update list of extensible fields for the user record.
-	 * @returns {Promise<User>} A promise that resolves with the updated user record.
+	 * @returns {Promise<User>} A promise that resolves with the updated user record.  The record has a `changed_fields`
+	 * list of the personal info fields that were added, removed, or changed, which is not saved.
 	 */
 	async update_user (username, personal_info, opts) {
 		if (!username || typeof username !== 'string')
@@ -242,6 +625,7 @@ class Users {
 			throw error;
 		}
 
+		const changed_fields = changedFields(userdoc.personal_info, personal_info);
 		if (personal_info && Object.keys(personal_info).length > 0)
 			userdoc.personal_info = personal_info;
 		else
@@ -255,8 +639,9 @@ class Users {
 			await this.usersDB.insert(userdoc, null);
 			delete userdoc._rev;
 
-			logger.debug(`Updated user ${username}`);
+			logger.debug(`Updated user ${username}.  Changed fields: ${JSON.stringify(changed_fields)}`);
 			delete userdoc.password;
+			userdoc.changed_fields = changed_fields;
 			return userdoc;
 
 		} catch (error) {
@@ -354,6 +739,24 @@ class Users {
 
 exports.Users = Users;
 
+/**
+ * Lists the personal info fields that were added, removed, or given a different value.
+ * @param {object} [before] The old personal info.
+ * @param {object} [after] The new personal info.
+ * @returns {string[]} The names of the fields that changed, in alphabetical order.
+ */
+function changedFields (before, after) {
+	before = before ? before : {};
+	after = after ? after : {};
+	const fields = Object.keys(before).concat(Object.keys(after)).filter((field, index, all) => {
+		return all.indexOf(field) === index;
+	});
+	return fields.filter((field) => {
+		return JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+	}).sort();
+}
+exports.changedFields = changedFields;
+
 const USERS_ERRORS = {
 	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE',
 	USER_CREATION_FAILURE: 'USER_CREATION_FAILURE',
@@ -362,7 +765,9 @@ const USERS_ERRORS = {
 	UNKNOWN_USER_UPDATE_FAILURE: 'UNKNOWN_USER_UPDATE_FAILURE',
 	USER_TI_ASSOCIATION_FAILURE: 'USER_TI_ASSOCIATION_FAILURE',
 	USER_ALREADY_EXISTS: 'USER_ALREADY_EXISTS',
-	USER_DOES_NOT_EXIST: 'USER_DOES_NOT_EXIST'
+	USER_DOES_NOT_EXIST: 'USER_DOES_NOT_EXIST',
+	INVALID_BOOKMARK: 'INVALID_BOOKMARK',
+	ADMIN_BOOTSTRAP_REFUSED: 'ADMIN_BOOTSTRAP_REFUSED'
 };
 
 exports.USERS_ERRORS = USERS_ERRORS;
\ No newline at end of file
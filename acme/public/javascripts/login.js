@@ -109,7 +109,7 @@ $(document).ready(async () => {
 
 		console.log(`Logging in as ${formObject.email}`);
 		try {
-			await $.ajax({
+			const login_response = await $.ajax({
 				url: '/login/userpass',
 				method: 'POST',
 				dataType: 'json',
@@ -120,7 +120,7 @@ $(document).ready(async () => {
 				})
 			});
 			console.log(`Logged in as ${formObject.email}, redirecting...`);
-			window.location.href = '/account';
+			window.location.href = login_response.redirect ? login_response.redirect : '/account';
 		} catch (error) {
 			// Stop the loader
 			loader.html(loader.data('original-text'));
@@ -317,6 +317,15 @@ $(document).ready(async () => {
 		FAILED: 3
 	};
 
+	// Logging in with a wallet skips the username.  The user's agent gets an out-of-band connection offer, and the user
+	// is identified by that connection or by the credential they prove.
+	let wallet_signon = false;
+	$('.vcWalletSignonLink').on('click', (event) => {
+		event.preventDefault();
+		wallet_signon = true;
+		vcSignonForm.submit();
+	});
+
 	// Sign on using VCs
 	vcSignonForm.submit(async (event) => {
 		event.preventDefault();
@@ -328,11 +337,14 @@ $(document).ready(async () => {
 		}
 		console.log(`VC Sign in info: ${JSON.stringify(formObject)}`);
 
-		// You can only use the sign on api with a username
-		const data = {
+		// You can only use the sign on api with a username, unless the user logs in with their wallet
+		const data = wallet_signon ? {
+			connection_method: 'out_of_band'
+		} : {
 			username: formObject.email,
 			connection_method: 'in_band'
 		};
+		wallet_signon = false;
 
 		// Reset the signon carousel
 		vcSignonCarousel.carousel(vcSignonCarouselSlides.ESTABLISHING_CONNECTION);
@@ -342,6 +354,7 @@ $(document).ready(async () => {
 			keyboard: false
 		});
 
+		let status_updates = null;
 		try {
 			const response = await $.ajax({
 				url: '/login/vc',
@@ -353,30 +366,29 @@ $(document).ready(async () => {
 
 			console.log(`Created VC login: ${JSON.stringify(response)}`);
 
-			let tries_left = 300;
-			const interval = 4000; // milliseconds
+			// The server pushes updates to the login status as they happen
+			status_updates = window.subscribeToStatus('/login/vc/events');
 			let connection_shown = false;
 			let verification_shown = false;
 			const running = true;
 			while (running) {
 
-				console.log(`Tries left: ${tries_left--}`);
-				if (tries_left <= 0) {
-					throw new Error('VC login took too long');
-				}
-
-				let response = await $.ajax({
-					url: '/login/vc/status',
-					method: 'GET',
-					dataType: 'json',
-					contentType: 'application/json'
-				});
+				const response = await status_updates.next();
 
-				if (!response || !response.vc_login || !response.vc_login.status)
+				if (!response || !response.status)
 					throw new Error(`No status information returned in update response: ${JSON.stringify(response)}`);
-				response = response.vc_login;
 				console.log(`Updated login status: ${JSON.stringify(response.status)}`);
 
+				// Offers that weren't answered in time can be resent without starting the flow over
+				if ('TIMED_OUT' === response.status) {
+					if (response.timed_out && response.timed_out.stage === 'connection')
+						connection_shown = false;
+					else if (response.timed_out && response.timed_out.stage === 'proof')
+						verification_shown = false;
+					await window.resendOffer('/login/vc/resend', response.timed_out);
+					continue;
+				}
+
 				const REMOTE_LOGIN_STEPS = {
 					CREATED: vcSignonCarouselSlides.ESTABLISHING_CONNECTION,
 					ESTABLISHING_CONNECTION: vcSignonCarouselSlides.ESTABLISHING_CONNECTION,
@@ -403,7 +415,15 @@ $(document).ready(async () => {
 					break;
 
 				} else if ('FINISHED' === response.status) {
-					console.log('VC Signon successful.  Redirecting to account page');
+					console.log('VC Signon successful.  Logging in');
+					await $.ajax({
+						url: '/login/vc/status',
+						method: 'GET',
+						dataType: 'json',
+						contentType: 'application/json'
+					});
+
+					console.log('Redirecting to account page');
 
 					await new Promise((resolve, reject) => {
 						setTimeout(resolve, 3000);
@@ -411,6 +431,7 @@ $(document).ready(async () => {
 
 					// Redirect to account page.  The user's session should be logged in at this point.
 					window.location.href = '/account';
+					break;
 				}
 
 				if ([ 'STOPPED', 'ERROR' ].indexOf(response.status) >= 0) {
@@ -445,10 +466,6 @@ $(document).ready(async () => {
 						}
 					}
 				}
-
-				await new Promise((resolve, reject) => {
-					setTimeout(resolve, interval);
-				});
 			}
 
 		} catch (err) {
@@ -463,6 +480,9 @@ $(document).ready(async () => {
 			vcSignonCarousel.carousel(vcSignonCarouselSlides.FAILED);
 			console.error(`VC login failed: ${JSON.stringify(error)}`);
 		}
+
+		if (status_updates)
+			status_updates.close();
 	});
 
 	docReady.resolve();
@@ -0,0 +1,106 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const compression = require('compression');
+
+const PERMISSIONS = require('../libs/roles.js').PERMISSIONS;
+const AUDIT_OUTCOMES = require('../libs/audit_log.js').AUDIT_OUTCOMES;
+
+/**
+ * The most events that can be requested at once.
+ * @type {number}
+ */
+const MAX_EVENT_LIMIT = 1000;
+
+/**
+ * Creates an express router representing a REST API for reading the audit log.
+ * @param {AuditLog} audit_log The audit log.
+ * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @returns {object} An express router for the audit API.
+ */
+exports.createRouter = function (audit_log, middleware) {
+
+	if (!audit_log || typeof audit_log.read_events !== 'function')
+		throw new TypeError('Audit API was not given an AuditLog');
+
+	const router = express.Router();
+	router.use(bodyParser.urlencoded({extended: true}));
+	router.use(bodyParser.json());
+	router.use(bodyParser.text());
+	router.use(compression());
+
+	/* GET audit events, newest first.  Filter with actor, action, target, outcome, since, until, and limit. */
+	router.get('/audit', [ middleware.has_permission(PERMISSIONS.AUDIT_READ) ], async (req, res, next) => {
+		const filters = {};
+		for (const field of [ 'actor', 'action', 'target', 'outcome' ]) {
+			if (req.query[field] === undefined || req.query[field] === '')
+				continue;
+			if (typeof req.query[field] !== 'string')
+				return res.status(400).json({
+					error: AUDIT_API_ERRORS.BAD_REQUEST,
+					reason: `${field} was not a string`
+				});
+			filters[field] = req.query[field];
+		}
+		if (filters.outcome && Object.values(AUDIT_OUTCOMES).indexOf(filters.outcome) < 0)
+			return res.status(400).json({
+				error: AUDIT_API_ERRORS.BAD_REQUEST,
+				reason: `outcome was not one of ${Object.values(AUDIT_OUTCOMES).join(', ')}`
+			});
+
+		// Times can be given in milliseconds since the epoch or as dates, like 2019-06-01T12:00:00Z
+		for (const field of [ 'since', 'until' ]) {
+			if (req.query[field] === undefined || req.query[field] === '')
+				continue;
+			const time = /^\d+$/.test(req.query[field]) ? parseInt(req.query[field], 10) : Date.parse(req.query[field]);
+			if (isNaN(time))
+				return res.status(400).json({
+					error: AUDIT_API_ERRORS.BAD_REQUEST,
+					reason: `${field} was not a timestamp or a date`
+				});
+			filters[field] = time;
+		}
+
+		if (req.query.limit !== undefined && req.query.limit !== '') {
+			const limit = parseInt(req.query.limit, 10);
+			if (!/^\d+$/.test(req.query.limit) || limit < 1 || limit > MAX_EVENT_LIMIT)
+				return res.status(400).json({
+					error: AUDIT_API_ERRORS.BAD_REQUEST,
+					reason: `limit was not an integer from 1 to ${MAX_EVENT_LIMIT}`
+				});
+			filters.limit = limit;
+		}
+
+		try {
+			const events = await audit_log.read_events(filters);
+			res.json({message: `Got ${events.length} audit events`, events: events});
+
+		} catch (error) {
+			error.code = error.code ? error.code : AUDIT_API_ERRORS.UNKNOWN_AUDIT_API_ERROR;
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	return router;
+};
+
+const AUDIT_API_ERRORS = {
+	UNKNOWN_AUDIT_API_ERROR: 'UNKNOWN_AUDIT_API_ERROR',
+	BAD_REQUEST: 'BAD_REQUEST'
+};
+exports.AUDIT_API_ERRORS = AUDIT_API_ERRORS;
@@ -0,0 +1,377 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const uuidv4 = require('uuid/v4');
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+const MS_IN_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Values that can be generated for fields that have no value.
+ * @type {object}
+ */
+const COMPUTED_VALUES = {
+	now: () => {
+		return new Date().toISOString();
+	},
+	uuid: () => {
+		return uuidv4();
+	}
+};
+
+/**
+ * Formatters that can be applied to a field's value, in the order they are listed in the rule.
+ * @type {object}
+ */
+const FORMATS = {
+	string: (value) => {
+		return '' + value;
+	},
+	number: (value) => {
+		const number = Number(value);
+		if (isNaN(number))
+			throw new Error(`${value} is not a number`);
+		return number;
+	},
+	trim: (value) => {
+		return ('' + value).trim();
+	},
+	upper: (value) => {
+		return ('' + value).toUpperCase();
+	},
+	lower: (value) => {
+		return ('' + value).toLowerCase();
+	},
+	date: (value) => {
+		return toDate(value).toISOString().substring(0, 10);
+	},
+	iso_date: (value) => {
+		return toDate(value).toISOString();
+	},
+	timestamp: (value) => {
+		return toDate(value).getTime();
+	},
+	days_since_epoch: (value) => {
+		return Math.floor(toDate(value).getTime() / MS_IN_DAY);
+	}
+};
+
+const RULE_KEYS = [ 'from', 'template', 'value', 'default', 'compute', 'format', 'required' ];
+
+/**
+ * Translates between user records and credential attributes according to a declarative mapping, so that adapting an
+ * app to a new schema doesn't require code changes.  A mapping looks like this:
+ *
+ * {
+ *   "to_credential": {
+ *     "fields": {
+ *       "full_name": {"template": "{first_name} {last_name}"},
+ *       "dob_timestamp": {"from": "dob", "format": [ "days_since_epoch", "string" ]}
+ *     }
+ *   },
+ *   "to_user_record": {
+ *     "passthrough": true,
+ *     "fields": {
+ *       "member_identifier": {"compute": "uuid"},
+ *       "member_since": {"compute": "now", "format": "date"},
+ *       "trust_value": {"default": "3"}
+ *     }
+ *   }
+ * }
+ *
+ * Each field is filled in from the first of these that has a value: `value`, then `template` or the source field named
+ * by `from` (the field of the same name if neither is given), then `default`, then `compute`.  The value is then run
+ * through each `format`.  Fields without a value cause an error if they are `required`.
+ *
+ * Credential attributes that aren't in the mapping are copied from the user record field of the same name and are
+ * required.  User record fields that aren't in the mapping are copied from the proof unless `passthrough` is false.
+ */
+class AttributeMapper {
+
+	/**
+	 * Creates an AttributeMapper from a mapping object.
+	 * @param {object} [mapping] The mapping.  Values are copied unchanged if it is not given.
+	 */
+	constructor (mapping) {
+		mapping = mapping ? mapping : {};
+		if (typeof mapping !== 'object' || Array.isArray(mapping))
+			throw invalidMapping('Attribute mapping must be an object');
+
+		this.to_credential = validateDirection(mapping.to_credential, 'to_credential');
+		this.to_user_record = validateDirection(mapping.to_user_record, 'to_user_record');
+	}
+
+	/**
+	 * Creates an AttributeMapper from a mapping file.
+	 * @param {string} mapping_file The path to a JSON file describing the mapping.
+	 * @returns {Promise<AttributeMapper>} A promise that resolves with the AttributeMapper.
+	 */
+	static async fromFile (mapping_file) {
+		if (!mapping_file || typeof mapping_file !== 'string')
+			throw new TypeError('Invalid path to attribute mapping file');
+
+		// Make sure the mapping is a json file
+		const ext = path.extname(mapping_file).toLowerCase().substring(1); // Remove the period in the extension
+		if (ext !== 'json')
+			throw new Error (`File ${mapping_file} is not a json file!`);
+
+		logger.info(`Loading attribute mapping: ${mapping_file}`);
+		const file = await new Promise((resolve, reject) => {
+			fs.readFile(mapping_file, (error, file) => {
+				if (error) return reject(error);
+				resolve(file);
+			});
+		});
+
+		let mapping;
+		try {
+			mapping = JSON.parse(file);
+		} catch (error) {
+			throw invalidMapping(`Attribute mapping file ${mapping_file} is not valid JSON: ${error.message}`);
+		}
+		return new AttributeMapper(mapping);
+	}
+
+	/**
+	 * Builds credential attributes from a user record.
+	 * @param {string[]} attr_names The names of the attributes to build.
+	 * @param {object} personal_info The personal info from a user record.
+	 * @param {object} [renames] Maps attribute names to the user record field to read them from, overriding the mapping.
+	 * @returns {object} The credential attributes.  Every value is a string.
+	 */
+	toCredential (attr_names, personal_info, renames) {
+		if (!Array.isArray(attr_names))
+			throw new TypeError('Attribute names must be an array');
+
+		const attributes = {};
+		for (const index in attr_names) {
+			const attr_name = attr_names[index];
+			const rule = this.credentialRule(attr_name, renames);
+			const value = applyRule(attr_name, rule, personal_info ? personal_info : {});
+			if (value !== undefined)
+				attributes[attr_name] = '' + value;
+		}
+		return attributes;
+	}
+
+	/**
+	 * Finds the credential attributes that can't be built from a user record.
+	 * @param {string[]} attr_names The names of the attributes to build.
+	 * @param {object} personal_info The personal info from a user record.
+	 * @param {object} [renames] Maps attribute names to the user record field to read them from, overriding the mapping.
+	 * @returns {string[]} The names of the attributes that can't be built.
+	 */
+	missingCredentialAttributes (attr_names, personal_info, renames) {
+		return attr_names.filter((attr_name) => {
+			try {
+				applyRule(attr_name, this.credentialRule(attr_name, renames), personal_info ? personal_info : {});
+				return false;
+			} catch (error) {
+				return true;
+			}
+		});
+	}
+
+	/**
+	 * Builds the personal info for a user record from the attributes of a proof.
+	 * @param {object} attributes Maps proof attribute names to their values.
+	 * @returns {object} The personal info for a user record.
+	 */
+	toUserRecord (attributes) {
+		if (!attributes || typeof attributes !== 'object')
+			throw new TypeError('Proof attributes must be an object');
+
+		const record = {};
+		if (this.to_user_record.passthrough) {
+			for (const name in attributes)
+				record[name] = attributes[name];
+		}
+
+		for (const field in this.to_user_record.fields) {
+			const rule = this.to_user_record.fields[field];
+			const value = applyRule(field, rule, attributes);
+			if (value !== undefined)
+				record[field] = value;
+		}
+		return record;
+	}
+
+	/**
+	 * Gets the rule for building a credential attribute.  Attributes that aren't in the mapping are required and copied
+	 * from the field of the same name.
+	 * @param {string} attr_name The name of a credential attribute.
+	 * @param {object} [renames] Maps attribute names to the user record field to read them from, overriding the mapping.
+	 * @returns {object} The rule for the attribute.
+	 */
+	credentialRule (attr_name, renames) {
+		const rule = this.to_credential.fields[attr_name] ? Object.assign({}, this.to_credential.fields[attr_name]) : {};
+		if (rule.required === undefined)
+			rule.required = true;
+		if (renames && renames[attr_name]) {
+			rule.from = renames[attr_name];
+			delete rule.template;
+		}
+		return rule;
+	}
+}
+
+exports.AttributeMapper = AttributeMapper;
+
+/**
+ * Checks one direction of a mapping.
+ * @param {object} [direction] The mapping for one direction.
+ * @param {string} name The name of the direction, for error messages.
+ * @returns {object} The direction with defaults filled in.
+ */
+function validateDirection (direction, name) {
+	direction = direction ? direction : {};
+	if (typeof direction !== 'object' || Array.isArray(direction))
+		throw invalidMapping(`${name} must be an object`);
+
+	const fields = direction.fields ? direction.fields : {};
+	if (typeof fields !== 'object' || Array.isArray(fields))
+		throw invalidMapping(`${name}.fields must be an object`);
+
+	for (const field in fields) {
+		const rule = fields[field];
+		const where = `${name}.fields.${field}`;
+		if (!rule || typeof rule !== 'object' || Array.isArray(rule))
+			throw invalidMapping(`${where} must be an object`);
+
+		for (const key in rule) {
+			if (RULE_KEYS.indexOf(key) < 0)
+				throw invalidMapping(`${where} has an unknown property: ${key}`);
+		}
+		if (rule.from !== undefined && (!rule.from || typeof rule.from !== 'string'))
+			throw invalidMapping(`${where}.from must be a non-empty string`);
+		if (rule.template !== undefined && typeof rule.template !== 'string')
+			throw invalidMapping(`${where}.template must be a string`);
+		if (rule.compute !== undefined && !COMPUTED_VALUES[rule.compute])
+			throw invalidMapping(`${where}.compute must be one of ${Object.keys(COMPUTED_VALUES).join(', ')}`);
+		if (rule.required !== undefined && typeof rule.required !== 'boolean')
+			throw invalidMapping(`${where}.required must be a boolean`);
+
+		const formats = rule.format === undefined ? [] : [].concat(rule.format);
+		for (const index in formats) {
+			if (!FORMATS[formats[index]])
+				throw invalidMapping(`${where}.format must be one or more of ${Object.keys(FORMATS).join(', ')}`);
+		}
+	}
+
+	if (direction.passthrough !== undefined && typeof direction.passthrough !== 'boolean')
+		throw invalidMapping(`${name}.passthrough must be a boolean`);
+
+	return {
+		fields: fields,
+		passthrough: direction.passthrough !== false
+	};
+}
+
+/**
+ * Works out the value of a field according to its rule.
+ * @param {string} field The name of the field being built.
+ * @param {object} rule The rule for the field.
+ * @param {object} source The values the field can be built from.
+ * @returns {string|number|undefined} The value of the field, or undefined if it has no value and isn't required.
+ */
+function applyRule (field, rule, source) {
+	let value;
+	if (rule.value !== undefined) {
+		value = rule.value;
+	} else if (rule.template !== undefined) {
+		let missing = false;
+		value = rule.template.replace(/{([^{}]+)}/g, (_, name) => {
+			if (!hasValue(source[name])) {
+				missing = true;
+				return '';
+			}
+			return source[name];
+		});
+		if (missing)
+			value = undefined;
+	} else {
+		value = source[rule.from ? rule.from : field];
+	}
+
+	if (!hasValue(value) && rule.default !== undefined)
+		value = rule.default;
+	if (!hasValue(value) && rule.compute)
+		value = COMPUTED_VALUES[rule.compute]();
+
+	if (!hasValue(value)) {
+		if (!rule.required)
+			return undefined;
+		const error = new Error(`Missing data '${rule.from ? rule.from : field}', which is required for '${field}'`);
+		error.code = ATTRIBUTE_MAPPER_ERRORS.REQUIRED_ATTRIBUTE_MISSING;
+		throw error;
+	}
+
+	const formats = rule.format === undefined ? [] : [].concat(rule.format);
+	for (const index in formats) {
+		try {
+			value = FORMATS[formats[index]](value);
+		} catch (error) {
+			error.message = `Failed to format '${field}' as ${formats[index]}: ${error.message}`;
+			error.code = ATTRIBUTE_MAPPER_ERRORS.ATTRIBUTE_FORMAT_FAILED;
+			throw error;
+		}
+	}
+	return value;
+}
+
+/**
+ * Checks whether a field has a value that can be put in a credential or user record.
+ * @param {*} value The value of a field.
+ * @returns {boolean} True if the value is a string or a number.
+ */
+function hasValue (value) {
+	return [ 'string', 'number' ].indexOf(typeof value) >= 0;
+}
+
+/**
+ * Parses a date.  Numbers are treated as milliseconds since the epoch.
+ * @param {string|number} value A date.
+ * @returns {Date} The parsed date.
+ */
+function toDate (value) {
+	const date = new Date(value);
+	if (isNaN(date.getTime()))
+		throw new Error(`${value} is not a date`);
+	return date;
+}
+
+/**
+ * Creates an error for a mapping that doesn't make sense.
+ * @param {string} message A description of the problem.
+ * @returns {Error} The error.
+ */
+function invalidMapping (message) {
+	const error = new Error(message);
+	error.code = ATTRIBUTE_MAPPER_ERRORS.INVALID_ATTRIBUTE_MAPPING;
+	return error;
+}
+
+const ATTRIBUTE_MAPPER_ERRORS = {
+	INVALID_ATTRIBUTE_MAPPING: 'INVALID_ATTRIBUTE_MAPPING',
+	REQUIRED_ATTRIBUTE_MISSING: 'REQUIRED_ATTRIBUTE_MISSING',
+	ATTRIBUTE_FORMAT_FAILED: 'ATTRIBUTE_FORMAT_FAILED'
+};
+
+exports.ATTRIBUTE_MAPPER_ERRORS = ATTRIBUTE_MAPPER_ERRORS;
@@ -0,0 +1,549 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const uuidv4 = require('uuid/v4');
+
+const ISSUANCE_STEPS = require('./credentials.js').ISSUANCE_STEPS;
+const CREDENTIAL_ERRORS = require('./credentials.js').CREDENTIAL_ERRORS;
+const USERS_ERRORS = require('./users.js').USERS_ERRORS;
+const IssuanceJobs = require('./issuance_jobs.js');
+const JOB_STATES = IssuanceJobs.JOB_STATES;
+const JOB_USER_STATES = IssuanceJobs.JOB_USER_STATES;
+const ISSUANCE_JOBS_ERRORS = IssuanceJobs.ISSUANCE_JOBS_ERRORS;
+const countJobUsers = IssuanceJobs.countJobUsers;
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * The most users a single job can issue credentials to.
+ * @type {number}
+ */
+const MAX_JOB_USERS = 5000;
+
+/**
+ * The most issuances a job can run at the same time, and the number it runs when the admin doesn't choose.
+ * @type {{MAX: number, DEFAULT: number}}
+ */
+const CONCURRENCY = {MAX: 10, DEFAULT: 3};
+
+/**
+ * The most times a job will retry a failed issuance for a user, and the number of retries when the admin doesn't choose.
+ * @type {{MAX: number, DEFAULT: number}}
+ */
+const RETRIES = {MAX: 5, DEFAULT: 2};
+
+/**
+ * The number of milliseconds to wait before the first retry of a failed issuance.  Each retry waits longer than the one
+ * before it.
+ * @type {number}
+ */
+const DEFAULT_RETRY_DELAY = 5000;
+
+/**
+ * Issuances that fail with these errors would fail the same way if they were tried again, so they aren't retried.
+ * @type {string[]}
+ */
+const PERMANENT_ERRORS = [
+	CREDENTIAL_ERRORS.CREDENTIAL_INVALID_USER_ATTRIBUTES,
+	CREDENTIAL_ERRORS.CREDENTIAL_USER_AGENT_NOT_FOUND,
+	CREDENTIAL_ERRORS.CREDENTIAL_NO_CREDENTIAL_DEFINITIONS,
+	CREDENTIAL_ERRORS.CREDENTIAL_DEFINITION_NOT_FOUND,
+	CREDENTIAL_ERRORS.CREDENTIAL_NOT_ACCEPTED
+];
+
+/**
+ * Runs batch issuance jobs, which issue credentials to many users in the background.  A job issues to a few users at a
+ * time, retries issuances that fail, and saves the progress of each user to the job records.  Jobs are only kept in
+ * memory while they are running, and can only be cancelled by the instance of the app that is running them.
+ */
+class BatchIssuanceManager {
+
+	/**
+	 * @param {IssuanceManager} issuance_manager Issues credentials to individual users.
+	 * @param {Users} user_records A Users instance for looking up the users in a job.
+	 * @param {IssuanceJobs} job_records An IssuanceJobs instance for saving the progress of jobs.
+	 * @param {number} [retry_delay] The number of milliseconds to wait before the first retry of a failed issuance.
+	 */
+	constructor (issuance_manager, user_records, job_records, retry_delay) {
+		if (!issuance_manager || typeof issuance_manager.create_issuance !== 'function')
+			throw new TypeError('BatchIssuanceManager was not given an IssuanceManager instance');
+		if (!user_records || typeof user_records.list_users !== 'function')
+			throw new TypeError('BatchIssuanceManager was not given a Users instance');
+		if (!job_records || typeof job_records.save_job !== 'function')
+			throw new TypeError('BatchIssuanceManager was not given an IssuanceJobs instance');
+		if (retry_delay !== undefined && (typeof retry_delay !== 'number' || retry_delay < 0))
+			throw new TypeError('Batch issuance retry delay must be a number >= 0');
+
+		this.issuance_manager = issuance_manager;
+		this.user_records = user_records;
+		this.job_records = job_records;
+		this.retry_delay = retry_delay !== undefined ? retry_delay : DEFAULT_RETRY_DELAY;
+		this.jobs = {};
+	}
+
+	/**
+	 * Describes a batch issuance job to start.  Exactly one of `users` and `filter` should be given.
+	 * @typedef {object} IssuanceJobOptions
+	 * @property {string[]} [users] The IDs of the users to issue credentials to.
+	 * @property {object} [filter] Issue credentials to the users that match a search, like the user list.
+	 * @property {string} [filter.field] The field to search.  Defaults to email.
+	 * @property {string} [filter.search] The start of the field's value.  Matches every user if left out.
+	 * @property {boolean} [connected_only] Skip users that don't have a linked connection.
+	 * @property {CredentialSelector} [selector] Which credential to issue.
+	 * @property {number} [concurrency] The number of issuances to run at the same time.  Defaults to 3.
+	 * @property {number} [retries] The number of times to retry a failed issuance for a user.  Defaults to 2.
+	 */
+
+	/**
+	 * Starts a batch issuance job.  The job runs in the background.  Credentials are offered over the connections that
+	 * are linked to the users, or sent to their agents in-band, so users who can only be reached out-of-band are skipped.
+	 * @param {IssuanceJobOptions} opts The users to issue credentials to and how to issue them.
+	 * @param {string} [created_by] The admin who started the job.
+	 * @returns {Promise<IssuanceJobRecord>} A promise that resolves with the job record once the job has been queued.
+	 */
+	async create_job (opts, created_by) {
+		const options = checkJobOptions(opts);
+
+		let users;
+		if (options.users) {
+			users = options.users;
+			delete options.users;
+		} else {
+			users = await this.find_users(options.filter);
+		}
+
+		if (!users.length) {
+			const error = new Error('No users matched the batch issuance job');
+			error.code = BATCH_ISSUANCE_ERRORS.NO_JOB_USERS;
+			throw error;
+		}
+
+		const doc = {
+			_id: uuidv4(),
+			status: JOB_STATES.QUEUED,
+			created_by: created_by,
+			options: options,
+			users: users.map((user) => {
+				return {user: user, status: JOB_USER_STATES.PENDING, attempts: 0};
+			})
+		};
+		doc.counts = countJobUsers(doc.users);
+
+		logger.info(`Creating batch issuance job ${doc._id} for ${users.length} users`);
+		const saved = await this.job_records.save_job(doc);
+		doc.created = saved.created;
+
+		const job = {
+			doc: doc,
+			cancelled: false,
+			saving: Promise.resolve(),
+			save_queued: false
+		};
+		this.jobs[doc._id] = job;
+		this.run_job(job).catch((error) => {
+			logger.error(`Batch issuance job ${doc._id} failed: ${error}`);
+		});
+		return JSON.parse(JSON.stringify(doc));
+	}
+
+	/**
+	 * Finds the users that match a job's filter.
+	 * @param {object} filter The field to search and the start of the value to search for.
+	 * @returns {Promise<string[]>} A promise that resolves with the IDs of the matching users.
+	 */
+	async find_users (filter) {
+		const users = [];
+		let bookmark;
+		do {
+			const page = await this.user_records.list_users({field: filter.field, search: filter.search, limit: 1000, bookmark: bookmark});
+			for (const user_doc of page.users)
+				users.push(user_doc._id);
+			if (users.length > MAX_JOB_USERS) {
+				const error = new Error(`More than ${MAX_JOB_USERS} users matched the batch issuance job`);
+				error.code = BATCH_ISSUANCE_ERRORS.TOO_MANY_JOB_USERS;
+				throw error;
+			}
+			bookmark = page.bookmark;
+		} while (bookmark);
+		return users;
+	}
+
+	/**
+	 * Looks up a job.  Jobs that are not running in this instance of the app are loaded from the job records.
+	 * @param {string} job_id The ID of a job.
+	 * @returns {Promise<IssuanceJobRecord>} A promise that resolves with the job record.
+	 */
+	async read_job (job_id) {
+		if (!job_id || typeof job_id !== 'string')
+			throw new TypeError('Invalid job ID was provided to batch issuance manager');
+
+		if (this.jobs[job_id])
+			return JSON.parse(JSON.stringify(this.jobs[job_id].doc));
+		return this.job_records.read_job(job_id);
+	}
+
+	/**
+	 * Lists the most recent jobs, newest first.  The jobs that are running in this instance of the app are up to date, the
+	 * rest are as of their last save.
+	 * @param {number} [limit] The maximum number of jobs to return.
+	 * @returns {Promise<IssuanceJobRecord[]>} A promise that resolves with the job records.
+	 */
+	async list_jobs (limit) {
+		const docs = await this.job_records.read_jobs(limit);
+		return docs.map((doc) => {
+			return this.jobs[doc._id] ? JSON.parse(JSON.stringify(this.jobs[doc._id].doc)) : doc;
+		});
+	}
+
+	/**
+	 * Cancels a job.  Users the job hasn't gotten to are skipped, and the issuances that are running are stopped.  The
+	 * job is only marked as cancelled once those issuances have given up, so no credentials are offered after that.
+	 * Credentials that were already issued are not revoked.
+	 * @param {string} job_id The ID of a job running in this instance of the app.
+	 * @param {string} [cancelled_by] The admin who cancelled the job.
+	 * @returns {Promise<IssuanceJobRecord>} A promise that resolves with the job record once the job has been cancelled.
+	 */
+	async cancel_job (job_id, cancelled_by) {
+		if (!job_id || typeof job_id !== 'string')
+			throw new TypeError('Invalid job ID was provided to batch issuance manager');
+
+		const job = this.jobs[job_id];
+		if (!job) {
+			const doc = await this.job_records.read_job(job_id);
+			const error = new Error(doc.status === JOB_STATES.QUEUED || doc.status === JOB_STATES.RUNNING ?
+				`Batch issuance job ${job_id} is running in another instance of the app` :
+				`Batch issuance job ${job_id} is already ${doc.status.toLowerCase()}`);
+			error.code = BATCH_ISSUANCE_ERRORS.JOB_NOT_RUNNING;
+			throw error;
+		}
+
+		logger.info(`Cancelling batch issuance job ${job_id}`);
+		job.cancelled = true;
+		delete this.jobs[job_id];
+
+		for (const job_user of job.doc.users) {
+			if (job_user.status === JOB_USER_STATES.RUNNING && job_user.issuance_id)
+				await this.stop_issuance(job, job_user.issuance_id);
+			if (job_user.status === JOB_USER_STATES.PENDING || job_user.status === JOB_USER_STATES.RUNNING)
+				job_user.status = JOB_USER_STATES.CANCELLED;
+		}
+		job.doc.status = JOB_STATES.CANCELLED;
+		job.doc.finished = Date.now();
+		job.doc.cancelled_by = cancelled_by;
+		await this.save_job(job);
+		return JSON.parse(JSON.stringify(job.doc));
+	}
+
+	/**
+	 * Issues credentials to the users in a job, a few at a time, until they are all done or the job is cancelled.
+	 * @param {object} job A job that is running in this instance of the app.
+	 * @returns {Promise<void>} A promise that resolves when the job is done.
+	 */
+	async run_job (job) {
+		job.doc.status = JOB_STATES.RUNNING;
+		job.doc.started = Date.now();
+		this.save_job(job);
+
+		let next = 0;
+		const worker = async () => {
+			while (!job.cancelled && next < job.doc.users.length) {
+				const job_user = job.doc.users[next++];
+				await this.issue_to_user(job, job_user);
+			}
+		};
+		const workers = [];
+		for (let i = 0; i < Math.min(job.doc.options.concurrency, job.doc.users.length); i++)
+			workers.push(worker());
+		await Promise.all(workers);
+
+		// Cancelled jobs were already saved by cancel_job
+		if (job.cancelled)
+			return;
+
+		logger.info(`Batch issuance job ${job.doc._id} finished`);
+		delete this.jobs[job.doc._id];
+		job.doc.status = JOB_STATES.FINISHED;
+		job.doc.finished = Date.now();
+		await this.save_job(job);
+	}
+
+	/**
+	 * Issues a credential to one user in a job, retrying the issuance if it fails.  Records the outcome on the user's
+	 * entry in the job.
+	 * @param {object} job A job that is running in this instance of the app.
+	 * @param {IssuanceJobUser} job_user The user's entry in the job.
+	 * @returns {Promise<void>} A promise that resolves when the user is done, or when the job has been cancelled.
+	 */
+	async issue_to_user (job, job_user) {
+		const options = job.doc.options;
+
+		let user_doc;
+		try {
+			user_doc = await this.user_records.read_user(job_user.user);
+		} catch (error) {
+			if (job.cancelled)
+				return;
+			this.finish_user(job, job_user, error.code === USERS_ERRORS.USER_DOES_NOT_EXIST ? JOB_USER_STATES.SKIPPED : JOB_USER_STATES.FAILED, error);
+			return;
+		}
+		if (job.cancelled)
+			return;
+
+		const has_connection = !!(user_doc.connection && user_doc.connection.id);
+		const has_agent = !!(user_doc.opts && user_doc.opts.agent_name);
+		if (!has_connection && (options.connected_only || !has_agent)) {
+			const error = new Error(options.connected_only ?
+				`User ${job_user.user} does not have a linked connection` :
+				`User ${job_user.user} does not have a linked connection or an agent name to connect to`);
+			error.code = BATCH_ISSUANCE_ERRORS.USER_NOT_CONNECTED;
+			this.finish_user(job, job_user, JOB_USER_STATES.SKIPPED, error);
+			return;
+		}
+
+		while (!job.cancelled) {
+			job_user.status = JOB_USER_STATES.RUNNING;
+			job_user.attempts++;
+			delete job_user.credential_id;
+			delete job_user.issuance_id;
+
+			let status;
+			try {
+				job_user.issuance_id = await this.issuance_manager.create_issuance(job_user.user, 'in_band', options.selector);
+
+				// cancel_job can't stop an issuance it didn't know about yet
+				if (job.cancelled) {
+					await this.stop_issuance(job, job_user.issuance_id);
+					return;
+				}
+				this.save_job(job);
+				status = await this.wait_for_issuance(job_user);
+			} catch (error) {
+				status = {
+					status: ISSUANCE_STEPS.ERROR,
+					error: error.code ? error.code : CREDENTIAL_ERRORS.CREDENTIAL_UNKNOWN_ERROR,
+					reason: error.message
+				};
+			}
+			if (job.cancelled)
+				return;
+
+			if (status.status === ISSUANCE_STEPS.FINISHED) {
+				this.finish_user(job, job_user, JOB_USER_STATES.ISSUED);
+				return;
+			}
+
+			const error = new Error(status.reason ? status.reason : `Issuance ${job_user.issuance_id} was stopped`);
+			error.code = status.error ? status.error : BATCH_ISSUANCE_ERRORS.ISSUANCE_STOPPED;
+			if (PERMANENT_ERRORS.indexOf(error.code) >= 0 || job_user.attempts > options.retries) {
+				this.finish_user(job, job_user, JOB_USER_STATES.FAILED, error);
+				return;
+			}
+
+			logger.info(`Retrying issuance to ${job_user.user} for job ${job.doc._id} after error: ${error.code}`);
+			job_user.error = error.code;
+			job_user.reason = error.message;
+			this.save_job(job);
+			await new Promise((resolve) => {
+				setTimeout(resolve, this.retry_delay * job_user.attempts);
+			});
+		}
+	}
+
+	/**
+	 * Stops an issuance for a cancelled job and waits for it to give up.  Failures are logged, not thrown, so that one
+	 * issuance can't keep the rest of the job from being cancelled.
+	 * @param {object} job The cancelled job.
+	 * @param {string} issuance_id The ID of the issuance.
+	 * @returns {Promise<void>} A promise that resolves when the issuance has given up.
+	 */
+	async stop_issuance (job, issuance_id) {
+		try {
+			await this.issuance_manager.delete_issuance(issuance_id);
+		} catch (error) {
+			logger.warn(`Failed to stop issuance ${issuance_id} for job ${job.doc._id}: ${error}`);
+		}
+	}
+
+	/**
+	 * Waits for an issuance to finish, be stopped, or fail.
+	 * @param {IssuanceJobUser} job_user The entry of the user the issuance is for.  Gets the ID of the issued credential.
+	 * @returns {Promise<IssuanceStatus>} A promise that resolves with the final status of the issuance.
+	 */
+	async wait_for_issuance (job_user) {
+		let stop_watching = null;
+		let done = false;
+		return new Promise((resolve, reject) => {
+			this.issuance_manager.watch_issuance(job_user.issuance_id, (status) => {
+				if (status.credential && status.credential.id)
+					job_user.credential_id = status.credential.id;
+				if (done || [ ISSUANCE_STEPS.FINISHED, ISSUANCE_STEPS.ERROR, ISSUANCE_STEPS.STOPPED ].indexOf(status.status) < 0)
+					return;
+
+				done = true;
+				if (stop_watching)
+					stop_watching();
+				resolve(status);
+			}).then((stop) => {
+				// The final status can arrive before watch_issuance hands back the function that stops watching
+				if (done)
+					stop();
+				else
+					stop_watching = stop;
+			}).catch(reject);
+		});
+	}
+
+	/**
+	 * Records the outcome of a user in a job.
+	 * @param {object} job A job that is running in this instance of the app.
+	 * @param {IssuanceJobUser} job_user The user's entry in the job.
+	 * @param {JOB_USER_STATES} status The user's final state.
+	 * @param {Error} [error] Why the user was skipped or failed.
+	 * @returns {void}
+	 */
+	finish_user (job, job_user, status, error) {
+		logger.info(`User ${job_user.user} is ${status} in batch issuance job ${job.doc._id}`);
+		job_user.status = status;
+		delete job_user.error;
+		delete job_user.reason;
+		if (status !== JOB_USER_STATES.ISSUED)
+			delete job_user.credential_id;
+		if (error) {
+			job_user.error = error.code ? error.code : CREDENTIAL_ERRORS.CREDENTIAL_UNKNOWN_ERROR;
+			job_user.reason = error.message;
+		}
+		this.save_job(job);
+	}
+
+	/**
+	 * Saves the progress of a job.  Saves are done one at a time, and saves that are requested while another save is
+	 * waiting to start are combined with it, so a busy job doesn't flood the database with large job records.
+	 * @param {object} job A job.
+	 * @returns {Promise<void>} A promise that resolves when the job has been saved.  Failed saves are logged, not thrown.
+	 */
+	save_job (job) {
+		if (job.save_queued)
+			return job.saving;
+
+		job.save_queued = true;
+		job.saving = job.saving.then(() => {
+			job.save_queued = false;
+			job.doc.counts = countJobUsers(job.doc.users);
+			return this.job_records.save_job(job.doc);
+		}).catch((error) => {
+			logger.error(`Failed to save batch issuance job ${job.doc._id}: ${error}`);
+		});
+		return job.saving;
+	}
+}
+
+exports.BatchIssuanceManager = BatchIssuanceManager;
+
+/**
+ * Checks the options for a new job and fills in the defaults.
+ * @param {IssuanceJobOptions} opts The options for a job.
+ * @returns {IssuanceJobOptions} A copy of the options with the defaults filled in.
+ */
+function checkJobOptions (opts) {
+	if (!opts || typeof opts !== 'object')
+		throw jobOptionsError('Batch issuance job options were not an object');
+	if (!!opts.users === !!opts.filter)
+		throw jobOptionsError('Batch issuance jobs need either a list of users or a filter, but not both');
+
+	const options = {
+		connected_only: !!opts.connected_only,
+		selector: {},
+		concurrency: opts.concurrency !== undefined ? opts.concurrency : CONCURRENCY.DEFAULT,
+		retries: opts.retries !== undefined ? opts.retries : RETRIES.DEFAULT
+	};
+
+	if (opts.users) {
+		if (!Array.isArray(opts.users) || !opts.users.length)
+			throw jobOptionsError('Batch issuance job users were not a non-empty array');
+		for (const user of opts.users) {
+			if (!user || typeof user !== 'string')
+				throw jobOptionsError('Batch issuance job users must be non-empty strings');
+		}
+		options.users = opts.users.filter((user, index) => {
+			return opts.users.indexOf(user) === index;
+		});
+		if (options.users.length > MAX_JOB_USERS) {
+			const error = new Error(`Batch issuance jobs can have at most ${MAX_JOB_USERS} users`);
+			error.code = BATCH_ISSUANCE_ERRORS.TOO_MANY_JOB_USERS;
+			throw error;
+		}
+	} else {
+		if (typeof opts.filter !== 'object')
+			throw jobOptionsError('Batch issuance job filter was not an object');
+		if (opts.filter.field !== undefined && (!opts.filter.field || typeof opts.filter.field !== 'string'))
+			throw jobOptionsError('Batch issuance job filter field was not a non-empty string');
+		if (opts.filter.search !== undefined && typeof opts.filter.search !== 'string')
+			throw jobOptionsError('Batch issuance job filter search was not a string');
+		options.filter = {
+			field: opts.filter.field ? opts.filter.field : 'email',
+			search: opts.filter.search ? opts.filter.search : ''
+		};
+	}
+
+	if (opts.selector !== undefined) {
+		if (!opts.selector || typeof opts.selector !== 'object')
+			throw jobOptionsError('Batch issuance job credential selector was not an object');
+		if (opts.selector.cred_def_id && opts.selector.schema_id)
+			throw jobOptionsError('Batch issuance job credential selector should have a cred_def_id or a schema_id, not both');
+		for (const key of [ 'cred_def_id', 'schema_id' ]) {
+			if (opts.selector[key] === undefined)
+				continue;
+			if (!opts.selector[key] || typeof opts.selector[key] !== 'string')
+				throw jobOptionsError(`Batch issuance job credential selector ${key} was not a non-empty string`);
+			options.selector[key] = opts.selector[key];
+		}
+	}
+
+	if (typeof options.concurrency !== 'number' || !Number.isInteger(options.concurrency) || options.concurrency < 1 || options.concurrency > CONCURRENCY.MAX)
+		throw jobOptionsError(`Batch issuance job concurrency must be an integer from 1 to ${CONCURRENCY.MAX}`);
+	if (typeof options.retries !== 'number' || !Number.isInteger(options.retries) || options.retries < 0 || options.retries > RETRIES.MAX)
+		throw jobOptionsError(`Batch issuance job retries must be an integer from 0 to ${RETRIES.MAX}`);
+
+	return options;
+}
+
+/**
+ * Builds an error for job options that don't make sense.
+ * @param {string} message What's wrong with the options.
+ * @returns {Error} The error.
+ */
+function jobOptionsError (message) {
+	const error = new Error(message);
+	error.code = BATCH_ISSUANCE_ERRORS.INVALID_JOB_OPTIONS;
+	return error;
+}
+
+exports.MAX_JOB_USERS = MAX_JOB_USERS;
+exports.CONCURRENCY = CONCURRENCY;
+exports.RETRIES = RETRIES;
+
+const BATCH_ISSUANCE_ERRORS = {
+	INVALID_JOB_OPTIONS: 'INVALID_JOB_OPTIONS',
+	NO_JOB_USERS: 'NO_JOB_USERS',
+	TOO_MANY_JOB_USERS: 'TOO_MANY_JOB_USERS',
+	JOB_NOT_RUNNING: 'JOB_NOT_RUNNING',
+	USER_NOT_CONNECTED: 'USER_NOT_CONNECTED',
+	ISSUANCE_STOPPED: 'ISSUANCE_STOPPED',
+	JOB_DOES_NOT_EXIST: ISSUANCE_JOBS_ERRORS.JOB_DOES_NOT_EXIST
+};
+
+exports.BATCH_ISSUANCE_ERRORS = BATCH_ISSUANCE_ERRORS;
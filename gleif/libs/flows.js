@@ -0,0 +1,412 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const os = require('os');
+
+const flows_design_doc = require('./design_docs/flows.json');
+const DESIGN_DOC = flows_design_doc._id.split('/')[1];
+const VIEW_FLOWS_BY_STATUS = 'flows_by_status';
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * Flows in any of these states will never change state again.
+ * @type {string[]}
+ */
+const FINAL_STATES = [ 'FINISHED', 'STOPPED', 'ERROR' ];
+
+/**
+ * Flows that haven't been updated in this many milliseconds are assumed to belong to an app instance that is gone.
+ * @type {number}
+ */
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000;
+
+/**
+ * How many times to try saving a flow record that another instance of the app changed at the same time.
+ * @type {number}
+ */
+const SAVE_ATTEMPTS = 3;
+
+/**
+ * How often, in milliseconds, to check the record of a flow that is being watched.
+ * @type {number}
+ */
+const DEFAULT_WATCH_INTERVAL = 2000;
+
+/**
+ * Stores the state of issuance, login, and signup flows in the app's database so that the status of a flow survives
+ * app restarts and can be served by any instance of the app.
+ */
+class Flows {
+
+	/**
+	 * Constructs a Flows instance that will manage flow records in the given database.
+	 * @param {object} flowsDB A nano database instance.
+	 * @param {string} [owner] Identifies this instance of the app in the flow records.  Defaults to the hostname.
+	 */
+	constructor (flowsDB, owner) {
+		if (!flowsDB || typeof flowsDB !== 'object' || typeof flowsDB.get !== 'function')
+			throw new TypeError('Flows database was not a nano database instance');
+		if (owner !== undefined && (!owner || typeof owner !== 'string'))
+			throw new TypeError('Flows owner was not a non-empty string');
+
+		this.flowsDB = flowsDB;
+		this.owner = owner ? owner : os.hostname();
+	}
+
+	/**
+	 * Publishes the couchdb design doc for looking up flows
+	 * @return {Promise<void>} A promise that resolves when the design doc is updated and rejects otherwise.
+	 */
+	async publish_design_doc () {
+
+		// Don't pollute other instances of Flows' design docs
+		const design_doc = JSON.parse(JSON.stringify(flows_design_doc));
+
+		logger.info('Publishing Flows design doc');
+		try {
+			const existing_doc = await this.flowsDB.get(design_doc._id);
+			design_doc._rev = existing_doc._rev;
+		} catch (error) {
+			// If the document is missing, we'll get an error that we don't need to handle.  We'll just create it.
+		}
+
+		try {
+			const response = await this.flowsDB.insert(design_doc, null);
+			logger.debug(`Flows design doc published. rev: ${response.rev}`);
+		} catch (error) {
+			logger.error(`Failed to publish Flows design doc: ${error}`);
+			error.code = FLOWS_ERRORS.DESIGN_DOC_PUBLISHING_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Describes the saved state of a flow.
+	 * @typedef {object} FlowRecord
+	 * @property {string} _id The ID of the flow.
+	 * @property {string} type Always 'flow'.  Distinguishes flow records from user records.
+	 * @property {'issuance'|'login'|'signup'} flow_type The kind of flow.
+	 * @property {string} status The current step of the flow.
+	 * @property {string} owner The app instance that is running the flow.
+	 * @property {string} user The user the flow is for.
+	 * @property {number} created When the flow record was first saved.
+	 * @property {number} updated When the flow record was last saved.
+	 * @property {object} [connection_offer] The connection offer sent to the user.
+	 * @property {object} [credential] The ID of the credential offered to the user.
+	 * @property {object} [verification] The ID of the verification sent to the user.
+	 * @property {object} [error] The code and message of the error that stopped the flow.
+	 * @property {object} [stop_requested] Set when another instance of the app asked the owner to stop the flow and delete
+	 * its record.  Has the instance that asked, `by`, and when it asked, `at`.
+	 */
+
+	/**
+	 * Creates or updates the record for a flow.
+	 * @param {object} flow A flow's state.  Must have an `_id` and a `flow_type`.
+	 * @returns {Promise<FlowRecord>} A promise that resolves with the saved record.
+	 */
+	async save_flow (flow) {
+		if (!flow || typeof flow !== 'object' || !flow._id || typeof flow._id !== 'string')
+			throw new TypeError('Flow record did not have an ID');
+		if (!flow.flow_type || typeof flow.flow_type !== 'string')
+			throw new TypeError('Flow record did not have a flow type');
+
+		const doc = JSON.parse(JSON.stringify(flow));
+		doc.type = 'flow';
+		doc.owner = doc.owner ? doc.owner : this.owner;
+		doc.updated = Date.now();
+		doc.created = doc.updated;
+
+		logger.debug(`Saving ${doc.flow_type} flow ${doc._id} with status ${doc.status}`);
+		for (let attempt = 1; ; attempt++) {
+			try {
+				const existing_doc = await this.flowsDB.get(doc._id);
+				doc._rev = existing_doc._rev;
+				doc.created = existing_doc.created ? existing_doc.created : doc.created;
+				// The flow doesn't know that another instance asked for it to be stopped until it sees the record
+				if (existing_doc.stop_requested && !doc.stop_requested)
+					doc.stop_requested = existing_doc.stop_requested;
+			} catch (error) {
+				// A new flow won't have a record yet
+			}
+
+			try {
+				const response = await this.flowsDB.insert(doc, null);
+				doc._rev = response.rev;
+				return doc;
+			} catch (error) {
+				if (error.statusCode === 409 && attempt < SAVE_ATTEMPTS)
+					continue;
+				logger.error(`Failed to save flow ${doc._id}: ${error}`);
+				error.code = FLOWS_ERRORS.FLOW_SAVE_FAILURE;
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Retrieves the record for a flow.
+	 * @param {string} flow_id The ID of a flow.
+	 * @returns {Promise<FlowRecord>} A promise that resolves with the flow record.
+	 */
+	async read_flow (flow_id) {
+		if (!flow_id || typeof flow_id !== 'string')
+			throw new TypeError('Flow ID was not a non-empty string');
+
+		let doc;
+		try {
+			doc = await this.flowsDB.get(flow_id);
+		} catch (error) {
+			if (error.statusCode === 404) {
+				error.code = FLOWS_ERRORS.FLOW_DOES_NOT_EXIST;
+			} else {
+				logger.error(`Failed to read flow ${flow_id}: ${error}`);
+				error.code = FLOWS_ERRORS.UNKNOWN_FLOW_READ_FAILURE;
+			}
+			throw error;
+		}
+
+		if (doc.type !== 'flow') {
+			const error = new Error(`Flow ${flow_id} could not be found`);
+			error.code = FLOWS_ERRORS.FLOW_DOES_NOT_EXIST;
+			throw error;
+		}
+		return doc;
+	}
+
+	/**
+	 * Retrieves the records for all flows with the given statuses.
+	 * @param {string[]} statuses A list of flow statuses.
+	 * @returns {Promise<FlowRecord[]>} A promise that resolves with the matching flow records.
+	 */
+	async read_flows_by_status (statuses) {
+		if (!Array.isArray(statuses) || !statuses.length)
+			throw new TypeError('Flow statuses must be a non-empty array');
+
+		try {
+			const view_resp = await this.flowsDB.view(DESIGN_DOC, VIEW_FLOWS_BY_STATUS, {reduce: false, include_docs: true, keys: statuses});
+			return view_resp.rows.map((row) => {
+				return row.doc;
+			});
+		} catch (error) {
+			logger.error(`Failed to read flows: ${error}`);
+			error.code = FLOWS_ERRORS.UNKNOWN_FLOW_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Deletes the record for a flow.
+	 * @param {string} flow_id The ID of a flow.
+	 * @returns {Promise<string>} A promise that resolves with the flow ID once the record is destroyed.
+	 */
+	async delete_flow (flow_id) {
+		if (!flow_id || typeof flow_id !== 'string')
+			throw new TypeError('Flow ID was not a non-empty string');
+
+		const doc = await this.read_flow(flow_id);
+		try {
+			await this.flowsDB.destroy(doc._id, doc._rev);
+			logger.debug(`Deleted flow ${flow_id}`);
+			return flow_id;
+		} catch (error) {
+			logger.error(`Failed to delete flow ${flow_id}: ${error}`);
+			error.code = FLOWS_ERRORS.UNKNOWN_FLOW_REMOVAL_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Asks the instance of the app that is running a flow to stop it and delete its record.  Only that instance can stop
+	 * the flow, and deleting the record out from under it would just have the flow save it again.  The request doesn't
+	 * count as an update of the flow, so the flow sweeper still knows how long the flow has been stuck.
+	 * @param {string} flow_id The ID of a flow.
+	 * @returns {Promise<FlowRecord>} A promise that resolves with the record once the request is saved.
+	 */
+	async request_stop (flow_id) {
+		if (!flow_id || typeof flow_id !== 'string')
+			throw new TypeError('Flow ID was not a non-empty string');
+
+		for (let attempt = 1; ; attempt++) {
+			const doc = await this.read_flow(flow_id);
+			if (doc.stop_requested)
+				return doc;
+
+			logger.info(`Asking ${doc.owner} to stop ${doc.flow_type} flow ${flow_id}`);
+			doc.stop_requested = {
+				by: this.owner,
+				at: Date.now()
+			};
+			try {
+				// Saved against the revision that was read, so that a newer state saved by the owner isn't overwritten
+				const response = await this.flowsDB.insert(doc, null);
+				doc._rev = response.rev;
+				return doc;
+			} catch (error) {
+				if (error.statusCode === 409 && attempt < SAVE_ATTEMPTS)
+					continue;
+				logger.error(`Failed to ask for flow ${flow_id} to be stopped: ${error}`);
+				error.code = FLOWS_ERRORS.FLOW_SAVE_FAILURE;
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Watches the record of a flow that is running in this instance of the app for another instance asking for the flow
+	 * to be stopped.
+	 * @param {string} flow_id The ID of a flow.
+	 * @param {function} on_request Called once with the `stop_requested` property of the record.
+	 * @param {number} [interval] The number of milliseconds between checks of the record.
+	 * @returns {function} A function that stops watching the flow.
+	 */
+	watch_stop_request (flow_id, on_request, interval) {
+		if (typeof on_request !== 'function')
+			throw new TypeError('Flow stop request listener was not a function');
+
+		let requested = false;
+		return this.watch_flow(flow_id, (doc) => {
+			if (requested || !doc.stop_requested)
+				return;
+			requested = true;
+			on_request(doc.stop_requested);
+		}, interval);
+	}
+
+	/**
+	 * Follows the record of a flow that is running in another instance of the app.  The listener is called every time the
+	 * record changes, until the flow reaches a final state or its record is deleted.
+	 * @param {string} flow_id The ID of a flow.
+	 * @param {function} listener Called with the updated FlowRecord.
+	 * @param {number} [interval] The number of milliseconds between checks of the record.
+	 * @returns {function} A function that stops following the flow.
+	 */
+	watch_flow (flow_id, listener, interval) {
+		if (!flow_id || typeof flow_id !== 'string')
+			throw new TypeError('Flow ID was not a non-empty string');
+		if (typeof listener !== 'function')
+			throw new TypeError('Flow listener was not a function');
+		interval = interval ? interval : DEFAULT_WATCH_INTERVAL;
+
+		let stopped = false;
+		let timer = null;
+		let last_rev = null;
+		const check = async () => {
+			try {
+				const doc = await this.read_flow(flow_id);
+				if (stopped)
+					return;
+
+				if (doc._rev !== last_rev) {
+					last_rev = doc._rev;
+					listener(doc);
+				}
+				if (FINAL_STATES.indexOf(doc.status) >= 0)
+					return;
+
+			} catch (error) {
+				if (error.code === FLOWS_ERRORS.FLOW_DOES_NOT_EXIST) {
+					logger.debug(`Stopped watching flow ${flow_id} because its record was deleted`);
+					return;
+				}
+				logger.error(`Failed to check flow ${flow_id}: ${error}`);
+			}
+
+			if (!stopped)
+				timer = setTimeout(check, interval);
+		};
+		timer = setTimeout(check, interval);
+
+		return () => {
+			stopped = true;
+			clearTimeout(timer);
+		};
+	}
+
+	/**
+	 * Marks in-progress flows that can no longer finish as failed, so that the UI stops waiting on them.  Flows that
+	 * were started by this app instance before it restarted are failed, as are flows that haven't been updated in a long
+	 * time, meaning the instance running them is gone.  Flows that still belong to other running instances are left alone.
+	 * @param {number} [stale_after] The number of milliseconds after which a flow's owner is assumed to be gone.
+	 * @returns {Promise<number>} A promise that resolves with the number of flows that were marked failed.
+	 */
+	async recover_flows (stale_after) {
+		if (stale_after !== undefined && (typeof stale_after !== 'number' || stale_after < 0))
+			throw new TypeError('Flow stale period must be a number >= 0');
+		stale_after = stale_after !== undefined ? stale_after : DEFAULT_STALE_AFTER;
+
+		const in_progress = Object.values(FLOW_STATES).filter((state) => {
+			return FINAL_STATES.indexOf(state) < 0;
+		});
+
+		logger.info(`Looking for flows interrupted by a restart of ${this.owner}`);
+		const flows = await this.read_flows_by_status(in_progress);
+		let recovered = 0;
+		for (const index in flows) {
+			const flow = flows[index];
+			if (flow.owner !== this.owner && Date.now() - flow.updated < stale_after)
+				continue;
+
+			logger.info(`Marking interrupted ${flow.flow_type} flow ${flow._id} as failed`);
+			flow.status = FLOW_STATES.ERROR;
+			flow.error = {
+				code: FLOWS_ERRORS.FLOW_INTERRUPTED,
+				message: `The ${flow.flow_type} was interrupted by a restart of the app.  Please start over.`
+			};
+			try {
+				await this.save_flow(flow);
+				recovered++;
+			} catch (error) {
+				logger.error(`Failed to mark flow ${flow._id} as failed: ${error}`);
+			}
+		}
+		logger.info(`Marked ${recovered} interrupted flows as failed`);
+		return recovered;
+	}
+}
+
+exports.Flows = Flows;
+
+/**
+ * The union of the steps of issuance, login, and signup flows.
+ * @enum {string}
+ */
+const FLOW_STATES = {
+	CREATED: 'CREATED',
+	BUILDING_CREDENTIAL: 'BUILDING_CREDENTIAL',
+	ESTABLISHING_CONNECTION: 'ESTABLISHING_CONNECTION',
+	CHECKING_CREDENTIAL: 'CHECKING_CREDENTIAL',
+	ISSUING_CREDENTIAL: 'ISSUING_CREDENTIAL',
+	TIMED_OUT: 'TIMED_OUT',
+	FINISHED: 'FINISHED',
+	STOPPED: 'STOPPED',
+	ERROR: 'ERROR'
+};
+exports.FLOW_STATES = FLOW_STATES;
+exports.FINAL_STATES = FINAL_STATES;
+
+const FLOWS_ERRORS = {
+	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE',
+	FLOW_SAVE_FAILURE: 'FLOW_SAVE_FAILURE',
+	FLOW_DOES_NOT_EXIST: 'FLOW_DOES_NOT_EXIST',
+	FLOW_INTERRUPTED: 'FLOW_INTERRUPTED',
+	FLOW_STOPPED: 'FLOW_STOPPED',
+	UNKNOWN_FLOW_READ_FAILURE: 'UNKNOWN_FLOW_READ_FAILURE',
+	UNKNOWN_FLOW_REMOVAL_FAILURE: 'UNKNOWN_FLOW_REMOVAL_FAILURE'
+};
+
+exports.FLOWS_ERRORS = FLOWS_ERRORS;
@@ -18,10 +18,11 @@
  * A helper function for generating a fading bootstrap alert.  Just helps me clean out the alert html in other parts of
  * the code.
  * @param {string} message What the alert should say.
+ * @param {string} [type] The bootstrap alert type, ex. 'success' or 'warning'.  Defaults to 'danger'.
  * @returns {string} HTML for a bootstrap alert.  Stick this in an element in your page somewhere.
  */
-window.alertHTML = function (message) {
-	return `<div class="alert alert-danger alert-dismissible fade show" role="alert">
+window.alertHTML = function (message, type) {
+	return `<div class="alert alert-${type ? type : 'danger'} alert-dismissible fade show" role="alert">
 		  ${message}
 		  <button type="button" class="close" data-dismiss="alert" aria-label="Close">
 		    <span aria-hidden="true">&times;</span>
@@ -66,3 +67,98 @@ window.readCookie = function (name) {
 window.date_formatter = function (timestamp) {
 	return new Date(timestamp).toLocaleString();
 };
+
+/**
+ * @typedef {object} StatusUpdates
+ * @property {function} next Resolves with the next status pushed by the server, or rejects if the updates failed.
+ * @property {function} close Stops listening for status updates.
+ */
+
+/**
+ * Listens to the status updates that the server pushes for an issuance, login, or signup flow.  Updates are queued
+ * until they're asked for, so none are missed between calls to `next()`.
+ * @param {string} url The URL of the flow's event stream.
+ * @returns {StatusUpdates} The status updates for the flow.
+ */
+window.subscribeToStatus = function (url) {
+	const FINAL_STATES = [ 'FINISHED', 'STOPPED', 'ERROR' ];
+	const source = new EventSource(url);
+	const updates = [];
+	const waiting = [];
+
+	const deliver = (update) => {
+		if (waiting.length)
+			waiting.shift()(update);
+		else
+			updates.push(update);
+	};
+
+	source.addEventListener('status', (event) => {
+		const status = JSON.parse(event.data);
+		// The flow is done, so don't let the browser reconnect
+		if (FINAL_STATES.indexOf(status.status) >= 0)
+			source.close();
+		deliver({status: status});
+	});
+
+	source.addEventListener('failure', (event) => {
+		source.close();
+		const failure = JSON.parse(event.data);
+		const error = new Error(failure.reason);
+		error.code = failure.error;
+		deliver({error: error});
+	});
+
+	source.onerror = () => {
+		// The browser reconnects on its own unless the server refused the event stream
+		if (source.readyState === EventSource.CLOSED)
+			deliver({error: new Error(`Lost the connection to ${url}`)});
+	};
+
+	return {
+		next: () => {
+			return new Promise((resolve, reject) => {
+				const settle = (update) => {
+					if (update.error)
+						reject(update.error);
+					else
+						resolve(update.status);
+				};
+
+				if (updates.length)
+					settle(updates.shift());
+				else
+					waiting.push(settle);
+			});
+		},
+		close: () => {
+			source.close();
+		}
+	};
+};
+
+/**
+ * Asks the user whether to resend an offer that they didn't answer in time, and asks the server to resend it if they
+ * do.  The flow gives up on its own if the offer isn't resent before the timed out offer expires.
+ * @param {string} url The URL for resending the flow's offer.
+ * @param {TimedOutOffer} timed_out The offer that timed out, from the flow's status.
+ * @returns {Promise<boolean>} A promise that resolves with true if the offer was resent.
+ */
+window.resendOffer = async function (url, timed_out) {
+	const stage = timed_out && timed_out.stage ? timed_out.stage : 'pending';
+	const resends_left = timed_out && typeof timed_out.resends_left === 'number' ? ` (${timed_out.resends_left} left)` : '';
+	if (!confirm(`The ${stage} offer wasn't answered in time.  Send it again${resends_left}?`))
+		return false;
+
+	try {
+		await $.ajax({
+			url: url,
+			method: 'POST'
+		});
+		return true;
+	} catch (error) {
+		const reason = error.responseJSON && error.responseJSON.reason ? error.responseJSON.reason : error.statusText;
+		console.error(`Failed to resend the ${stage} offer: ${reason}`);
+		return false;
+	}
+};
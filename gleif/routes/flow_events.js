@@ -0,0 +1,93 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const FINAL_STATES = require('../libs/flows.js').FINAL_STATES;
+
+const Logger = require('../libs/logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * How often, in milliseconds, to send a comment down an idle event stream so that proxies don't close it.
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Pushes the status of an issuance, login, or signup flow to the browser as server-sent events.  Every status update
+ * is sent as a `status` event.  If the flow can't be watched, a `failure` event describing the error is sent instead.
+ * The stream is closed once the flow is finished, stopped, or failed.
+ * @param {object} req An express request object.
+ * @param {object} res An express response object.
+ * @param {function} watch Starts watching the flow.  Takes a status listener and resolves with a function that stops
+ * watching the flow.
+ * @param {string} unknown_error The error code to report when a failure doesn't have a code of its own.
+ * @returns {Promise<void>} Resolves when the event stream has been set up.
+ */
+exports.streamStatus = async function (req, res, watch, unknown_error) {
+	let done = false;
+	let unwatch = null;
+	let heartbeat = null;
+
+	const close = () => {
+		if (done)
+			return;
+		done = true;
+		clearInterval(heartbeat);
+		if (unwatch)
+			unwatch();
+		res.end();
+	};
+
+	const send = (event, data) => {
+		if (done)
+			return;
+		res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+		// The compression middleware buffers responses unless it is told to flush them
+		if (typeof res.flush === 'function')
+			res.flush();
+	};
+
+	req.on('close', close);
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive'
+	});
+	res.write('retry: 3000\n\n');
+	heartbeat = setInterval(() => {
+		if (!done)
+			res.write(': keep-alive\n\n');
+	}, HEARTBEAT_INTERVAL);
+
+	try {
+		unwatch = await watch((status) => {
+			send('status', status);
+			if (FINAL_STATES.indexOf(status.status) >= 0)
+				close();
+		});
+	} catch (error) {
+		logger.error(`Failed to stream flow status: ${error}`);
+		send('failure', {
+			error: error.code ? error.code : unknown_error,
+			reason: error.message
+		});
+		return close();
+	}
+
+	// The flow may have finished, or the browser may have gone away, before the watch was set up
+	if (done)
+		unwatch();
+};
@@ -0,0 +1,62 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const compression = require('compression');
+
+/**
+ * Creates an express router representing a REST API for monitoring the cleanup of stale issuance, login, and signup
+ * flows.
+ * @param {FlowSweeper} flow_sweeper The sweeper that reaps stale flows.
+ * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @returns {object} An express router for the flows API.
+ */
+exports.createRouter = function (flow_sweeper, middleware) {
+
+	if (!flow_sweeper || typeof flow_sweeper.getStats !== 'function')
+		throw new TypeError('Flows API was not given a FlowSweeper');
+
+	const router = express.Router();
+	router.use(bodyParser.urlencoded({extended: true}));
+	router.use(bodyParser.json());
+	router.use(bodyParser.text());
+	router.use(compression());
+
+	/* GET the sweeper configuration and the number of flows it has reaped */
+	router.get('/flows/sweeper', [ middleware.is_admin ], (req, res, next) => {
+		res.json({message: 'Got the flow sweeper stats', sweeper: flow_sweeper.getStats()});
+	});
+
+	/* POST sweep stale flows now */
+	router.post('/flows/sweeper', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const reaped = await flow_sweeper.sweep();
+			res.json({message: `Reaped ${reaped} stale flows`, reaped: reaped, sweeper: flow_sweeper.getStats()});
+
+		} catch (error) {
+			error.code = error.code ? error.code : FLOWS_API_ERRORS.UNKNOWN_FLOWS_API_ERROR;
+			return res.status(500).send({error: error.code, reason: error.message});
+		}
+	});
+
+	return router;
+};
+
+const FLOWS_API_ERRORS = {
+	UNKNOWN_FLOWS_API_ERROR: 'UNKNOWN_FLOWS_API_ERROR'
+};
+exports.FLOWS_API_ERRORS = FLOWS_API_ERRORS;
@@ -0,0 +1,168 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const compression = require('compression');
+
+const BATCH_ISSUANCE_ERRORS = require('../libs/batch_issuance.js').BATCH_ISSUANCE_ERRORS;
+const AuditLog = require('../libs/audit_log.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
+
+/**
+ * The most jobs that can be listed at once.
+ * @type {number}
+ */
+const MAX_JOB_LIMIT = 100;
+
+/**
+ * Creates an express router representing a REST API for starting, following, and cancelling batch issuance jobs.
+ * @param {BatchIssuanceManager} batch_issuance_manager Runs the batch issuance jobs.
+ * @param {AuditLog} audit_log Records the jobs that are started and cancelled.
+ * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @returns {object} An express router for the issuance jobs API.
+ */
+exports.createRouter = function (batch_issuance_manager, audit_log, middleware) {
+
+	if (!batch_issuance_manager || typeof batch_issuance_manager.create_job !== 'function')
+		throw new TypeError('Issuance Jobs API was not given a BatchIssuanceManager');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Issuance Jobs API was not given an AuditLog');
+
+	const router = express.Router();
+	router.use(bodyParser.urlencoded({extended: true}));
+	router.use(bodyParser.json());
+	router.use(bodyParser.text());
+	router.use(compression());
+
+	/* POST start a batch issuance job for a list of users or the users matching a filter */
+	router.post('/issuance_jobs', [ middleware.is_admin ], async (req, res, next) => {
+		const opts = req.body && typeof req.body === 'object' ? req.body : {};
+		try {
+			const job = await batch_issuance_manager.create_job({
+				users: opts.users,
+				filter: opts.filter,
+				connected_only: opts.connected_only,
+				selector: opts.selector,
+				concurrency: opts.concurrency,
+				retries: opts.retries
+			}, req.session.user_id);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_JOB_CREATE,
+				target: job._id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {users: job.counts.total, options: job.options}
+			});
+			res.status(201).json({message: `Started batch issuance job ${job._id} for ${job.counts.total} users`, job: job});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_JOBS_API_ERRORS.UNKNOWN_ISSUANCE_JOBS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_JOB_CREATE,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if ([
+				BATCH_ISSUANCE_ERRORS.INVALID_JOB_OPTIONS,
+				BATCH_ISSUANCE_ERRORS.NO_JOB_USERS,
+				BATCH_ISSUANCE_ERRORS.TOO_MANY_JOB_USERS
+			].indexOf(error.code) >= 0)
+				status = 400;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* GET the most recent batch issuance jobs, without the progress of each user */
+	router.get('/issuance_jobs', [ middleware.is_admin ], async (req, res, next) => {
+		let limit;
+		if (req.query.limit !== undefined && req.query.limit !== '') {
+			limit = parseInt(req.query.limit, 10);
+			if (!/^\d+$/.test(req.query.limit) || limit < 1 || limit > MAX_JOB_LIMIT)
+				return res.status(400).json({
+					error: ISSUANCE_JOBS_API_ERRORS.BAD_REQUEST,
+					reason: `limit was not an integer from 1 to ${MAX_JOB_LIMIT}`
+				});
+		}
+
+		try {
+			const jobs = await batch_issuance_manager.list_jobs(limit);
+			jobs.forEach((job) => {
+				delete job.users;
+			});
+			res.json({message: `Got ${jobs.length} batch issuance jobs`, jobs: jobs});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_JOBS_API_ERRORS.UNKNOWN_ISSUANCE_JOBS_API_ERROR;
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* GET a batch issuance job, with the progress of each user */
+	router.get('/issuance_jobs/:job_id', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const job = await batch_issuance_manager.read_job(req.params.job_id);
+			res.json({message: `Got batch issuance job ${job._id}`, job: job});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_JOBS_API_ERRORS.UNKNOWN_ISSUANCE_JOBS_API_ERROR;
+			const status = error.code === BATCH_ISSUANCE_ERRORS.JOB_DOES_NOT_EXIST ? 404 : 500;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* POST cancel a running batch issuance job */
+	router.post('/issuance_jobs/:job_id/cancel', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const job = await batch_issuance_manager.cancel_job(req.params.job_id, req.session.user_id);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_JOB_CANCEL,
+				target: job._id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {counts: job.counts}
+			});
+			res.json({message: `Cancelled batch issuance job ${job._id}`, job: job});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_JOBS_API_ERRORS.UNKNOWN_ISSUANCE_JOBS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_JOB_CANCEL,
+				target: req.params.job_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if (error.code === BATCH_ISSUANCE_ERRORS.JOB_DOES_NOT_EXIST)
+				status = 404;
+			else if (error.code === BATCH_ISSUANCE_ERRORS.JOB_NOT_RUNNING)
+				status = 409;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	return router;
+};
+
+const ISSUANCE_JOBS_API_ERRORS = {
+	UNKNOWN_ISSUANCE_JOBS_API_ERROR: 'UNKNOWN_ISSUANCE_JOBS_API_ERROR',
+	BAD_REQUEST: 'BAD_REQUEST'
+};
+exports.ISSUANCE_JOBS_API_ERRORS = ISSUANCE_JOBS_API_ERRORS;
@@ -18,6 +18,7 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const compression = require('compression');
 
+const BOOTSTRAP_STATES = require('../libs/issuer_bootstrap.js').BOOTSTRAP_STATES;
 const USER_ERRORS = require('../libs/users.js').USERS_ERRORS;
 
 /**
@@ -25,9 +26,10 @@ const USER_ERRORS = require('../libs/users.js').USERS_ERRORS;
  * @param {object} users_instance An instance of the Users class with a backend user database.
  * @param {object} ev Information about the app to pass to the UI.
  * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @param {IssuerBootstrap} [issuer_bootstrap] Publishes the schema and credential definition this app issues.
  * @returns {object} An express router for the users API.
  */
-exports.createRouter = function (users_instance, ev, middleware) {
+exports.createRouter = function (users_instance, ev, middleware, issuer_bootstrap) {
 
 	const router = express.Router();
 	router.use(bodyParser.urlencoded({extended: true}));
@@ -39,12 +41,22 @@ exports.createRouter = function (users_instance, ev, middleware) {
 		res.redirect('/login');
 	});
 
-	// Status url for monitoring
+	// Status url for monitoring.  The app isn't ready until the schema and credential definition it issues are published.
 	router.get('/status', (req, res, next) => {
-		res.json({
+		const ret = {
 			message: 'GLEIF is running',
-			status: 'OK'
-		});
+			status: 'OK',
+			ready: true
+		};
+		if (issuer_bootstrap) {
+			ret.bootstrap = issuer_bootstrap.get_status();
+			ret.ready = ret.bootstrap.state === BOOTSTRAP_STATES.READY;
+			if (ret.bootstrap.state === BOOTSTRAP_STATES.FAILED)
+				ret.status = 'ERROR';
+			else if (!ret.ready)
+				ret.status = 'STARTING';
+		}
+		res.status(ret.ready ? 200 : 503).json(ret);
 	});
 
 	// Login page
@@ -56,12 +68,12 @@ exports.createRouter = function (users_instance, ev, middleware) {
 	});
 
 	// Admin page
-	router.get('/admin', [ middleware.is_admin ], (req, res, next) => {
+	router.get('/admin', [ middleware.admin_authentication ], (req, res, next) => {
 		res.render('admin', {title: 'LEI Administration'});
 	});
 
 	// Edit info for a single user
-	router.get('/users/:user_id/edit', [ middleware.is_admin ], async (req, res, next) => {
+	router.get('/users/:user_id/edit', [ middleware.admin_authentication ], async (req, res, next) => {
 		const user_id = req.params.user_id;
 		try {
 			const user_doc = await users_instance.read_user(user_id);
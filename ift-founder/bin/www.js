@@ -28,6 +28,19 @@ const Agent = require('openssi-websdk').Agent;
 const Helpers = require('../libs/helpers.js');
 const Branding = require('../libs/branding.js');
 const Users = require('../libs/users.js').Users;
+const Flows = require('../libs/flows.js').Flows;
+const IssuedCredentials = require('../libs/issued_credentials.js').IssuedCredentials;
+const IssuanceSettings = require('../libs/issuance_settings.js').IssuanceSettings;
+const AuditLog = require('../libs/audit_log.js').AuditLog;
+const IssuanceJobs = require('../libs/issuance_jobs.js').IssuanceJobs;
+const AttributeMapper = require('../libs/attribute_mapper.js').AttributeMapper;
+const FlowSweeper = require('../libs/flow_sweeper.js').FlowSweeper;
+const DEFAULT_TTLS = require('../libs/flow_sweeper.js').DEFAULT_TTLS;
+const minimumTtls = require('../libs/flow_sweeper.js').minimumTtls;
+const OfferPolicy = require('../libs/offer_policy.js').OfferPolicy;
+const OFFER_STAGES = require('../libs/offer_policy.js').OFFER_STAGES;
+const MockAgent = require('../libs/mock_agent.js').MockAgent;
+const IssuerBootstrap = require('../libs/issuer_bootstrap.js').IssuerBootstrap;
 const App = require('../app.js');
 
 const Logger = require('../libs/logger.js').Logger;
@@ -39,15 +52,16 @@ const required = [
 	'DB_CONNECTION_STRING',
 	'DB_USERS',
 	'AGENT_NAME',
-	'AGENT_PASSWORD',
 	'FRIENDLY_NAME',
-	'ACCOUNT_URL',
 	'CARD_IMAGE_RENDERING',
 	'CONNECTION_IMAGE_PROVIDER',
 	'LOGIN_PROOF_PROVIDER',
 	'SIGNUP_PROOF_PROVIDER',
 	'SCHEMA_TEMPLATE_PATH'
 ];
+// The mock agent doesn't need a cloud agent account
+if (process.env.MOCK_AGENT !== 'true')
+	required.push('AGENT_PASSWORD', 'ACCOUNT_URL');
 for (const index in required) {
 	if (!process.env[required[index]]) {
 		throw new Error(`Missing environment parameter ${required[index]}`);
@@ -78,12 +92,17 @@ const ev = {
 	LOGIN_PROOF_PROVIDER: process.env.LOGIN_PROOF_PROVIDER,
 	LOGIN_PROOF_PATH: process.env.LOGIN_PROOF_PATH,
 	SIGNUP_PROOF_PROVIDER: process.env.SIGNUP_PROOF_PROVIDER,
-	SIGNUP_ACCOUNT_PROOF_PATH: process.env.SIGNUP_ACCOUNT_PROOF_PATH,
-	SIGNUP_LEI_ISSUER_AGENT: process.env.SIGNUP_LEI_ISSUER_AGENT,
+	SIGNUP_CONFIG_PATH: process.env.SIGNUP_CONFIG_PATH,
 	SCHEMA_TEMPLATE_PATH: process.env.SCHEMA_TEMPLATE_PATH,
+	ATTRIBUTE_MAPPING_PATH: process.env.ATTRIBUTE_MAPPING_PATH,
 	ADMIN_API_USERNAME: process.env.ADMIN_API_USERNAME,
 	ADMIN_API_PASSWORD: process.env.ADMIN_API_PASSWORD,
-	TRUSTED_CONNECTIONS: process.env.TRUSTED_CONNECTIONS
+	INSECURE_DEV_MODE: process.env.INSECURE_DEV_MODE === 'true',
+	TRUSTED_CONNECTIONS: process.env.TRUSTED_CONNECTIONS,
+	MOCK_AGENT: process.env.MOCK_AGENT === 'true',
+	MOCK_AGENT_DB: process.env.MOCK_AGENT_DB ? process.env.MOCK_AGENT_DB : 'mock_agent',
+	BOOTSTRAP_ISSUER: process.env.BOOTSTRAP_ISSUER === 'true',
+	CREDENTIAL_REVOCATION: process.env.CREDENTIAL_REVOCATION === 'true'
 };
 
 for (const key in ev) {
@@ -119,28 +138,33 @@ async function start () {
 	const nano = Nano(ev.DB_CONNECTION_STRING);
 
 	// Create the database if it doesn't exist already
-	const db = await new Promise((resolve, reject) => {
-		logger.info(`Attempting to create database ${ev.DB_USERS}`);
-		nano.db.create(ev.DB_USERS, (error) => {
-			if (error && error.toString().toLowerCase().indexOf('exists') >= 0) {
-				logger.info(`Database already exists.  We're good: ${error}`);
-				resolve(nano.use(ev.DB_USERS));
-
-			} else if (error) {
-				logger.error(`Failed to create database: ${error}`);
-				reject(error);
-
-			} else {
-				logger.info(`Created database ${ev.DB_USERS}`);
-				resolve(nano.use(ev.DB_USERS));
-			}
-		});
-	});
+	const db = await create_database(nano, ev.DB_USERS);
 
 	// Setup our user account management and publish user index functions to the database
 	const users = new Users(db);
 	await users.publish_design_doc();
 
+	// Issuance, login, and signup flows are saved alongside the users so they survive restarts and can be
+	// served by any instance of the app.  Flows that were interrupted by a restart can't finish, so fail them.
+	const flows = new Flows(db);
+	await flows.publish_design_doc();
+	await flows.recover_flows();
+
+	// Every credential the app issues is recorded against the user it was issued to so that it can be revoked later.
+	const issued_credentials = new IssuedCredentials(db);
+	await issued_credentials.publish_design_doc();
+	const issuance_settings = new IssuanceSettings(db);
+
+	// Batch issuance jobs are saved so admins can follow them from any instance of the app.  Jobs that were running
+	// when the app restarted can't pick up where they left off, so mark them interrupted.
+	const issuance_jobs = new IssuanceJobs(db);
+	await issuance_jobs.publish_design_doc();
+	await issuance_jobs.recover_jobs();
+
+	// Admin actions and the outcomes of issuance, login, and signup flows are kept in an append-only audit log.
+	const audit_log = new AuditLog(db);
+	await audit_log.publish_design_doc();
+
 	/*************************
 	 * CONNECT TO THE AGENT
 	 *************************/
@@ -152,11 +176,21 @@ async function start () {
 	if (typeof agent_retry_backoff_limit !== 'number' || isNaN(agent_retry_backoff_limit) || agent_retry_backoff_limit < 1000)
 		throw new Error('AGENT_MAX_RETRY_INTERVAL must be an integer >= 1000 representing milliseconds');
 
-	const account_health_url = ev.ACCOUNT_URL.endsWith('/') ? ev.ACCOUNT_URL + 'health' : ev.ACCOUNT_URL + '/health';
-	await wait_for_url(account_health_url, agent_retries, agent_retry_backoff_limit);
+	let agent;
+	if (ev.MOCK_AGENT) {
+		// Mock agents keep their state in a database shared by all the apps, so the apps can still talk to each other
+		logger.warn(`MOCK_AGENT is on.  Using mock agent ${ev.AGENT_NAME} in database ${ev.MOCK_AGENT_DB} instead of a cloud agent`);
+		const mock_db = await create_database(nano, ev.MOCK_AGENT_DB);
+		agent = new MockAgent(mock_db, ev.AGENT_NAME, ev.FRIENDLY_NAME, ev.ACCOUNT_URL);
+		await agent.publish_design_doc();
+
+	} else {
+		const account_health_url = ev.ACCOUNT_URL.endsWith('/') ? ev.ACCOUNT_URL + 'health' : ev.ACCOUNT_URL + '/health';
+		await wait_for_url(account_health_url, agent_retries, agent_retry_backoff_limit);
 
-	// Generally, you won't have to wait for your agent, so the above is optional
-	const agent = new Agent(ev.ACCOUNT_URL, ev.AGENT_NAME, ev.AGENT_PASSWORD, ev.FRIENDLY_NAME);
+		// Generally, you won't have to wait for your agent, so the above is optional
+		agent = new Agent(ev.ACCOUNT_URL, ev.AGENT_NAME, ev.AGENT_PASSWORD, ev.FRIENDLY_NAME);
+	}
 	agent.setLoggingLevel(ev.AGENT_LOG_LEVEL ? ev.AGENT_LOG_LEVEL : 'info');
 
 	let agent_info;
@@ -258,14 +292,49 @@ async function start () {
 		throw new Error(`Invalid value for CONNECTION_IMAGE_PROVIDER: ${ev.CONNECTION_IMAGE_PROVIDER}`);
 	}
 
+	/*************************
+	 * ATTRIBUTE MAPPING SETUP
+	 *************************/
+	let attribute_mapper;
+	if (ev.ATTRIBUTE_MAPPING_PATH) {
+		logger.info(`Setting up attribute mapping: ${ev.ATTRIBUTE_MAPPING_PATH}`);
+		attribute_mapper = await AttributeMapper.fromFile(ev.ATTRIBUTE_MAPPING_PATH);
+	} else {
+		logger.info('No attribute mapping was given.  Attributes will be copied between user records and credentials by name');
+		attribute_mapper = new AttributeMapper();
+	}
+
+	/*************************
+	 * OFFER TIMEOUTS
+	 *************************/
+	// OFFER_POLICY applies to every flow, and each flow's own policy overrides it
+	const offer_policies = {};
+	const default_offer_policy = parseOfferPolicy('OFFER_POLICY');
+	for (const flow_type of [ 'issuance', 'login', 'signup' ]) {
+		const env_var = `${flow_type.toUpperCase()}_OFFER_POLICY`;
+		offer_policies[flow_type] = new OfferPolicy(Object.assign({}, default_offer_policy, parseOfferPolicy(env_var)));
+		logger.info(`${flow_type} offer policy: ${JSON.stringify(offer_policies[flow_type])}`);
+	}
+
 	/*************************
 	 * VERIFICATION/PROOF SETUP
 	 *************************/
+	// Proof responses that take longer than this to arrive are rejected, so they can't be replayed later.  The user gets
+	// as long as the login and signup offer policies wait for the last resend of a proof request, so valid proofs aren't
+	// rejected just because the policies allow more time.
+	const proof_window = Math.max(offer_policies.login.longestWait(OFFER_STAGES.PROOF), offer_policies.signup.longestWait(OFFER_STAGES.PROOF));
+	const proof_max_age = process.env['PROOF_MAX_AGE'] ? parseInt(process.env['PROOF_MAX_AGE'], 10) : proof_window;
+	if (typeof proof_max_age !== 'number' || isNaN(proof_max_age) || proof_max_age < 1)
+		throw new Error('PROOF_MAX_AGE must be an integer >= 1 representing seconds');
+	if (proof_max_age < proof_window)
+		throw new Error(`PROOF_MAX_AGE must be at least ${proof_window} seconds, the longest the login and signup offer policies wait for a proof`);
+	logger.info(`Proof responses must arrive within ${proof_max_age} seconds`);
+
 	let login_proof_helper;
 	if (ev.LOGIN_PROOF_PROVIDER === 'file') {
 
 		logger.info(`Setting up file based login proof handling: ${ev.LOGIN_PROOF_PATH}`);
-		login_proof_helper = new Helpers.LoginHelper(ev.LOGIN_PROOF_PATH);
+		login_proof_helper = new Helpers.LoginHelper(ev.LOGIN_PROOF_PATH, proof_max_age);
 
 	} else if (ev.LOGIN_PROOF_PROVIDER === 'none') {
 
@@ -278,12 +347,10 @@ async function start () {
 
 	let signup_helper;
 	if (ev.SIGNUP_PROOF_PROVIDER === 'account') {
-		if (!ev.SIGNUP_ACCOUNT_PROOF_PATH)
-			throw new Error('SIGNUP_ACCOUNT_PROOF_PATH must be set in order to use `account` SIGNUP_PROOF_PROVIDER');
-		if (!ev.SIGNUP_LEI_ISSUER_AGENT)
-			throw new Error('SIGNUP_LEI_ISSUER_AGENT must be set in order to use `account` SIGNUP_PROOF_PROVIDER');
-		logger.info(`${ev.SIGNUP_PROOF_PROVIDER} signup proof selected.  Proof request path: ${ev.SIGNUP_ACCOUNT_PROOF_PATH}`);
-		signup_helper = new Helpers.AccountSignupHelper(ev.SIGNUP_LEI_ISSUER_AGENT, ev.SIGNUP_ACCOUNT_PROOF_PATH, agent);
+		if (!ev.SIGNUP_CONFIG_PATH)
+			throw new Error('SIGNUP_CONFIG_PATH must be set in order to use `account` SIGNUP_PROOF_PROVIDER');
+		logger.info(`${ev.SIGNUP_PROOF_PROVIDER} signup proof selected.  Signup config path: ${ev.SIGNUP_CONFIG_PATH}`);
+		signup_helper = await Helpers.ConfigSignupHelper.fromFile(ev.SIGNUP_CONFIG_PATH, agent, process.env, proof_max_age);
 		await signup_helper.cleanup();
 		await signup_helper.setup();
 
@@ -302,15 +369,65 @@ async function start () {
 	}
 
 	/*************************
-	 * Make sure admin api info makes sense
+	 * CLEAN UP STALE FLOWS
 	 *************************/
-	if (!ev.ADMIN_API_PASSWORD && !ev.ADMIN_API_USERNAME) {
-		logger.warn('No admin API username or password set.  Admin APIs will be WIDE OPEN');
-	} else if (ev.ADMIN_API_PASSWORD && ev.ADMIN_API_USERNAME) {
-		logger.info('ADMIN APIS ARE PROTECTED');
+	// Sweeping is configurable, but has default values
+	const flow_sweep_interval = process.env['FLOW_SWEEP_INTERVAL'] ? parseInt(process.env['FLOW_SWEEP_INTERVAL'], 10) : 60;
+	if (typeof flow_sweep_interval !== 'number' || isNaN(flow_sweep_interval) || flow_sweep_interval < 0)
+		throw new Error('FLOW_SWEEP_INTERVAL must be an integer >= 0 representing seconds');
+
+	let flow_ttls = {};
+	if (process.env['FLOW_TTLS']) {
+		try {
+			flow_ttls = JSON.parse(process.env['FLOW_TTLS']);
+		} catch (error) {
+			throw new Error(`FLOW_TTLS must be a JSON object mapping flow states to seconds: ${error}`);
+		}
+		if (!flow_ttls || typeof flow_ttls !== 'object' || Array.isArray(flow_ttls))
+			throw new Error('FLOW_TTLS must be a JSON object mapping flow states to seconds');
+	}
+
+	// Flows waiting on users must outlive the offer policies' longest waits, or the sweeper reaps them mid-flow
+	const min_flow_ttls = minimumTtls(Object.values(offer_policies));
+	for (const state in min_flow_ttls) {
+		if (flow_ttls[state] === undefined)
+			flow_ttls[state] = Math.max(DEFAULT_TTLS[state], min_flow_ttls[state]);
+		else if (typeof flow_ttls[state] === 'number' && flow_ttls[state] < min_flow_ttls[state])
+			throw new Error(`FLOW_TTLS for ${state} must be at least ${min_flow_ttls[state]} seconds, the longest the offer policies leave a flow in that state`);
+	}
+	const flow_sweeper = new FlowSweeper(agent, flows, flow_ttls, flow_sweep_interval);
+
+	/*************************
+	 * SCHEMA AND CRED DEF BOOTSTRAP
+	 *************************/
+	// Publishes the schema template and a credential definition for it, unless they're already published
+	let issuer_bootstrap = null;
+	if (ev.BOOTSTRAP_ISSUER) {
+		const bootstrap_ledger_wait = process.env['BOOTSTRAP_LEDGER_WAIT'] ? parseInt(process.env['BOOTSTRAP_LEDGER_WAIT'], 10) : 120;
+		if (typeof bootstrap_ledger_wait !== 'number' || isNaN(bootstrap_ledger_wait) || bootstrap_ledger_wait < 1)
+			throw new Error('BOOTSTRAP_LEDGER_WAIT must be an integer >= 1 representing seconds');
+		const bootstrap_revocable = ev.CREDENTIAL_REVOCATION && process.env['BOOTSTRAP_REVOCABLE'] !== 'false';
+
+		logger.info(`Bootstrapping the schema in ${ev.SCHEMA_TEMPLATE_PATH} and a${bootstrap_revocable ? ' revocable' : ''} credential definition for it`);
+		issuer_bootstrap = new IssuerBootstrap(agent, ev.SCHEMA_TEMPLATE_PATH, bootstrap_revocable, bootstrap_ledger_wait);
 	} else {
+		logger.info('Not bootstrapping a schema and credential definition.  Publish them from the admin panel');
+	}
+
+	/*************************
+	 * Make sure admin api info makes sense
+	 *************************/
+	if (ev.ADMIN_API_PASSWORD && ev.ADMIN_API_USERNAME) {
+		// The admin logs in through the login page like everyone else and is let in by the admin role on their user record
+		await users.bootstrap_admin(ev.ADMIN_API_USERNAME, ev.ADMIN_API_PASSWORD);
+		logger.info(`ADMIN APIS ARE PROTECTED.  Log in as ${ev.ADMIN_API_USERNAME} to use them`);
+	} else if (ev.ADMIN_API_PASSWORD || ev.ADMIN_API_USERNAME) {
 		throw new Error('You must provide both ADMIN_API_USERNAME and ADMIN_API_PASSWORD, not just one or the other');
+	} else {
+		logger.warn('No admin API username or password set.  Only existing users with the admin role can use the admin APIs');
 	}
+	if (ev.INSECURE_DEV_MODE)
+		logger.warn('INSECURE_DEV_MODE is on.  Admin APIs are WIDE OPEN.  Never turn this on outside of local development');
 
 	/*************************
 	 * START THE APP
@@ -319,7 +436,7 @@ async function start () {
 	const hash = crypto.createHash('sha256');
 	hash.update(ev.ACCOUNT_URL + ev.AGENT_NAME + ev.MY_URL);
 	ev.SESSION_SECRET = ev.SESSION_SECRET ? ev.SESSION_SECRET : hash.digest('hex');
-	const app = App(ev, nano, agent, card_renderer, users, connection_icon_provider, login_proof_helper, signup_helper);
+	const app = App(ev, nano, agent, card_renderer, users, flows, issued_credentials, issuance_settings, issuance_jobs, audit_log, attribute_mapper, flow_sweeper, offer_policies, connection_icon_provider, login_proof_helper, signup_helper, issuer_bootstrap);
 
 	// Get port from environment and store in Express.
 	app.set('port', port);
@@ -337,6 +454,59 @@ async function start () {
 			: 'port ' + addr.port;
 		logger.info('Listening on ' + bind);
 	});
+
+	// Publishing to the ledger can take a while, so GET /status reports on the bootstrap until it's done
+	if (issuer_bootstrap) {
+		issuer_bootstrap.run().catch((error) => {
+			issuer_bootstrap.fail(error);
+		});
+	}
+}
+
+/**
+ * Creates a database if it doesn't exist already.
+ * @param {object} nano A nano instance.
+ * @param {string} db_name The name of the database.
+ * @returns {Promise<object>} A promise that resolves with a nano database instance.
+ */
+async function create_database (nano, db_name) {
+	return new Promise((resolve, reject) => {
+		logger.info(`Attempting to create database ${db_name}`);
+		nano.db.create(db_name, (error) => {
+			if (error && error.toString().toLowerCase().indexOf('exists') >= 0) {
+				logger.info(`Database already exists.  We're good: ${error}`);
+				resolve(nano.use(db_name));
+
+			} else if (error) {
+				logger.error(`Failed to create database: ${error}`);
+				reject(error);
+
+			} else {
+				logger.info(`Created database ${db_name}`);
+				resolve(nano.use(db_name));
+			}
+		});
+	});
+}
+
+/**
+ * Parses an offer policy from an environment variable.
+ * @param {string} env_var The name of the environment variable.
+ * @returns {OfferPolicyOptions} The offer policy settings, or an empty object if the variable isn't set.
+ */
+function parseOfferPolicy (env_var) {
+	if (!process.env[env_var])
+		return {};
+
+	let policy;
+	try {
+		policy = JSON.parse(process.env[env_var]);
+		// Validate the settings now so that the error names the variable they came from
+		new OfferPolicy(policy);
+	} catch (error) {
+		throw new Error(`${env_var} must be a JSON object of offer policy settings: ${error}`);
+	}
+	return policy;
 }
 
 /**
@@ -13,113 +13,643 @@
  See the License for the specific language governing permissions and
  limitations under the License.
  */
+const EventEmitter = require('events');
 const uuidv4 = require('uuid/v4');
 const semverCompare = require('semver-compare');
 
+const FLOWS_ERRORS = require('./flows.js').FLOWS_ERRORS;
+const ISSUED_CREDENTIAL_STATES = require('./issued_credentials.js').ISSUED_CREDENTIAL_STATES;
+const ISSUED_CREDENTIALS_ERRORS = require('./issued_credentials.js').ISSUED_CREDENTIALS_ERRORS;
+const PREVIOUS_CREDENTIAL_ACTIONS = require('./issuance_settings.js').PREVIOUS_CREDENTIAL_ACTIONS;
+const ATTRIBUTE_MAPPER_ERRORS = require('./attribute_mapper.js').ATTRIBUTE_MAPPER_ERRORS;
+const Helpers = require('./helpers.js');
+const OfferPolicy = require('./offer_policy.js').OfferPolicy;
+const OFFER_STAGES = require('./offer_policy.js').OFFER_STAGES;
+const AUDIT_ACTIONS = require('./audit_log.js').AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = require('./audit_log.js').AUDIT_OUTCOMES;
+
 const Logger = require('./logger.js').Logger;
 const logger = Logger.makeLogger(Logger.logPrefix(__filename));
 
 /**
- * Tracks and manages all the issuance flows.  Should clean up old issuance flows
+ * Tracks and manages all the issuance flows.  The state of every issuance is saved to the flow records, so the status
+ * of an issuance can be looked up by any instance of the app.  Flows are only kept in memory while
+ * they are running.
  */
 class IssuanceManager {
 
 	/**
 	 * @param {Agent} agent An agent for connecting to users and issuing credentials.
 	 * @param {Users} user_records A Users instance with access to personal data for creating credentials.
+	 * @param {Flows} flow_records A Flows instance for saving the state of issuances.
+	 * @param {IssuedCredentials} credential_records An IssuedCredentials instance for recording issued credentials.
+	 * @param {IssuanceSettings} issuance_settings Decides which credential is issued and where its attributes come from.
+	 * @param {AttributeMapper} attribute_mapper Builds credential attributes from user records.
 	 * @param {CardRenderer} card_renderer The renderer for the credentials.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
+	 * @param {AuditLog} [audit_log] Records the outcome of each issuance.
+	 * @param {OfferPolicy} [offer_policy] Decides how long issuances wait on users and how they resend offers.
+	 * @param {boolean} [revocation] Whether credentials can be revoked.  Revocation relies on agent calls that the SDK
+	 * doesn't publish, so it's off unless the agent is known to support it.
 	 */
-	constructor (agent, user_records, card_renderer, connection_icon_provider) {
+	constructor (agent, user_records, flow_records, credential_records, issuance_settings, attribute_mapper, card_renderer, connection_icon_provider, audit_log, offer_policy, revocation) {
 		if (!agent || typeof agent.offerCredential !== 'function')
 			throw new TypeError('IssuanceManager was not given an Agent instance');
 		if (!user_records || typeof user_records.read_user !== 'function')
 			throw new TypeError('IssuanceManager was not given a Users instance');
+		if (!flow_records || typeof flow_records.save_flow !== 'function')
+			throw new TypeError('IssuanceManager was not given a Flows instance');
+		if (!credential_records || typeof credential_records.record_credential !== 'function')
+			throw new TypeError('IssuanceManager was not given an IssuedCredentials instance');
+		if (!issuance_settings || typeof issuance_settings.read_settings !== 'function')
+			throw new TypeError('IssuanceManager was not given an IssuanceSettings instance');
+		if (!attribute_mapper || typeof attribute_mapper.toCredential !== 'function')
+			throw new TypeError('IssuanceManager was not given an AttributeMapper instance');
 		if (!card_renderer || typeof card_renderer.createCardFront !== 'function')
 			throw new TypeError('IssuanceManager was not given a CardRenderer instance');
 		if (!connection_icon_provider || typeof connection_icon_provider.getImage !== 'function')
 			throw new TypeError('IssuanceManager was not given an ImageProvider instance');
+		if (audit_log && typeof audit_log.record_flow !== 'function')
+			throw new TypeError('IssuanceManager was given an invalid AuditLog instance');
+		if (offer_policy && typeof offer_policy.waitForAnswer !== 'function')
+			throw new TypeError('IssuanceManager was given an invalid OfferPolicy instance');
+		if (revocation !== undefined && typeof revocation !== 'boolean')
+			throw new TypeError('IssuanceManager revocation must be a boolean');
 
 		this.agent = agent;
 		this.user_records = user_records;
+		this.flow_records = flow_records;
+		this.credential_records = credential_records;
+		this.issuance_settings = issuance_settings;
+		this.attribute_mapper = attribute_mapper;
 		this.issuances = {};
+		this.running = {}; // The start() promises of the Issuances in this.issuances
 		this.card_renderer = card_renderer;
 		this.connection_icon_provider = connection_icon_provider;
+		this.audit_log = audit_log ? audit_log : null;
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
+		this.revocation = !!revocation;
 	}
 
+	/**
+	 * Describes which credential to issue.  Only one of the properties should be given.  If neither is given, the
+	 * default credential definition is issued, or the newest one if there is no default.
+	 * @typedef {object} CredentialSelector
+	 * @property {string} [cred_def_id] Issue a credential from this credential definition.
+	 * @property {string} [schema_id] Issue a credential from the newest credential definition for this schema.
+	 */
+
 	/**
 	 * Creates an Issuance for the given user.
 	 * @param {string} user The app user we want to deliver a credential to.
 	 * @param {ConnectionMethod} connection_method The method for connecting to the user.
-	 * @returns {string} A Issuance instance ID to be used to check the status of the Issuance later.
+	 * @param {CredentialSelector} [selector] Which credential to issue.
+	 * @returns {Promise<string>} A Issuance instance ID to be used to check the status of the Issuance later.
 	 */
-	create_issuance (user, connection_method) {
+	async create_issuance (user, connection_method, selector) {
 		if (!user || typeof user !== 'string')
 			throw new TypeError('Invalid user was provided for issuing credentials');
 		if (!connection_method || typeof connection_method !== 'string')
 			throw new TypeError('Invalid connection method for issuing credentials');
+		if (selector && typeof selector !== 'object')
+			throw new TypeError('Invalid credential selector for issuing credentials');
+		if (selector && selector.cred_def_id && selector.schema_id)
+			throw new TypeError('Credential selector should have a cred_def_id or a schema_id, not both');
 
 		const issuance_id = uuidv4();
 		logger.info(`Creating issuance ${issuance_id}`);
-		this.issuances[issuance_id] = new Issuance(issuance_id, this.agent, user, this.user_records, this.card_renderer, this.connection_icon_provider, connection_method);
-		this.issuances[issuance_id].start();
+		const issuance = new Issuance(issuance_id, this.agent, user, this.user_records, this.flow_records, this.credential_records, this.issuance_settings, this.attribute_mapper, this.card_renderer, this.connection_icon_provider, connection_method, selector, this.offer_policy);
+		this.issuances[issuance_id] = issuance;
+		await issuance.save();
+		this.running[issuance_id] = issuance.start();
+
+		// Other instances of the app can't reach this Issuance, so they ask for it to be stopped through its flow record
+		const unwatch = this.flow_records.watch_stop_request(issuance_id, (request) => {
+			this.stop_requested(issuance_id, request).catch((error) => {
+				logger.error(`Failed to stop issuance ${issuance_id} at the request of ${request.by}: ${error}`);
+			});
+		});
+
+		this.running[issuance_id].then(async () => {
+			unwatch();
+			// Stopped Issuances have already been taken off the list, so the outcome comes from the Issuance itself
+			const doc = issuance.toDoc();
+
+			// The flow records are all that's needed to report on issuances that are done
+			delete this.issuances[issuance_id];
+			delete this.running[issuance_id];
+			if (this.audit_log)
+				await this.audit_log.record_flow(AUDIT_ACTIONS.CREDENTIAL_ISSUE, doc, doc.credential ? doc.credential.id : doc.user);
+			if (doc.status === Issuance.ISSUANCE_STEPS.FINISHED && doc.credential)
+				await this.replace_previous_credentials(doc.user, doc.credential.id);
+		}).catch((error) => {
+			logger.error(`Failed to clean up after issuance ${issuance_id}: ${error}`);
+		});
 		return issuance_id;
 	}
 
+	/**
+	 * Looks up an Issuance.  Issuances that are not running in this instance of the app are loaded from the flow records.
+	 * @param {string} issuance_id The ID of an Issuance.
+	 * @returns {Promise<Issuance>} A promise that resolves with the Issuance.
+	 */
+	async find_issuance (issuance_id) {
+		if (this.issuances[issuance_id])
+			return this.issuances[issuance_id];
+
+		let doc;
+		try {
+			doc = await this.flow_records.read_flow(issuance_id);
+		} catch (error) {
+			if (error.code !== FLOWS_ERRORS.FLOW_DOES_NOT_EXIST)
+				throw error;
+		}
+
+		if (!doc || doc.flow_type !== Issuance.FLOW_TYPE) {
+			const error = new Error(`Issuance ${issuance_id} was not found in issuance list`);
+			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_FOUND;
+			throw error;
+		}
+
+		const issuance = new Issuance(issuance_id, this.agent, doc.user, this.user_records, this.flow_records, this.credential_records, this.issuance_settings, this.attribute_mapper, this.card_renderer, this.connection_icon_provider, doc.connection_method, doc.selector, this.offer_policy);
+		issuance.loadDoc(doc);
+		return issuance;
+	}
+
 	/**
 	 * Gets the status of a given Issuance.
 	 * @param {string} issuance_id The ID of the Issuance to check.
-	 * @returns {IssuanceStatus} The status of the given Issuance.
+	 * @returns {Promise<IssuanceStatus>} The status of the given Issuance.
 	 */
-	get_issuance_status (issuance_id) {
+	async get_issuance_status (issuance_id) {
 		if (!issuance_id || typeof issuance_id !== 'string')
 			throw new TypeError('Invalid issuance ID was provided to issuance manager');
 
-		if (!this.issuances[issuance_id]) {
-			const error = new Error(`Issuance ${issuance_id} was not found in issuance list`);
-			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_FOUND;
-			throw error;
+		const issuance = await this.find_issuance(issuance_id);
+		return issuance.getStatus();
+	}
+
+	/**
+	 * Calls the given listener with the status of a Issuance now and every time the status changes.
+	 * @param {string} issuance_id The ID of the Issuance to watch.
+	 * @param {function} listener Called with a IssuanceStatus.
+	 * @returns {Promise<function>} A promise that resolves with a function that stops watching the Issuance.
+	 */
+	async watch_issuance (issuance_id, listener) {
+		if (!issuance_id || typeof issuance_id !== 'string')
+			throw new TypeError('Invalid issuance ID was provided to issuance manager');
+		if (typeof listener !== 'function')
+			throw new TypeError('Invalid listener was provided to issuance manager');
+
+		const issuance = await this.find_issuance(issuance_id);
+		listener(issuance.getStatus());
+
+		if (this.issuances[issuance_id] === issuance) {
+			issuance.on('status', listener);
+			return () => {
+				issuance.removeListener('status', listener);
+			};
 		}
 
-		return this.issuances[issuance_id].getStatus();
+		// Issuances that are running in another instance of the app can only be followed through the flow records
+		return this.flow_records.watch_flow(issuance_id, (doc) => {
+			issuance.loadDoc(doc);
+			listener(issuance.getStatus());
+		});
 	}
 
 	/**
-	 * Stops the given Issuance and deletes it from the issuance list.
-	 *
-	 * @param {string} issuance_id The ID of a running Issuance.
-	 * @returns {void}
+	 * Resends the offer that a TIMED_OUT Issuance is waiting on the user to answer.  Only the instance of the app that is
+	 * running the Issuance can resend its offers.
+	 * @param {string} issuance_id The ID of the Issuance.
+	 * @returns {Promise<void>} A promise that resolves when the Issuance has been told to resend the offer.
 	 */
-	delete_issuance (issuance_id) {
+	async resend_issuance (issuance_id) {
 		if (!issuance_id || typeof issuance_id !== 'string')
 			throw new TypeError('Invalid issuance ID was provided to issuance manager');
 
-		if (!this.issuances[issuance_id]) {
-			const error = new Error(`Issuance ${issuance_id} was not found in issuance list`);
-			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_FOUND;
+		const issuance = await this.find_issuance(issuance_id);
+		if (this.issuances[issuance_id] !== issuance) {
+			const error = new Error(`Issuance ${issuance_id} is running in another instance of the app`);
+			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_LOCAL;
 			throw error;
 		}
-		const issuance = this.issuances[issuance_id];
+		issuance.resend();
+	}
 
-		if ([
+	/**
+	 * Stops the given Issuance and deletes its flow record.  The record is deleted once the Issuance has given up, so that
+	 * nothing the Issuance was in the middle of can bring the record back.  An Issuance that is still running in another
+	 * instance of the app is asked to stop through its flow record, and that instance deletes the record.
+	 *
+	 * @param {string} issuance_id The ID of an Issuance.
+	 * @returns {Promise<void>} Resolves when the Issuance has been stopped and deleted, or asked to stop.
+	 */
+	async delete_issuance (issuance_id) {
+		if (!issuance_id || typeof issuance_id !== 'string')
+			throw new TypeError('Invalid issuance ID was provided to issuance manager');
+
+		const issuance = await this.find_issuance(issuance_id);
+		const running = [
 			Issuance.ISSUANCE_STEPS.FINISHED,
 			Issuance.ISSUANCE_STEPS.ERROR,
 			Issuance.ISSUANCE_STEPS.STOPPED
-		].indexOf(issuance.getStatus().status) >= 0) {
-			const error = new Error(`Issuance ${issuance_id} is already stopped`);
-			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_ALREADY_STOPPED;
-			throw error;
+		].indexOf(issuance.getStatus().status) < 0;
+
+		if (running && this.issuances[issuance_id] !== issuance) {
+			await this.flow_records.request_stop(issuance_id);
+			return;
 		}
 
-		issuance.stop();
 		delete this.issuances[issuance_id];
+		if (running)
+			await issuance.stop();
+		await this.running[issuance_id];
+		await this.flow_records.delete_flow(issuance_id);
+	}
+
+	/**
+	 * Stops a Issuance that is running in this instance of the app and forgets about it.  Used to clean up Issuances that
+	 * are stuck.
+	 * @param {string} issuance_id The ID of a Issuance.
+	 * @returns {Promise<boolean>} Resolves with true if the Issuance was running in this instance of the app, once the
+	 * Issuance has given up.
+	 */
+	async stop_flow (issuance_id) {
+		const issuance = this.issuances[issuance_id];
+		if (!issuance)
+			return false;
+
+		delete this.issuances[issuance_id];
+		await issuance.stop();
+		await this.running[issuance_id];
+		return true;
+	}
+
+	/**
+	 * Stops an Issuance that another instance of the app asked to stop, and deletes its flow record.
+	 * @param {string} issuance_id The ID of an Issuance running in this instance of the app.
+	 * @param {object} request The stop request from the flow record.
+	 * @returns {Promise<void>} A promise that resolves when the Issuance has been stopped and deleted.
+	 */
+	async stop_requested (issuance_id, request) {
+		logger.info(`Stopping issuance ${issuance_id} at the request of ${request.by}`);
+		if (await this.stop_flow(issuance_id))
+			await this.flow_records.delete_flow(issuance_id);
+	}
+
+	/**
+	 * Describes a credential that a user can be issued.
+	 * @typedef {object} EligibleCredential
+	 * @property {string} cred_def_id The ID of the credential definition.
+	 * @property {string} schema_id The ID of the schema the credential definition is based on.
+	 * @property {string} schema_name The name of the schema.
+	 * @property {string} schema_version The version of the schema.
+	 * @property {boolean} default True if this credential is issued when the user doesn't choose one.
+	 * @property {boolean} deprecated True if the schema of this credential is deprecated.
+	 */
+
+	/**
+	 * Lists the credentials a user can be issued, meaning the credential definitions whose schema attributes can all be
+	 * filled in from the user's personal info.
+	 * @param {string} user The ID of an app user.
+	 * @returns {Promise<EligibleCredential[]>} A promise that resolves with the eligible credentials, newest first.
+	 */
+	async get_eligible_credentials (user) {
+		if (!user || typeof user !== 'string')
+			throw new TypeError('Invalid user was provided to issuance manager');
+
+		const user_doc = await this.user_records.read_user(user);
+		const settings = await this.issuance_settings.read_settings();
+		const credential_definitions = await this.agent.getCredentialDefinitions();
+		if (!credential_definitions.length)
+			return [];
+
+		credential_definitions.sort(sortSchemas).reverse();
+		const default_cred_def = selectCredentialDefinition(credential_definitions, null, settings.default_cred_def_id);
+
+		const schemas = {};
+		const eligible = [];
+		for (const index in credential_definitions) {
+			const cred_def = credential_definitions[index];
+			if (!schemas[cred_def.schema_id])
+				schemas[cred_def.schema_id] = await this.agent.getCredentialSchema(cred_def.schema_id);
+			const schema = schemas[cred_def.schema_id];
+			if (!schema)
+				continue;
+
+			const renames = settings.attribute_mappings[cred_def.schema_id];
+			if (this.attribute_mapper.missingCredentialAttributes(dataAttributes(schema), user_doc.personal_info, renames).length)
+				continue;
+
+			eligible.push({
+				cred_def_id: cred_def.id,
+				schema_id: cred_def.schema_id,
+				schema_name: schema.name,
+				schema_version: schema.version,
+				default: cred_def.id === default_cred_def.id,
+				deprecated: !!settings.deprecated_schemas[cred_def.schema_id]
+			});
+		}
+		logger.debug(`${user} is eligible for ${eligible.length} of ${credential_definitions.length} credential definitions`);
+		return eligible;
+	}
+
+	/**
+	 * Checks personal info against the schema of the credential that is issued by default.
+	 * @typedef {object} AttributeCheck
+	 * @property {string} cred_def_id The ID of the default credential definition.
+	 * @property {string} schema_id The ID of the schema the credential definition is based on.
+	 * @property {string[]} attr_names The schema attributes that are filled in from user records.
+	 * @property {function(object): string[]} missing Lists the attributes that can't be filled in from the given personal
+	 * info.
+	 */
+
+	/**
+	 * Builds a check for whether personal info has everything needed to issue the default credential, so that user records
+	 * can be checked before they're created.
+	 * @returns {Promise<AttributeCheck|null>} A promise that resolves with the check, or null if this agent has no
+	 * credential definitions to check against.
+	 */
+	async get_attribute_check () {
+		const settings = await this.issuance_settings.read_settings();
+		const credential_definitions = await this.agent.getCredentialDefinitions();
+		if (!credential_definitions.length)
+			return null;
+
+		credential_definitions.sort(sortSchemas).reverse();
+		const cred_def = selectCredentialDefinition(credential_definitions, null, settings.default_cred_def_id);
+		const schema = await this.agent.getCredentialSchema(cred_def.schema_id);
+		if (!schema) {
+			const error = new Error(`Schema ${cred_def.schema_id} for credential definition ${cred_def.id} was not found`);
+			error.code = CREDENTIAL_ERRORS.CREDENTIAL_SCHEMA_LOOKUP_FAILED;
+			throw error;
+		}
+
+		const attr_names = dataAttributes(schema);
+		const renames = settings.attribute_mappings[cred_def.schema_id];
+		return {
+			cred_def_id: cred_def.id,
+			schema_id: cred_def.schema_id,
+			attr_names: attr_names,
+			missing: (personal_info) => {
+				return this.attribute_mapper.missingCredentialAttributes(attr_names, personal_info, renames);
+			}
+		};
+	}
+
+	/**
+	 * Describes what was found when a user's issued credentials were checked against their personal info.
+	 * @typedef {object} ReissueCheck
+	 * @property {UserReissue|null} reissue The out of date credentials that were flagged on the user record, or null if
+	 * the user's credentials are up to date.
+	 * @property {ReissuedCredential[]} issuances The updated credentials that were offered to the user right away.  Only
+	 * offered when the reissuance settings allow it and the user has a linked connection.
+	 */
+
+	/**
+	 * Checks the credentials issued to a user against the user's current personal info, and flags the ones whose
+	 * attributes would come out differently if they were issued today.  Clears the flag if none would.  Meant to be
+	 * called after a user's personal info changes.
+	 * @param {string} user The ID of an app user.
+	 * @returns {Promise<ReissueCheck>} A promise that resolves with the out of date credentials.
+	 */
+	async check_reissue (user) {
+		if (!user || typeof user !== 'string')
+			throw new TypeError('Invalid user was provided to issuance manager');
+
+		const user_doc = await this.user_records.read_user(user);
+		const settings = await this.issuance_settings.read_settings();
+
+		// Credentials recorded without their attributes can't be checked
+		const records = (await this.credential_records.read_user_credentials(user)).filter((record) => {
+			return record.state === ISSUED_CREDENTIAL_STATES.ISSUED && record.attributes;
+		});
+		const credential_definitions = records.length ? await this.agent.getCredentialDefinitions() : [];
+
+		const credentials = [];
+		const attributes = [];
+		for (const record of records) {
+			const cred_def = credential_definitions.find((def) => {
+				return def.id === record.cred_def_id;
+			});
+			const renames = cred_def ? settings.attribute_mappings[cred_def.schema_id] : undefined;
+			const stale = staleAttributes(this.attribute_mapper, record.attributes, user_doc.personal_info, renames);
+			if (!stale.length)
+				continue;
+
+			credentials.push(record._id);
+			for (const attr_name of stale) {
+				if (attributes.indexOf(attr_name) < 0)
+					attributes.push(attr_name);
+			}
+		}
+
+		if (!credentials.length) {
+			if (user_doc.reissue)
+				await this.user_records.set_reissue(user, null);
+			return {reissue: null, issuances: []};
+		}
+
+		const reissue = {
+			credentials: credentials,
+			attributes: attributes.sort(),
+			flagged: Date.now()
+		};
+		logger.info(`Credentials ${JSON.stringify(credentials)} issued to ${user} are out of date.  Changed attributes: ${JSON.stringify(reissue.attributes)}`);
+		await this.user_records.set_reissue(user, reissue);
+
+		let issuances = [];
+		if (settings.reissuance.auto_offer && user_doc.connection && user_doc.connection.id)
+			issuances = await this.reissue_credentials(user);
+		return {reissue: reissue, issuances: issuances};
+	}
+
+	/**
+	 * Describes an issuance that was started to replace an out of date credential.
+	 * @typedef {object} ReissuedCredential
+	 * @property {string} cred_def_id The credential definition the credential is issued from.
+	 * @property {string} issuance_id The ID of the Issuance.
+	 */
+
+	/**
+	 * Offers updated versions of a user's out of date credentials, one for each credential definition they were issued
+	 * from.  The offers go over the user's linked connection, or in-band to the agent named on the user record.  Once an
+	 * updated credential is accepted, the credential it replaces is marked superseded, or revoked if the reissuance
+	 * settings say so.
+	 * @param {string} user The ID of an app user whose credentials were flagged by check_reissue.
+	 * @returns {Promise<ReissuedCredential[]>} A promise that resolves with the Issuances that were started.
+	 */
+	async reissue_credentials (user) {
+		if (!user || typeof user !== 'string')
+			throw new TypeError('Invalid user was provided to issuance manager');
+
+		const user_doc = await this.user_records.read_user(user);
+		const flagged = user_doc.reissue ? user_doc.reissue.credentials : [];
+
+		const cred_def_ids = [];
+		for (const credential_id of flagged) {
+			let record;
+			try {
+				record = await this.credential_records.read_credential(credential_id);
+			} catch (error) {
+				if (error.code === ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_DOES_NOT_EXIST)
+					continue;
+				throw error;
+			}
+			if (record.state === ISSUED_CREDENTIAL_STATES.ISSUED && cred_def_ids.indexOf(record.cred_def_id) < 0)
+				cred_def_ids.push(record.cred_def_id);
+		}
+
+		if (!cred_def_ids.length) {
+			if (user_doc.reissue)
+				await this.user_records.set_reissue(user, null);
+			const error = new Error(`${user} does not have any out of date credentials`);
+			error.code = ISSUANCE_MANAGER_ERRORS.REISSUE_NOT_NEEDED;
+			throw error;
+		}
+
+		const issuances = [];
+		for (const cred_def_id of cred_def_ids) {
+			logger.info(`Reissuing credential definition ${cred_def_id} to ${user}`);
+			const issuance_id = await this.create_issuance(user, 'in_band', {cred_def_id: cred_def_id});
+			issuances.push({cred_def_id: cred_def_id, issuance_id: issuance_id});
+		}
+		return issuances;
+	}
+
+	/**
+	 * Retires the credentials that a newly issued credential replaces, meaning the user's other credentials from the same
+	 * credential definition.  They're marked superseded, and revoked first if the reissuance settings say so, revocation
+	 * is turned on, and the credential definition supports revocation.  Clears them from the user's reissue flag.  The new credential has
+	 * already been issued at this point, so failures are logged rather than thrown.
+	 * @param {string} user The ID of an app user.
+	 * @param {string} credential_id The ID of the credential that was just issued to the user.
+	 * @returns {Promise<void>} A promise that resolves when the previous credentials have been retired.
+	 */
+	async replace_previous_credentials (user, credential_id) {
+		let replaced = [];
+		try {
+			const record = await this.credential_records.read_credential(credential_id);
+			const settings = await this.issuance_settings.read_settings();
+			const revoke = settings.reissuance.previous_credential === PREVIOUS_CREDENTIAL_ACTIONS.REVOKE;
+
+			replaced = (await this.credential_records.read_user_credentials(user)).filter((previous) => {
+				return previous._id !== credential_id && previous.state === ISSUED_CREDENTIAL_STATES.ISSUED &&
+					previous.cred_def_id === record.cred_def_id;
+			});
+
+			for (const previous of replaced) {
+				let revoked = false;
+				try {
+					if (revoke && this.revocation && previous.revocable) {
+						await this.revoke_credential(previous._id, `Replaced by credential ${credential_id}`);
+						revoked = true;
+					}
+					await this.credential_records.supersede_credential(previous._id, credential_id);
+					if (this.audit_log)
+						await this.audit_log.record_event({
+							actor: user,
+							action: AUDIT_ACTIONS.CREDENTIAL_SUPERSEDE,
+							target: previous._id,
+							outcome: AUDIT_OUTCOMES.SUCCESS,
+							details: {superseded_by: credential_id, revoked: revoked}
+						});
+				} catch (error) {
+					logger.error(`Failed to retire credential ${previous._id}, which was replaced by ${credential_id}: ${error}`);
+					if (this.audit_log)
+						await this.audit_log.record_event({
+							actor: user,
+							action: AUDIT_ACTIONS.CREDENTIAL_SUPERSEDE,
+							target: previous._id,
+							outcome: AUDIT_OUTCOMES.FAILURE,
+							details: {superseded_by: credential_id, revoked: revoked, error: error.code, reason: error.message}
+						});
+				}
+			}
+		} catch (error) {
+			logger.error(`Failed to look up the credentials replaced by ${credential_id}: ${error}`);
+		}
+
+		try {
+			const user_doc = await this.user_records.read_user(user);
+			if (!user_doc.reissue)
+				return;
+
+			const replaced_ids = replaced.map((previous) => {
+				return previous._id;
+			});
+			const remaining = user_doc.reissue.credentials.filter((flagged_id) => {
+				return replaced_ids.indexOf(flagged_id) < 0;
+			});
+			if (remaining.length !== user_doc.reissue.credentials.length)
+				await this.user_records.set_reissue(user, remaining.length ? Object.assign({}, user_doc.reissue, {credentials: remaining}) : null);
+		} catch (error) {
+			logger.error(`Failed to update the reissue flag for ${user}: ${error}`);
+		}
+	}
+
+	/**
+	 * Revokes a credential that was issued to a user.  Verifiers that ask for proof of non-revocation will no longer
+	 * accept the credential.
+	 * @param {string} credential_id The ID of an issued credential.
+	 * @param {string} [reason] Why the credential is being revoked.
+	 * @returns {Promise<IssuedCredential>} A promise that resolves with the updated record of the credential.
+	 */
+	async revoke_credential (credential_id, reason) {
+		if (!credential_id || typeof credential_id !== 'string')
+			throw new TypeError('Invalid credential ID was provided to issuance manager');
+		if (!this.revocation) {
+			const error = new Error('Credential revocation is turned off');
+			error.code = ISSUANCE_MANAGER_ERRORS.REVOCATION_DISABLED;
+			throw error;
+		}
+
+		const record = await this.credential_records.read_credential(credential_id);
+		if (record.state === ISSUED_CREDENTIAL_STATES.REVOKED) {
+			const error = new Error(`Credential ${credential_id} has already been revoked`);
+			error.code = ISSUANCE_MANAGER_ERRORS.CREDENTIAL_ALREADY_REVOKED;
+			throw error;
+		}
+		if (!record.revocable) {
+			const error = new Error(`Credential ${credential_id} was issued under credential definition ${record.cred_def_id}, which does not support revocation`);
+			error.code = ISSUANCE_MANAGER_ERRORS.CREDENTIAL_NOT_REVOCABLE;
+			throw error;
+		}
+
+		logger.info(`Revoking credential ${credential_id} issued to ${record.user}`);
+		let credential;
+		try {
+			credential = await this.agent.updateCredential(credential_id, ISSUED_CREDENTIAL_STATES.REVOKED);
+		} catch (error) {
+			logger.error(`Failed to revoke credential ${credential_id}: ${error}`);
+			error.code = ISSUANCE_MANAGER_ERRORS.CREDENTIAL_REVOCATION_FAILED;
+			throw error;
+		}
+		// Agents that don't support revocation can accept the update without revoking anything
+		if (!credential || credential.state !== ISSUED_CREDENTIAL_STATES.REVOKED) {
+			const error = new Error(`The agent did not revoke credential ${credential_id}, it is ${credential ? credential.state : 'missing'}`);
+			error.code = ISSUANCE_MANAGER_ERRORS.CREDENTIAL_REVOCATION_FAILED;
+			logger.error(error.message);
+			throw error;
+		}
+		logger.info(`Revoked credential ${credential_id}`);
+
+		return this.credential_records.revoke_credential(credential_id, reason);
 	}
 }
 exports.IssuanceManager = IssuanceManager;
 
 const ISSUANCE_MANAGER_ERRORS = {
 	ISSUANCE_NOT_FOUND: 'ISSUANCE_NOT_FOUND',
-	ISSUANCE_ALREADY_STOPPED: 'ISSUANCE_ALREADY_STOPPED'
+	ISSUANCE_ALREADY_STOPPED: 'ISSUANCE_ALREADY_STOPPED',
+	ISSUANCE_NOT_TIMED_OUT: 'ISSUANCE_NOT_TIMED_OUT',
+	ISSUANCE_NOT_LOCAL: 'ISSUANCE_NOT_LOCAL',
+	CREDENTIAL_ALREADY_REVOKED: 'CREDENTIAL_ALREADY_REVOKED',
+	CREDENTIAL_NOT_REVOCABLE: 'CREDENTIAL_NOT_REVOCABLE',
+	CREDENTIAL_REVOCATION_FAILED: 'CREDENTIAL_REVOCATION_FAILED',
+	REVOCATION_DISABLED: 'REVOCATION_DISABLED',
+	REISSUE_NOT_NEEDED: 'REISSUE_NOT_NEEDED'
 };
 exports.ISSUANCE_MANAGER_ERRORS = ISSUANCE_MANAGER_ERRORS;
 
@@ -128,11 +658,11 @@ exports.ISSUANCE_MANAGER_ERRORS = ISSUANCE_MANAGER_ERRORS;
  * this class has methods to start, stop, and check the status of the flow.  This allows the UI to be able to keep track
  * of where the flow is and update the user accordingly.
  */
-class Issuance {
+class Issuance extends EventEmitter {
 
 	/**
 	 * @enum {string}
-	 * @returns {{CREATED: string, BUILDING_CREDENTIAL: string, ESTABLISHING_CONNECTION: string, ISSUING_CREDENTIAL: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
+	 * @returns {{CREATED: string, BUILDING_CREDENTIAL: string, ESTABLISHING_CONNECTION: string, ISSUING_CREDENTIAL: string, TIMED_OUT: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
 	 * @constructor
 	 */
 	static get ISSUANCE_STEPS () {
@@ -141,12 +671,20 @@ class Issuance {
 			BUILDING_CREDENTIAL: 'BUILDING_CREDENTIAL',
 			ESTABLISHING_CONNECTION: 'ESTABLISHING_CONNECTION',
 			ISSUING_CREDENTIAL: 'ISSUING_CREDENTIAL',
+			TIMED_OUT: 'TIMED_OUT',
 			FINISHED: 'FINISHED',
 			STOPPED: 'STOPPED',
 			ERROR: 'ERROR'
 		};
 	}
 
+	/**
+	 * @returns {string} The flow type of Issuances in the flow records.
+	 */
+	static get FLOW_TYPE () {
+		return 'issuance';
+	}
+
 	/**
 	 * Describes a method for establishing a connection with another agent.  Out-of-band connections require a user to
 	 * post a connection offer to their agent to establish a connection.  In-band connections only require a user to
@@ -162,16 +700,27 @@ class Issuance {
 	 * @param {Agent} agent An agent to connect to users and send credential offers.
 	 * @param {string} user The user to connect with.
 	 * @param {Users} user_records The database of app Users where personal information is stored.
+	 * @param {Flows} flow_records The database where the state of the Issuance is saved.
+	 * @param {IssuedCredentials} credential_records The database where issued credentials are recorded.
+	 * @param {IssuanceSettings} issuance_settings Decides which credential is issued and where its attributes come from.
+	 * @param {AttributeMapper} attribute_mapper Builds credential attributes from user records.
 	 * @param {CardRenderer} card_renderer The handler for creating credential images from user data.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
 	 * @param {ConnectionMethod} connection_method The method for establishing the connection to the user
+	 * @param {CredentialSelector} [selector] Which credential to issue.
+	 * @param {OfferPolicy} [offer_policy] Decides how long to wait on the user and how to resend offers.
 	 */
-	constructor (id, agent, user, user_records, card_renderer, connection_icon_provider, connection_method) {
+	constructor (id, agent, user, user_records, flow_records, credential_records, issuance_settings, attribute_mapper, card_renderer, connection_icon_provider, connection_method, selector, offer_policy) {
+		super();
 		this.id = id;
 		this.agent = agent;
 		this.user = user;
 		this.agent_name = null; // acquired from the user records.
 		this.user_records = user_records;
+		this.flow_records = flow_records;
+		this.credential_records = credential_records;
+		this.issuance_settings = issuance_settings;
+		this.attribute_mapper = attribute_mapper;
 		this.status = Issuance.ISSUANCE_STEPS.CREATED;
 		this.card_renderer = card_renderer;
 		this.error = null;
@@ -179,28 +728,34 @@ class Issuance {
 		this.connection_offer = null;
 		this.credential = null;
 		this.connection_method = connection_method;
+		this.selector = selector ? selector : {};
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
+		this.timed_out = null;
+		this.warning = null;
+		this.stopped = false;
 	}
 
 	/**
-	 * Starts the Issuance and begins delivering a credential to the user.
+	 * Starts the Issuance and begins delivering a credential to the user.  The Issuance checks whether it was stopped
+	 * every time it gets back from waiting on something, and gives up if it was.
 	 * @returns {Promise<void>} Resolves when the issuance has finished, been stopped, or had an error.
 	 */
 	async start () {
-		// Get icon to use for connection and credential
-		const icon = await this.connection_icon_provider.getImage();
-
 		try {
+			// Get icon to use for connection and credential
+			const icon = await this.connection_icon_provider.getImage();
+			this.checkStopped();
 
 			logger.info(`Starting credential issuance flow ${this.id}`);
 
-			this.status = Issuance.ISSUANCE_STEPS.BUILDING_CREDENTIAL;
+			await this.setStatus(Issuance.ISSUANCE_STEPS.BUILDING_CREDENTIAL);
 
 			logger.info(`Getting credential data for ${this.user}`);
 			const user_doc = await this.user_records.read_user(this.user);
-
-
+			this.checkStopped();
 
 			const my_credential_definitions = await this.agent.getCredentialDefinitions();
+			this.checkStopped();
 			logger.debug(`${this.agent.user}'s list of credential definitions: ${JSON.stringify(my_credential_definitions, 0, 1)}`);
 
 			if (!my_credential_definitions.length) {
@@ -210,48 +765,62 @@ class Issuance {
 			}
 
 			my_credential_definitions.sort(sortSchemas).reverse();
-			const schema_id = my_credential_definitions[0].schema_id;
-			logger.debug(`Issuing credential with schema ${schema_id}`);
+			const settings = await this.issuance_settings.read_settings();
+			this.checkStopped();
+			const cred_def = selectCredentialDefinition(my_credential_definitions, this.selector, settings.default_cred_def_id);
+			const schema_id = cred_def.schema_id;
+			logger.debug(`Issuing credential with credential definition ${cred_def.id} and schema ${schema_id}`);
 
 			const schema = await this.agent.getCredentialSchema(schema_id);
+			this.checkStopped();
 			if (!schema) {
 				const err = new Error('Failed to lookup the selected schema');
 				err.code = CREDENTIAL_ERRORS.CREDENTIAL_SCHEMA_LOOKUP_FAILED;
 				throw err;
 			}
 
-			logger.debug(`User record: ${JSON.stringify(user_doc)}`);
-			const attributes = {};
-			for (const index in schema.attr_names) {
-				const attr_name = schema.attr_names[index];
-				// Certain attributes are supposed to contain rendered images of the credential
-				if (attr_name === 'card_front') {
-					attributes[attr_name] = await this.card_renderer.createCardFront(user_doc.personal_info);
-				} else if (attr_name === 'card_back') {
-					attributes[attr_name] = await this.card_renderer.createCardBack(user_doc.personal_info);
-				} else {
+			const deprecation = settings.deprecated_schemas[schema_id];
+			if (deprecation) {
+				this.warning = {
+					code: CREDENTIAL_WARNINGS.CREDENTIAL_SCHEMA_DEPRECATED,
+					message: `Issuing a credential based on schema ${schema_id}, which is deprecated${deprecation.reason ? `: ${deprecation.reason}` : ''}`,
+					replaced_by: deprecation.replaced_by
+				};
+				logger.warn(`Issuance ${this.id}: ${this.warning.message}`);
+			}
 
-					// Make sure the user has data for this attribute
-					if (!user_doc.personal_info || [ 'string', 'number' ].indexOf(typeof user_doc.personal_info[attr_name]) < 0) {
-						const err = new Error(`User record was missing data '${attr_name}', which is required for creating a credential`);
-						err.code = CREDENTIAL_ERRORS.CREDENTIAL_INVALID_USER_ATTRIBUTES;
-						throw err;
-					}
-					if (typeof user_doc.personal_info[attr_name] === 'number')
-						attributes[attr_name] = '' + user_doc.personal_info[attr_name];
-					else
-						attributes[attr_name] = user_doc.personal_info[attr_name];
-				}
+			logger.debug(`User record: ${JSON.stringify(user_doc)}`);
+			let attributes;
+			try {
+				attributes = this.attribute_mapper.toCredential(dataAttributes(schema), user_doc.personal_info, settings.attribute_mappings[schema_id]);
+			} catch (error) {
+				if (error.code === ATTRIBUTE_MAPPER_ERRORS.REQUIRED_ATTRIBUTE_MISSING)
+					error.message = `User record was missing data required for creating a credential. ${error.message}`;
+				error.code = CREDENTIAL_ERRORS.CREDENTIAL_INVALID_USER_ATTRIBUTES;
+				throw error;
 			}
 
-			this.status = Issuance.ISSUANCE_STEPS.ESTABLISHING_CONNECTION;
+			// Certain attributes are supposed to contain rendered images of the credential
+			if (schema.attr_names.indexOf('card_front') >= 0)
+				attributes.card_front = await this.card_renderer.createCardFront(user_doc.personal_info);
+			if (schema.attr_names.indexOf('card_back') >= 0)
+				attributes.card_back = await this.card_renderer.createCardBack(user_doc.personal_info);
+
+			await this.setStatus(Issuance.ISSUANCE_STEPS.ESTABLISHING_CONNECTION);
 			logger.info(`Connection to user via the ${this.connection_method} method`);
 			const connection_opts = icon ? {icon: icon} : null;
+			const linked_connection = await Helpers.findLinkedConnection(this.agent, user_doc);
+			this.checkStopped();
 			let connection;
 
 			try {
 
-				if (this.connection_method === 'in_band') {
+				if (linked_connection) {
+
+					logger.info(`Reusing connection ${linked_connection.id}, which is linked to ${this.user}`);
+					connection = linked_connection;
+
+				} else if (this.connection_method === 'in_band') {
 
 					if (!user_doc.opts || !user_doc.opts.agent_name) {
 						const err = new Error('User record does not have an associated agent name');
@@ -266,16 +835,26 @@ class Issuance {
 						else
 							connection_to = {name: connection_to};
 					}
-					logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
-					this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
-					logger.info(`Sent connection offer ${this.connection_offer.id} to ${user_doc.opts.agent_name}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
+						logger.info(`Sent connection offer ${this.connection_offer.id} to ${user_doc.opts.agent_name}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else if (this.connection_method === 'out_of_band') {
 
-					this.connection_offer = await this.agent.createConnection(null, connection_opts);
-					logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(null, connection_opts);
+						logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else {
 					const error = new Error(`An invalid connection method was used: ${this.connection_method}`);
@@ -295,30 +874,41 @@ class Issuance {
 			}
 			logger.info(`Established connection ${connection.id}.  Their DID: ${connection.remote.pairwise.did}`);
 
-			this.status = Issuance.ISSUANCE_STEPS.ISSUING_CREDENTIAL;
+			await this.setStatus(Issuance.ISSUANCE_STEPS.ISSUING_CREDENTIAL);
 
-			logger.info(`Sending credential offer to ${connection.remote.pairwise.did}`);
-			try {
-				this.credential = await this.agent.offerCredential({
-					did: connection.remote.pairwise.did
-				}, {
-					schema_name: schema.name,
-					schema_version: schema.version
-				}, attributes, {
-					icon: icon
-				});
-			} catch (error) {
-				logger.error(`Failed to offer credential. Deleting connection ${connection.id}. error: ${error}`);
-				error.code = error.code ? error.code : CREDENTIAL_ERRORS.CREDENTIAL_CONNECTION_FAILED;
-				await this.agent.deleteConnection(connection.id);
-				throw error;
-			}
-
-			logger.info(`Waiting for credential offer acceptance for credential ${this.credential.id}`);
+			let offered;
 			let finished_credential;
 			try {
-				finished_credential = await this.agent.waitForCredential(this.credential.id, 30, 3000);
+				finished_credential = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CREDENTIAL, async () => {
+					logger.info(`Sending credential offer to ${connection.remote.pairwise.did}`);
+					this.credential = null;
+					try {
+						this.credential = await this.agent.offerCredential({
+							did: connection.remote.pairwise.did
+						}, cred_def.id, attributes, {
+							icon: icon
+						});
+					} catch (error) {
+						logger.error(`Failed to offer credential. error: ${error}`);
+						error.code = error.code ? error.code : CREDENTIAL_ERRORS.CREDENTIAL_CONNECTION_FAILED;
+						if (!linked_connection) {
+							logger.info(`Deleting connection ${connection.id}`);
+							await this.agent.deleteConnection(connection.id);
+						}
+						throw error;
+					}
+
+					offered = Date.now();
+					this.checkStopped();
+					await this.save();
+					logger.info(`Waiting for credential offer acceptance for credential ${this.credential.id}`);
+					return this.credential.id;
+				}, this.agent.waitForCredential.bind(this.agent), this.agent.deleteCredential.bind(this.agent));
 			} catch (error) {
+				// The offer couldn't be sent, and the connection was already cleaned up
+				if (!this.credential)
+					throw error;
+
 				logger.error(`Failed to deliver credential ${this.credential.id}.  Deleting credential. error: ${error}`);
 				error.code = error.code ? error.code : CREDENTIAL_ERRORS.CREDENTIAL_OFFER_FAILED;
 				await this.agent.deleteCredential(this.credential.id);
@@ -327,8 +917,22 @@ class Issuance {
 
 			logger.info(`Final state for credential ${finished_credential.id}: ${finished_credential.state}`);
 			if (finished_credential.state === 'issued') {
+				// The credential was issued whether or not the Issuance was stopped in the meantime, so it still gets recorded
 				logger.info(`Issued credential ${finished_credential.id} to ${connection.remote.pairwise.did}`);
-				this.status = Issuance.ISSUANCE_STEPS.FINISHED;
+				await this.recordCredential({
+					_id: finished_credential.id,
+					flow_id: this.id,
+					cred_def_id: finished_credential.credential_definition_id,
+					schema_name: schema.name,
+					schema_version: schema.version,
+					attributes: attributes,
+					connection_id: connection.id,
+					connection_did: connection.remote.pairwise.did,
+					offered: offered,
+					issued: Date.now()
+				}, my_credential_definitions);
+				await Helpers.linkConnection(this.user_records, user_doc, connection);
+				await this.setStatus(Issuance.ISSUANCE_STEPS.FINISHED);
 			} else {
 				const error = new Error(`Offered credential ${finished_credential.id} was not accepted by ${connection.remote.pairwise.did}. Deleting credential.`);
 				error.code = CREDENTIAL_ERRORS.CREDENTIAL_NOT_ACCEPTED;
@@ -338,20 +942,156 @@ class Issuance {
 			}
 
 		} catch (error) {
+			if (this.status === Issuance.ISSUANCE_STEPS.STOPPED) {
+				logger.info(`Credential issuance flow ${this.id} gave up because it was stopped: ${error}`);
+				return;
+			}
 			logger.error(`Issuance failed: ${error}`);
-			this.status = Issuance.ISSUANCE_STEPS.ERROR;
 			this.error = error;
+			await this.setStatus(Issuance.ISSUANCE_STEPS.ERROR);
+		}
+	}
+
+	/**
+	 * Makes the Issuance give up if it was stopped while it was waiting on something.
+	 * @returns {void}
+	 */
+	checkStopped () {
+		if (this.status !== Issuance.ISSUANCE_STEPS.STOPPED)
+			return;
+		const error = new Error(`Credential issuance flow ${this.id} was stopped`);
+		error.code = FLOWS_ERRORS.FLOW_STOPPED;
+		throw error;
+	}
+
+	/**
+	 * Records a delivered credential in the user's credential history so that admins can see what was issued and revoke it
+	 * later.  The credential has already been issued at this point, so failures are logged rather
+	 * than thrown.
+	 * @param {object} record Information on the issued credential.  See IssuedCredential.
+	 * @param {CredentialDefinition[]} credential_definitions This agent's credential definitions.
+	 * @returns {Promise<void>} Resolves when the credential has been recorded.
+	 */
+	async recordCredential (record, credential_definitions) {
+		const cred_def = credential_definitions.find((def) => {
+			return def.id === record.cred_def_id;
+		});
+
+		record.user = this.user;
+		// Credential definitions that support revocation come with a revocation key
+		record.revocable = !!(cred_def && cred_def.data && cred_def.data.value && cred_def.data.value.revocation);
+		try {
+			await this.credential_records.record_credential(record);
+		} catch (error) {
+			logger.error(`Failed to record credential ${record._id} issued to ${this.user}: ${error}`);
 		}
 	}
 
 	/**
-	 * Stops this Issuance, meaning that the Issuance will still finish whatever the current issuance task is, such as
-	 * issuing a credential offer, but will cease activity before the next task.
+	 * Resends the offer that the user didn't answer in time.  The Issuance must be TIMED_OUT.
 	 * @returns {void}
 	 */
-	stop () {
+	resend () {
+		if (this.status !== Issuance.ISSUANCE_STEPS.TIMED_OUT) {
+			const error = new Error(`Issuance ${this.id} is not waiting to resend an offer`);
+			error.code = ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_TIMED_OUT;
+			throw error;
+		}
+		logger.info(`Resending the ${this.timed_out.stage} offer for credential issuance flow ${this.id}`);
+		this.emit('resend');
+	}
+
+	/**
+	 * Stops this Issuance.  Offers the Issuance is waiting on are given up on and deleted, and the Issuance doesn't start
+	 * its next task.  Nothing is saved after the stopped state, so deleting the flow record afterwards is final.
+	 * @returns {Promise<void>} Resolves when the stopped state has been saved.
+	 */
+	async stop () {
 		logger.info(`Stopping credential issuance flow ${this.id}`);
 		this.status = Issuance.ISSUANCE_STEPS.STOPPED;
+		await this.save();
+		this.stopped = true;
+	}
+
+	/**
+	 * Moves the Issuance to the given step and saves the new state to the flow records.
+	 * @param {ISSUANCE_STEPS} status The new status of the Issuance.
+	 * @returns {Promise<void>} Resolves when the new state has been saved.
+	 */
+	async setStatus (status) {
+		this.checkStopped();
+		this.status = status;
+		await this.save();
+	}
+
+	/**
+	 * Saves the state of the Issuance to the flow records and lets anyone watching the Issuance know about the new state.  Failing to save the state shouldn't break an Issuance that is
+	 * running in this instance of the app, so errors are logged instead of thrown.
+	 * @returns {Promise<void>} Resolves when the state has been saved.
+	 */
+	async save () {
+		// Once the stopped state is saved, the flow record belongs to whoever stopped the Issuance
+		if (this.stopped)
+			return;
+		try {
+			await this.flow_records.save_flow(this.toDoc());
+		} catch (error) {
+			logger.error(`Failed to save the state of issuance ${this.id}: ${error}`);
+		}
+		this.emit('status', this.getStatus());
+	}
+
+	/**
+	 * Builds a flow record describing the state of the Issuance.
+	 * @returns {object} A flow record for the Issuance.
+	 */
+	toDoc () {
+		const doc = {
+			_id: this.id,
+			flow_type: Issuance.FLOW_TYPE,
+			user: this.user,
+			status: this.status,
+			connection_method: this.connection_method,
+			selector: this.selector
+		};
+
+		if (this.connection_offer)
+			doc.connection_offer = this.connection_offer;
+
+		if (this.credential)
+			doc.credential = {id: this.credential.id};
+
+		if (this.timed_out)
+			doc.timed_out = this.timed_out;
+
+		if (this.warning)
+			doc.warning = this.warning;
+
+		if (this.error)
+			doc.error = {
+				code: this.error.code ? this.error.code : CREDENTIAL_ERRORS.CREDENTIAL_UNKNOWN_ERROR,
+				message: this.error.message
+			};
+
+		return doc;
+	}
+
+	/**
+	 * Restores the state of the Issuance from a flow record.
+	 * @param {object} doc A flow record created by toDoc().
+	 * @returns {void}
+	 */
+	loadDoc (doc) {
+		this.status = doc.status;
+		this.connection_offer = doc.connection_offer ? doc.connection_offer : null;
+		this.credential = doc.credential ? doc.credential : null;
+		this.timed_out = doc.timed_out ? doc.timed_out : null;
+		this.warning = doc.warning ? doc.warning : null;
+		this.error = null;
+		if (doc.error) {
+			this.error = new Error(doc.error.message);
+			this.error.code = doc.error.code;
+		}
 	}
 
 	/**
@@ -361,6 +1101,17 @@ class Issuance {
 	 * @property {string} [reason] A description of the error code.  Only present if the status is ERROR.
 	 * @property {object} [connection_offer] A connection offer.  Only present if the status is ESTABLISHING_CONNECTION.
 	 * @property {string} [credential] A credential offer ID. Only present if the status is ISSUING_CREDENTIAL.
+	 * @property {TimedOutOffer} [timed_out] The offer the user didn't answer in time.  Only present if the status is
+	 * TIMED_OUT, meaning the offer can be resent.
+	 * @property {CredentialWarning} [warning] Something the admin should know about the credential being issued.
+	 */
+
+	/**
+	 * Describes a problem with a credential that doesn't stop it from being issued.
+	 * @typedef {object} CredentialWarning
+	 * @property {CREDENTIAL_WARNINGS} code What kind of problem it is.
+	 * @property {string} message A description of the problem.
+	 * @property {string|null} [replaced_by] The ID of the schema that replaces a deprecated schema.
 	 */
 
 	/**
@@ -387,6 +1138,12 @@ class Issuance {
 				id: this.credential.id
 			};
 
+		if (this.status === Issuance.ISSUANCE_STEPS.TIMED_OUT && this.timed_out)
+			ret.timed_out = this.timed_out;
+
+		if (this.warning)
+			ret.warning = this.warning;
+
 		return ret;
 	}
 }
@@ -402,6 +1159,72 @@ function sortSchemas (a, b) {
 	return semverCompare(a.schema_version, b.schema_version);
 }
 
+/**
+ * Picks the credential definition to issue from.
+ * @param {CredentialDefinition[]} credential_definitions This agent's credential definitions, newest first.
+ * @param {CredentialSelector} [selector] Which credential to issue.
+ * @param {string|null} default_cred_def_id The credential definition to issue when the selector doesn't pick one.
+ * @returns {CredentialDefinition} The credential definition to issue from.
+ */
+function selectCredentialDefinition (credential_definitions, selector, default_cred_def_id) {
+	let matches = credential_definitions;
+	if (selector && selector.cred_def_id) {
+		matches = credential_definitions.filter((cred_def) => {
+			return cred_def.id === selector.cred_def_id;
+		});
+	} else if (selector && selector.schema_id) {
+		matches = credential_definitions.filter((cred_def) => {
+			return cred_def.schema_id === selector.schema_id;
+		});
+	} else if (default_cred_def_id) {
+		// Fall back to the newest credential definition if the default one is gone
+		const default_cred_def = credential_definitions.find((cred_def) => {
+			return cred_def.id === default_cred_def_id;
+		});
+		if (default_cred_def)
+			return default_cred_def;
+		logger.warn(`Default credential definition ${default_cred_def_id} was not found`);
+	}
+
+	if (!matches.length) {
+		const error = new Error(`No credential definition matched ${JSON.stringify(selector)}`);
+		error.code = CREDENTIAL_ERRORS.CREDENTIAL_DEFINITION_NOT_FOUND;
+		throw error;
+	}
+	return matches[0];
+}
+
+/**
+ * Finds the attributes of an issued credential that would come out differently if they were built from the given
+ * personal info, including the ones that can't be built at all anymore.
+ * @param {AttributeMapper} attribute_mapper Builds credential attributes from user records.
+ * @param {object} issued_attributes The attributes the credential was issued with, without images.
+ * @param {object} [personal_info] The user's current personal info.
+ * @param {object} [renames] The attribute mapping for the credential's schema.
+ * @returns {string[]} The names of the attributes that changed.
+ */
+function staleAttributes (attribute_mapper, issued_attributes, personal_info, renames) {
+	const attr_names = Object.keys(issued_attributes);
+	const missing = attribute_mapper.missingCredentialAttributes(attr_names, personal_info, renames);
+	const current = attribute_mapper.toCredential(attr_names.filter((attr_name) => {
+		return missing.indexOf(attr_name) < 0;
+	}), personal_info, renames);
+	return attr_names.filter((attr_name) => {
+		return missing.indexOf(attr_name) >= 0 || current[attr_name] !== '' + issued_attributes[attr_name];
+	});
+}
+
+/**
+ * Gets the attributes of a schema that are filled in from user records, rather than rendered as images.
+ * @param {object} schema A credential schema.
+ * @returns {string[]} The names of the attributes.
+ */
+function dataAttributes (schema) {
+	return schema.attr_names.filter((attr_name) => {
+		return attr_name !== 'card_front' && attr_name !== 'card_back';
+	});
+}
+
 exports.ISSUANCE_STEPS = Issuance.ISSUANCE_STEPS;
 
 const CREDENTIAL_ERRORS = {
@@ -413,7 +1236,17 @@ const CREDENTIAL_ERRORS = {
 	CREDENTIAL_INVALID_CONNECTION_METHOD: 'CREDENTIAL_INVALID_CONNECTION_METHOD',
 	CREDENTIAL_USER_AGENT_NOT_FOUND: 'CREDENTIAL_USER_AGENT_NOT_FOUND',
 	CREDENTIAL_UNKNOWN_ERROR: 'CREDENTIAL_UNKNOWN_ERROR',
-	CREDENTIAL_SCHEMA_LOOKUP_FAILED: 'CREDENTIAL_SCHEMA_LOOKUP_FAILED'
+	CREDENTIAL_SCHEMA_LOOKUP_FAILED: 'CREDENTIAL_SCHEMA_LOOKUP_FAILED',
+	CREDENTIAL_DEFINITION_NOT_FOUND: 'CREDENTIAL_DEFINITION_NOT_FOUND'
 };
 
 exports.CREDENTIAL_ERRORS = CREDENTIAL_ERRORS;
+
+/**
+ * Problems with a credential that don't stop it from being issued.
+ * @enum {string}
+ */
+const CREDENTIAL_WARNINGS = {
+	CREDENTIAL_SCHEMA_DEPRECATED: 'CREDENTIAL_SCHEMA_DEPRECATED'
+};
+exports.CREDENTIAL_WARNINGS = CREDENTIAL_WARNINGS;
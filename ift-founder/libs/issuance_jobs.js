@@ -0,0 +1,324 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const os = require('os');
+
+const issuance_jobs_design_doc = require('./design_docs/issuance_jobs.json');
+const DESIGN_DOC = issuance_jobs_design_doc._id.split('/')[1];
+const VIEW_ISSUANCE_JOBS_BY_CREATED = 'issuance_jobs_by_created';
+const VIEW_ISSUANCE_JOBS_BY_STATUS = 'issuance_jobs_by_status';
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * Jobs that haven't been updated in this many milliseconds are assumed to belong to an app instance that is gone.
+ * @type {number}
+ */
+const DEFAULT_STALE_AFTER = 10 * 60 * 1000;
+
+/**
+ * The number of jobs returned by read_jobs when no limit is given.
+ * @type {number}
+ */
+const DEFAULT_JOB_LIMIT = 20;
+
+/**
+ * Stores the progress of batch issuance jobs in the app's database so that admins can look up a job from any instance
+ * of the app, and after the app restarts.  Job records are kept apart from the flow records because the flow sweeper
+ * deletes finished flows, while admins need the results of a job after it is done.
+ */
+class IssuanceJobs {
+
+	/**
+	 * Constructs an IssuanceJobs instance that will manage job records in the given database.
+	 * @param {object} jobsDB A nano database instance.  Generally the same database as the user records.
+	 * @param {string} [owner] Identifies this instance of the app in the job records.  Defaults to the hostname.
+	 */
+	constructor (jobsDB, owner) {
+		if (!jobsDB || typeof jobsDB !== 'object' || typeof jobsDB.get !== 'function')
+			throw new TypeError('Issuance jobs database was not a nano database instance');
+		if (owner !== undefined && (!owner || typeof owner !== 'string'))
+			throw new TypeError('Issuance jobs owner was not a non-empty string');
+
+		this.jobsDB = jobsDB;
+		this.owner = owner ? owner : os.hostname();
+	}
+
+	/**
+	 * Publishes the couchdb design doc for looking up issuance jobs
+	 * @return {Promise<void>} A promise that resolves when the design doc is updated and rejects otherwise.
+	 */
+	async publish_design_doc () {
+
+		// Don't pollute other instances of IssuanceJobs' design docs
+		const design_doc = JSON.parse(JSON.stringify(issuance_jobs_design_doc));
+
+		logger.info('Publishing IssuanceJobs design doc');
+		try {
+			const existing_doc = await this.jobsDB.get(design_doc._id);
+			design_doc._rev = existing_doc._rev;
+		} catch (error) {
+			// If the document is missing, we'll get an error that we don't need to handle.  We'll just create it.
+		}
+
+		try {
+			const response = await this.jobsDB.insert(design_doc, null);
+			logger.debug(`IssuanceJobs design doc published. rev: ${response.rev}`);
+		} catch (error) {
+			logger.error(`Failed to publish IssuanceJobs design doc: ${error}`);
+			error.code = ISSUANCE_JOBS_ERRORS.DESIGN_DOC_PUBLISHING_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Describes the progress of one user in a batch issuance job.
+	 * @typedef {object} IssuanceJobUser
+	 * @property {string} user The ID of the user.
+	 * @property {JOB_USER_STATES} status Where the user is in the job.
+	 * @property {number} attempts The number of issuances that have been started for the user.
+	 * @property {string} [issuance_id] The ID of the user's latest issuance flow.
+	 * @property {string} [credential_id] The ID of the credential that was issued to the user.
+	 * @property {string} [error] The error code from the user's latest failed attempt, or why the user was skipped.
+	 * @property {string} [reason] A description of the error.
+	 */
+
+	/**
+	 * Describes the saved state of a batch issuance job.
+	 * @typedef {object} IssuanceJobRecord
+	 * @property {string} _id The ID of the job.
+	 * @property {string} type Always 'issuance_job'.  Distinguishes job records from user records.
+	 * @property {JOB_STATES} status Where the job is.
+	 * @property {string} owner The app instance that is running the job.
+	 * @property {string} [created_by] The admin who started the job.
+	 * @property {object} options How the users were picked and how the job issues credentials to them.
+	 * @property {object} counts The number of users in each of the JOB_USER_STATES, plus the total.
+	 * @property {IssuanceJobUser[]} users The progress of each user in the job.
+	 * @property {number} created When the job record was first saved.
+	 * @property {number} updated When the job record was last saved.
+	 * @property {number} [finished] When the job stopped running.
+	 * @property {string} [cancelled_by] The admin who cancelled the job.
+	 */
+
+	/**
+	 * Creates or updates the record for a job.
+	 * @param {object} job A job's state.  Must have an `_id`.
+	 * @returns {Promise<IssuanceJobRecord>} A promise that resolves with the saved record.
+	 */
+	async save_job (job) {
+		if (!job || typeof job !== 'object' || !job._id || typeof job._id !== 'string')
+			throw new TypeError('Issuance job record did not have an ID');
+
+		const doc = JSON.parse(JSON.stringify(job));
+		doc.type = 'issuance_job';
+		doc.owner = doc.owner ? doc.owner : this.owner;
+		doc.updated = Date.now();
+		doc.created = doc.created ? doc.created : doc.updated;
+		delete doc._rev;
+
+		try {
+			const existing_doc = await this.jobsDB.get(doc._id);
+			doc._rev = existing_doc._rev;
+		} catch (error) {
+			// A new job won't have a record yet
+		}
+
+		logger.debug(`Saving issuance job ${doc._id} with status ${doc.status}`);
+		try {
+			const response = await this.jobsDB.insert(doc, null);
+			doc._rev = response.rev;
+			return doc;
+		} catch (error) {
+			logger.error(`Failed to save issuance job ${doc._id}: ${error}`);
+			error.code = ISSUANCE_JOBS_ERRORS.JOB_SAVE_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Retrieves the record for a job.
+	 * @param {string} job_id The ID of a job.
+	 * @returns {Promise<IssuanceJobRecord>} A promise that resolves with the job record.
+	 */
+	async read_job (job_id) {
+		if (!job_id || typeof job_id !== 'string')
+			throw new TypeError('Issuance job ID was not a non-empty string');
+
+		let doc;
+		try {
+			doc = await this.jobsDB.get(job_id);
+		} catch (error) {
+			if (error.statusCode === 404) {
+				error.code = ISSUANCE_JOBS_ERRORS.JOB_DOES_NOT_EXIST;
+			} else {
+				logger.error(`Failed to read issuance job ${job_id}: ${error}`);
+				error.code = ISSUANCE_JOBS_ERRORS.UNKNOWN_JOB_READ_FAILURE;
+			}
+			throw error;
+		}
+
+		if (doc.type !== 'issuance_job') {
+			const error = new Error(`Issuance job ${job_id} could not be found`);
+			error.code = ISSUANCE_JOBS_ERRORS.JOB_DOES_NOT_EXIST;
+			throw error;
+		}
+		return doc;
+	}
+
+	/**
+	 * Retrieves the records for the most recent jobs, newest first.
+	 * @param {number} [limit] The maximum number of jobs to return.  Defaults to 20.
+	 * @returns {Promise<IssuanceJobRecord[]>} A promise that resolves with the job records.
+	 */
+	async read_jobs (limit) {
+		if (limit !== undefined && (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 1))
+			throw new TypeError('Issuance job limit must be an integer >= 1');
+
+		try {
+			const view_resp = await this.jobsDB.view(DESIGN_DOC, VIEW_ISSUANCE_JOBS_BY_CREATED, {
+				reduce: false,
+				include_docs: true,
+				descending: true,
+				limit: limit ? limit : DEFAULT_JOB_LIMIT
+			});
+			return view_resp.rows.map((row) => {
+				return row.doc;
+			});
+		} catch (error) {
+			logger.error(`Failed to read issuance jobs: ${error}`);
+			error.code = ISSUANCE_JOBS_ERRORS.UNKNOWN_JOB_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Retrieves the records for all jobs with the given statuses.
+	 * @param {string[]} statuses A list of job statuses.
+	 * @returns {Promise<IssuanceJobRecord[]>} A promise that resolves with the matching job records.
+	 */
+	async read_jobs_by_status (statuses) {
+		if (!Array.isArray(statuses) || !statuses.length)
+			throw new TypeError('Issuance job statuses must be a non-empty array');
+
+		try {
+			const view_resp = await this.jobsDB.view(DESIGN_DOC, VIEW_ISSUANCE_JOBS_BY_STATUS, {reduce: false, include_docs: true, keys: statuses});
+			return view_resp.rows.map((row) => {
+				return row.doc;
+			});
+		} catch (error) {
+			logger.error(`Failed to read issuance jobs: ${error}`);
+			error.code = ISSUANCE_JOBS_ERRORS.UNKNOWN_JOB_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Marks running jobs that can no longer finish as interrupted, so that admins know to start them again.  Jobs that
+	 * were started by this app instance before it restarted are interrupted, as are jobs that haven't been updated in a
+	 * long time, meaning the instance running them is gone.  Users that the job never got to are marked cancelled.
+	 * @param {number} [stale_after] The number of milliseconds after which a job's owner is assumed to be gone.
+	 * @returns {Promise<number>} A promise that resolves with the number of jobs that were marked interrupted.
+	 */
+	async recover_jobs (stale_after) {
+		if (stale_after !== undefined && (typeof stale_after !== 'number' || stale_after < 0))
+			throw new TypeError('Issuance job stale period must be a number >= 0');
+		stale_after = stale_after !== undefined ? stale_after : DEFAULT_STALE_AFTER;
+
+		logger.info(`Looking for issuance jobs interrupted by a restart of ${this.owner}`);
+		const jobs = await this.read_jobs_by_status([ JOB_STATES.QUEUED, JOB_STATES.RUNNING ]);
+		let recovered = 0;
+		for (const index in jobs) {
+			const job = jobs[index];
+			if (job.owner !== this.owner && Date.now() - job.updated < stale_after)
+				continue;
+
+			logger.info(`Marking issuance job ${job._id} as interrupted`);
+			job.status = JOB_STATES.INTERRUPTED;
+			job.finished = Date.now();
+			for (const job_user of job.users) {
+				if (job_user.status !== JOB_USER_STATES.PENDING && job_user.status !== JOB_USER_STATES.RUNNING)
+					continue;
+				job_user.status = JOB_USER_STATES.CANCELLED;
+				job_user.error = ISSUANCE_JOBS_ERRORS.JOB_INTERRUPTED;
+				job_user.reason = 'The job was interrupted by a restart of the app';
+			}
+			job.counts = countJobUsers(job.users);
+			try {
+				await this.save_job(job);
+				recovered++;
+			} catch (error) {
+				logger.error(`Failed to mark issuance job ${job._id} as interrupted: ${error}`);
+			}
+		}
+		logger.info(`Marked ${recovered} issuance jobs as interrupted`);
+		return recovered;
+	}
+}
+
+exports.IssuanceJobs = IssuanceJobs;
+
+/**
+ * Counts the users of a job in each state.
+ * @param {IssuanceJobUser[]} users The users of a job.
+ * @returns {object} The number of users in each of the JOB_USER_STATES, plus the total.
+ */
+function countJobUsers (users) {
+	const counts = {total: users.length};
+	for (const state of Object.values(JOB_USER_STATES))
+		counts[state] = 0;
+	for (const job_user of users)
+		counts[job_user.status]++;
+	return counts;
+}
+exports.countJobUsers = countJobUsers;
+
+/**
+ * The states of a batch issuance job.
+ * @enum {string}
+ */
+const JOB_STATES = {
+	QUEUED: 'QUEUED',
+	RUNNING: 'RUNNING',
+	FINISHED: 'FINISHED',
+	CANCELLED: 'CANCELLED',
+	INTERRUPTED: 'INTERRUPTED'
+};
+exports.JOB_STATES = JOB_STATES;
+
+/**
+ * The states of a user in a batch issuance job.
+ * @enum {string}
+ */
+const JOB_USER_STATES = {
+	PENDING: 'pending',
+	RUNNING: 'running',
+	ISSUED: 'issued',
+	FAILED: 'failed',
+	SKIPPED: 'skipped',
+	CANCELLED: 'cancelled'
+};
+exports.JOB_USER_STATES = JOB_USER_STATES;
+
+const ISSUANCE_JOBS_ERRORS = {
+	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE',
+	JOB_SAVE_FAILURE: 'JOB_SAVE_FAILURE',
+	JOB_DOES_NOT_EXIST: 'JOB_DOES_NOT_EXIST',
+	JOB_INTERRUPTED: 'JOB_INTERRUPTED',
+	UNKNOWN_JOB_READ_FAILURE: 'UNKNOWN_JOB_READ_FAILURE'
+};
+
+exports.ISSUANCE_JOBS_ERRORS = ISSUANCE_JOBS_ERRORS;
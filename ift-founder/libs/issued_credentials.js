@@ -0,0 +1,304 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const issued_credentials_design_doc = require('./design_docs/issued_credentials.json');
+const DESIGN_DOC = issued_credentials_design_doc._id.split('/')[1];
+const VIEW_ISSUED_CREDENTIALS_BY_USER = 'issued_credentials_by_user';
+const VIEW_ISSUED_CREDENTIALS_BY_CONNECTION_DID = 'issued_credentials_by_connection_did';
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * Credential attributes that hold rendered images of the credential.  Images are large and can be rendered again from
+ * the rest of the attributes, so they are left out of the records.
+ * @type {string[]}
+ */
+const IMAGE_ATTRIBUTES = [ 'card_front', 'card_back' ];
+
+/**
+ * Keeps a history of every credential the app has issued, linked to the user it was issued to, so that admins can see
+ * what was issued to whom and revoke credentials later.
+ */
+class IssuedCredentials {
+
+	/**
+	 * Constructs an IssuedCredentials instance that will manage issued credential records in the given database.
+	 * @param {object} credentialsDB A nano database instance.  Generally the same database as the user records.
+	 */
+	constructor (credentialsDB) {
+		if (!credentialsDB || typeof credentialsDB !== 'object' || typeof credentialsDB.get !== 'function')
+			throw new TypeError('Issued credentials database was not a nano database instance');
+
+		this.credentialsDB = credentialsDB;
+	}
+
+	/**
+	 * Publishes the couchdb design doc for looking up issued credentials
+	 * @return {Promise<void>} A promise that resolves when the design doc is updated and rejects otherwise.
+	 */
+	async publish_design_doc () {
+
+		// Don't pollute other instances of IssuedCredentials' design docs
+		const design_doc = JSON.parse(JSON.stringify(issued_credentials_design_doc));
+
+		logger.info('Publishing IssuedCredentials design doc');
+		try {
+			const existing_doc = await this.credentialsDB.get(design_doc._id);
+			design_doc._rev = existing_doc._rev;
+		} catch (error) {
+			// If the document is missing, we'll get an error that we don't need to handle.  We'll just create it.
+		}
+
+		try {
+			const response = await this.credentialsDB.insert(design_doc, null);
+			logger.debug(`IssuedCredentials design doc published. rev: ${response.rev}`);
+		} catch (error) {
+			logger.error(`Failed to publish IssuedCredentials design doc: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.DESIGN_DOC_PUBLISHING_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Describes a credential that was issued to a user.
+	 * @typedef {object} IssuedCredential
+	 * @property {string} _id The ID of the credential on the agent.
+	 * @property {string} type Always 'issued_credential'.  Distinguishes these records from user records.
+	 * @property {string} user The user the credential was issued to.
+	 * @property {string} [flow_id] The issuance or signup flow that issued the credential.
+	 * @property {string} cred_def_id The credential definition the credential was issued under.
+	 * @property {string} schema_name The name of the schema the credential is based on.
+	 * @property {string} schema_version The version of the schema the credential is based on.
+	 * @property {object} [attributes] The values of the credential's attributes, without any images.
+	 * @property {string} [connection_id] The ID of the connection the credential was issued over.
+	 * @property {string} [connection_did] The user's pairwise DID on the connection the credential was issued over.
+	 * @property {boolean} revocable True if the credential definition supports revocation.
+	 * @property {'issued'|'revoked'|'superseded'} state Whether the credential has been revoked or replaced.
+	 * @property {number} [offered] When the credential was offered to the user.
+	 * @property {number} issued When the user accepted the credential.
+	 * @property {number} [revoked] When the credential was revoked.
+	 * @property {string} [revocation_reason] Why the credential was revoked.
+	 * @property {number} [superseded] When a newer credential replaced this one.
+	 * @property {string} [superseded_by] The ID of the credential that replaced this one.
+	 */
+
+	/**
+	 * Records a credential that was issued to a user.
+	 * @param {object} credential Information on the credential.  Must have an `_id` and a `user`.
+	 * @returns {Promise<IssuedCredential>} A promise that resolves with the saved record.
+	 */
+	async record_credential (credential) {
+		if (!credential || typeof credential !== 'object' || !credential._id || typeof credential._id !== 'string')
+			throw new TypeError('Issued credential record did not have an ID');
+		if (!credential.user || typeof credential.user !== 'string')
+			throw new TypeError('Issued credential record did not have a user');
+
+		const doc = JSON.parse(JSON.stringify(credential));
+		doc.type = 'issued_credential';
+		doc.state = doc.state ? doc.state : ISSUED_CREDENTIAL_STATES.ISSUED;
+		doc.issued = doc.issued ? doc.issued : Date.now();
+		doc.revocable = !!doc.revocable;
+		if (doc.attributes)
+			doc.attributes = withoutImages(doc.attributes);
+
+		logger.info(`Recording credential ${doc._id} issued to ${doc.user}`);
+		try {
+			const response = await this.credentialsDB.insert(doc, null);
+			doc._rev = response.rev;
+			return doc;
+		} catch (error) {
+			logger.error(`Failed to record credential ${doc._id}: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_RECORD_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Retrieves the record of an issued credential.
+	 * @param {string} credential_id The ID of the credential on the agent.
+	 * @returns {Promise<IssuedCredential>} A promise that resolves with the issued credential record.
+	 */
+	async read_credential (credential_id) {
+		if (!credential_id || typeof credential_id !== 'string')
+			throw new TypeError('Credential ID was not a non-empty string');
+
+		let doc;
+		try {
+			doc = await this.credentialsDB.get(credential_id);
+		} catch (error) {
+			if (error.statusCode === 404) {
+				error.code = ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_DOES_NOT_EXIST;
+			} else {
+				logger.error(`Failed to read credential ${credential_id}: ${error}`);
+				error.code = ISSUED_CREDENTIALS_ERRORS.UNKNOWN_CREDENTIAL_READ_FAILURE;
+			}
+			throw error;
+		}
+
+		if (doc.type !== 'issued_credential') {
+			const error = new Error(`Issued credential ${credential_id} could not be found`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_DOES_NOT_EXIST;
+			throw error;
+		}
+		return doc;
+	}
+
+	/**
+	 * Retrieves the records of all the credentials issued to a user, oldest first.
+	 * @param {string} user The ID of a user.
+	 * @returns {Promise<IssuedCredential[]>} A promise that resolves with the user's issued credential records.
+	 */
+	async read_user_credentials (user) {
+		if (!user || typeof user !== 'string')
+			throw new TypeError('User ID was not a non-empty string');
+
+		try {
+			const view_resp = await this.credentialsDB.view(DESIGN_DOC, VIEW_ISSUED_CREDENTIALS_BY_USER, {reduce: false, include_docs: true, keys: [ user ]});
+			const credentials = view_resp.rows.map((row) => {
+				return row.doc;
+			});
+			credentials.sort((a, b) => {
+				return a.issued - b.issued;
+			});
+			logger.debug(`Read ${credentials.length} credentials issued to ${user}`);
+			return credentials;
+		} catch (error) {
+			logger.error(`Failed to read credentials issued to ${user}: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.UNKNOWN_CREDENTIAL_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Retrieves the records of all the credentials issued over connections with the given pairwise DID.  Lets a user be
+	 * recognized when their agent reuses a connection.
+	 * @param {string} connection_did The user's pairwise DID on a connection.
+	 * @returns {Promise<IssuedCredential[]>} A promise that resolves with the matching issued credential records.
+	 */
+	async read_connection_credentials (connection_did) {
+		if (!connection_did || typeof connection_did !== 'string')
+			throw new TypeError('Connection DID was not a non-empty string');
+
+		try {
+			const view_resp = await this.credentialsDB.view(DESIGN_DOC, VIEW_ISSUED_CREDENTIALS_BY_CONNECTION_DID, {reduce: false, include_docs: true, keys: [ connection_did ]});
+			const credentials = view_resp.rows.map((row) => {
+				return row.doc;
+			});
+			logger.debug(`Read ${credentials.length} credentials issued over connections with ${connection_did}`);
+			return credentials;
+		} catch (error) {
+			logger.error(`Failed to read credentials issued over connections with ${connection_did}: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.UNKNOWN_CREDENTIAL_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Marks an issued credential as revoked.  This only updates the record; the credential must be revoked on the agent
+	 * separately.
+	 * @param {string} credential_id The ID of the credential on the agent.
+	 * @param {string} [reason] Why the credential was revoked.
+	 * @returns {Promise<IssuedCredential>} A promise that resolves with the updated record.
+	 */
+	async revoke_credential (credential_id, reason) {
+		if (reason !== undefined && reason !== null && typeof reason !== 'string')
+			throw new TypeError('Revocation reason must be a string');
+
+		const doc = await this.read_credential(credential_id);
+		doc.state = ISSUED_CREDENTIAL_STATES.REVOKED;
+		doc.revoked = Date.now();
+		if (reason)
+			doc.revocation_reason = reason;
+
+		logger.info(`Marking credential ${credential_id} issued to ${doc.user} as revoked`);
+		try {
+			const response = await this.credentialsDB.insert(doc, null);
+			doc._rev = response.rev;
+			return doc;
+		} catch (error) {
+			logger.error(`Failed to mark credential ${credential_id} as revoked: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_RECORD_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Marks a credential as replaced by a newer credential, such as one issued after the user's personal info changed.
+	 * Revoked credentials stay revoked, but still record what replaced them.
+	 * @param {string} credential_id The ID of the credential on the agent.
+	 * @param {string} superseded_by The ID of the credential that replaced it.
+	 * @returns {Promise<IssuedCredential>} A promise that resolves with the updated record.
+	 */
+	async supersede_credential (credential_id, superseded_by) {
+		if (!superseded_by || typeof superseded_by !== 'string')
+			throw new TypeError('Superseding credential ID was not a non-empty string');
+
+		const doc = await this.read_credential(credential_id);
+		if (doc.state === ISSUED_CREDENTIAL_STATES.ISSUED)
+			doc.state = ISSUED_CREDENTIAL_STATES.SUPERSEDED;
+		doc.superseded = Date.now();
+		doc.superseded_by = superseded_by;
+
+		logger.info(`Marking credential ${credential_id} issued to ${doc.user} as superseded by ${superseded_by}`);
+		try {
+			const response = await this.credentialsDB.insert(doc, null);
+			doc._rev = response.rev;
+			return doc;
+		} catch (error) {
+			logger.error(`Failed to mark credential ${credential_id} as superseded: ${error}`);
+			error.code = ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_RECORD_FAILURE;
+			throw error;
+		}
+	}
+}
+
+exports.IssuedCredentials = IssuedCredentials;
+
+/**
+ * Copies a credential's attributes, leaving out the ones that contain images.
+ * @param {object} attributes The attributes of a credential.
+ * @returns {object} The attributes that don't contain images.
+ */
+function withoutImages (attributes) {
+	const ret = {};
+	for (const name in attributes) {
+		const value = attributes[name];
+		if (IMAGE_ATTRIBUTES.indexOf(name) >= 0 || (typeof value === 'string' && value.indexOf('data:image/') === 0))
+			continue;
+		ret[name] = value;
+	}
+	return ret;
+}
+
+/**
+ * @enum {string}
+ */
+const ISSUED_CREDENTIAL_STATES = {
+	ISSUED: 'issued',
+	REVOKED: 'revoked',
+	SUPERSEDED: 'superseded'
+};
+exports.ISSUED_CREDENTIAL_STATES = ISSUED_CREDENTIAL_STATES;
+
+const ISSUED_CREDENTIALS_ERRORS = {
+	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE',
+	CREDENTIAL_RECORD_FAILURE: 'CREDENTIAL_RECORD_FAILURE',
+	CREDENTIAL_DOES_NOT_EXIST: 'CREDENTIAL_DOES_NOT_EXIST',
+	UNKNOWN_CREDENTIAL_READ_FAILURE: 'UNKNOWN_CREDENTIAL_READ_FAILURE'
+};
+
+exports.ISSUED_CREDENTIALS_ERRORS = ISSUED_CREDENTIALS_ERRORS;
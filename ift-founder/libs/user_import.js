@@ -0,0 +1,214 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * The columns of an import CSV that are not personal info.  Every other column is a personal info field.
+ * @type {string[]}
+ */
+const RESERVED_COLUMNS = [ 'email', 'password' ];
+exports.RESERVED_COLUMNS = RESERVED_COLUMNS;
+
+/**
+ * Describes a user to be created by a bulk import.
+ * @typedef {object} ImportRow
+ * @property {number} row The position of the user in the import, starting from 1.  For CSVs, this doesn't count the
+ * header line.
+ * @property {string} email The username for the user.
+ * @property {string} [password] The password for the user.
+ * @property {object} personal_info The personal info for the user record.
+ * @property {object} [opts] Additions to the user record.
+ */
+
+/**
+ * Splits CSV text into rows of values.  Handles quoted values with commas, quotes, and line breaks in them, as described
+ * in RFC 4180.
+ * @param {string} text The CSV text.
+ * @returns {Array.<string[]>} The rows, not counting blank lines.
+ */
+function parseCSV (text) {
+	if (typeof text !== 'string')
+		throw new TypeError('CSV was not a string');
+
+	const rows = [];
+	let row = [];
+	let value = '';
+	let quoted = false;
+	let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+	for (; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				value += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				value += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(value);
+			value = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n')
+				i++;
+			row.push(value);
+			if (row.length > 1 || row[0] !== '')
+				rows.push(row);
+			row = [];
+			value = '';
+		} else {
+			value += char;
+		}
+	}
+	if (quoted)
+		throw importError('CSV has a quoted value that was never closed');
+
+	row.push(value);
+	if (row.length > 1 || row[0] !== '')
+		rows.push(row);
+	return rows;
+}
+exports.parseCSV = parseCSV;
+
+/**
+ * Formats a list of values as a line of CSV, quoting the values that need it.
+ * @param {Array.<string|number|undefined|null>} values The values.  Missing values are left empty.
+ * @returns {string} The line, ending with a line break.
+ */
+function toCSVLine (values) {
+	return values.map((value) => {
+		value = value === undefined || value === null ? '' : '' + value;
+		return /[",\r\n]/.test(value) ? `"${value.split('"').join('""')}"` : value;
+	}).join(',') + '\r\n';
+}
+exports.toCSVLine = toCSVLine;
+
+/**
+ * Reads the users out of a CSV import.  The first line names the columns.  The `email` column is required, the
+ * `password` column is optional, and every other column is a personal info field.  Blank values are left out of the
+ * personal info.
+ * @param {string} text The CSV text.
+ * @returns {ImportRow[]} The users in the import.
+ */
+function readCSVImport (text) {
+	const rows = parseCSV(text);
+	if (!rows.length)
+		throw importError('CSV was empty');
+
+	const header = rows[0].map((column) => {
+		return column.trim();
+	});
+	if (header.indexOf('email') < 0)
+		throw importError('CSV header does not have an email column');
+	for (const column of header) {
+		if (!column)
+			throw importError('CSV header has a blank column name');
+		if (header.indexOf(column) !== header.lastIndexOf(column))
+			throw importError(`CSV header has more than one ${column} column`);
+	}
+
+	return rows.slice(1).map((values, index) => {
+		const import_row = {
+			row: index + 1,
+			email: '',
+			personal_info: {}
+		};
+		header.forEach((column, column_index) => {
+			const value = values[column_index] !== undefined ? values[column_index].trim() : '';
+			if (column === 'email')
+				import_row.email = value;
+			else if (column === 'password')
+				import_row.password = value ? value : undefined;
+			else if (value)
+				import_row.personal_info[column] = value;
+		});
+		if (values.length > header.length)
+			import_row.extra_values = values.length - header.length;
+		return import_row;
+	});
+}
+exports.readCSVImport = readCSVImport;
+
+/**
+ * Reads the users out of a JSON import, which is either a list of users or an object with a `users` list.  Each user
+ * looks like `{"email": "...", "password": "...", "personal_info": {...}, "opts": {...}}`.  Other fields, like the ones
+ * in an export, are ignored.
+ * @param {object|object[]} body The parsed JSON.
+ * @returns {ImportRow[]} The users in the import.
+ */
+function readJSONImport (body) {
+	const users = Array.isArray(body) ? body : body && typeof body === 'object' ? body.users : undefined;
+	if (!Array.isArray(users))
+		throw importError('JSON import was not a list of users or an object with a users list');
+
+	return users.map((user, index) => {
+		user = user && typeof user === 'object' ? user : {};
+		return {
+			row: index + 1,
+			email: user.email,
+			password: user.password,
+			personal_info: user.personal_info,
+			opts: user.opts
+		};
+	});
+}
+exports.readJSONImport = readJSONImport;
+
+/**
+ * Finds the problems with a user in an import that don't depend on the database or the credential schema.
+ * @param {ImportRow} import_row A user from an import.
+ * @returns {string[]} Descriptions of the problems.  Empty if the user looks fine.
+ */
+function checkImportRow (import_row) {
+	const errors = [];
+	if (!import_row.email || typeof import_row.email !== 'string')
+		errors.push('email was not a non-empty string');
+	if (import_row.password !== undefined && typeof import_row.password !== 'string')
+		errors.push('password was not a string');
+	if (!import_row.personal_info || typeof import_row.personal_info !== 'object' || Array.isArray(import_row.personal_info)) {
+		errors.push('personal_info was not an object');
+	} else {
+		for (const field in import_row.personal_info) {
+			const value = import_row.personal_info[field];
+			if (typeof value !== 'string' && typeof value !== 'number')
+				errors.push(`personal_info field ${field} was not a string or a number`);
+		}
+	}
+	if (import_row.opts !== undefined && (!import_row.opts || typeof import_row.opts !== 'object'))
+		errors.push('opts was not an object');
+	if (import_row.extra_values)
+		errors.push(`row has ${import_row.extra_values} more values than the header has columns`);
+	return errors;
+}
+exports.checkImportRow = checkImportRow;
+
+/**
+ * Builds an error for an import that can't be read at all.
+ * @param {string} message What's wrong with the import.
+ * @returns {Error} The error.
+ */
+function importError (message) {
+	const error = new Error(message);
+	error.code = USER_IMPORT_ERRORS.INVALID_IMPORT;
+	return error;
+}
+
+const USER_IMPORT_ERRORS = {
+	INVALID_IMPORT: 'INVALID_IMPORT'
+};
+exports.USER_IMPORT_ERRORS = USER_IMPORT_ERRORS;
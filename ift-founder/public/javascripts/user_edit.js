@@ -16,7 +16,8 @@
 
 $(document).ready(() => {
 
-	window.user_id = decodeURIComponent(window.readCookie('user_id'));
+	// The user being edited comes from the page URL, /users/:user_id/edit.  The user_id cookie belongs to the admin.
+	window.user_id = decodeURIComponent(window.location.pathname.split('/')[2]);
 
 	$('#cancelEditUserButton').click(() => {
 		console.log('Cancel editing');
@@ -141,7 +142,60 @@ $(document).ready(() => {
 		}
 	});
 
+	$('#refreshCredentialsButton').click(() => {
+		populate_credential_table();
+	});
+
+	/**
+	 * Click handler for the "revoke" buttons in the issued credential table
+	 */
+	$('#credentialTable').on('click', '.revoke-credential', (event) => {
+		const target = $(event.target);
+		const userID = window.user_id;
+		const credentialID = target.attr('data-credential-id');
+
+		const reason = prompt(`Why are you revoking credential ${credentialID}?  Verifiers will no longer accept it.`);
+		if (reason === null)
+			return;
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+		console.log(`Revoking credential ${credentialID}`);
+
+		$.ajax({
+			url: `/api/users/${userID}/credentials/${credentialID}/revoke`,
+			method: 'POST',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify({reason: reason})
+		}).done(() => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(`Revoked credential ${credentialID}`);
+			populate_credential_table();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to revoke credential:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to revoke credential. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to revoke credential. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#credentialTableAlert').html(window.alertHTML(alertText));
+		});
+	});
+
 	populate_user_data();
+	populate_credential_table();
 });
 
 /**
@@ -185,3 +239,169 @@ function populate_user_data () {
 	});
 }
 
+/**
+ * Gets the history of the credentials that were issued to the user and displays them in a Bootstrap Table.  Expanding a
+ * row shows the attribute values of the credential.
+ * @returns {void}
+ */
+function populate_credential_table () {
+	const userID = window.user_id;
+
+	// Start the loading animation
+	const loader = $('#refreshCredentialsButton');
+	loader.html(loader.data('loading-text'));
+	loader.attr('disabled', 'disabled');
+
+	console.log(`Getting the credentials issued to ${userID}`);
+	$.ajax({
+		url: `/api/users/${userID}/credentials`,
+		method: 'GET'
+	}).done((resp) => {
+
+		// Stop the loader
+		loader.html(loader.data('original-text'));
+		loader.removeAttr('disabled');
+
+		console.log(`Got the credentials issued to ${userID}: ${JSON.stringify(resp.credentials)}`);
+
+		const table = {
+			columns: [
+				{
+					field: '_id',
+					title: 'Credential ID',
+					sortable: true,
+					searchable: true
+				},
+				{
+					field: 'schema_name',
+					title: 'Schema',
+					sortable: true,
+					searchable: true,
+					formatter: schemaFormatter
+				},
+				{
+					field: 'issued',
+					title: 'Issued',
+					sortable: true,
+					formatter: dateFormatter
+				},
+				{
+					field: 'connection_did',
+					title: 'Connection DID',
+					sortable: true,
+					searchable: true
+				},
+				{
+					field: 'state',
+					title: 'State',
+					sortable: true,
+					searchable: true,
+					formatter: stateFormatter
+				},
+				{
+					field: 'actions',
+					title: 'Actions',
+					formatter: actionsFormatter
+				}
+			],
+			sortName: 'issued',
+			sortOrder: 'desc',
+			search: true,
+			pagination: true,
+			detailView: true,
+			detailFormatter: detailFormatter,
+			data: resp.credentials
+		};
+
+		/**
+		 * Lists the attribute values and timeline of an issued credential.
+		 * @param {number} index The index of the row.  Not used.
+		 * @param {object} credential The value for the current row, which is an issued credential record.
+		 * @returns {string} HTML describing the issued credential.
+		 */
+		function detailFormatter (index, credential) {
+			const rows = [
+				[ 'Credential Definition', credential.cred_def_id ],
+				[ 'Offered', dateFormatter(credential.offered) ],
+				[ 'Issued', dateFormatter(credential.issued) ]
+			];
+			for (const name in credential.attributes) {
+				rows.push([ name, credential.attributes[name] ]);
+			}
+
+			const html = rows.map((row) => {
+				const name = $('<div>').text(row[0]).html();
+				const value = $('<div>').text(row[1] === undefined ? '' : row[1]).html();
+				return `<tr><th>${name}</th><td>${value}</td></tr>`;
+			}).join('');
+			return `<table class="table table-sm mb-0"><tbody>${html}</tbody></table>`;
+		}
+
+		/**
+		 * Shows the schema name and version together.
+		 * @param {string} schema_name The name of the schema the credential is based on.
+		 * @param {object} credential The value for the current row, which is an issued credential record.
+		 * @returns {string} HTML representing the value for the cell of the table.
+		 */
+		function schemaFormatter (schema_name, credential) {
+			return `${schema_name} ${credential.schema_version}`;
+		}
+
+		/**
+		 * Turns timestamps into readable dates.
+		 * @param {number} timestamp A timestamp in milliseconds.
+		 * @returns {string} HTML representing the value for the cell of the table.
+		 */
+		function dateFormatter (timestamp) {
+			return timestamp ? new Date(timestamp).toLocaleString() : '';
+		}
+
+		/**
+		 * Shows when and why revoked credentials were revoked, and what replaced superseded credentials.
+		 * @param {string} state The state of the credential.
+		 * @param {object} credential The value for the current row, which is an issued credential record.
+		 * @returns {string} HTML representing the value for the cell of the table.
+		 */
+		function stateFormatter (state, credential) {
+			const replaced = credential.superseded_by ? ` (replaced by ${credential.superseded_by})` : '';
+			if (state === 'superseded')
+				return `superseded ${dateFormatter(credential.superseded)}${replaced}`;
+			if (state !== 'revoked')
+				return state;
+			const reason = credential.revocation_reason ? `: ${$('<div>').text(credential.revocation_reason).html()}` : '';
+			return `revoked ${dateFormatter(credential.revoked)}${reason}${replaced}`;
+		}
+
+		/**
+		 * Creates a button group to let admins interact with issued credential records.
+		 * @param {void} _ The value for the actions column of the current row.  Not used.
+		 * @param {object} credential The value for the current row, which is an issued credential record.
+		 * @returns {string} The set of buttons for interacting with issued credential records.
+		 */
+		function actionsFormatter (_, credential) {
+			if (!credential.revocable || credential.state === 'revoked')
+				return '';
+			return `<div class="btn-group">
+				<button type="button" class="btn btn-danger revoke-credential" data-credential-id="${credential._id}" data-original-text="Revoke" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Revoking">Revoke</button>
+			</div>`;
+		}
+
+		const credentialTable = $('#credentialTable');
+		credentialTable.bootstrapTable('destroy');
+		credentialTable.bootstrapTable(table);
+
+	}).fail((jqXHR, textStatus, errorThrown) => {
+
+		// Stop the loader
+		loader.html(loader.data('original-text'));
+		loader.removeAttr('disabled');
+
+		console.error('Failed to get issued credentials:', errorThrown, jqXHR.responseText);
+		let alertText = `Failed to get issued credentials. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+		if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+			const response = jqXHR.responseJSON;
+			alertText = `Failed to get issued credentials. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+		}
+		$('#credentialTableAlert').html(window.alertHTML(alertText));
+	});
+}
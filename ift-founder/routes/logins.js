@@ -19,6 +19,9 @@ const bodyParser = require('body-parser');
 const compression = require('compression');
 
 const LOGIN_STEPS = require('../libs/logins.js').LOGIN_STEPS;
+const LOGIN_MANAGER_ERRORS = require('../libs/logins.js').LOGIN_MANAGER_ERRORS;
+const Roles = require('../libs/roles.js');
+const FlowEvents = require('./flow_events.js');
 
 // Logging setup
 const Logger = require('../libs/logger.js').Logger;
@@ -61,17 +64,11 @@ exports.createRouter = function (users_instance, login_manager) {
 			});
 		}
 		const password = req.body.password;
+		let user_doc;
 		try {
 			if (!await users_instance.checkPassword(username, password))
 				throw new Error();
-
-			// Users are "logged in" if they have a user id associate with the session
-			req.session.user_id = username;
-			res.cookie('user_id', req.session.user_id);
-
-			res.send({
-				message: 'OK'
-			});
+			user_doc = await users_instance.read_user(username);
 
 		} catch (error) {
 			return res.status(401).json({
@@ -79,6 +76,27 @@ exports.createRouter = function (users_instance, login_manager) {
 				reason: 'Username or password was incorrect'
 			});
 		}
+
+		// Admin access rides on the session, so don't let a session that existed before the login carry it
+		req.session.regenerate((error) => {
+			if (error) {
+				return res.status(500).json({
+					error: LOGIN_API_ERRORS.UNKNOWN_LOGIN_API_ERROR,
+					reason: `Failed to start a session: ${error.message}`
+				});
+			}
+
+			// Users are "logged in" if they have a user id associate with the session
+			req.session.user_id = username;
+			res.cookie('user_id', req.session.user_id);
+
+			const roles = Roles.userRoles(user_doc);
+			res.send({
+				message: 'OK',
+				roles: roles,
+				redirect: roles.indexOf(Roles.ROLES.ADMIN) >= 0 ? '/admin' : '/account'
+			});
+		});
 	});
 
 	// Log out
@@ -97,15 +115,15 @@ exports.createRouter = function (users_instance, login_manager) {
 		}
 	});
 
-	// Start VC login flow
-	router.post('/login/vc', (req, res, next) => {
-		if (!req.body || !req.body.username || typeof req.body.username !== 'string') {
+	// Start VC login flow.  Without a username, the user is identified by the connection or proof from their wallet.
+	router.post('/login/vc', async (req, res, next) => {
+		if (!req.body || (req.body.username !== undefined && (!req.body.username || typeof req.body.username !== 'string'))) {
 			return res.status(400).json({
 				error: LOGIN_API_ERRORS.BAD_REQUEST,
-				reason: 'You must supply a username in order to log in'
+				reason: 'Invalid username for logging in'
 			});
 		}
-		const username = req.body.username;
+		const username = req.body.username ? req.body.username : null;
 
 		if (!req.body || !req.body.connection_method || typeof req.body.connection_method !== 'string')
 			return res.status(400).json({
@@ -113,7 +131,21 @@ exports.createRouter = function (users_instance, login_manager) {
 				reason: 'Invalid connection_method for issuing the credential'
 			});
 
-		const login_id = login_manager.create_login(username, req.body.connection_method);
+		if (!username && req.body.connection_method !== 'out_of_band')
+			return res.status(400).json({
+				error: LOGIN_API_ERRORS.BAD_REQUEST,
+				reason: 'You must supply a username in order to log in, unless you log in with your wallet using the out_of_band connection_method'
+			});
+
+		let login_id;
+		try {
+			login_id = await login_manager.create_login(username, req.body.connection_method);
+		} catch (error) {
+			return res.status(500).json({
+				error: error.code ? error.code : LOGIN_API_ERRORS.UNKNOWN_LOGIN_API_ERROR,
+				reason: `Failed to start VC login: ${error.message}`
+			});
+		}
 
 		// Calls to the status API will be determined by the login associated with the session
 		req.session.vc_login = login_id;
@@ -123,8 +155,22 @@ exports.createRouter = function (users_instance, login_manager) {
 		});
 	});
 
+	// Stream status updates for the VC login flow.  The status API still has to be called to finish logging in.
+	router.get('/login/vc/events', async (req, res, next) => {
+
+		if (!req.session.vc_login)
+			return res.status(400).json({
+				error: LOGIN_API_ERRORS.NOT_LOGGING_IN,
+				reason: 'There is no VC login process associated with this session'
+			});
+
+		await FlowEvents.streamStatus(req, res, (listener) => {
+			return login_manager.watch_login(req.session.vc_login, listener);
+		}, LOGIN_API_ERRORS.UNKNOWN_LOGIN_API_ERROR);
+	});
+
 	// Check the status of the VC login flow
-	router.get('/login/vc/status', (req, res, next) => {
+	router.get('/login/vc/status', async (req, res, next) => {
 
 		if (!req.session.vc_login)
 			return res.status(400).json({
@@ -132,25 +178,66 @@ exports.createRouter = function (users_instance, login_manager) {
 				reason: 'There is no VC login process associated with this session'
 			});
 
-		const status = login_manager.get_login_status(req.session.vc_login);
-		if (status.status === LOGIN_STEPS.FINISHED) {
-			// If login is completed, update the session to log the user in
-			req.session.user_id = login_manager.get_login_user(req.session.vc_login);
-			res.cookie('user_id', req.session.user_id);
+		try {
+			const status = await login_manager.get_login_status(req.session.vc_login);
+			if (status.status === LOGIN_STEPS.FINISHED) {
+				const user_id = await login_manager.get_login_user(req.session.vc_login);
+
+				// Cleanup the VC login
+				await login_manager.delete_login(req.session.vc_login);
+
+				// Log the user in on a fresh session, like the password login, so a session planted before the login
+				// can't ride on it.  Nothing else in the old session is needed once the VC login is done.
+				await new Promise((resolve, reject) => {
+					req.session.regenerate((error) => error ? reject(error) : resolve());
+				});
+				req.session.user_id = user_id;
+				res.cookie('user_id', req.session.user_id);
+				logger.info(`VC Login was successful for ${req.session.user_id}`);
+				res.json({
+					message: 'VC login was successful',
+					vc_login: status
+				});
+
+			} else {
+				res.json({
+					message: 'Retrieved VC login status',
+					vc_login: status
+				});
+			}
+		} catch (error) {
+			logger.error(`Failed to get the status of VC login ${req.session.vc_login}: ${error}`);
+			return res.status(500).json({
+				error: error.code ? error.code : LOGIN_API_ERRORS.UNKNOWN_LOGIN_API_ERROR,
+				reason: `Failed to lookup VC login status: ${error.message}`
+			});
+		}
+	});
 
-			// Cleanup the VC login
-			login_manager.delete_login(req.session.vc_login);
-			delete req.session.vc_login;
-			logger.info(`VC Login was successful for ${req.session.user_id}`);
-			res.json({
-				message: 'VC login was successful',
-				vc_login: status
+	// Resend the offer that a TIMED_OUT VC login flow is waiting on
+	router.post('/login/vc/resend', async (req, res, next) => {
+
+		if (!req.session.vc_login)
+			return res.status(400).json({
+				error: LOGIN_API_ERRORS.NOT_LOGGING_IN,
+				reason: 'There is no VC login process associated with this session'
 			});
 
-		} else {
+		try {
+			await login_manager.resend_login(req.session.vc_login);
 			res.json({
-				message: 'Retrieved VC login status',
-				vc_login: status
+				message: 'Resending the VC login offer'
+			});
+		} catch (error) {
+			logger.error(`Failed to resend the offer for VC login ${req.session.vc_login}: ${error}`);
+			let status = 500;
+			if (error.code === LOGIN_MANAGER_ERRORS.LOGIN_NOT_FOUND)
+				status = 404;
+			else if (error.code === LOGIN_MANAGER_ERRORS.LOGIN_NOT_TIMED_OUT || error.code === LOGIN_MANAGER_ERRORS.LOGIN_NOT_LOCAL)
+				status = 409;
+			return res.status(status).json({
+				error: error.code ? error.code : LOGIN_API_ERRORS.UNKNOWN_LOGIN_API_ERROR,
+				reason: `Failed to resend the VC login offer: ${error.message}`
 			});
 		}
 	});
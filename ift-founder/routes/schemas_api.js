@@ -18,20 +18,32 @@ const fs = require('fs');
 const express = require('express');
 const bodyParser = require('body-parser');
 const compression = require('compression');
+const semverCompare = require('semver-compare');
+
+const PERMISSIONS = require('../libs/roles.js').PERMISSIONS;
+const AuditLog = require('../libs/audit_log.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
 
 /**
  * Creates an express router representing a REST API for managing schemas.
  * @param {Agent} agent An instance of the Schemas class with a backend schema database.
  * @param {string} schema_path A path to the default schema for this issuer.
+ * @param {IssuanceSettings} issuance_settings Keeps track of which schemas are deprecated.
+ * @param {AuditLog} audit_log Records the schemas that are published.
  * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
  * @returns {object} An express router for the schemas API.
  */
-exports.createRouter = function (agent, schema_path, middleware) {
+exports.createRouter = function (agent, schema_path, issuance_settings, audit_log, middleware) {
 
 	if (!agent || typeof agent.getCredentialSchemas !== 'function')
 		throw new TypeError('Schemas API was not given an Agent');
 	if (!schema_path || typeof schema_path !== 'string')
 		throw new TypeError('Schemas API was not given a default schema path');
+	if (!issuance_settings || typeof issuance_settings.set_schema_deprecation !== 'function')
+		throw new TypeError('Schemas API was not given an IssuanceSettings');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Schemas API was not given an AuditLog');
 
 	const router = express.Router();
 	router.use(bodyParser.urlencoded({extended: true}));
@@ -40,17 +52,9 @@ exports.createRouter = function (agent, schema_path, middleware) {
 	router.use(compression());
 
 	// GET the default schema (for publishing from the UI
-	router.get('/schema_templates/default', async (req, res, next) => {
+	router.get('/schema_templates/default', [ middleware.has_permission(PERMISSIONS.SCHEMAS_WRITE) ], async (req, res, next) => {
 		try {
-			const template_schema = await new Promise((resolve, reject) => {
-				fs.readFile(schema_path, (error, file) => {
-					if (error) return reject(error);
-					file = JSON.parse(file);
-					if (!file.name || !file.version)
-						return reject(new Error('Invalid proof schema'));
-					resolve(file);
-				});
-			});
+			const template_schema = await readTemplate(schema_path);
 			res.status(200).json({message: `Got template schema ${template_schema.name}`, schema: template_schema});
 		} catch (error) {
 			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
@@ -59,7 +63,7 @@ exports.createRouter = function (agent, schema_path, middleware) {
 	});
 
 	/* POST a new schema */
-	router.post('/schemas', [ middleware.is_admin ], async (req, res, next) => {
+	router.post('/schemas', [ middleware.has_permission(PERMISSIONS.SCHEMAS_WRITE) ], async (req, res, next) => {
 
 		const name = req.body.name;
 		if (!name || typeof name !== 'string')
@@ -81,20 +85,255 @@ exports.createRouter = function (agent, schema_path, middleware) {
 
 		try {
 			const schema = await agent.createCredentialSchema(name, version, attributes);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.SCHEMA_CREATE,
+				target: schema.id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {name: name, version: version, attributes: attributes}
+			});
 			res.status(201).json({message: `Created schema ${schema.id}`, schema: schema});
 
+		} catch (error) {
+			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.SCHEMA_CREATE,
+				target: `${name}:${version}`,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			return res.status(500).send({error: error.code, reason: error.message});
+		}
+	});
+
+
+	/* POST the next version of the template schema, with attributes added or removed */
+	router.post('/schemas/bump', [ middleware.has_permission(PERMISSIONS.SCHEMAS_WRITE) ], async (req, res, next) => {
+
+		const add_attributes = req.body.add_attributes ? req.body.add_attributes : [];
+		const remove_attributes = req.body.remove_attributes ? req.body.remove_attributes : [];
+		for (const list of [ add_attributes, remove_attributes ]) {
+			if (!Array.isArray(list) || list.some((attr_name) => !attr_name || typeof attr_name !== 'string'))
+				return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_ATTRIBUTES,
+					reason: 'Added and removed attributes were not arrays of attribute names'});
+		}
+
+		const deprecate_previous = req.body.deprecate_previous !== undefined ? req.body.deprecate_previous : false;
+		if (typeof deprecate_previous !== 'boolean')
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_DEPRECATION,
+				reason: 'deprecate_previous was not a boolean'});
+
+		let template_schema, versions;
+		try {
+			template_schema = await readTemplate(schema_path);
+			versions = await publishedVersions(agent, template_schema.name);
+		} catch (error) {
+			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
+			return res.status(500).send({error: error.code, reason: error.message});
+		}
+		const latest = versions.length ? versions[versions.length - 1] : null;
+
+		const attributes = template_schema.attributes.slice();
+		for (const attr_name of add_attributes) {
+			if (attributes.indexOf(attr_name) >= 0)
+				return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_ATTRIBUTES,
+					reason: `Attribute ${attr_name} is already in the ${template_schema.name} schema`});
+			attributes.push(attr_name);
+		}
+		for (const attr_name of remove_attributes) {
+			if (attributes.indexOf(attr_name) < 0)
+				return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_ATTRIBUTES,
+					reason: `Attribute ${attr_name} is not in the ${template_schema.name} schema`});
+			attributes.splice(attributes.indexOf(attr_name), 1);
+		}
+		if (!attributes.length)
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_ATTRIBUTES,
+				reason: 'The new schema version would not have any attributes'});
+		if (latest && !diffAttributes(latest.attr_names, attributes).changed)
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_UNCHANGED,
+				reason: `The new schema version would have the same attributes as version ${latest.version}`});
+
+		let version = req.body.version;
+		if (version === undefined)
+			version = latest ? nextVersion(latest.version) : template_schema.version;
+		if (!isVersion(version))
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_VERSION,
+				reason: 'Schema version was not a semver (\'1.0\' or \'1.0.0\', for example)'});
+		if (latest && semverCompare(version, latest.version) <= 0)
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_VERSION,
+				reason: `Schema version ${version} is not newer than the published version ${latest.version}`});
+
+		const name = template_schema.name;
+		let schema;
+		try {
+			schema = await agent.createCredentialSchema(name, version, attributes);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.SCHEMA_CREATE,
+				target: schema.id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {name: name, version: version, attributes: attributes, previous: latest ? latest.id : null}
+			});
+		} catch (error) {
+			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.SCHEMA_CREATE,
+				target: `${name}:${version}`,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			return res.status(500).send({error: error.code, reason: error.message});
+		}
+
+		const diff = latest ? diffAttributes(latest.attr_names, attributes) : null;
+		const deprecated = [];
+		if (deprecate_previous) {
+			try {
+				const settings = await issuance_settings.read_settings();
+				for (const previous of versions) {
+					if (settings.deprecated_schemas[previous.id])
+						continue;
+					await issuance_settings.set_schema_deprecation(previous.id, true, `Replaced by version ${version}`, schema.id);
+					await audit_log.record_event({
+						actor: req.session.user_id,
+						action: AUDIT_ACTIONS.SCHEMA_DEPRECATE,
+						target: previous.id,
+						outcome: AUDIT_OUTCOMES.SUCCESS,
+						details: {replaced_by: schema.id}
+					});
+					deprecated.push(previous.id);
+				}
+			} catch (error) {
+				// The new version is already published, so only report the versions that didn't get deprecated
+				error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
+				return res.status(500).send({error: error.code, reason: `Created schema ${schema.id}, but failed to deprecate the previous versions: ${error.message}`,
+					schema: schema, diff: diff, deprecated: deprecated});
+			}
+		}
+
+		res.status(201).json({message: `Created schema ${schema.id}`, schema: schema, diff: diff, deprecated: deprecated});
+	});
+
+	/* GET the differences between two versions of a schema */
+	router.get('/schemas/diff', [ middleware.has_permission(PERMISSIONS.SCHEMAS_READ) ], async (req, res, next) => {
+		for (const param of [ 'from', 'to' ]) {
+			if (req.query[param] !== undefined && (!req.query[param] || typeof req.query[param] !== 'string'))
+				return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_SCHEMA_ID,
+					reason: `${param} was not a schema ID`});
+		}
+
+		try {
+			// Compare against the template when there's no schema to compare to
+			let to;
+			if (req.query.to) {
+				to = await findSchema(agent, req.query.to);
+				if (!to)
+					return res.status(404).send({error: SCHEMA_API_ERRORS.SCHEMA_NOT_FOUND, reason: `Schema ${req.query.to} was not found`});
+			} else {
+				const template_schema = await readTemplate(schema_path);
+				to = {id: null, name: template_schema.name, version: template_schema.version, attr_names: template_schema.attributes};
+			}
+
+			// Compare with the newest published version of the schema when there's no schema to compare from
+			let from;
+			if (req.query.from) {
+				from = await findSchema(agent, req.query.from);
+				if (!from)
+					return res.status(404).send({error: SCHEMA_API_ERRORS.SCHEMA_NOT_FOUND, reason: `Schema ${req.query.from} was not found`});
+			} else {
+				const versions = (await publishedVersions(agent, to.name)).filter((schema) => schema.id !== to.id);
+				if (!versions.length)
+					return res.status(404).send({error: SCHEMA_API_ERRORS.SCHEMA_NOT_FOUND,
+						reason: `No other version of ${to.name} has been published`});
+				from = versions[versions.length - 1];
+			}
+
+			const settings = await issuance_settings.read_settings();
+			const describe = (schema) => {
+				return {
+					id: schema.id,
+					name: schema.name,
+					version: schema.version,
+					deprecation: schema.id && settings.deprecated_schemas[schema.id] ? settings.deprecated_schemas[schema.id] : null
+				};
+			};
+			const diff = Object.assign({from: describe(from), to: describe(to)}, diffAttributes(from.attr_names, to.attr_names));
+			res.json({message: `Compared ${from.name} ${from.version} with ${to.name} ${to.version}`, diff: diff});
+
 		} catch (error) {
 			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
 			return res.status(500).send({error: error.code, reason: error.message});
 		}
 	});
 
+	/* PUT whether a schema is deprecated */
+	router.put('/schemas/:schema_id/deprecation', [ middleware.has_permission(PERMISSIONS.SCHEMAS_WRITE) ], async (req, res, next) => {
+		const schema_id = req.params.schema_id;
+		const deprecated = req.body.deprecated;
+		if (typeof deprecated !== 'boolean')
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_DEPRECATION,
+				reason: 'deprecated was not a boolean'});
+		const reason = req.body.reason !== undefined ? req.body.reason : null;
+		if (reason !== null && typeof reason !== 'string')
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_DEPRECATION,
+				reason: 'reason was not a string'});
+		const replaced_by = req.body.replaced_by !== undefined ? req.body.replaced_by : null;
+		if (replaced_by !== null && (!replaced_by || typeof replaced_by !== 'string'))
+			return res.status(400).send({error: SCHEMA_API_ERRORS.SCHEMA_INVALID_SCHEMA_ID,
+				reason: 'replaced_by was not a schema ID'});
+
+		const action = deprecated ? AUDIT_ACTIONS.SCHEMA_DEPRECATE : AUDIT_ACTIONS.SCHEMA_UNDEPRECATE;
+		try {
+			for (const id of replaced_by ? [ schema_id, replaced_by ] : [ schema_id ]) {
+				if (!await findSchema(agent, id))
+					return res.status(404).send({error: SCHEMA_API_ERRORS.SCHEMA_NOT_FOUND, reason: `Schema ${id} was not found`});
+			}
+
+			const settings = await issuance_settings.set_schema_deprecation(schema_id, deprecated, reason, replaced_by);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: action,
+				target: schema_id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: deprecated ? {reason: reason, replaced_by: replaced_by} : {}
+			});
+			res.json({message: `${deprecated ? 'Deprecated' : 'Removed the deprecation of'} schema ${schema_id}`,
+				deprecation: deprecated ? settings.deprecated_schemas[schema_id] : null});
+
+		} catch (error) {
+			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: action,
+				target: schema_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			return res.status(500).send({error: error.code, reason: error.message});
+		}
+	});
 
 	/* GET all schemas */
-	router.get('/schemas', async (req, res, next) => {
+	router.get('/schemas', [ middleware.has_permission(PERMISSIONS.SCHEMAS_READ) ], async (req, res, next) => {
 		try {
 			const schemas = await agent.getCredentialSchemas();
-			res.send({message: 'Got the full list of schemas', schemas: schemas});
+			const settings = await issuance_settings.read_settings();
+
+			// Note which schemas are deprecated and which are the newest version of their name
+			const latest = {};
+			for (const schema of schemas) {
+				if (!latest[schema.name] || semverCompare(schema.version, latest[schema.name].version) > 0)
+					latest[schema.name] = schema;
+			}
+			const annotated = schemas.map((schema) => {
+				return Object.assign({}, schema, {
+					deprecation: settings.deprecated_schemas[schema.id] ? settings.deprecated_schemas[schema.id] : null,
+					latest: latest[schema.name] === schema
+				});
+			});
+			res.send({message: 'Got the full list of schemas', schemas: annotated});
 		} catch (error) {
 			error.code = error.code ? error.code : SCHEMA_API_ERRORS.UNKNOWN_SCHEMA_API_ERROR;
 			return res.status(500).send({error: error.code, reason: error.message});
@@ -109,6 +348,111 @@ const SCHEMA_API_ERRORS = {
 	SCHEMA_INVALID_NAME: 'SCHEMA_INVALID_NAME',
 	SCHEMA_INVALID_VERSION: 'SCHEMA_INVALID_VERSION',
 	SCHEMA_INVALID_ATTRIBUTES: 'SCHEMA_INVALID_ATTRIBUTES',
-	SCHEMA_INVALID_SCHEMA_ID: 'SCHEMA_INVALID_SCHEMA_ID'
+	SCHEMA_INVALID_SCHEMA_ID: 'SCHEMA_INVALID_SCHEMA_ID',
+	SCHEMA_INVALID_DEPRECATION: 'SCHEMA_INVALID_DEPRECATION',
+	SCHEMA_INVALID_TEMPLATE: 'SCHEMA_INVALID_TEMPLATE',
+	SCHEMA_NOT_FOUND: 'SCHEMA_NOT_FOUND',
+	SCHEMA_UNCHANGED: 'SCHEMA_UNCHANGED'
 };
-exports.SCHEMA_API_ERRORS = SCHEMA_API_ERRORS;
\ No newline at end of file
+exports.SCHEMA_API_ERRORS = SCHEMA_API_ERRORS;
+
+/**
+ * Reads the template schema for this issuer.
+ * @param {string} schema_path A path to the template schema.
+ * @returns {Promise<object>} A promise that resolves with the template's name, version, and attributes.
+ */
+function readTemplate (schema_path) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(schema_path, (error, file) => {
+			if (error) return reject(error);
+			try {
+				file = JSON.parse(file);
+			} catch (parse_error) {
+				parse_error.code = SCHEMA_API_ERRORS.SCHEMA_INVALID_TEMPLATE;
+				return reject(parse_error);
+			}
+			if (!file.name || !file.version || !Array.isArray(file.attributes)) {
+				const error = new Error('Invalid proof schema');
+				error.code = SCHEMA_API_ERRORS.SCHEMA_INVALID_TEMPLATE;
+				return reject(error);
+			}
+			resolve(file);
+		});
+	});
+}
+
+/**
+ * Lists the published versions of a schema.
+ * @param {Agent} agent The agent that published the schemas.
+ * @param {string} name The name of the schema.
+ * @returns {Promise<object[]>} A promise that resolves with the schemas with the given name, oldest version first.
+ */
+async function publishedVersions (agent, name) {
+	const schemas = await agent.getCredentialSchemas();
+	return schemas.filter((schema) => schema.name === name).sort((a, b) => semverCompare(a.version, b.version));
+}
+
+/**
+ * Looks up a schema by its ID.
+ * @param {Agent} agent The agent to look up the schema with.
+ * @param {string} schema_id The ID of the schema.
+ * @returns {Promise<object|null>} A promise that resolves with the schema, or null if it doesn't exist.
+ */
+async function findSchema (agent, schema_id) {
+	try {
+		const schema = await agent.getCredentialSchema(schema_id);
+		return schema ? schema : null;
+	} catch (error) {
+		// The agent answers with a 404 for schemas that don't exist
+		if (error.code === 404)
+			return null;
+		throw error;
+	}
+}
+
+/**
+ * Checks whether a schema version looks like '1.0' or '1.0.1'.
+ * @param {string} version A schema version.
+ * @returns {boolean} True if the version is valid.
+ */
+function isVersion (version) {
+	return typeof version === 'string' && /^\d+\.\d+(\.\d+)?$/.test(version);
+}
+
+/**
+ * Gets the version after the given one by bumping its last number, so '1.0' becomes '1.1' and '1.0.1' becomes '1.0.2'.
+ * @param {string} version A schema version.
+ * @returns {string} The next schema version.
+ */
+function nextVersion (version) {
+	const parts = version.split('.');
+	const last = parseInt(parts[parts.length - 1], 10);
+	parts[parts.length - 1] = `${isNaN(last) ? 0 : last + 1}`;
+	return parts.join('.');
+}
+
+/**
+ * Describes how the attributes of one schema version differ from another.
+ * @typedef {object} AttributeDiff
+ * @property {string[]} added Attributes that are only in the newer version.
+ * @property {string[]} removed Attributes that are only in the older version.
+ * @property {string[]} unchanged Attributes that are in both versions.
+ * @property {boolean} changed True if any attributes were added or removed.
+ */
+
+/**
+ * Compares the attributes of two schema versions.
+ * @param {string[]} from The attributes of the older version.
+ * @param {string[]} to The attributes of the newer version.
+ * @returns {AttributeDiff} The differences between the versions.
+ */
+function diffAttributes (from, to) {
+	const added = to.filter((attr_name) => from.indexOf(attr_name) < 0);
+	const removed = from.filter((attr_name) => to.indexOf(attr_name) < 0);
+	return {
+		added: added,
+		removed: removed,
+		unchanged: to.filter((attr_name) => from.indexOf(attr_name) >= 0),
+		changed: added.length > 0 || removed.length > 0
+	};
+}
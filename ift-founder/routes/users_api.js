@@ -14,53 +14,301 @@
  limitations under the License.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const compression = require('compression');
 
 const USER_ERRORS = require('../libs/users.js').USERS_ERRORS;
+const Roles = require('../libs/roles.js');
+const PERMISSIONS = Roles.PERMISSIONS;
+const AuditLog = require('../libs/audit_log.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
+const UserImport = require('../libs/user_import.js');
+
+/**
+ * The most users that can be requested in one page.
+ * @type {number}
+ */
+const MAX_USER_LIMIT = 1000;
+
+/**
+ * The most users that can be created by one import.
+ * @type {number}
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * The largest import body that will be accepted.
+ * @type {string}
+ */
+const MAX_IMPORT_SIZE = '10mb';
 
 /**
  * Creates an express router representing a Users REST API for managing users.
  * @param {object} users_instance An instance of the Users class with a backend user database.
  * @param {Agent} agent An cloud agent.
+ * @param {IssuanceManager} issuance_manager Checks imported users against the schema of the default credential, and
+ * updated users against the credentials they were issued.
+ * @param {AuditLog} audit_log Records the changes admins make to users.
  * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
  * @returns {object} An express router for the users API.
  */
-exports.createRouter = function (users_instance, agent, middleware) {
+exports.createRouter = function (users_instance, agent, issuance_manager, audit_log, middleware) {
 
 	if (!users_instance || typeof users_instance.read_user !== 'function')
 		throw new TypeError('Users API was not given a Users instance');
 	if (!agent || typeof agent.deleteConnection !== 'function')
 		throw new TypeError('Users API was not given an Agent');
+	if (!issuance_manager || typeof issuance_manager.get_attribute_check !== 'function')
+		throw new TypeError('Users API was not given an IssuanceManager');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Users API was not given an AuditLog');
 
 	const router = express.Router();
 	router.use(bodyParser.urlencoded({extended: true}));
-	router.use(bodyParser.json());
-	router.use(bodyParser.text());
+	// Bulk imports are much bigger than any other request, and CSV imports are sent as text/csv
+	router.use(bodyParser.json({limit: MAX_IMPORT_SIZE}));
+	router.use(bodyParser.text({type: [ 'text/plain', 'text/csv' ], limit: MAX_IMPORT_SIZE}));
 	router.use(compression());
 
-	/* GET all users */
-	router.get('/users', [ middleware.is_admin ], async (req, res, next) => {
+	/* GET a page of users.  Page with limit and skip or bookmark, sort with sort and order, and search with search and search_field. */
+	router.get('/users', [ middleware.has_permission(PERMISSIONS.USERS_READ) ], async (req, res, next) => {
+		for (const param of [ 'sort', 'order', 'search', 'search_field', 'bookmark', 'limit', 'skip' ]) {
+			if (req.query[param] !== undefined && typeof req.query[param] !== 'string')
+				return res.status(400).json({
+					error: USER_API_ERRORS.BAD_REQUEST,
+					reason: `${param} was not a string`
+				});
+		}
+
+		if (req.query.order && [ 'asc', 'desc' ].indexOf(req.query.order) < 0)
+			return res.status(400).json({
+				error: USER_API_ERRORS.BAD_REQUEST,
+				reason: 'order was not asc or desc'
+			});
+
+		// Searches use the same view as sorting, so the list can only be searched by the field it's sorted by
+		if (req.query.sort && req.query.search_field && req.query.sort.toLowerCase() !== req.query.search_field.toLowerCase())
+			return res.status(400).json({
+				error: USER_API_ERRORS.BAD_REQUEST,
+				reason: 'search_field must be the same as sort'
+			});
+
+		const opts = {
+			field: req.query.search_field ? req.query.search_field : req.query.sort ? req.query.sort : 'email',
+			search: req.query.search ? req.query.search : undefined,
+			descending: req.query.order === 'desc',
+			bookmark: req.query.bookmark ? req.query.bookmark : undefined
+		};
+
+		if (req.query.limit) {
+			opts.limit = parseInt(req.query.limit, 10);
+			if (!/^\d+$/.test(req.query.limit) || opts.limit < 1 || opts.limit > MAX_USER_LIMIT)
+				return res.status(400).json({
+					error: USER_API_ERRORS.BAD_REQUEST,
+					reason: `limit was not an integer from 1 to ${MAX_USER_LIMIT}`
+				});
+		}
+		if (req.query.skip) {
+			opts.skip = parseInt(req.query.skip, 10);
+			if (!/^\d+$/.test(req.query.skip))
+				return res.status(400).json({
+					error: USER_API_ERRORS.BAD_REQUEST,
+					reason: 'skip was not an integer >= 0'
+				});
+		}
+
 		try {
-			const users = await users_instance.read_users();
-			res.json({users: users});
+			const page = await users_instance.list_users(opts);
+			res.json(page);
 
+		} catch (error) {
+			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			let status = 500;
+			if (error.code === USER_ERRORS.INVALID_BOOKMARK)
+				status = 400;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* GET every user as a JSON list or a CSV file.  Declared before /users/:user_id so that export isn't read as a user. */
+	router.get('/users/export', [ middleware.has_permission(PERMISSIONS.USERS_READ) ], async (req, res, next) => {
+		const format = req.query.format ? req.query.format : 'json';
+		if ([ 'json', 'csv' ].indexOf(format) < 0)
+			return res.status(400).json({
+				error: USER_API_ERRORS.BAD_REQUEST,
+				reason: 'format was not json or csv'
+			});
+
+		// CSV needs every personal info field for its header, so it goes through the users twice
+		let columns = null;
+		try {
+			if (format === 'csv') {
+				const fields = [];
+				await eachUserPage(users_instance, (users) => {
+					for (const user_doc of users) {
+						for (const field in user_doc.personal_info) {
+							if (fields.indexOf(field) < 0 && UserImport.RESERVED_COLUMNS.indexOf(field) < 0)
+								fields.push(field);
+						}
+					}
+				});
+				columns = fields.sort();
+			}
 		} catch (error) {
 			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
 			return res.status(500).json({error: error.code, reason: error.message});
 		}
+
+		res.status(200);
+		res.type(format === 'csv' ? 'text/csv' : 'application/json');
+		res.attachment(`users.${format}`);
+		if (format === 'csv')
+			res.write(UserImport.toCSVLine([ 'email' ].concat(columns)));
+		else
+			res.write('[');
+
+		let count = 0;
+		try {
+			await eachUserPage(users_instance, (users) => {
+				for (const user_doc of users) {
+					delete user_doc._rev;
+					if (format === 'csv') {
+						const personal_info = user_doc.personal_info ? user_doc.personal_info : {};
+						res.write(UserImport.toCSVLine([ user_doc.email ].concat(columns.map((field) => {
+							return personal_info[field];
+						}))));
+					} else {
+						res.write(`${count ? ',' : ''}\n${JSON.stringify(user_doc)}`);
+					}
+					count++;
+				}
+			});
+		} catch (error) {
+			// The response has already started, so the most we can do is cut it off and leave the JSON unterminated
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_EXPORT,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {format: format, count: count, error: error.code, reason: error.message}
+			});
+			return res.end();
+		}
+
+		await audit_log.record_event({
+			actor: req.session.user_id,
+			action: AUDIT_ACTIONS.USER_EXPORT,
+			outcome: AUDIT_OUTCOMES.SUCCESS,
+			details: {format: format, count: count}
+		});
+		res.end(format === 'csv' ? '' : '\n]\n');
 	});
 
-	/* GET a user */
-	router.get('/users/:user_id', [ middleware.is_admin_or_user ], async (req, res, next) => {
+	/* POST a CSV or JSON list of users to create.  Each row is checked before it's created, and the result of every row is reported. */
+	router.post('/users/import', [ middleware.has_permission(PERMISSIONS.USERS_WRITE) ], async (req, res, next) => {
+		const dry_run = req.query.dry_run === 'true';
+
+		let rows;
+		try {
+			if (req.is('text/csv') || req.query.format === 'csv')
+				rows = UserImport.readCSVImport(typeof req.body === 'string' ? req.body : '');
+			else
+				rows = UserImport.readJSONImport(typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+		} catch (error) {
+			return res.status(400).json({
+				error: error.code ? error.code : USER_API_ERRORS.BAD_REQUEST,
+				reason: `Failed to read the import: ${error.message}`
+			});
+		}
+		if (!rows.length || rows.length > MAX_IMPORT_ROWS)
+			return res.status(400).json({
+				error: USER_API_ERRORS.BAD_REQUEST,
+				reason: `Imports must have from 1 to ${MAX_IMPORT_ROWS} users`
+			});
+
+		let attribute_check;
+		try {
+			attribute_check = await issuance_manager.get_attribute_check();
+		} catch (error) {
+			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			return res.status(500).json({error: error.code, reason: `Failed to look up the schema to check users against: ${error.message}`});
+		}
+
+		const results = [];
+		const emails = {};
+		for (const import_row of rows) {
+			const result = {
+				row: import_row.row,
+				email: typeof import_row.email === 'string' ? import_row.email : null,
+				status: IMPORT_ROW_STATUSES.FAILED,
+				errors: UserImport.checkImportRow(import_row)
+			};
+			results.push(result);
+
+			if (result.email && emails[result.email])
+				result.errors.push(`email is the same as row ${emails[result.email]}`);
+			else if (result.email)
+				emails[result.email] = import_row.row;
+
+			if (attribute_check && !result.errors.length) {
+				const missing = attribute_check.missing(import_row.personal_info);
+				if (missing.length)
+					result.errors.push(`personal_info is missing schema attributes: ${missing.join(', ')}`);
+			}
+			if (result.errors.length)
+				continue;
 
-		if (!req.is_admin && req.params.user_id !== req.session.user_id)
-			res.status(401).json({
-				error: 'NOT_AUTHORIZED',
-				reason: 'You cannot request information on other users'
+			if (dry_run) {
+				result.status = IMPORT_ROW_STATUSES.VALID;
+				continue;
+			}
+
+			// Imported users without a password can only log in with their wallet until an admin sets one
+			const password = import_row.password ? import_row.password : crypto.randomBytes(32).toString('hex');
+			try {
+				await users_instance.create_user(import_row.email, password, import_row.personal_info, import_row.opts);
+				result.status = IMPORT_ROW_STATUSES.CREATED;
+				await audit_log.record_event({
+					actor: req.session.user_id,
+					action: AUDIT_ACTIONS.USER_CREATE,
+					target: import_row.email,
+					outcome: AUDIT_OUTCOMES.SUCCESS,
+					details: {import_row: import_row.row}
+				});
+			} catch (error) {
+				result.errors.push(error.code === USER_ERRORS.USER_ALREADY_EXISTS ? 'user already exists' : `user could not be created: ${error.message}`);
+			}
+		}
+
+		const counts = {};
+		for (const status of Object.values(IMPORT_ROW_STATUSES)) {
+			counts[status] = results.filter((result) => {
+				return result.status === status;
+			}).length;
+		}
+		if (!dry_run)
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_IMPORT,
+				outcome: counts[IMPORT_ROW_STATUSES.FAILED] ? AUDIT_OUTCOMES.FAILURE : AUDIT_OUTCOMES.SUCCESS,
+				details: counts
 			});
 
+		res.json({
+			message: dry_run ? `${counts[IMPORT_ROW_STATUSES.VALID]} of ${rows.length} users are valid` :
+				`Created ${counts[IMPORT_ROW_STATUSES.CREATED]} of ${rows.length} users`,
+			dry_run: dry_run,
+			schema_id: attribute_check ? attribute_check.schema_id : null,
+			cred_def_id: attribute_check ? attribute_check.cred_def_id : null,
+			counts: counts,
+			rows: results
+		});
+	});
+
+	/* GET a user */
+	router.get('/users/:user_id', [ middleware.has_permission(PERMISSIONS.USERS_READ, true) ], async (req, res, next) => {
 		try {
 			const user_doc = await users_instance.read_user(req.params.user_id);
 			const response = {};
@@ -77,7 +325,7 @@ exports.createRouter = function (users_instance, agent, middleware) {
 	});
 
 	/* POST a new user */
-	router.post('/users/:user_id', async (req, res, next) => {
+	router.post('/users/:user_id', [ middleware.has_permission(PERMISSIONS.USERS_WRITE) ], async (req, res, next) => {
 		const user_id = req.params.user_id;
 
 		if (!req.body || typeof req.body.personal_info !== 'object') {
@@ -106,6 +354,12 @@ exports.createRouter = function (users_instance, agent, middleware) {
 
 		try {
 			const user_doc = await users_instance.create_user(user_id, password, personal_info, opts);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_CREATE,
+				target: user_id,
+				outcome: AUDIT_OUTCOMES.SUCCESS
+			});
 
 			const resp = {};
 			delete user_doc._rev;
@@ -114,6 +368,13 @@ exports.createRouter = function (users_instance, agent, middleware) {
 
 		} catch (error) {
 			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_CREATE,
+				target: user_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
 			let status = 500;
 			if (error.code === USER_ERRORS.USER_ALREADY_EXISTS)
 				status = 409;
@@ -124,7 +385,7 @@ exports.createRouter = function (users_instance, agent, middleware) {
 	});
 
 	/* PUT updates to a user */
-	router.put('/users/:user_id', [ middleware.is_admin ], async (req, res, next) => {
+	router.put('/users/:user_id', [ middleware.has_permission(PERMISSIONS.USERS_WRITE) ], async (req, res, next) => {
 		const personal_info = req.body.personal_info;
 		if (typeof personal_info !== 'object')
 			return res.status(400).json({error: USER_API_ERRORS.USER_PERSONAL_INFO_NOT_FOUND,
@@ -142,6 +403,43 @@ exports.createRouter = function (users_instance, agent, middleware) {
 
 		try {
 			const updated_doc = await users_instance.update_user(user, personal_info, opts);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_UPDATE,
+				target: user,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {changed_fields: updated_doc.changed_fields}
+			});
+
+			// The update already went through, so a failed check shouldn't fail the request
+			if (updated_doc.changed_fields.length) {
+				try {
+					const check = await issuance_manager.check_reissue(user);
+					if (check.reissue)
+						updated_doc.reissue = check.reissue;
+					else
+						delete updated_doc.reissue;
+					updated_doc.reissued = check.issuances;
+					if (check.issuances.length)
+						await audit_log.record_event({
+							actor: req.session.user_id,
+							action: AUDIT_ACTIONS.CREDENTIAL_REISSUE,
+							target: user,
+							outcome: AUDIT_OUTCOMES.SUCCESS,
+							details: {auto_offer: true, issuances: check.issuances}
+						});
+				} catch (error) {
+					error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+					await audit_log.record_event({
+						actor: req.session.user_id,
+						action: AUDIT_ACTIONS.CREDENTIAL_REISSUE,
+						target: user,
+						outcome: AUDIT_OUTCOMES.FAILURE,
+						details: {auto_offer: true, error: error.code, reason: error.message}
+					});
+					updated_doc.reissue_error = {error: error.code, reason: error.message};
+				}
+			}
 
 			const resp = {};
 			delete updated_doc._rev;
@@ -149,6 +447,13 @@ exports.createRouter = function (users_instance, agent, middleware) {
 			res.status(200).json(resp);
 		} catch (error) {
 			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_UPDATE,
+				target: user,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
 			let status = 500;
 			if (error.code === USER_ERRORS.USER_DOES_NOT_EXIST)
 				status = 404;
@@ -157,21 +462,22 @@ exports.createRouter = function (users_instance, agent, middleware) {
 	});
 
 	/* DELETE a user */
-	router.delete('/users/:user_id', [ middleware.is_admin_or_user ], async (req, res, next) => {
+	router.delete('/users/:user_id', [ middleware.has_permission(PERMISSIONS.USERS_WRITE, true) ], async (req, res, next) => {
 		const username = req.params.user_id;
 
-		if (!req.is_admin && req.params.user_id !== req.session.user_id)
-			res.status(401).json({
-				error: 'NOT_AUTHORIZED',
-				reason: 'You cannot delete other users'
-			});
-
 		let userDoc;
 		try {
 			userDoc = await users_instance.read_user(username);
 
 		} catch (error) {
 			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_DELETE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
 			let status = 500;
 			if (error.code === USER_ERRORS.USER_DOES_NOT_EXIST)
 				status = 404;
@@ -180,6 +486,13 @@ exports.createRouter = function (users_instance, agent, middleware) {
 
 		try {
 			// Clean up connections to the user
+			if (userDoc.connection && userDoc.connection.id) {
+				try {
+					await agent.deleteConnection(userDoc.connection.id);
+				} catch (error) {
+					// The connection may already have been deleted from the agent
+				}
+			}
 			if (userDoc.opts && userDoc.opts.agent_name) {
 				const search = {};
 				if (userDoc.opts.agent_name.toLowerCase().indexOf('http') >= 0)
@@ -194,9 +507,119 @@ exports.createRouter = function (users_instance, agent, middleware) {
 			}
 
 			await users_instance.delete_user(req.params.user_id);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_DELETE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.SUCCESS
+			});
 			res.json({message: `Deleted user ${username}`});
 		} catch (error) {
 			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_DELETE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if (error.code === USER_ERRORS.USER_DOES_NOT_EXIST)
+				status = 404;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* DELETE the link between a user and their connection, and the connection itself */
+	router.delete('/users/:user_id/connection', [ middleware.has_permission(PERMISSIONS.USERS_WRITE) ], async (req, res, next) => {
+		const username = req.params.user_id;
+
+		let userDoc;
+		try {
+			userDoc = await users_instance.read_user(username);
+			if (!userDoc.connection) {
+				return res.status(404).json({
+					error: USER_API_ERRORS.USER_CONNECTION_NOT_FOUND,
+					reason: `User ${username} is not linked to a connection`
+				});
+			}
+
+			const connection_id = userDoc.connection.id;
+			userDoc = await users_instance.unlink_connection(username);
+			try {
+				await agent.deleteConnection(connection_id);
+			} catch (error) {
+				// The connection may already have been deleted from the agent
+			}
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_CONNECTION_DELETE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {connection_id: connection_id}
+			});
+		} catch (error) {
+			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_CONNECTION_DELETE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if (error.code === USER_ERRORS.USER_DOES_NOT_EXIST)
+				status = 404;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+
+		res.json({message: `Unlinked the connection to user ${username}`, user: userDoc});
+	});
+
+	/* PUT the roles of a user */
+	router.put('/users/:user_id/roles', [ middleware.has_permission(PERMISSIONS.USERS_ROLES) ], async (req, res, next) => {
+		const username = req.params.user_id;
+
+		const roles = req.body ? req.body.roles : undefined;
+		try {
+			Roles.validateRoles(roles);
+		} catch (error) {
+			return res.status(400).json({
+				error: USER_API_ERRORS.USER_INVALID_ROLES,
+				reason: error.message
+			});
+		}
+
+		// Admins can't lock themselves out of the admin APIs
+		if (req.session && username === req.session.user_id && req.is_admin && roles.indexOf(Roles.ROLES.ADMIN) < 0) {
+			return res.status(400).json({
+				error: USER_API_ERRORS.USER_INVALID_ROLES,
+				reason: 'You cannot remove the admin role from yourself'
+			});
+		}
+
+		try {
+			const user_doc = await users_instance.set_roles(username, roles);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_ROLES_UPDATE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {roles: user_doc.roles}
+			});
+			const resp = {};
+			resp[user_doc.email] = user_doc;
+			res.json(resp);
+
+		} catch (error) {
+			error.code = error.code ? error.code : USER_API_ERRORS.UNKNOWN_USER_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.USER_ROLES_UPDATE,
+				target: username,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
 			let status = 500;
 			if (error.code === USER_ERRORS.USER_DOES_NOT_EXIST)
 				status = 404;
@@ -207,9 +630,36 @@ exports.createRouter = function (users_instance, agent, middleware) {
 	return router;
 };
 
+/**
+ * Goes through every user record, a page at a time.
+ * @param {Users} users_instance An instance of the Users class.
+ * @param {function(User[]): void} callback Called with each page of users, in order.
+ * @returns {Promise<void>} A promise that resolves when every page has been handed to the callback.
+ */
+async function eachUserPage (users_instance, callback) {
+	let bookmark;
+	do {
+		const page = await users_instance.list_users({limit: MAX_USER_LIMIT, bookmark: bookmark});
+		callback(page.users);
+		bookmark = page.bookmark;
+	} while (bookmark);
+}
+
+/**
+ * What happened to each user in an import.
+ * @enum {string}
+ */
+const IMPORT_ROW_STATUSES = {
+	CREATED: 'created',
+	VALID: 'valid',
+	FAILED: 'failed'
+};
+
 const USER_API_ERRORS = {
 	USER_PERSONAL_INFO_NOT_FOUND: 'USER_PERSONAL_INFO_NOT_FOUND',
 	UNKNOWN_USER_API_ERROR: 'UNKNOWN_USER_API_ERROR',
+	USER_CONNECTION_NOT_FOUND: 'USER_CONNECTION_NOT_FOUND',
+	USER_INVALID_ROLES: 'USER_INVALID_ROLES',
 	BAD_REQUEST: 'BAD_REQUEST'
 };
 exports.USER_API_ERRORS = USER_API_ERRORS;
\ No newline at end of file
@@ -23,6 +23,7 @@ const session = require('express-session');
 const IssuanceManager = require('./libs/credentials.js').IssuanceManager;
 const LoginManager = require('./libs/logins.js').LoginManager;
 const SignupManager = require('./libs/signups.js').SignupManager;
+const BatchIssuanceManager = require('./libs/batch_issuance.js').BatchIssuanceManager;
 
 const Middleware = require('./routes/middleware.js').Middleware;
 const UserUI = require('./routes/ui.js');
@@ -32,6 +33,11 @@ const UserAPI = require('./routes/users_api.js');
 const SchemaAPI = require('./routes/schemas_api.js');
 const CredDefsAPI = require('./routes/cred_def_api.js');
 const CredentialsAPI = require('./routes/credentials_api.js');
+const FlowsAPI = require('./routes/flows_api.js');
+const IssuedCredentialsAPI = require('./routes/issued_credentials_api.js');
+const IssuanceSettingsAPI = require('./routes/issuance_settings_api.js');
+const AuditAPI = require('./routes/audit_api.js');
+const IssuanceJobsAPI = require('./routes/issuance_jobs_api.js');
 
 // Logging setup
 const Logger = require('./libs/logger.js').Logger;
@@ -44,12 +50,21 @@ const logger = Logger.makeLogger(Logger.logPrefix(__filename));
  * @param {Agent} agent An Agent instance of openssi-websdk.
  * @param {CardRenderer} card_renderer The service this app will use for rendering card images.
  * @param {Users} users An account management service.
+ * @param {Flows} flows Saves the state of issuance, login, and signup flows.
+ * @param {IssuedCredentials} issued_credentials Records the credentials issued to users so they can be revoked.
+ * @param {IssuanceSettings} issuance_settings Decides which credentials are issued to users.
+ * @param {IssuanceJobs} issuance_jobs Saves the progress of batch issuance jobs.
+ * @param {AuditLog} audit_log Records administrative actions and the outcomes of issuance, login, and signup flows.
+ * @param {AttributeMapper} attribute_mapper Translates between user records and credential attributes.
+ * @param {FlowSweeper} flow_sweeper Cleans up stale issuance, login, and signup flows.
+ * @param {object} offer_policies The OfferPolicy for each of the `issuance`, `login`, and `signup` flows.
  * @param {ImageProvider} connection_icon_provider Supplies this app's "profile pic" when connecting to other agents.
  * @param {ProofHelper} login_proof_helper Provides proof schemas for the VC login flows.
  * @param {SignupHelper} [signup_helper] Manages proof schemas and user record creation.
+ * @param {IssuerBootstrap} [issuer_bootstrap] Publishes the schema and credential definition this app issues.
  * @return {object} An express webapp that can be attached to an http server.
  */
-function createApp (ev, nano, agent, card_renderer, users, connection_icon_provider, login_proof_helper, signup_helper) {
+function createApp (ev, nano, agent, card_renderer, users, flows, issued_credentials, issuance_settings, issuance_jobs, audit_log, attribute_mapper, flow_sweeper, offer_policies, connection_icon_provider, login_proof_helper, signup_helper, issuer_bootstrap) {
 
 	// Set up the express app that will serve up our web pages and APIs
 	logger.debug('Setting up express app');
@@ -73,26 +88,39 @@ function createApp (ev, nano, agent, card_renderer, users, connection_icon_provi
 	}));
 
 	// Set up all the backend libraries for managing users, schemas, credentials, etc.
-	const issuance_manager = new IssuanceManager(agent, users, card_renderer, connection_icon_provider);
-	const login_manager = new LoginManager(agent, users, connection_icon_provider, login_proof_helper);
+	const issuance_manager = new IssuanceManager(agent, users, flows, issued_credentials, issuance_settings, attribute_mapper, card_renderer, connection_icon_provider, audit_log, offer_policies.issuance, ev.CREDENTIAL_REVOCATION);
+	const batch_issuance_manager = new BatchIssuanceManager(issuance_manager, users, issuance_jobs);
+	const login_manager = new LoginManager(agent, users, flows, connection_icon_provider, login_proof_helper, issued_credentials, audit_log, offer_policies.login);
 	let signup_manager;
 	if (signup_helper)
-		signup_manager = new SignupManager(agent, users, card_renderer, connection_icon_provider, signup_helper);
+		signup_manager = new SignupManager(agent, users, flows, issued_credentials, attribute_mapper, card_renderer, connection_icon_provider, signup_helper, audit_log, offer_policies.signup);
+
+	// Let the sweeper stop stale flows that are running in this instance of the app
+	flow_sweeper.addManager('issuance', issuance_manager);
+	flow_sweeper.addManager('login', login_manager);
+	if (signup_manager)
+		flow_sweeper.addManager('signup', signup_manager);
+	flow_sweeper.start();
 
 	// Setup authentication middleware
-	const middleware = new Middleware(ev.ADMIN_API_USERNAME, ev.ADMIN_API_PASSWORD, ev.FRIENDLY_NAME);
+	const middleware = new Middleware(users, ev.INSECURE_DEV_MODE);
 
 	// UI routers
-	app.use('/', UserUI.createRouter(users, ev, middleware));
+	app.use('/', UserUI.createRouter(users, ev, middleware, issuer_bootstrap));
 	app.use('/', LoginAPI.createRouter(users, login_manager));
 	if (signup_helper)
 		app.use('/', SignupAPI.createRouter(signup_manager));
 
 	// API routers
-	app.use('/api', UserAPI.createRouter(users, agent, middleware));
-	app.use('/api', SchemaAPI.createRouter(agent, ev.SCHEMA_TEMPLATE_PATH, middleware));
-	app.use('/api', CredDefsAPI.createRouter(agent, middleware));
+	app.use('/api', UserAPI.createRouter(users, agent, issuance_manager, audit_log, middleware));
+	app.use('/api', SchemaAPI.createRouter(agent, ev.SCHEMA_TEMPLATE_PATH, issuance_settings, audit_log, middleware));
+	app.use('/api', CredDefsAPI.createRouter(agent, audit_log, middleware, ev.CREDENTIAL_REVOCATION));
 	app.use('/api', CredentialsAPI.createRouter(issuance_manager, middleware));
+	app.use('/api', FlowsAPI.createRouter(flow_sweeper, middleware));
+	app.use('/api', IssuedCredentialsAPI.createRouter(issuance_manager, issued_credentials, audit_log, middleware));
+	app.use('/api', IssuanceSettingsAPI.createRouter(issuance_settings, agent, audit_log, middleware));
+	app.use('/api', AuditAPI.createRouter(audit_log, middleware));
+	app.use('/api', IssuanceJobsAPI.createRouter(batch_issuance_manager, audit_log, middleware));
 
 	// catch 404 and forward to error handler
 	app.use((req, res, next) => {
@@ -14,75 +14,185 @@
  limitations under the License.
  */
 
+const EventEmitter = require('events');
 const uuidv4 = require('uuid/v4');
 const semverCompare = require('semver-compare');
 
+const FLOWS_ERRORS = require('./flows.js').FLOWS_ERRORS;
+const Helpers = require('./helpers.js');
+const OfferPolicy = require('./offer_policy.js').OfferPolicy;
+const OFFER_STAGES = require('./offer_policy.js').OFFER_STAGES;
+const AUDIT_ACTIONS = require('./audit_log.js').AUDIT_ACTIONS;
+
 const Logger = require('./logger.js').Logger;
 const logger = Logger.makeLogger(Logger.logPrefix(__filename));
 
 /**
- * Tracks and manages all the Login flows.  Should clean up old login flows
+ * Tracks and manages all the Login flows.  The state of every login is saved to the flow records, so the status of a
+ * login can be looked up by any instance of the app.  Flows are only kept in memory while
+ * they are running.
  */
 class LoginManager {
 
 	/**
 	 * @param {Agent} agent An agent for connecting to and logging in users.
 	 * @param {Users} user_records A Users instance with access to personal data for checking credentials.
+	 * @param {Flows} flow_records A Flows instance for saving the state of logins.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
 	 * @param {ProofHelper} login_helper Provides proof schemas and checks proof responses for VC logins.
+	 * @param {IssuedCredentials} [credential_records] The records of issued credentials, used to recognize users by the
+	 * connections they were issued credentials over.
+	 * @param {AuditLog} [audit_log] Records the outcome of each login.
+	 * @param {OfferPolicy} [offer_policy] Decides how long logins wait on users and how they resend offers.
 	 */
-	constructor (agent, user_records, connection_icon_provider, login_helper) {
+	constructor (agent, user_records, flow_records, connection_icon_provider, login_helper, credential_records, audit_log, offer_policy) {
 		if (!agent || typeof agent.createVerification !== 'function')
 			throw new TypeError('LoginManager was not given an Agent instance');
 		if (!user_records || typeof user_records.read_user !== 'function')
 			throw new TypeError('LoginManager was not given a Users instance');
+		if (!flow_records || typeof flow_records.save_flow !== 'function')
+			throw new TypeError('LoginManager was not given a Flows instance');
 		if (!connection_icon_provider || typeof connection_icon_provider.getImage !== 'function')
 			throw new TypeError('LoginManager was not given an ImageProvider instance');
 		if (!login_helper || typeof login_helper.getProofSchema !== 'function')
 			throw new TypeError('LoginManager was not given a ProofHelper instance');
+		if (credential_records && typeof credential_records.read_connection_credentials !== 'function')
+			throw new TypeError('LoginManager was given an invalid IssuedCredentials instance');
+		if (audit_log && typeof audit_log.record_flow !== 'function')
+			throw new TypeError('LoginManager was given an invalid AuditLog instance');
+		if (offer_policy && typeof offer_policy.waitForAnswer !== 'function')
+			throw new TypeError('LoginManager was given an invalid OfferPolicy instance');
 
 		this.agent = agent;
 		this.user_records = user_records;
+		this.flow_records = flow_records;
 		this.logins = {};
+		this.running = {}; // The start() promises of the Logins in this.logins
 		this.connection_icon_provider = connection_icon_provider;
 		this.login_helper = login_helper;
+		this.credential_records = credential_records ? credential_records : null;
+		this.audit_log = audit_log ? audit_log : null;
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
 	}
 
 	/**
-	 * Creates an Login flow for the given user.
-	 * @param {string} user The app user we want to log in.
-	 * @param {ConnectionMethod} connection_method The method for connecting to the user.
-	 * @returns {string} A Login instance ID to be used to check the status of the Login later.
+	 * Creates an Login flow for the given user.  Without a user, the Login identifies the user by the connection they
+	 * accept or by the proof they send, which lets users log in with their wallet without typing anything.
+	 * @param {string|null} user The app user we want to log in, or null to identify the user from their wallet.
+	 * @param {ConnectionMethod} connection_method The method for connecting to the user.  Must be `out_of_band` if no
+	 * user is given.
+	 * @returns {Promise<string>} A Login instance ID to be used to check the status of the Login later.
 	 */
-	create_login (user, connection_method) {
-		if (!user || typeof user !== 'string')
+	async create_login (user, connection_method) {
+		if (user !== null && user !== undefined && (!user || typeof user !== 'string'))
 			throw new TypeError('Invalid user was provided to login manager');
 		if (!connection_method || typeof connection_method !== 'string')
 			throw new TypeError('Invalid connection method for logging in');
+		if (!user && connection_method !== 'out_of_band') {
+			const error = new Error('Logging in without a user requires the out_of_band connection method');
+			error.code = LOGIN_ERRORS.LOGIN_INVALID_CONNECTION_METHOD;
+			throw error;
+		}
+		user = user ? user : null;
 
 		const login_id = uuidv4();
 		logger.info(`Creating login ${login_id}`);
-		this.logins[login_id] = new Login(login_id, this.agent, user, this.user_records, this.connection_icon_provider, this.login_helper, connection_method);
-		this.logins[login_id].start();
+		const login = new Login(login_id, this.agent, user, this.user_records, this.flow_records, this.connection_icon_provider, this.login_helper, connection_method, this.credential_records, this.offer_policy);
+		this.logins[login_id] = login;
+		await login.save();
+		this.running[login_id] = login.start();
+
+		// Other instances of the app can't reach this Login, so they ask for it to be stopped through its flow record
+		const unwatch = this.flow_records.watch_stop_request(login_id, (request) => {
+			this.stop_requested(login_id, request).catch((error) => {
+				logger.error(`Failed to stop login ${login_id} at the request of ${request.by}: ${error}`);
+			});
+		});
+
+		this.running[login_id].then(() => {
+			unwatch();
+			// Stopped Logins have already been taken off the list, so the outcome comes from the Login itself
+			const doc = login.toDoc();
+
+			// The flow records are all that's needed to report on logins that are done
+			delete this.logins[login_id];
+			delete this.running[login_id];
+			if (this.audit_log)
+				return this.audit_log.record_flow(AUDIT_ACTIONS.LOGIN_PROOF, doc);
+		}).catch((error) => {
+			logger.error(`Failed to clean up after login ${login_id}: ${error}`);
+		});
 		return login_id;
 	}
 
+	/**
+	 * Looks up a Login.  Logins that are not running in this instance of the app are loaded from the flow records.
+	 * @param {string} login_id The ID of a Login.
+	 * @returns {Promise<Login>} A promise that resolves with the Login.
+	 */
+	async find_login (login_id) {
+		if (this.logins[login_id])
+			return this.logins[login_id];
+
+		let doc;
+		try {
+			doc = await this.flow_records.read_flow(login_id);
+		} catch (error) {
+			if (error.code !== FLOWS_ERRORS.FLOW_DOES_NOT_EXIST)
+				throw error;
+		}
+
+		if (!doc || doc.flow_type !== Login.FLOW_TYPE) {
+			const error = new Error(`Login ${login_id} was not found in Login list`);
+			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_FOUND;
+			throw error;
+		}
+
+		const login = new Login(login_id, this.agent, doc.user, this.user_records, this.flow_records, this.connection_icon_provider, this.login_helper, doc.connection_method, this.credential_records, this.offer_policy);
+		login.loadDoc(doc);
+		return login;
+	}
+
 	/**
 	 * Gets the status of a given Login.
 	 * @param {string} login_id The ID of the Login to check.
-	 * @returns {LoginStatus} The status of the given Login.
+	 * @returns {Promise<LoginStatus>} The status of the given Login.
 	 */
-	get_login_status (login_id) {
+	async get_login_status (login_id) {
 		if (!login_id || typeof login_id !== 'string')
 			throw new TypeError('Invalid login ID was provided to login manager');
 
-		if (!this.logins[login_id]) {
-			const error = new Error(`Login ${login_id} was not found in Login list`);
-			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_FOUND;
-			throw error;
+		const login = await this.find_login(login_id);
+		return login.getStatus();
+	}
+
+	/**
+	 * Calls the given listener with the status of a Login now and every time the status changes.
+	 * @param {string} login_id The ID of the Login to watch.
+	 * @param {function} listener Called with a LoginStatus.
+	 * @returns {Promise<function>} A promise that resolves with a function that stops watching the Login.
+	 */
+	async watch_login (login_id, listener) {
+		if (!login_id || typeof login_id !== 'string')
+			throw new TypeError('Invalid login ID was provided to login manager');
+		if (typeof listener !== 'function')
+			throw new TypeError('Invalid listener was provided to login manager');
+
+		const login = await this.find_login(login_id);
+		listener(login.getStatus());
+
+		if (this.logins[login_id] === login) {
+			login.on('status', listener);
+			return () => {
+				login.removeListener('status', listener);
+			};
 		}
 
-		return this.logins[login_id].getStatus();
+		// Logins that are running in another instance of the app can only be followed through the flow records
+		return this.flow_records.watch_flow(login_id, (doc) => {
+			login.loadDoc(doc);
+			listener(login.getStatus());
+		});
 	}
 
 
@@ -90,54 +200,103 @@ class LoginManager {
 	 * Retrieves the user for the given login flow.  When the login flow is complete, this lets the caller know who is
 	 * clear to be logged in when a Login has finished.
 	 * @param {string} login_id The ID of a Login.
-	 * @return {string} The user ID associated with the given login flow.
+	 * @return {Promise<string>} The user ID associated with the given login flow.
 	 */
-	get_login_user (login_id) {
+	async get_login_user (login_id) {
 		if (!login_id || typeof login_id !== 'string')
 			throw new TypeError('Invalid login ID was provided to login manager');
 
-		if (!this.logins[login_id]) {
-			const error = new Error(`Login ${login_id} was not found in Login list`);
-			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_FOUND;
-			throw error;
-		}
-
-		return this.logins[login_id].user;
+		const login = await this.find_login(login_id);
+		return login.user;
 	}
 
 	/**
-	 * Stops the given Login and deletes it from the Login list.
-	 *
-	 * @param {string} login_id The ID of a running Login.
-	 * @returns {void}
+	 * Resends the offer that a TIMED_OUT Login is waiting on the user to answer.  Only the instance of the app that is
+	 * running the Login can resend its offers.
+	 * @param {string} login_id The ID of the Login.
+	 * @returns {Promise<void>} A promise that resolves when the Login has been told to resend the offer.
 	 */
-	delete_login (login_id) {
+	async resend_login (login_id) {
 		if (!login_id || typeof login_id !== 'string')
 			throw new TypeError('Invalid login ID was provided to login manager');
 
-		if (!this.logins[login_id]) {
-			const error = new Error(`Login ${login_id} was not found in Login list`);
-			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_FOUND;
+		const login = await this.find_login(login_id);
+		if (this.logins[login_id] !== login) {
+			const error = new Error(`Login ${login_id} is running in another instance of the app`);
+			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_LOCAL;
 			throw error;
 		}
-		const login = this.logins[login_id];
-		delete this.logins[login_id];
+		login.resend();
+	}
 
-		if ([
+	/**
+	 * Stops the given Login and deletes its flow record.  The record is deleted once the Login has given up, so that
+	 * nothing the Login was in the middle of can bring the record back.  A Login that is still running in another instance
+	 * of the app is asked to stop through its flow record, and that instance deletes the record.
+	 *
+	 * @param {string} login_id The ID of a Login.
+	 * @returns {Promise<void>} Resolves when the Login has been stopped and deleted, or asked to stop.
+	 */
+	async delete_login (login_id) {
+		if (!login_id || typeof login_id !== 'string')
+			throw new TypeError('Invalid login ID was provided to login manager');
+
+		const login = await this.find_login(login_id);
+		const running = [
 			Login.LOGIN_STEPS.FINISHED,
 			Login.LOGIN_STEPS.ERROR,
 			Login.LOGIN_STEPS.STOPPED
-		].indexOf(login.getStatus().status) >= 0) {
+		].indexOf(login.getStatus().status) < 0;
+
+		if (running && this.logins[login_id] !== login) {
+			await this.flow_records.request_stop(login_id);
 			return;
 		}
-		login.stop();
+
+		delete this.logins[login_id];
+		if (running)
+			await login.stop();
+		await this.running[login_id];
+		await this.flow_records.delete_flow(login_id);
+	}
+
+	/**
+	 * Stops a Login that is running in this instance of the app and forgets about it.  Used to clean up Logins that
+	 * are stuck.
+	 * @param {string} login_id The ID of a Login.
+	 * @returns {Promise<boolean>} Resolves with true if the Login was running in this instance of the app, once the Login
+	 * has given up.
+	 */
+	async stop_flow (login_id) {
+		const login = this.logins[login_id];
+		if (!login)
+			return false;
+
+		delete this.logins[login_id];
+		await login.stop();
+		await this.running[login_id];
+		return true;
+	}
+
+	/**
+	 * Stops a Login that another instance of the app asked to stop, and deletes its flow record.
+	 * @param {string} login_id The ID of a Login running in this instance of the app.
+	 * @param {object} request The stop request from the flow record.
+	 * @returns {Promise<void>} A promise that resolves when the Login has been stopped and deleted.
+	 */
+	async stop_requested (login_id, request) {
+		logger.info(`Stopping login ${login_id} at the request of ${request.by}`);
+		if (await this.stop_flow(login_id))
+			await this.flow_records.delete_flow(login_id);
 	}
 }
 exports.LoginManager = LoginManager;
 
 const LOGIN_MANAGER_ERRORS = {
 	LOGIN_NOT_FOUND: 'LOGIN_NOT_FOUND',
-	LOGIN_ALREADY_STOPPED: 'LOGIN_ALREADY_STOPPED'
+	LOGIN_ALREADY_STOPPED: 'LOGIN_ALREADY_STOPPED',
+	LOGIN_NOT_TIMED_OUT: 'LOGIN_NOT_TIMED_OUT',
+	LOGIN_NOT_LOCAL: 'LOGIN_NOT_LOCAL'
 };
 exports.LOGIN_MANAGER_ERRORS = LOGIN_MANAGER_ERRORS;
 
@@ -146,11 +305,11 @@ exports.LOGIN_MANAGER_ERRORS = LOGIN_MANAGER_ERRORS;
  * this class has methods to start, stop, and check the status of the flow.  This allows the UI to be able to keep track
  * of where the flow is and update the user accordingly.
  */
-class Login {
+class Login extends EventEmitter {
 
 	/**
 	 * @enum {string}
-	 * @returns {{CREATED: string, ESTABLISHING_CONNECTION: string, CHECKING_CREDENTIAL: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
+	 * @returns {{CREATED: string, ESTABLISHING_CONNECTION: string, CHECKING_CREDENTIAL: string, TIMED_OUT: string, FINISHED: string, STOPPED: string, ERROR: string}} The possible states
 	 * @constructor
 	 */
 	static get LOGIN_STEPS () {
@@ -158,12 +317,20 @@ class Login {
 			CREATED: 'CREATED',
 			ESTABLISHING_CONNECTION: 'ESTABLISHING_CONNECTION',
 			CHECKING_CREDENTIAL: 'CHECKING_CREDENTIAL',
+			TIMED_OUT: 'TIMED_OUT',
 			FINISHED: 'FINISHED',
 			STOPPED: 'STOPPED',
 			ERROR: 'ERROR'
 		};
 	}
 
+	/**
+	 * @returns {string} The flow type of Logins in the flow records.
+	 */
+	static get FLOW_TYPE () {
+		return 'login';
+	}
+
 	/**
 	 * Describes a method for establishing a connection with another agent.  Out-of-band connections require a user to
 	 * post a connection offer to their agent to establish a connection.  In-band connections only require a user to
@@ -177,43 +344,63 @@ class Login {
 	/**
 	 * @param {string} id The ID for looking up this Login instance.
 	 * @param {Agent} agent An agent to connect to users and send credential offers.
-	 * @param {string} user The user to connect with.
+	 * @param {string|null} user The user to connect with, or null to identify the user by their connection or proof.
 	 * @param {Users} user_records The database of app Users where personal information is stored.
+	 * @param {Flows} flow_records The database where the state of the Login is saved.
 	 * @param {ImageProvider} connection_icon_provider Provides the image data for connection offers.
 	 * @param {ProofHelper} login_helper Provides proof schemas and checks proof responses.
 	 * @param {ConnectionMethod} connection_method The method for establishing the connection to the user
+	 * @param {IssuedCredentials} [credential_records] The records of issued credentials, used to recognize the user's
+	 * connection.
+	 * @param {OfferPolicy} [offer_policy] Decides how long to wait on the user and how to resend offers.
 	 */
-	constructor (id, agent, user, user_records, connection_icon_provider, login_helper, connection_method) {
+	constructor (id, agent, user, user_records, flow_records, connection_icon_provider, login_helper, connection_method, credential_records, offer_policy) {
+		super();
 		this.id = id;
 		this.agent = agent;
 		this.user = user;
 		this.agent_name = null; // acquired from the user records.
 		this.user_records = user_records;
+		this.flow_records = flow_records;
 		this.status = Login.LOGIN_STEPS.CREATED;
 		this.error = null;
 		this.connection_icon_provider = connection_icon_provider;
 		this.login_helper = login_helper;
 		this.connection_offer = null;
 		this.verification = null;
+		this.proof_nonce = null;
+		this.proof_requested_at = null;
 		this.connection_method = connection_method;
+		this.credential_records = credential_records ? credential_records : null;
+		this.offer_policy = offer_policy ? offer_policy : new OfferPolicy();
+		this.timed_out = null;
+		this.stopped = false;
 	}
 
 	/**
-	 * Starts the Login and begins delivering a credential to the user.
+	 * Starts the Login and begins delivering a credential to the user.  The Login checks whether it was stopped every
+	 * time it gets back from waiting on something, and gives up if it was.
 	 * @returns {Promise<void>} Resolves when the login has finished, been stopped, or had an error.
 	 */
 	async start () {
-		// Get icon to use for connection and credential
-		const icon = await this.connection_icon_provider.getImage();
-
 		try {
+			// Get icon to use for connection and credential
+			const icon = await this.connection_icon_provider.getImage();
+			this.checkStopped();
 
 			logger.info(`Starting credential login flow ${this.id}`);
 
-			logger.info(`Getting credential data for ${this.user}`);
-			const user_doc = await this.user_records.read_user(this.user);
+			let user_doc = null;
+			if (this.user) {
+				logger.info(`Getting credential data for ${this.user}`);
+				user_doc = await this.user_records.read_user(this.user);
+				this.checkStopped();
+			} else {
+				logger.info('No user was given.  The user will be identified by their connection or their proof');
+			}
 
 			const my_credential_definitions = await this.agent.getCredentialDefinitions();
+			this.checkStopped();
 			logger.debug(`${this.agent.user}'s list of credential definitions: ${JSON.stringify(my_credential_definitions, 0, 1)}`);
 
 			if (!my_credential_definitions.length) {
@@ -225,24 +412,31 @@ class Login {
 			const cred_def_id = my_credential_definitions[0].id;
 
 			logger.debug(`Checking for attributes with credential definition id ${cred_def_id}`);
-			const proof_request = await this.login_helper.getProofSchema({
-				restrictions: [ {cred_def_id: my_credential_definitions[0].id} ]
-			});
-
-			const account_proof_schema = await this.agent.createProofSchema(proof_request.name, proof_request.version,
-				proof_request.requested_attributes, proof_request.requested_predicates);
+			this.proof_nonce = Helpers.generateNonce();
+			const proof_opts = {
+				restrictions: [ {cred_def_id: my_credential_definitions[0].id} ],
+				nonce: this.proof_nonce
+			};
+			let account_proof_schema = await Helpers.createProofSchema(this.agent, await this.login_helper.getProofSchema(proof_opts));
 			logger.debug(`Created proof schema: ${JSON.stringify(account_proof_schema)}`);
 
-			this.status = Login.LOGIN_STEPS.ESTABLISHING_CONNECTION;
+			await this.setStatus(Login.LOGIN_STEPS.ESTABLISHING_CONNECTION);
 			logger.info(`Connection to user via the ${this.connection_method} method`);
 			const connection_opts = icon ? {icon: icon} : null;
+			const linked_connection = await Helpers.findLinkedConnection(this.agent, user_doc);
+			this.checkStopped();
 			let connection;
 
 			try {
 
-				if (this.connection_method === 'in_band') {
+				if (linked_connection) {
+
+					logger.info(`Reusing connection ${linked_connection.id}, which is linked to ${this.user}`);
+					connection = linked_connection;
+
+				} else if (this.connection_method === 'in_band') {
 
-					if (!user_doc.opts || !user_doc.opts.agent_name) {
+					if (!user_doc || !user_doc.opts || !user_doc.opts.agent_name) {
 						const err = new Error('User record does not have an associated agent name');
 						err.code = LOGIN_ERRORS.AGENT_NOT_FOUND;
 						throw err;
@@ -255,16 +449,26 @@ class Login {
 						else
 							connection_to = {name: connection_to};
 					}
-					logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
-					this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
-					logger.info(`Sent connection offer ${this.connection_offer.id} to ${user_doc.opts.agent_name}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						logger.info(`Sending connection offer to ${JSON.stringify(connection_to)}`);
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(connection_to, connection_opts);
+						logger.info(`Sent connection offer ${this.connection_offer.id} to ${user_doc.opts.agent_name}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else if (this.connection_method === 'out_of_band') {
 
-					this.connection_offer = await this.agent.createConnection(null, connection_opts);
-					logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
-					connection = await this.agent.waitForConnection(this.connection_offer.id, 30, 3000);
+					connection = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.CONNECTION, async () => {
+						this.connection_offer = null;
+						this.connection_offer = await this.agent.createConnection(null, connection_opts);
+						logger.info(`Created out-of-band connection offer ${this.connection_offer.id}`);
+						this.checkStopped();
+						await this.save();
+						return this.connection_offer.id;
+					}, this.agent.waitForConnection.bind(this.agent), this.agent.deleteConnection.bind(this.agent));
 
 				} else {
 					const error = new Error(`An invalid connection method was used: ${this.connection_method}`);
@@ -284,32 +488,57 @@ class Login {
 			}
 			logger.info(`Established connection ${connection.id}.  Their DID: ${connection.remote.pairwise.did}`);
 
-			this.status = Login.LOGIN_STEPS.CHECKING_CREDENTIAL;
+			if (!user_doc)
+				user_doc = await this.identifyConnection(connection);
 
-			// If no proof requests, then send request
-			logger.info(`Sending proof request to ${connection.remote.pairwise.did}`);
-			try {
-				this.verification = await this.agent.createVerification({
-					did: connection.remote.pairwise.did
-				},
-				account_proof_schema.id,
-				'outbound_proof_request',
-				{
-					icon: icon
-				});
-			} catch (error) {
-				logger.error(`Sending login proof request failed.  Deleting connection ${connection.id}. error: ${error}`);
-				error.code = error.code ? error.code : LOGIN_ERRORS.LOGIN_VERIFICATION_FAILED;
-				await this.agent.deleteConnection(connection.id);
-				throw error;
-			}
-			logger.info(`Created verification request: ${this.verification.id}`);
+			await this.setStatus(Login.LOGIN_STEPS.CHECKING_CREDENTIAL);
 
-			logger.info(`Waiting for verification of proof request from ${connection.remote.pairwise.did}`);
 			let proof;
 			try {
-				proof = await this.agent.waitForVerification(this.verification.id, 30, 3000);
+				proof = await this.offer_policy.waitForAnswer(this, OFFER_STAGES.PROOF, async () => {
+					// If no proof requests, then send request
+					logger.info(`Sending proof request to ${connection.remote.pairwise.did}`);
+
+					const resending = !!this.verification;
+					this.verification = null;
+					try {
+						// Resent proof requests get their own nonce, so an answer to the one that timed out can't be replayed
+						if (resending) {
+							this.proof_nonce = Helpers.generateNonce();
+							proof_opts.nonce = this.proof_nonce;
+							account_proof_schema = await Helpers.createProofSchema(this.agent, await this.login_helper.getProofSchema(proof_opts));
+							logger.debug(`Created proof schema: ${JSON.stringify(account_proof_schema)}`);
+						}
+						this.verification = await this.agent.createVerification({
+							did: connection.remote.pairwise.did
+						},
+						account_proof_schema.id,
+						'outbound_proof_request',
+						{
+							icon: icon
+						});
+						this.proof_requested_at = Date.now();
+					} catch (error) {
+						logger.error(`Sending login proof request failed. error: ${error}`);
+						error.code = error.code ? error.code : LOGIN_ERRORS.LOGIN_VERIFICATION_FAILED;
+						if (!linked_connection) {
+							logger.info(`Deleting connection ${connection.id}`);
+							await this.agent.deleteConnection(connection.id);
+						}
+						throw error;
+					}
+					logger.info(`Created verification request: ${this.verification.id}`);
+					this.checkStopped();
+					await this.save();
+
+					logger.info(`Waiting for verification of proof request from ${connection.remote.pairwise.did}`);
+					return this.verification.id;
+				}, this.agent.waitForVerification.bind(this.agent), this.agent.deleteVerification.bind(this.agent));
 			} catch (error) {
+				// The proof request couldn't be sent, and the connection was already cleaned up
+				if (!this.verification)
+					throw error;
+
 				logger.error(`Failed to complete verification ${this.verification.id}. Deleting verification. error: ${error}`);
 				error.code = error.code ? error.code : LOGIN_ERRORS.LOGIN_VERIFICATION_FAILED;
 				await this.agent.deleteVerification(this.verification.id);
@@ -329,40 +558,225 @@ class Login {
 
 			logger.info(`Deleting verification request ${proof.id}`);
 			await this.agent.deleteVerification(proof.id);
+			this.checkStopped();
 
 			logger.info(`Checking the validity of the proof in verification ${proof.id}`);
 			try {
-				await this.login_helper.checkProof(proof, user_doc);
+				if (!user_doc)
+					user_doc = await this.identifyProof(proof);
+				await this.login_helper.checkProof(proof, user_doc, {
+					nonce: this.proof_nonce,
+					requested_at: this.proof_requested_at
+				});
 			} catch (error) {
 				error.code = error.code ? error.code : LOGIN_ERRORS.LOGIN_PROOF_VALIDATION_FAILED;
 				throw error;
 			}
+			this.checkStopped();
 
 			logger.info(`Login flow ${this.id} completed successfully`);
-			this.status = Login.LOGIN_STEPS.FINISHED;
+			await Helpers.linkConnection(this.user_records, user_doc, connection);
+			await this.setStatus(Login.LOGIN_STEPS.FINISHED);
 
 		} catch (error) {
+			if (this.status === Login.LOGIN_STEPS.STOPPED) {
+				logger.info(`Credential login flow ${this.id} gave up because it was stopped: ${error}`);
+				return;
+			}
 			error.code = error.code ? error.code : LOGIN_ERRORS.LOGIN_UNKNOWN_ERROR;
 			logger.error(`Login failed: ${error.code} ${error.message}`);
-			this.status = Login.LOGIN_STEPS.ERROR;
 			this.error = error;
+			await this.setStatus(Login.LOGIN_STEPS.ERROR);
+		}
+	}
+
+	/**
+	 * Makes the Login give up if it was stopped while it was waiting on something.
+	 * @returns {void}
+	 */
+	checkStopped () {
+		if (this.status !== Login.LOGIN_STEPS.STOPPED)
+			return;
+		const error = new Error(`Credential login flow ${this.id} was stopped`);
+		error.code = FLOWS_ERRORS.FLOW_STOPPED;
+		throw error;
+	}
+
+	/**
+	 * Looks for the user who is linked to, or was issued credentials over, a connection with the same pairwise DID as the
+	 * given connection.
+	 * @param {object} connection A connection to the user.
+	 * @returns {Promise<User|null>} A promise that resolves with the user's record, or null if the connection doesn't
+	 * belong to exactly one user.
+	 */
+	async identifyConnection (connection) {
+		const did = connection.remote.pairwise.did;
+		const linked_users = await this.user_records.find_connection_users(did);
+		const credentials = this.credential_records ? await this.credential_records.read_connection_credentials(did) : [];
+		const users = linked_users.map((user_doc) => {
+			return user_doc._id;
+		}).concat(credentials.map((credential) => {
+			return credential.user;
+		})).filter((user, index, all) => {
+			return all.indexOf(user) === index;
+		});
+		if (users.length !== 1) {
+			logger.info(`Connection ${connection.id} belongs to ${users.length} users.  The user will be identified by their proof`);
+			return null;
 		}
+
+		logger.info(`Connection ${connection.id} belongs to user ${users[0]}`);
+		this.user = users[0];
+		return this.user_records.read_user(this.user);
 	}
 
 	/**
-	 * Stops this Login, meaning that the Login will still finish whatever the current Login task is, such as
-	 * verifying a credential, but will cease activity before the next task.
+	 * Looks for the one user whose personal info matches the identifying attributes in a proof.
+	 * @param {object} proof A verification that passed.
+	 * @returns {Promise<User>} A promise that resolves with the user's record, or rejects if the proof doesn't match
+	 * exactly one user.
+	 */
+	async identifyProof (proof) {
+		if (typeof this.login_helper.proofToIdentifiers !== 'function') {
+			const error = new Error('Users can\'t be identified by their login proofs');
+			error.code = LOGIN_ERRORS.LOGIN_USER_NOT_FOUND;
+			throw error;
+		}
+
+		const identifiers = await this.login_helper.proofToIdentifiers(proof);
+		if (!Object.keys(identifiers).length) {
+			const error = new Error(`Verification ${proof.id} did not have any verified attributes to identify the user by`);
+			error.code = LOGIN_ERRORS.LOGIN_USER_NOT_FOUND;
+			throw error;
+		}
+
+		const users = await this.user_records.find_users(identifiers);
+		if (users.length !== 1) {
+			const error = new Error(`Verification ${proof.id} matched ${users.length} users instead of one`);
+			error.code = LOGIN_ERRORS.LOGIN_USER_NOT_FOUND;
+			throw error;
+		}
+
+		logger.info(`Verification ${proof.id} identified user ${users[0]._id}`);
+		this.user = users[0]._id;
+		return users[0];
+	}
+
+	/**
+	 * Resends the offer that the user didn't answer in time.  The Login must be TIMED_OUT.
 	 * @returns {void}
 	 */
-	stop () {
+	resend () {
+		if (this.status !== Login.LOGIN_STEPS.TIMED_OUT) {
+			const error = new Error(`Login ${this.id} is not waiting to resend an offer`);
+			error.code = LOGIN_MANAGER_ERRORS.LOGIN_NOT_TIMED_OUT;
+			throw error;
+		}
+		logger.info(`Resending the ${this.timed_out.stage} offer for credential login flow ${this.id}`);
+		this.emit('resend');
+	}
+
+	/**
+	 * Stops this Login.  Offers the Login is waiting on are given up on and deleted, and the Login doesn't start its next
+	 * task.  Nothing is saved after the stopped state, so deleting the flow record afterwards is final.
+	 * @returns {Promise<void>} Resolves when the stopped state has been saved.
+	 */
+	async stop () {
 		logger.info(`Stopping credential login flow ${this.id}`);
 		this.status = Login.LOGIN_STEPS.STOPPED;
+		await this.save();
+		this.stopped = true;
+	}
+
+	/**
+	 * Moves the Login to the given step and saves the new state to the flow records.
+	 * @param {LOGIN_STEPS} status The new status of the Login.
+	 * @returns {Promise<void>} Resolves when the new state has been saved.
+	 */
+	async setStatus (status) {
+		this.checkStopped();
+		this.status = status;
+		await this.save();
+	}
+
+	/**
+	 * Saves the state of the Login to the flow records and lets anyone watching the Login know about the new state.  Failing to save the state shouldn't break a Login that is
+	 * running in this instance of the app, so errors are logged instead of thrown.
+	 * @returns {Promise<void>} Resolves when the state has been saved.
+	 */
+	async save () {
+		// Once the stopped state is saved, the flow record belongs to whoever stopped the Login
+		if (this.stopped)
+			return;
+		try {
+			await this.flow_records.save_flow(this.toDoc());
+		} catch (error) {
+			logger.error(`Failed to save the state of login ${this.id}: ${error}`);
+		}
+		this.emit('status', this.getStatus());
+	}
+
+	/**
+	 * Builds a flow record describing the state of the Login.
+	 * @returns {object} A flow record for the Login.
+	 */
+	toDoc () {
+		const doc = {
+			_id: this.id,
+			flow_type: Login.FLOW_TYPE,
+			user: this.user,
+			status: this.status,
+			connection_method: this.connection_method
+		};
+
+		if (this.connection_offer)
+			doc.connection_offer = this.connection_offer;
+
+		if (this.verification)
+			doc.verification = {id: this.verification.id};
+
+		if (this.proof_nonce)
+			doc.proof_nonce = this.proof_nonce;
+
+		if (this.proof_requested_at)
+			doc.proof_requested_at = this.proof_requested_at;
+
+		if (this.timed_out)
+			doc.timed_out = this.timed_out;
+
+		if (this.error)
+			doc.error = {
+				code: this.error.code ? this.error.code : LOGIN_ERRORS.LOGIN_UNKNOWN_ERROR,
+				message: this.error.message
+			};
+
+		return doc;
+	}
+
+	/**
+	 * Restores the state of the Login from a flow record.
+	 * @param {object} doc A flow record created by toDoc().
+	 * @returns {void}
+	 */
+	loadDoc (doc) {
+		this.status = doc.status;
+		this.connection_offer = doc.connection_offer ? doc.connection_offer : null;
+		this.verification = doc.verification ? doc.verification : null;
+		this.proof_nonce = doc.proof_nonce ? doc.proof_nonce : null;
+		this.proof_requested_at = doc.proof_requested_at ? doc.proof_requested_at : null;
+		this.timed_out = doc.timed_out ? doc.timed_out : null;
+		this.error = null;
+		if (doc.error) {
+			this.error = new Error(doc.error.message);
+			this.error.code = doc.error.code;
+		}
 	}
 
 	/**
 	 * @typedef {object} LoginStatus
 	 * @property {LOGIN_STEPS} status The status of the Login.
 	 * @property {error} [error] The error that occurred, if the login status is ERROR.
+	 * @property {TimedOutOffer} [timed_out] The offer the user didn't answer in time, if the login status is TIMED_OUT.
 	 */
 	/**
 	 * Gets the status of the Login.
@@ -386,6 +800,9 @@ class Login {
 		if (this.status === Login.LOGIN_STEPS.CHECKING_CREDENTIAL && this.verification)
 			ret.verification = {id: this.verification.id};
 
+		if (this.status === Login.LOGIN_STEPS.TIMED_OUT && this.timed_out)
+			ret.timed_out = this.timed_out;
+
 		return ret;
 	}
 }
@@ -410,7 +827,8 @@ const LOGIN_ERRORS = {
 	LOGIN_UNKNOWN_ERROR: 'LOGIN_UNKNOWN_ERROR',
 	LOGIN_NO_CREDENTIAL_DEFINITIONS: 'LOGIN_NO_CREDENTIAL_DEFINITIONS',
 	LOGIN_INVALID_CONNECTION_METHOD: 'LOGIN_INVALID_CONNECTION_METHOD',
-	LOGIN_CONNECTION_FAILED: 'LOGIN_CONNECTION_FAILED'
+	LOGIN_CONNECTION_FAILED: 'LOGIN_CONNECTION_FAILED',
+	LOGIN_USER_NOT_FOUND: 'LOGIN_USER_NOT_FOUND'
 };
 
 exports.LOGIN_ERRORS = LOGIN_ERRORS;
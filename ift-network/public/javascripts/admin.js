@@ -20,6 +20,11 @@ $(document).ready(() => {
 		populate_user_table();
 	});
 
+	// Searches are done on the server, so picking a different field to search means asking for the users again
+	$('#userSearchField').change(() => {
+		$('#userTable').bootstrapTable('refresh', {pageNumber: 1});
+	});
+
 	$('#refreshSchemaButton').click(() => {
 		getSchemaList();
 	});
@@ -28,6 +33,19 @@ $(document).ready(() => {
 		getCredDefs();
 	});
 
+	$('#refreshAuditButton').click(() => {
+		getAuditEvents();
+	});
+
+	$('#refreshIssuanceJobsButton').click(() => {
+		getIssuanceJobs();
+	});
+
+	$('#auditFilterForm').submit((event) => {
+		event.preventDefault();
+		getAuditEvents();
+	});
+
 	// Make sure new users are being given the password we think they are
 	$('#createUserPassword, #createUserConfirmPassword').on('keyup', () => {
 		if ($('#createUserPassword').val() === $('#createUserConfirmPassword').val()) {
@@ -172,6 +190,144 @@ $(document).ready(() => {
 		});
 	});
 
+	/**
+	 * Click handler for the "roles" buttons in the user table
+	 */
+	$('#userTable').on('click', '.edit-roles', (event) => {
+		const target = $(event.target);
+
+		const userID = target.attr('data-user');
+		const input = prompt(`Roles for ${userID}, separated by commas (admin, auditor, issuer-operator, member)`, target.attr('data-roles'));
+		if (input === null)
+			return;
+		const roles = input.split(',').map((role) => {
+			return role.trim();
+		}).filter((role) => {
+			return role;
+		});
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+		console.log(`Setting the roles of user ${userID} to ${JSON.stringify(roles)}`);
+
+		$.ajax({
+			url: `/api/users/${userID}/roles`,
+			method: 'PUT',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify({roles: roles})
+		}).done(() => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(`Set the roles of user ${userID}`);
+			populate_user_table();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to set roles:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to set roles. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to set roles. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#userTableAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	/**
+	 * Click handler for the "disconnect" buttons in the user table
+	 */
+	$('#userTable').on('click', '.sever-connection', (event) => {
+		const target = $(event.target);
+
+		const userID = target.attr('data-user');
+
+		if (!confirm(`Are you sure you want to delete the connection to ${userID}?  They will have to accept a new connection offer next time.`))
+			return;
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+		console.log(`Severing the connection to user ${userID}`);
+
+		$.ajax({
+			url: `/api/users/${userID}/connection`,
+			method: 'DELETE'
+		}).done(() => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(`Severed the connection to user ${userID}`);
+			populate_user_table();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to sever connection:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to sever connection. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to sever connection. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#userTableAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	/**
+	 * Click handler for the "reissue" buttons in the user table
+	 */
+	$('#userTable').on('click', '.reissue-credentials', (event) => {
+		const target = $(event.target);
+
+		const userID = target.attr('data-user');
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+		console.log(`Reissuing the out of date credentials of user ${userID}`);
+
+		$.ajax({
+			url: `/api/users/${userID}/reissue`,
+			method: 'POST'
+		}).done((resp) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(`Started reissuances for user ${userID}: ${JSON.stringify(resp.issuances)}`);
+			$('#userTableAlert').html(window.alertHTML(`Offered ${resp.issuances.length} updated credentials to ${userID}`, 'success'));
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to reissue credentials:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to reissue credentials. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to reissue credentials. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#userTableAlert').html(window.alertHTML(alertText));
+			populate_user_table();
+		});
+	});
+
 	/**
 	 * Click handler for the "publish cred def" buttons in the user table
 	 */
@@ -222,139 +378,617 @@ $(document).ready(() => {
 		});
 	});
 
-	// Get the default template when clicking the create schema button
-	let schema_template;
-	$('#openSchemaModalButton').on('click', () => {
+	/**
+	 * Click handler for the "deprecate" and "restore" buttons in the schema table
+	 */
+	$('#schemaTable').on('click', '.deprecate-schema', (event) => {
+		const target = $(event.target);
 
-		// Start the loading animation
-		const loader = $('#openSchemaModalButton');
-		loader.html(loader.data('loading-text'));
-		loader.attr('disabled', 'disabled');
+		const schema_id = target.attr('data-schema-id');
+		const deprecated = target.attr('data-deprecated') !== 'true';
+		const data = {deprecated: deprecated};
+		if (deprecated) {
+			const reason = window.prompt(`Why is schema ${schema_id} being deprecated?`, '');
+			if (reason === null)
+				return;
+			if (reason.trim())
+				data.reason = reason.trim();
+		}
 
-		console.log('Getting this issuer\'s schema template');
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+
+		console.log(`${deprecated ? 'Deprecating' : 'Restoring'} schema ${schema_id}`);
 		$.ajax({
-			url: '/api/schema_templates/default',
-			method: 'GET',
+			url: `/api/schemas/${encodeURIComponent(schema_id)}/deprecation`,
+			method: 'PUT',
+			dataType: 'json',
 			contentType: 'application/json',
-		}).done((response) => {
+			data: JSON.stringify(data)
+		}).done((resp) => {
 
 			// Stop the loader
-			loader.html(loader.data('original-text'));
-			loader.removeAttr('disabled');
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
 
-			console.log(`Schema template: ${JSON.stringify(response.schema)}`);
-			$('#schema_name').val(response.schema.name);
-			$('#schema_version').val(response.schema.version);
-			schema_template = response.schema;
-			$('#newSchemaModal').modal('show');
+			console.log(resp.message);
+			getSchemaList();
 
 		}).fail((jqXHR, textStatus, errorThrown) => {
 
 			// Stop the loader
-			loader.html(loader.data('original-text'));
-			loader.removeAttr('disabled');
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
 
-			console.error('Failed to get schema template', errorThrown, jqXHR.responseText);
-			let alertText = `Failed to get schema template. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			console.error('Failed to update the schema deprecation:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to update the schema deprecation. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
 			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
 				const response = jqXHR.responseJSON;
-				alertText = `Failed to get schema template. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+				alertText = `Failed to update the schema deprecation. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
 			}
-			$('#createUserAlert').html(window.alertHTML(alertText));
+			$('#schemaAlert').html(window.alertHTML(alertText));
 		});
 	});
 
-	$('#licenseSchemaForm').submit((event) => {
-		event.preventDefault();
+	/**
+	 * Click handler for the "map attributes" buttons in the schema table
+	 */
+	$('#schemaTable').on('click', '.map-attributes', (event) => {
+		const target = $(event.target);
 
-		// Start the loading animation
-		const loader = $('#createSchemaButton');
-		loader.html(loader.data('loading-text'));
-		loader.attr('disabled', 'disabled');
+		const schema_id = target.attr('data-schema-id');
+		const schema = $('#schemaTable').bootstrapTable('getData').find((row) => {
+			return row.id === schema_id;
+		});
+		if (!schema)
+			return console.error(`Schema ${schema_id} is not in the schema table`);
 
-		let schema_name = $('#schema_name');
-		schema_name.val(schema_name.val().trim());	//trim ws
-		schema_name = schema_name.val();
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
 
-		let schema_version = $('#schema_version');
-		schema_version.val(schema_version.val().trim());	//trim ws
-		schema_version = schema_version.val();
+		console.log(`Getting the attribute mapping for schema ${schema_id}`);
+		$.ajax({
+			url: '/api/issuance_settings',
+			method: 'GET'
+		}).done((resp) => {
 
-		const schema_attributes = schema_template.attributes;
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
 
-		const data = {
-			name: schema_name,
-			version: schema_version,
-			attributes: schema_attributes
-		};
+			const mapping = resp.settings.attribute_mappings[schema_id] ? resp.settings.attribute_mappings[schema_id] : {};
+			const fields = $('#attributeMappingFields');
+			fields.empty();
+			for (const index in schema.attr_names) {
+				const attr_name = schema.attr_names[index];
+				const group = $('<div class="form-group"></div>');
+				group.append($('<label></label>').text(attr_name));
+				group.append($('<input type="text" class="form-control">')
+					.attr('name', attr_name)
+					.attr('placeholder', attr_name)
+					.val(mapping[attr_name] ? mapping[attr_name] : ''));
+				fields.append(group);
+			}
+			$('#attributeMappingSchemaId').val(schema_id);
+			$('#attributeMappingModal .modal-title').text(`Map Attributes for ${schema.name} ${schema.version}`);
+			$('#attributeMappingModal').modal('show');
 
-		console.log(`Creating schema with data: ${JSON.stringify(data)}`);
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to get the issuance settings:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to get the issuance settings. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to get the issuance settings. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#schemaAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	$('#attributeMappingForm').submit((event) => {
+		event.preventDefault();
+
+		const schema_id = $('#attributeMappingSchemaId').val();
+		const mapping = {};
+		$('#attributeMappingFields input').each((_, input) => {
+			const field = $(input).val().trim();
+			if (field)
+				mapping[$(input).attr('name')] = field;
+		});
+
+		// Start the loading animation
+		const loader = $('#saveAttributeMappingButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+
+		console.log(`Saving attribute mapping for schema ${schema_id}: ${JSON.stringify(mapping)}`);
 		$.ajax({
-			url: '/api/schemas',
-			method: 'POST',
+			url: `/api/issuance_settings/attribute_mappings/${encodeURIComponent(schema_id)}`,
+			method: 'PUT',
 			dataType: 'json',
 			contentType: 'application/json',
-			data: JSON.stringify(data)
-		}).done((resp) => {
+			data: JSON.stringify({mapping: mapping})
+		}).done(() => {
 
 			// Stop the loader
 			loader.html(loader.data('original-text'));
 			loader.removeAttr('disabled');
-			$('#newSchemaModal').modal('hide');
+			$('#attributeMappingModal').modal('hide');
 
-			console.log(`Created schema ${resp.schema_id}`);
-			getSchemaList();
+			console.log(`Saved attribute mapping for schema ${schema_id}`);
 
 		}).fail((jqXHR, textStatus, errorThrown) => {
 
 			// Stop the loader
 			loader.html(loader.data('original-text'));
 			loader.removeAttr('disabled');
-			$('#newSchemaModal').modal('hide');
+			$('#attributeMappingModal').modal('hide');
 
-			console.error(`Failed to create schema ${schema_name}`, errorThrown, jqXHR.responseText);
-			let alertText = `Failed to create schema ${schema_name}. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			console.error(`Failed to save attribute mapping for schema ${schema_id}`, errorThrown, jqXHR.responseText);
+			let alertText = `Failed to save attribute mapping for schema ${schema_id}. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
 			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
 				const response = jqXHR.responseJSON;
-				alertText = `Failed to create schema ${schema_name}. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+				alertText = `Failed to save attribute mapping for schema ${schema_id}. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
 			}
 			$('#schemaAlert').html(window.alertHTML(alertText));
 		});
 	});
 
-	// Display a preview when a user selects a profile pic
-	$('#createUserPortrait').on('change', () => {
-		const file = $('#createUserPortrait')[0].files[0];
-		const portrait_preview = $('#userPortraitPreview');
-		const reader = new FileReader();
-
-		console.log(`Reading in file: ${file}`);
+	/**
+	 * Click handler for the "make default" buttons in the credential definition table
+	 */
+	$('#credDefTable').on('click', '.make-default-cred-def', (event) => {
+		const target = $(event.target);
 
-		reader.addEventListener('load', () => {
-			console.log('Displaying preview');
-			const initial_image = document.createElement('img');
-			initial_image.src = reader.result;
+		const cred_def_id = target.attr('data-cred-def-id');
 
-			initial_image.onload = () => {
-				// Scale down the image while maintaining aspect ratio
-				const maxHeight = 200;
-				const maxWidth = 200;
-				let height = initial_image.height;
-				let width = initial_image.width;
-				if (width > height) {
-					if (width > maxWidth) {
-						height = Math.round(height * maxWidth / width);
-						width = maxWidth;
-					}
-				} else {
-					if (height > maxHeight) {
-						width = Math.round(width * maxHeight / height);
-						height = maxHeight;
-					}
-				}
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
 
-				// Scale the image down by drawing it to a canvas of a smaller size
-				const canvas = document.createElement('canvas');
+		console.log(`Making ${cred_def_id} the default credential definition`);
+		$.ajax({
+			url: '/api/issuance_settings/default_cred_def',
+			method: 'PUT',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify({cred_def_id: cred_def_id})
+		}).done(() => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(`Made ${cred_def_id} the default credential definition`);
+			getCredDefs();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to set the default credential definition:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to set the default credential definition. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to set the default credential definition. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#credDefAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	$('#reissuanceForm').submit((event) => {
+		event.preventDefault();
+
+		const reissuance = {
+			auto_offer: $('#reissuanceAutoOffer').prop('checked'),
+			previous_credential: $('#reissuancePreviousCredential').val()
+		};
+
+		// Start the loading animation
+		const loader = $('#saveReissuanceButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+
+		console.log(`Saving reissuance settings: ${JSON.stringify(reissuance)}`);
+		$.ajax({
+			url: '/api/issuance_settings/reissuance',
+			method: 'PUT',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify(reissuance)
+		}).done(() => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.log('Saved reissuance settings');
+			$('#credDefAlert').html(window.alertHTML('Saved reissuance settings', 'success'));
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.error('Failed to save reissuance settings:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to save reissuance settings. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to save reissuance settings. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#credDefAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	// Get the default template when clicking the create schema button
+	let schema_template;
+	$('#openSchemaModalButton').on('click', () => {
+
+		// Start the loading animation
+		const loader = $('#openSchemaModalButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+
+		console.log('Getting this issuer\'s schema template');
+		$.ajax({
+			url: '/api/schema_templates/default',
+			method: 'GET',
+			contentType: 'application/json',
+		}).done((response) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.log(`Schema template: ${JSON.stringify(response.schema)}`);
+			$('#schema_name').val(response.schema.name);
+			$('#schema_version').val(response.schema.version);
+			schema_template = response.schema;
+			$('#newSchemaModal').modal('show');
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.error('Failed to get schema template', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to get schema template. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to get schema template. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#createUserAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	$('#licenseSchemaForm').submit((event) => {
+		event.preventDefault();
+
+		// Start the loading animation
+		const loader = $('#createSchemaButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+
+		let schema_name = $('#schema_name');
+		schema_name.val(schema_name.val().trim());	//trim ws
+		schema_name = schema_name.val();
+
+		let schema_version = $('#schema_version');
+		schema_version.val(schema_version.val().trim());	//trim ws
+		schema_version = schema_version.val();
+
+		const schema_attributes = schema_template.attributes;
+
+		const data = {
+			name: schema_name,
+			version: schema_version,
+			attributes: schema_attributes
+		};
+
+		console.log(`Creating schema with data: ${JSON.stringify(data)}`);
+		$.ajax({
+			url: '/api/schemas',
+			method: 'POST',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify(data)
+		}).done((resp) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+			$('#newSchemaModal').modal('hide');
+
+			console.log(`Created schema ${resp.schema_id}`);
+			getSchemaList();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+			$('#newSchemaModal').modal('hide');
+
+			console.error(`Failed to create schema ${schema_name}`, errorThrown, jqXHR.responseText);
+			let alertText = `Failed to create schema ${schema_name}. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to create schema ${schema_name}. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#schemaAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	$('#importUsersForm').submit((event) => {
+		event.preventDefault();
+
+		const file = $('#importUsersFile')[0].files[0];
+		if (!file)
+			return;
+		const dry_run = $('#importUsersDryRun').is(':checked');
+
+		// Start the loading animation
+		const loader = $('#importUsersButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+		$('#importUsersAlert').html('');
+
+		const reader = new FileReader();
+		reader.addEventListener('load', () => {
+			const is_csv = /\.csv$/i.test(file.name);
+			console.log(`Importing users from ${file.name}${dry_run ? ' (dry run)' : ''}`);
+			$.ajax({
+				url: `/api/users/import?dry_run=${dry_run}`,
+				method: 'POST',
+				dataType: 'json',
+				contentType: is_csv ? 'text/csv' : 'application/json',
+				data: reader.result
+			}).done((resp) => {
+
+				// Stop the loader
+				loader.html(loader.data('original-text'));
+				loader.removeAttr('disabled');
+
+				console.log(`Import results: ${JSON.stringify(resp.counts)}`);
+				const alert_type = resp.counts.failed ? 'warning' : 'success';
+				const schema_text = resp.schema_id ? `Checked against schema ${resp.schema_id}.` : 'No credential definitions were found to check against.';
+				$('#importUsersAlert').html(window.alertHTML(`${resp.message}.  ${resp.counts.failed} failed.  ${schema_text}`, alert_type));
+				create_import_result_table(resp.rows);
+				if (!dry_run)
+					populate_user_table();
+
+			}).fail((jqXHR, textStatus, errorThrown) => {
+
+				// Stop the loader
+				loader.html(loader.data('original-text'));
+				loader.removeAttr('disabled');
+
+				console.error('Failed to import users:', errorThrown, jqXHR.responseText);
+				let alertText = `Failed to import users. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+				if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+					const response = jqXHR.responseJSON;
+					alertText = `Failed to import users. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+				}
+				$('#importUsersAlert').html(window.alertHTML(alertText));
+			});
+		});
+		reader.readAsText(file);
+	});
+
+	// Batch issuance jobs can use the same searches as the user list, and any of the credential definitions
+	$('#issuanceJobModal').on('show.bs.modal', () => {
+		$('#issuanceJobFormAlert').html('');
+		$('#issuanceJobFilterField').html($('#userSearchField').html());
+
+		const cred_def_select = $('#issuanceJobCredDef');
+		cred_def_select.html('<option value="">Default credential</option>');
+		$.ajax({
+			url: '/api/creddefs',
+			method: 'GET'
+		}).done((resp) => {
+			const cred_defs = resp.cred_defs ? resp.cred_defs : resp;
+			for (const cred_def of cred_defs)
+				cred_def_select.append($('<option>').val(cred_def.id).text(cred_def.id));
+		}).fail((jqXHR, textStatus, errorThrown) => {
+			console.error('Failed to get credential definitions:', errorThrown, jqXHR.responseText);
+		});
+	});
+
+	$('#issuanceJobTarget').change(() => {
+		const by_list = $('#issuanceJobTarget').val() === 'users';
+		$('#issuanceJobUsersGroup').toggleClass('d-none', !by_list);
+		$('#issuanceJobFilterGroup').toggleClass('d-none', by_list);
+	});
+
+	$('#issuanceJobForm').submit((event) => {
+		event.preventDefault();
+
+		const job = {
+			connected_only: $('#issuanceJobConnectedOnly').is(':checked'),
+			concurrency: parseInt($('#issuanceJobConcurrency').val(), 10),
+			retries: parseInt($('#issuanceJobRetries').val(), 10)
+		};
+		if ($('#issuanceJobTarget').val() === 'users') {
+			job.users = $('#issuanceJobUsers').val().split(/[\s,]+/).filter((user) => {
+				return !!user;
+			});
+		} else {
+			job.filter = {
+				field: $('#issuanceJobFilterField').val(),
+				search: $('#issuanceJobFilterSearch').val().trim()
+			};
+		}
+		if ($('#issuanceJobCredDef').val())
+			job.selector = {cred_def_id: $('#issuanceJobCredDef').val()};
+
+		// Start the loading animation
+		const loader = $('#issuanceJobButton');
+		loader.html(loader.data('loading-text'));
+		loader.attr('disabled', 'disabled');
+
+		console.log(`Starting a batch issuance job: ${JSON.stringify(job)}`);
+		$.ajax({
+			url: '/api/issuance_jobs',
+			method: 'POST',
+			dataType: 'json',
+			contentType: 'application/json',
+			data: JSON.stringify(job)
+		}).done((resp) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.log(resp.message);
+			$('#issuanceJobModal').modal('hide');
+			$('#issuanceJobAlert').html(window.alertHTML(resp.message, 'success'));
+			getIssuanceJobs();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.error('Failed to start batch issuance job:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to start batch issuance job. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to start batch issuance job. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#issuanceJobFormAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	/**
+	 * Click handler for the "details" buttons in the batch issuance job table
+	 */
+	$('#issuanceJobTable').on('click', '.show-issuance-job', (event) => {
+		const target = $(event.target);
+
+		const job_id = target.attr('data-job-id');
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+
+		console.log(`Getting batch issuance job ${job_id}`);
+		$.ajax({
+			url: `/api/issuance_jobs/${job_id}`,
+			method: 'GET'
+		}).done((resp) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			$('#issuanceJobDetailsTitle').text(`Batch Issuance Job ${resp.job._id}`);
+			create_issuance_job_user_table(resp.job.users);
+			$('#issuanceJobDetailsModal').modal('show');
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to get batch issuance job:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to get batch issuance job. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to get batch issuance job. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#issuanceJobAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	/**
+	 * Click handler for the "cancel" buttons in the batch issuance job table
+	 */
+	$('#issuanceJobTable').on('click', '.cancel-issuance-job', (event) => {
+		const target = $(event.target);
+
+		const job_id = target.attr('data-job-id');
+
+		if (!confirm('Are you sure you want to cancel this job?  Credentials that were already issued will not be revoked.'))
+			return;
+
+		// Start the loader
+		target.html(target.data('loading-text'));
+		target.attr('disabled', 'disabled');
+
+		console.log(`Cancelling batch issuance job ${job_id}`);
+		$.ajax({
+			url: `/api/issuance_jobs/${job_id}/cancel`,
+			method: 'POST'
+		}).done((resp) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.log(resp.message);
+			getIssuanceJobs();
+
+		}).fail((jqXHR, textStatus, errorThrown) => {
+
+			// Stop the loader
+			target.html(target.data('original-text'));
+			target.removeAttr('disabled');
+
+			console.error('Failed to cancel batch issuance job:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to cancel batch issuance job. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to cancel batch issuance job. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#issuanceJobAlert').html(window.alertHTML(alertText));
+		});
+	});
+
+	// Display a preview when a user selects a profile pic
+	$('#createUserPortrait').on('change', () => {
+		const file = $('#createUserPortrait')[0].files[0];
+		const portrait_preview = $('#userPortraitPreview');
+		const reader = new FileReader();
+
+		console.log(`Reading in file: ${file}`);
+
+		reader.addEventListener('load', () => {
+			console.log('Displaying preview');
+			const initial_image = document.createElement('img');
+			initial_image.src = reader.result;
+
+			initial_image.onload = () => {
+				// Scale down the image while maintaining aspect ratio
+				const maxHeight = 200;
+				const maxWidth = 200;
+				let height = initial_image.height;
+				let width = initial_image.width;
+				if (width > height) {
+					if (width > maxWidth) {
+						height = Math.round(height * maxWidth / width);
+						width = maxWidth;
+					}
+				} else {
+					if (height > maxHeight) {
+						width = Math.round(width * maxHeight / height);
+						height = maxHeight;
+					}
+				}
+
+				// Scale the image down by drawing it to a canvas of a smaller size
+				const canvas = document.createElement('canvas');
 				canvas.width = width;
 				canvas.height = height;
 				const context = canvas.getContext('2d');
@@ -382,17 +1016,22 @@ $(document).ready(() => {
 		loader.html(loader.data('loading-text'));
 		loader.attr('disabled', 'disabled');
 
-		if (confirm('Are you sure you want to delete all users?')) {
+		if (confirm('Are you sure you want to delete all users?  Admins will be kept.')) {
 
-			let users;
+			let users = [];
 			try {
 				console.log('Getting a list of all users');
-				users = await $.ajax({
-					url: '/api/users',
-					contentType: 'application/json'
-				});
-				// unwrap the list of users
-				if (users.users) users = users.users;
+				// The users API returns a page at a time, with a bookmark for the next page
+				let bookmark = null;
+				do {
+					const page = await $.ajax({
+						url: '/api/users',
+						data: bookmark ? {limit: 1000, bookmark: bookmark} : {limit: 1000},
+						contentType: 'application/json'
+					});
+					users = users.concat(page.users);
+					bookmark = page.bookmark;
+				} while (bookmark);
 			} catch (error) {
 				loader.removeAttr('disabled');
 				loader.html(loader.data('original-text'));
@@ -400,10 +1039,16 @@ $(document).ready(() => {
 				console.error(`Failed to get the list of users to delete: ${JSON.stringify(error)}`);
 				alert(`Failed to get the list of users to delete: ${JSON.stringify(error, 0, 1)}`);
 			}
-			console.log(`Got a list of ${Object.keys(users).length} to delete`);
+			console.log(`Got a list of ${users.length} to delete`);
 
 			try {
-				for (const username in users) {
+				for (const user_doc of users) {
+					const username = user_doc.email;
+					// Keep the admins so nobody gets locked out of this page
+					if (user_doc.roles && user_doc.roles.indexOf('admin') >= 0) {
+						console.log(`Skipping admin account ${username}`);
+						continue;
+					}
 					console.log(`Deleting account ${username}`);
 					const delete_response = await $.ajax({
 						url: `/api/users/${username}`,
@@ -439,10 +1084,12 @@ $(document).ready(() => {
 	populate_user_table();
 	getSchemaList();
 	getCredDefs();
+	getIssuanceJobs();
+	getAuditEvents();
 });
 
 /**
- * Pulls the full list of users and renders them as a Bootstrap Table.
+ * Renders the users as a Bootstrap Table that pages, sorts, and searches through the users on the server.
  * @returns {void}
  */
 function populate_user_table () {
@@ -451,69 +1098,324 @@ function populate_user_table () {
 	const loader = $('#refreshUsersButton');
 	loader.html(loader.data('loading-text'));
 	loader.attr('disabled', 'disabled');
+	$('#userTableAlert').html('');
 
 	console.log('Refreshing the list of users');
-	$.ajax({
+
+	const table = {
+		columns: [
+			{
+				field: '_id',
+				title: 'Supplier Name',
+				sortable: true,
+				searchable: true,
+				formatter: emailLinkFormatter
+			},
+			{
+				field: 'connection',
+				title: 'Connection',
+				formatter: connectionFormatter
+			},
+			{
+				field: 'roles',
+				title: 'Roles',
+				formatter: rolesFormatter
+			},
+			{
+				field: 'reissue',
+				title: 'Credentials',
+				formatter: reissueFormatter
+			},
+			{
+				field: 'actions',
+				title: 'Actions',
+				formatter: actionsFormatter
+			}
+		],
+		sortName: '_id',
+		search: true,
+		pagination: true,
+		sidePagination: 'server',
+		pageSize: 25,
+		pageList: [ 10, 25, 50, 100 ],
 		url: '/api/users',
+		queryParams: userQueryParams,
+		responseHandler: (resp) => {
+			console.log(`Got ${resp.users.length} of ${resp.total} users`);
+			return {total: resp.total, rows: resp.users};
+		},
+		onLoadSuccess: () => {
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+		},
+		onLoadError: (status, jqXHR) => {
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
+
+			console.error('Failed to get users:', status, jqXHR.responseText);
+			let alertText = `Failed to get users. status: ${status}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to get users. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#userTableAlert').html(window.alertHTML(alertText));
+		}
+	};
+
+	/**
+	 * Turns the table's paging, sorting, and search into a query for the users API.  Searches use the field picked
+	 * in the search field dropdown, and the list is sorted by that field while searching.
+	 * @param {object} params The limit, offset, sort, order, and search from the table.
+	 * @returns {object} The query parameters for the users API.
+	 */
+	function userQueryParams (params) {
+		const query = {
+			limit: params.limit,
+			skip: params.offset,
+			order: params.order === 'desc' ? 'desc' : 'asc'
+		};
+		if (params.search) {
+			query.search = params.search;
+			query.search_field = $('#userSearchField').val();
+		} else {
+			query.sort = 'email';
+		}
+		return query;
+	}
+
+	/**
+	 * Turns email addresses into a link to the user's account page
+	 * @param {string} email A user's email address.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function emailLinkFormatter (email) {
+		return `<a href="mailto:${email}">${email}</a>`;
+	}
+
+	/**
+	 * Shows the pairwise DID of the connection that is linked to a user.
+	 * @param {object} [connection] The connection that is linked to the user, if there is one.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function connectionFormatter (connection) {
+		return connection && connection.did ? `<span title="Connection ${connection.id}">${connection.did}</span>` : 'None';
+	}
+
+	/**
+	 * Lists the roles of a user.  Users without roles are members.
+	 * @param {string[]} [roles] The roles of the user.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function rolesFormatter (roles) {
+		return roles && roles.length ? roles.join(', ') : 'member';
+	}
+
+	/**
+	 * Marks users whose issued credentials are out of date with their personal info.
+	 * @param {object} [reissue] The out of date credentials of the user, if there are any.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function reissueFormatter (reissue) {
+		if (!reissue)
+			return '';
+		return `<span class="badge badge-warning" title="Changed: ${reissue.attributes.join(', ')}">Needs reissue</span>`;
+	}
+
+	/**
+	 * Creates a button group to let admins interact with user records.
+	 * @param {void} _ The value for the actions column of the current row.  Not used.
+	 * @param {object} user_doc The value for the current row, which is a user record.
+	 * @returns {string} The set of buttons for interacting with user records.
+	 */
+	function actionsFormatter (_, user_doc) {
+		return `<div class="btn-group">
+              <button type="button" class="btn btn-primary edit-user" data-user="${user_doc.email}" data-original-text="Edit" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Loading">Edit</button>
+			  ${user_doc.reissue ? `<button type="button" class="btn btn-info reissue-credentials" data-user="${user_doc.email}" data-original-text="Reissue" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Offering">Reissue</button>` : ''}
+			  <button type="button" class="btn btn-secondary edit-roles" data-user="${user_doc.email}" data-roles="${user_doc.roles ? user_doc.roles.join(',') : 'member'}" data-original-text="Roles" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Saving">Roles</button>
+			  ${user_doc.connection ? `<button type="button" class="btn btn-warning sever-connection" data-user="${user_doc.email}" data-original-text="Disconnect" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Disconnecting">Disconnect</button>` : ''}
+			  <button type="button" class="btn btn-danger delete-user" data-user="${user_doc.email}" data-original-text="Delete" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Deleting">Delete</button>
+			</div>`;
+	}
+
+	const tokenTable = $('#userTable');
+	tokenTable.bootstrapTable('destroy');
+	tokenTable.bootstrapTable(table);
+}
+
+/**
+ * Gets the full list of schemas records from the schema database and displays them in a Bootstrap Table.
+ * @returns {void}
+ */
+function getSchemaList () {
+	// Start the loading animation
+	const loader = $('#refreshSchemaButton');
+	loader.html(loader.data('loading-text'));
+	loader.attr('disabled', 'disabled');
+
+	console.log('Refreshing the list of schemas');
+	$.ajax({
+		url: '/api/schemas',
 		method: 'GET'
-	}).done((users) => {
+	}).done((schemas) => {
+		console.log(`Got a list of schemas: ${JSON.stringify(schemas)}`);
+		// The actual list is wrapper with a message
+		if (schemas.schemas) schemas = schemas.schemas;
+
+		// Stop the loader
+		loader.html(loader.data('original-text'));
+		loader.removeAttr('disabled');
+
+		create_schema_table(schemas);
+
+	}).fail((jqXHR, textStatus, errorThrown) => {
+
+		// Stop the loader
+		loader.html(loader.data('original-text'));
+		loader.removeAttr('disabled');
+
+		console.error('Failed to get schemas:', errorThrown, jqXHR.responseText);
+		let alertText = `Failed to get schemas. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+		if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+			const response = jqXHR.responseJSON;
+			alertText = `Failed to get schemas. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+		}
+		$('#schemaAlert').html(window.alertHTML(alertText));
+	});
+}
+
+/**
+ * Draws the schema table using the given data.
+ * @param {array} schemas An array of schema documents.
+ * @returns {void}
+ */
+function create_schema_table (schemas) {
+	const table = {
+		columns: [
+			{
+				field: 'id',
+				title: 'Schema ID',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'name',
+				title: 'Name',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'version',
+				title: 'Version',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'deprecation',
+				title: 'Deprecated',
+				formatter: deprecationFormatter
+			},
+			{
+				field: 'actions',
+				title: 'Actions',
+				formatter: actionsFormatter
+			}
+		],
+		sortName: 'id',
+		sortOrder: 'desc',
+		search: true,
+		pagination: true,
+		data: []
+	};
+
+	for (const index in schemas) {
+		table.data.push(schemas[index]);
+	}
+
+	/**
+     * Creates a button group to let admins interact with schema records.
+     * @param {void} _ The value for the actions column of the current row.  Not used.
+     * @param {object} schema_doc The value for the current row, which is a schema record.
+     * @returns {string} The set of buttons for interacting with schema records.
+     */
+	function actionsFormatter (_, schema_doc) {
+		const deprecate_text = schema_doc.deprecation ? 'Restore' : 'Deprecate';
+		return `<div class="btn-group">
+				<button type="button" class="btn btn-primary publish-cred-def" data-schema-id="${schema_doc.id}" data-original-text="Publish Cred Def" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Publishing">Publish Cred Def</button>
+				<button type="button" class="btn btn-secondary map-attributes" data-schema-id="${schema_doc.id}" data-original-text="Map Attributes" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Loading">Map Attributes</button>
+				<button type="button" class="btn btn-warning deprecate-schema" data-schema-id="${schema_doc.id}" data-deprecated="${!!schema_doc.deprecation}" data-original-text="${deprecate_text}" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Saving">${deprecate_text}</button>
+			</div>`;
+	}
+
+	/**
+	 * Shows when and why a schema was deprecated.
+	 * @param {SchemaDeprecation|null} deprecation The deprecation of the current row's schema, if any.
+	 * @returns {string} A description of the deprecation.
+	 */
+	function deprecationFormatter (deprecation) {
+		if (!deprecation)
+			return '';
+		let text = `Since ${new Date(deprecation.deprecated).toLocaleString()}`;
+		if (deprecation.reason)
+			text += `: ${deprecation.reason}`;
+		return text;
+	}
+
+	const schemaTable = $('#schemaTable');
+	schemaTable.bootstrapTable('destroy');
+	schemaTable.bootstrapTable(table);
+}
+
+/**
+ * Gets the full list of credential definitions records from the schema database and displays them in a Bootstrap Table.
+ * @returns {void}
+ */
+function getCredDefs () {
+	// Start the loading animation
+	const loader = $('#refreshCredDefsButton');
+	loader.html(loader.data('loading-text'));
+	loader.attr('disabled', 'disabled');
+
+	console.log('Refreshing the list of credential definitions');
+	$.ajax({
+		url: '/api/creddefs',
+		method: 'GET'
+	}).done((cred_defs) => {
+		console.log(`Got a list of credential definitions: ${JSON.stringify(cred_defs)}`);
+		// The actual list is wrapper with a message
+		if (cred_defs.cred_defs) cred_defs = cred_defs.cred_defs;
+
+		// The default credential definition is marked in the table
+		$.ajax({
+			url: '/api/issuance_settings',
+			method: 'GET'
+		}).done((resp) => {
 
-		// Stop the loader
-		loader.html(loader.data('original-text'));
-		loader.removeAttr('disabled');
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
 
-		console.log(`Got a list of users: ${JSON.stringify(users)}`);
-
-		const table = {
-			columns: [
-				{
-					field: '_id',
-					title: 'Supplier Name',
-					sortable: true,
-					searchable: true,
-					formatter: emailLinkFormatter
-				},
-				{
-					field: 'actions',
-					title: 'Actions',
-					formatter: actionsFormatter
-				}
-			],
-			sortName: '_id',
-			search: true,
-			pagination: true,
-			data: []
-		};
+			create_cred_def_table(cred_defs, resp.settings.default_cred_def_id);
+			$('#reissuanceAutoOffer').prop('checked', resp.settings.reissuance.auto_offer);
+			$('#reissuancePreviousCredential').val(resp.settings.reissuance.previous_credential);
 
-		for (const username in users.users) {
-			table.data.push(users.users[username]);
-		}
+		}).fail((jqXHR, textStatus, errorThrown) => {
 
-		/**
-		 * Turns email addresses into a link to the user's account page
-		 * @param {string} email A user's email address.
-		 * @returns {string} HTML representing the value for the cell of the table.
-		 */
-		function emailLinkFormatter (email) {
-			return `<a href="mailto:${email}">${email}</a>`;
-		}
+			// Stop the loader
+			loader.html(loader.data('original-text'));
+			loader.removeAttr('disabled');
 
-		/**
-		 * Creates a button group to let admins interact with user records.
-		 * @param {void} _ The value for the actions column of the current row.  Not used.
-		 * @param {object} user_doc The value for the current row, which is a user record.
-		 * @returns {string} The set of buttons for interacting with user records.
-		 */
-		function actionsFormatter (_, user_doc) {
-			return `<div class="btn-group">
-              <button type="button" class="btn btn-primary edit-user" data-user="${user_doc.email}" data-original-text="Edit" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Loading">Edit</button>
-			  <button type="button" class="btn btn-danger delete-user" data-user="${user_doc.email}" data-original-text="Delete" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Deleting">Delete</button>
-			</div>`;
-		}
+			create_cred_def_table(cred_defs, null);
 
-		const tokenTable = $('#userTable');
-		tokenTable.bootstrapTable('destroy');
-		tokenTable.bootstrapTable(table);
+			console.error('Failed to get the issuance settings:', errorThrown, jqXHR.responseText);
+			let alertText = `Failed to get the issuance settings. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+			if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
+				const response = jqXHR.responseJSON;
+				alertText = `Failed to get the issuance settings. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			}
+			$('#credDefAlert').html(window.alertHTML(alertText));
+		});
 
 	}).fail((jqXHR, textStatus, errorThrown) => {
 
@@ -521,40 +1423,120 @@ function populate_user_table () {
 		loader.html(loader.data('original-text'));
 		loader.removeAttr('disabled');
 
-		console.error('Failed to get users:', errorThrown, jqXHR.responseText);
-		let alertText = `Failed to get users. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+		console.error('Failed to get credential definitions:', errorThrown, jqXHR.responseText);
+		let alertText = `Failed to get credential definitions. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
 		if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
 			const response = jqXHR.responseJSON;
-			alertText = `Failed to get users. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			alertText = `Failed to get credential definitions. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
 		}
-		$('#userTableAlert').html(window.alertHTML(alertText));
+		$('#credDefAlert').html(window.alertHTML(alertText));
 	});
 }
 
 /**
- * Gets the full list of schemas records from the schema database and displays them in a Bootstrap Table.
+ * Populates the credential definition table.
+ * @param {array} cred_defs A list of objects representing credential definition records.
+ * @param {string|null} default_cred_def_id The credential definition that is issued when users don't choose one.
  * @returns {void}
  */
-function getSchemaList () {
+function create_cred_def_table (cred_defs, default_cred_def_id) {
+	const table = {
+		columns: [
+			{
+				field: 'id',
+				title: 'Credential Definition ID',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'schema_id',
+				title: 'Schema ID',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'data',
+				title: 'Revocable',
+				formatter: revocableFormatter
+			},
+			{
+				field: 'actions',
+				title: 'Default',
+				formatter: defaultFormatter
+			}
+		],
+		sortName: 'schema_id',
+		sortOrder: 'desc',
+		search: true,
+		pagination: true,
+		data: []
+	};
+
+	for (const cred_def_id in cred_defs) {
+		const def = cred_defs[cred_def_id];
+		table.data.push(def);
+	}
+
+	/**
+	 * Shows whether credentials issued under a credential definition can be revoked.
+	 * @param {object} data The cryptographic content of the credential definition.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function revocableFormatter (data) {
+		return data && data.value && data.value.revocation ? 'Yes' : 'No';
+	}
+
+	/**
+	 * Marks the default credential definition and lets admins pick a different one.
+	 * @param {void} _ The value for the actions column of the current row.  Not used.
+	 * @param {object} cred_def The value for the current row, which is a credential definition.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function defaultFormatter (_, cred_def) {
+		if (cred_def.id === default_cred_def_id)
+			return '<span class="badge badge-success">Default</span>';
+		return `<button type="button" class="btn btn-secondary btn-sm make-default-cred-def" data-cred-def-id="${cred_def.id}" data-original-text="Make Default" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Saving">Make Default</button>`;
+	}
+
+	const credDefTable = $('#credDefTable');
+	credDefTable.bootstrapTable('destroy');
+	credDefTable.bootstrapTable(table);
+}
+
+// Batch issuance jobs are refreshed on a timer while any of them are running
+let issuance_job_timer = null;
+
+/**
+ * Gets the most recent batch issuance jobs and displays them in a Bootstrap Table.  Keeps refreshing the table while
+ * any of the jobs are running.
+ * @returns {void}
+ */
+function getIssuanceJobs () {
+	clearTimeout(issuance_job_timer);
+
 	// Start the loading animation
-	const loader = $('#refreshSchemaButton');
+	const loader = $('#refreshIssuanceJobsButton');
 	loader.html(loader.data('loading-text'));
 	loader.attr('disabled', 'disabled');
 
-	console.log('Refreshing the list of schemas');
+	console.log('Refreshing the list of batch issuance jobs');
 	$.ajax({
-		url: '/api/schemas',
+		url: '/api/issuance_jobs',
 		method: 'GET'
-	}).done((schemas) => {
-		console.log(`Got a list of schemas: ${JSON.stringify(schemas)}`);
-		// The actual list is wrapper with a message
-		if (schemas.schemas) schemas = schemas.schemas;
+	}).done((resp) => {
 
 		// Stop the loader
 		loader.html(loader.data('original-text'));
 		loader.removeAttr('disabled');
 
-		create_schema_table(schemas);
+		console.log(`Got ${resp.jobs.length} batch issuance jobs`);
+		create_issuance_job_table(resp.jobs);
+
+		const running = resp.jobs.some((job) => {
+			return job.status === 'QUEUED' || job.status === 'RUNNING';
+		});
+		if (running)
+			issuance_job_timer = setTimeout(getIssuanceJobs, 5000);
 
 	}).fail((jqXHR, textStatus, errorThrown) => {
 
@@ -562,41 +1544,46 @@ function getSchemaList () {
 		loader.html(loader.data('original-text'));
 		loader.removeAttr('disabled');
 
-		console.error('Failed to get schemas:', errorThrown, jqXHR.responseText);
-		let alertText = `Failed to get schemas. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+		console.error('Failed to get batch issuance jobs:', errorThrown, jqXHR.responseText);
+		let alertText = `Failed to get batch issuance jobs. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
 		if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
 			const response = jqXHR.responseJSON;
-			alertText = `Failed to get schemas. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			alertText = `Failed to get batch issuance jobs. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
 		}
-		$('#schemaAlert').html(window.alertHTML(alertText));
+		$('#issuanceJobAlert').html(window.alertHTML(alertText));
 	});
 }
 
 /**
- * Draws the schema table using the given data.
- * @param {array} schemas An array of schema documents.
+ * Populates the batch issuance job table.
+ * @param {object[]} jobs A list of batch issuance jobs, newest first, without the progress of each user.
  * @returns {void}
  */
-function create_schema_table (schemas) {
+function create_issuance_job_table (jobs) {
 	const table = {
 		columns: [
 			{
-				field: 'id',
-				title: 'Schema ID',
+				field: 'created',
+				title: 'Started',
 				sortable: true,
-				searchable: true
+				formatter: timeFormatter
 			},
 			{
-				field: 'name',
-				title: 'Name',
+				field: 'created_by',
+				title: 'Started By',
 				sortable: true,
 				searchable: true
 			},
 			{
-				field: 'version',
-				title: 'Version',
+				field: 'status',
+				title: 'Status',
 				sortable: true,
-				searchable: true
+				formatter: statusFormatter
+			},
+			{
+				field: 'counts',
+				title: 'Progress',
+				formatter: progressFormatter
 			},
 			{
 				field: 'actions',
@@ -604,58 +1591,174 @@ function create_schema_table (schemas) {
 				formatter: actionsFormatter
 			}
 		],
-		sortName: 'id',
+		sortName: 'created',
 		sortOrder: 'desc',
 		search: true,
 		pagination: true,
-		data: []
+		data: jobs
 	};
 
-	for (const index in schemas) {
-		table.data.push(schemas[index]);
+	/**
+	 * Shows when a job was started in the admin's time zone.
+	 * @param {number} timestamp Milliseconds since the epoch.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function timeFormatter (timestamp) {
+		return new Date(timestamp).toLocaleString();
 	}
 
 	/**
-     * Creates a button group to let admins interact with schema records.
-     * @param {void} _ The value for the actions column of the current row.  Not used.
-     * @param {object} schema_doc The value for the current row, which is a schema record.
-     * @returns {string} The set of buttons for interacting with schema records.
-     */
-	function actionsFormatter (_, schema_doc) {
-		return `<div class="btn-group">
-				<button type="button" class="btn btn-primary publish-cred-def" data-schema-id="${schema_doc.id}" data-original-text="Publish Cred Def" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Publishing">Publish Cred Def</button>
-			</div>`;
+	 * Marks whether a job is still running.
+	 * @param {string} status The status of the job.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function statusFormatter (status) {
+		const badges = {
+			QUEUED: 'badge-secondary',
+			RUNNING: 'badge-primary',
+			FINISHED: 'badge-success',
+			CANCELLED: 'badge-warning',
+			INTERRUPTED: 'badge-danger'
+		};
+		return `<span class="badge ${badges[status] ? badges[status] : 'badge-secondary'}">${status}</span>`;
 	}
 
-	const schemaTable = $('#schemaTable');
-	schemaTable.bootstrapTable('destroy');
-	schemaTable.bootstrapTable(table);
+	/**
+	 * Shows how many users a job is done with, and how it went for them.
+	 * @param {object} counts The number of users in each state.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function progressFormatter (counts) {
+		const done = counts.total - counts.pending - counts.running;
+		const percent = counts.total ? Math.round(100 * done / counts.total) : 100;
+		return `<div class="progress mb-1"><div class="progress-bar" role="progressbar" style="width: ${percent}%">${done}/${counts.total}</div></div>` +
+			`<small>${counts.issued} issued, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.cancelled} cancelled</small>`;
+	}
+
+	/**
+	 * Lets admins see the progress of each user in a job and cancel jobs that are running.
+	 * @param {void} _ The value for the actions column of the current row.  Not used.
+	 * @param {object} job The value for the current row, which is a batch issuance job.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function actionsFormatter (_, job) {
+		let actions = `<button type="button" class="btn btn-secondary btn-sm mr-2 show-issuance-job" data-job-id="${job._id}" data-original-text="Details" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Loading">Details</button>`;
+		if (job.status === 'QUEUED' || job.status === 'RUNNING')
+			actions += `<button type="button" class="btn btn-danger btn-sm cancel-issuance-job" data-job-id="${job._id}" data-original-text="Cancel" data-loading-text="<i class='fas fa-circle-notch fa-spin'></i> Cancelling">Cancel</button>`;
+		return actions;
+	}
+
+	const issuanceJobTable = $('#issuanceJobTable');
+	issuanceJobTable.bootstrapTable('destroy');
+	issuanceJobTable.bootstrapTable(table);
 }
 
 /**
- * Gets the full list of credential definitions records from the schema database and displays them in a Bootstrap Table.
+ * Populates the table of the users in a batch issuance job.
+ * @param {object[]} users The progress of each user in the job.
  * @returns {void}
  */
-function getCredDefs () {
+function create_issuance_job_user_table (users) {
+	const table = {
+		columns: [
+			{
+				field: 'user',
+				title: 'User',
+				sortable: true,
+				searchable: true
+			},
+			{
+				field: 'status',
+				title: 'Status',
+				sortable: true,
+				searchable: true,
+				formatter: statusFormatter
+			},
+			{
+				field: 'attempts',
+				title: 'Attempts',
+				sortable: true
+			},
+			{
+				field: 'credential_id',
+				title: 'Credential'
+			},
+			{
+				field: 'error',
+				title: 'Error',
+				formatter: errorFormatter
+			}
+		],
+		search: true,
+		pagination: true,
+		data: users
+	};
+
+	/**
+	 * Marks whether a credential was issued to a user.
+	 * @param {string} status The state of the user in the job.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function statusFormatter (status) {
+		const badges = {
+			pending: 'badge-secondary',
+			running: 'badge-primary',
+			issued: 'badge-success',
+			failed: 'badge-danger',
+			skipped: 'badge-warning',
+			cancelled: 'badge-warning'
+		};
+		return `<span class="badge ${badges[status] ? badges[status] : 'badge-secondary'}">${status}</span>`;
+	}
+
+	/**
+	 * Shows why a user failed or was skipped, or why the last attempt for a user failed.
+	 * @param {string} [error] An error code.
+	 * @param {object} job_user The value for the current row, which is a user in the job.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function errorFormatter (error, job_user) {
+		if (!error)
+			return '';
+		return `<strong>${error}</strong>${job_user.reason ? `: ${$('<div>').text(job_user.reason).html()}` : ''}`;
+	}
+
+	const userTable = $('#issuanceJobUserTable');
+	userTable.bootstrapTable('destroy');
+	userTable.bootstrapTable(table);
+}
+
+/**
+ * Gets the audit events that match the filters in the audit log form and displays them in a Bootstrap Table.
+ * @returns {void}
+ */
+function getAuditEvents () {
 	// Start the loading animation
-	const loader = $('#refreshCredDefsButton');
+	const loader = $('#refreshAuditButton');
 	loader.html(loader.data('loading-text'));
 	loader.attr('disabled', 'disabled');
 
-	console.log('Refreshing the list of credential definitions');
+	// Blank filters are left out of the query
+	const filters = {};
+	const formArray = $('#auditFilterForm').serializeArray();
+	for (let i = 0; i < formArray.length; i++) {
+		if (formArray[i]['value'].trim())
+			filters[formArray[i]['name']] = formArray[i]['value'].trim();
+	}
+
+	console.log(`Refreshing the audit log with filters ${JSON.stringify(filters)}`);
 	$.ajax({
-		url: '/api/creddefs',
-		method: 'GET'
-	}).done((cred_defs) => {
-		console.log(`Got a list of credential definitions: ${JSON.stringify(cred_defs)}`);
-		// The actual list is wrapper with a message
-		if (cred_defs.cred_defs) cred_defs = cred_defs.cred_defs;
+		url: '/api/audit',
+		method: 'GET',
+		data: filters
+	}).done((resp) => {
 
 		// Stop the loader
 		loader.html(loader.data('original-text'));
 		loader.removeAttr('disabled');
 
-		create_cred_def_table(cred_defs);
+		console.log(`Got ${resp.events.length} audit events`);
+		create_audit_table(resp.events);
 
 	}).fail((jqXHR, textStatus, errorThrown) => {
 
@@ -663,50 +1766,164 @@ function getCredDefs () {
 		loader.html(loader.data('original-text'));
 		loader.removeAttr('disabled');
 
-		console.error('Failed to get credential definitions:', errorThrown, jqXHR.responseText);
-		let alertText = `Failed to get credential definitions. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
+		console.error('Failed to get audit events:', errorThrown, jqXHR.responseText);
+		let alertText = `Failed to get audit events. status: ${textStatus}, error: ${errorThrown}, jqXHR:${JSON.stringify(jqXHR)}`;
 		if (jqXHR.responseJSON && jqXHR.responseJSON.reason) {
 			const response = jqXHR.responseJSON;
-			alertText = `Failed to get credential definitions. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
+			alertText = `Failed to get audit events. <strong>error</strong>: ${response.error}, <strong>reason</strong>: ${response.reason}`;
 		}
-		$('#credDefAlert').html(window.alertHTML(alertText));
+		$('#auditAlert').html(window.alertHTML(alertText));
 	});
 }
 
 /**
- * Populates the credential definition table.
- * @param {array} cred_defs A list of objects representing credential definition records.
+ * Populates the audit log table.
+ * @param {object[]} events A list of audit events, newest first.
  * @returns {void}
  */
-function create_cred_def_table (cred_defs) {
+function create_audit_table (events) {
 	const table = {
 		columns: [
 			{
-				field: 'id',
-				title: 'Credential Definition ID',
+				field: 'timestamp',
+				title: 'Time',
+				sortable: true,
+				formatter: timeFormatter
+			},
+			{
+				field: 'actor',
+				title: 'Actor',
 				sortable: true,
 				searchable: true
 			},
 			{
-				field: 'schema_id',
-				title: 'Schema ID',
+				field: 'action',
+				title: 'Action',
 				sortable: true,
 				searchable: true
+			},
+			{
+				field: 'target',
+				title: 'Target',
+				searchable: true
+			},
+			{
+				field: 'outcome',
+				title: 'Outcome',
+				sortable: true,
+				formatter: outcomeFormatter
+			},
+			{
+				field: 'details',
+				title: 'Details',
+				formatter: detailsFormatter
 			}
 		],
-		sortName: 'schema_id',
+		sortName: 'timestamp',
 		sortOrder: 'desc',
 		search: true,
 		pagination: true,
-		data: []
+		data: events
 	};
 
-	for (const cred_def_id in cred_defs) {
-		const def = cred_defs[cred_def_id];
-		table.data.push(def);
+	/**
+	 * Shows when an event happened in the admin's time zone.
+	 * @param {number} timestamp Milliseconds since the epoch.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function timeFormatter (timestamp) {
+		return new Date(timestamp).toLocaleString();
 	}
 
-	const credDefTable = $('#credDefTable');
-	credDefTable.bootstrapTable('destroy');
-	credDefTable.bootstrapTable(table);
+	/**
+	 * Marks whether an event succeeded.
+	 * @param {string} outcome Either 'success' or 'failure'.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function outcomeFormatter (outcome) {
+		return `<span class="badge ${outcome === 'success' ? 'badge-success' : 'badge-danger'}">${outcome}</span>`;
+	}
+
+	/**
+	 * Shows the extra information recorded with an event.
+	 * @param {object} [details] The details of the event.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function detailsFormatter (details) {
+		return details ? `<code>${$('<div>').text(JSON.stringify(details)).html()}</code>` : '';
+	}
+
+	const auditTable = $('#auditTable');
+	auditTable.bootstrapTable('destroy');
+	auditTable.bootstrapTable(table);
+}
+
+/**
+ * Populates the table of import results.
+ * @param {object[]} rows What happened to each user in the import.
+ * @returns {void}
+ */
+function create_import_result_table (rows) {
+	const table = {
+		columns: [
+			{
+				field: 'row',
+				title: 'Row',
+				sortable: true
+			},
+			{
+				field: 'email',
+				title: 'Email',
+				sortable: true,
+				searchable: true,
+				formatter: textFormatter
+			},
+			{
+				field: 'status',
+				title: 'Status',
+				sortable: true,
+				formatter: statusFormatter
+			},
+			{
+				field: 'errors',
+				title: 'Errors',
+				formatter: errorsFormatter
+			}
+		],
+		sortName: 'row',
+		search: true,
+		pagination: true,
+		data: rows
+	};
+
+	/**
+	 * Shows text from the import file without treating it as HTML.
+	 * @param {string|null} text The text.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function textFormatter (text) {
+		return text ? $('<div>').text(text).html() : '';
+	}
+
+	/**
+	 * Marks whether a user was imported.
+	 * @param {string} status One of 'created', 'valid', or 'failed'.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function statusFormatter (status) {
+		return `<span class="badge ${status === 'failed' ? 'badge-danger' : 'badge-success'}">${status}</span>`;
+	}
+
+	/**
+	 * Lists the problems with a user in the import.
+	 * @param {string[]} errors Descriptions of the problems.
+	 * @returns {string} HTML representing the value for the cell of the table.
+	 */
+	function errorsFormatter (errors) {
+		return errors.map(textFormatter).join('<br>');
+	}
+
+	const importTable = $('#importResultTable');
+	importTable.bootstrapTable('destroy');
+	importTable.bootstrapTable(table);
 }
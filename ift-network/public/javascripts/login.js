@@ -76,7 +76,7 @@ $(document).ready(() => {
 		}).done((resp) => {
 
 			console.log(`Login response: ${JSON.stringify(resp)}`);
-			window.location.pathname = '/account';
+			window.location.pathname = resp.redirect ? resp.redirect : '/account';
 
 		}).fail((jqXHR, textStatus, errorThrown) => {
 			console.error(`Failed to log in ${errorThrown} ${jqXHR.responseText}`);
@@ -94,6 +94,15 @@ $(document).ready(() => {
 		FAILED: 4
 	};
 
+	// Logging in with a wallet skips the username.  The user's agent gets an out-of-band connection offer, and the user
+	// is identified by that connection or by the credential they prove.
+	let wallet_signon = false;
+	$('.vcWalletSignonLink').on('click', (event) => {
+		event.preventDefault();
+		wallet_signon = true;
+		vcSignonForm.submit();
+	});
+
 	// Sign on using VCs
 	vcSignonForm.submit(async (event) => {
 		event.preventDefault();
@@ -105,11 +114,14 @@ $(document).ready(() => {
 		}
 		console.log(`VC Sign in info: ${JSON.stringify(formObject)}`);
 
-		// You can only use the sign on api with a username
-		const data = {
+		// You can only use the sign on api with a username, unless the user logs in with their wallet
+		const data = wallet_signon ? {
+			connection_method: 'out_of_band'
+		} : {
 			username: formObject.username,
 			connection_method: 'in_band'
 		};
+		wallet_signon = false;
 
 		// Reset the signon carousel
 		vcSignonCarousel.carousel(vcSignonCarouselSlides.CREATED);
@@ -119,6 +131,7 @@ $(document).ready(() => {
 			keyboard: false
 		});
 
+		let status_updates = null;
 		try {
 			const response = await $.ajax({
 				url: '/login/vc',
@@ -130,30 +143,29 @@ $(document).ready(() => {
 
 			console.log(`Created VC login: ${JSON.stringify(response)}`);
 
-			let tries_left = 300;
-			const interval = 4000; // milliseconds
+			// The server pushes updates to the login status as they happen
+			status_updates = window.subscribeToStatus('/login/vc/events');
 			let connection_shown = false;
 			let verification_shown = false;
 			const running = true;
 			while (running) {
 
-				console.log(`Tries left: ${tries_left--}`);
-				if (tries_left <= 0) {
-					throw new Error('VC login took too long');
-				}
-
-				let response = await $.ajax({
-					url: '/login/vc/status',
-					method: 'GET',
-					dataType: 'json',
-					contentType: 'application/json'
-				});
+				const response = await status_updates.next();
 
-				if (!response || !response.vc_login || !response.vc_login.status)
+				if (!response || !response.status)
 					throw new Error(`No status information returned in update response: ${JSON.stringify(response)}`);
-				response = response.vc_login;
 				console.log(`Updated login status: ${JSON.stringify(response.status)}`);
 
+				// Offers that weren't answered in time can be resent without starting the flow over
+				if ('TIMED_OUT' === response.status) {
+					if (response.timed_out && response.timed_out.stage === 'connection')
+						connection_shown = false;
+					else if (response.timed_out && response.timed_out.stage === 'proof')
+						verification_shown = false;
+					await window.resendOffer('/login/vc/resend', response.timed_out);
+					continue;
+				}
+
 				const REMOTE_LOGIN_STEPS = {
 					CREATED: vcSignonCarouselSlides.CREATED,
 					ESTABLISHING_CONNECTION: vcSignonCarouselSlides.ESTABLISHING_CONNECTION,
@@ -180,7 +192,15 @@ $(document).ready(() => {
 					break;
 
 				} else if ('FINISHED' === response.status) {
-					console.log('VC Signon successful.  Redirecting to account page');
+					console.log('VC Signon successful.  Logging in');
+					await $.ajax({
+						url: '/login/vc/status',
+						method: 'GET',
+						dataType: 'json',
+						contentType: 'application/json'
+					});
+
+					console.log('Redirecting to account page');
 
 					await new Promise((resolve, reject) => {
 						setTimeout(resolve, 3000);
@@ -188,6 +208,7 @@ $(document).ready(() => {
 
 					// Redirect to account page.  The user's session should be logged in at this point.
 					window.location.href = '/account';
+					break;
 				}
 
 				if ([ 'STOPPED', 'ERROR' ].indexOf(response.status) >= 0) {
@@ -222,10 +243,6 @@ $(document).ready(() => {
 						}
 					}
 				}
-
-				await new Promise((resolve, reject) => {
-					setTimeout(resolve, interval);
-				});
 			}
 
 		} catch (error) {
@@ -236,6 +253,9 @@ $(document).ready(() => {
 			vcSignonCarousel.carousel(vcSignonCarouselSlides.FAILED);
 			console.error(`VC login failed: ${JSON.stringify(error)}`);
 		}
+
+		if (status_updates)
+			status_updates.close();
 	});
 
 	const vcSignupModal = $('#vcSignupModal');
@@ -281,8 +301,6 @@ $(document).ready(() => {
 	const signup_confirm_password_label = $('label[for="signupConfirmPassword"]');
 	const signup_agent_name = $('#signupAgentName');
 	const signup_agent_name_label = $('label[for="signupAgentName"]');
-	const signup_credential_type = $('#signupCredentialType');
-	const signup_credential_type_label = $('label[for="signupCredentialType"]');
 
 	signup_user.focus(() => {
 		signup_user_label.css('visibility', 'visible');
@@ -312,14 +330,6 @@ $(document).ready(() => {
 		if (!signup_agent_name.val().trim())
 			signup_agent_name_label.css('visibility', 'hidden');
 	});
-	signup_credential_type.focus(() => {
-		signup_credential_type_label.css('visibility', 'visible');
-	});
-	signup_credential_type.focusout(() => {
-		if (!signup_credential_type.val().trim())
-			signup_credential_type_label.css('visibility', 'hidden');
-	});
-	
 
 	// Make sure new users are being given the password we think they are
 	const password_message = $('#signupPasswordMessage');
@@ -362,6 +372,7 @@ $(document).ready(() => {
 		};
 		$('#signupNextButton').attr('disabled', 'disabled');
 		console.log(`Creating signup for user ${username}`);
+		let status_updates = null;
 		try {
 			const response = await $.ajax({
 				url: '/signup',
@@ -373,36 +384,36 @@ $(document).ready(() => {
 					username: username,
 					agent_name: agent_name,
 					connection_method: 'in_band',
-					credential_type: formObject['credential_type']
+					proof_path: formObject['proof_path']
 				})
 			});
 			console.log(`Signup response: ${JSON.stringify(response)}`);
 
-			let tries_left = 300;
-			const interval = 4000; // milliseconds
+			// The server pushes updates to the signup status as they happen
+			status_updates = window.subscribeToStatus('/signup/events');
 			let connection_shown = false;
-			let verification_shown = false;
+			// Each alternative signup proof comes with its own proof request
+			let shown_verification = null;
 			let credential_shown = false;
 			const running = true;
 			while (running) {
 
-				console.log(`Tries left: ${tries_left--}`);
-				if (tries_left <= 0) {
-					throw new Error('Account signup took too long');
-				}
-
-				let response = await $.ajax({
-					url: '/signup/status',
-					method: 'GET',
-					dataType: 'json',
-					contentType: 'application/json'
-				});
+				const response = await status_updates.next();
 
-				if (!response || !response.signup || !response.signup.status)
+				if (!response || !response.status)
 					throw new Error(`No status information returned in update response: ${JSON.stringify(response)}`);
-				console.log(`Signup status response: ${JSON.stringify(response)}`);
-				const signup_status = response.signup.status;
-				response = response.signup;
+				console.log(`Signup status update: ${JSON.stringify(response)}`);
+				const signup_status = response.status;
+
+				// Offers that weren't answered in time can be resent without starting the flow over
+				if ('TIMED_OUT' === response.status) {
+					if (response.timed_out && response.timed_out.stage === 'connection')
+						connection_shown = false;
+					else if (response.timed_out && response.timed_out.stage === 'credential')
+						credential_shown = false;
+					await window.resendOffer('/signup/resend', response.timed_out);
+					continue;
+				}
 
 				if (signup_status === REMOTE_SIGNUP_STEPS.CREATED) {
 					vcSignupCarousel.carousel(vcSignupCarouselSlides.COLLECTING_INFO);
@@ -419,11 +430,20 @@ $(document).ready(() => {
 				} else if (signup_status === REMOTE_SIGNUP_STEPS.FINISHED) {
 					vcSignupCarousel.carousel(vcSignupCarouselSlides.FINISHED);
 
+					// Log in as the new user
+					await $.ajax({
+						url: '/signup/status',
+						method: 'GET',
+						dataType: 'json',
+						contentType: 'application/json'
+					});
+
 					// Redirect to account page.  The user's session should be logged in at this point.
 					await new Promise((resolve, reject) => {
 						setTimeout(resolve, 3000);
 					});
 					window.location.href = '/account';
+					break;
 
 				} else if (signup_status === REMOTE_SIGNUP_STEPS.STOPPED) {
 					vcSignupCarousel.carousel(vcSignupCarouselSlides.NOT_ALLOWED);
@@ -457,8 +477,8 @@ $(document).ready(() => {
 						}
 					}
 
-					if (!verification_shown && response.verification && response.verification.id) {
-						verification_shown = true;
+					if (response.verification && response.verification.id && response.verification.id !== shown_verification) {
+						shown_verification = response.verification.id;
 						console.log('Accepting proof request via extension');
 						try {
 							window.verifyCreds({
@@ -483,10 +503,6 @@ $(document).ready(() => {
 						}
 					}
 				}
-
-				await new Promise((resolve, reject) => {
-					setTimeout(resolve, interval);
-				});
 			}
 
 		} catch (error) {
@@ -496,6 +512,9 @@ $(document).ready(() => {
 			console.error(`Failed to create signup: ${JSON.stringify(error)}`);
 			vcSignupCarousel.carousel(vcSignupCarouselSlides.NOT_ALLOWED);
 		}
+
+		if (status_updates)
+			status_updates.close();
 	});
 
 	docReady.resolve();
@@ -18,16 +18,27 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const compression = require('compression');
 
+const PERMISSIONS = require('../libs/roles.js').PERMISSIONS;
+const AuditLog = require('../libs/audit_log.js');
+const Helpers = require('../libs/helpers.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
+
 /**
  * Creates an express router representing a REST API for managing credential definitions.
  * @param {Agent} agent An instance of the CredentialDefs class with a backend credential definition database.
+ * @param {AuditLog} audit_log Records the credential definitions that are published.
  * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @param {boolean} [revocation] Whether credential revocation is turned on.  Otherwise, credential definitions can't
+ * support revocation.
  * @returns {object} An express router for the credential definitions API.
  */
-exports.createRouter = function (agent, middleware) {
+exports.createRouter = function (agent, audit_log, middleware, revocation) {
 
 	if (!agent || typeof agent.getCredentialDefinitions !== 'function')
 		throw new TypeError('Credential Definitions API was not given an Agent');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Credential Definitions API was not given an AuditLog');
 
 	const router = express.Router();
 	router.use(bodyParser.urlencoded({extended: true}));
@@ -35,27 +46,54 @@ exports.createRouter = function (agent, middleware) {
 	router.use(bodyParser.text());
 	router.use(compression());
 
-	/* POST a new credential definition */
-	router.post('/creddefs', [ middleware.is_admin ], async (req, res, next) => {
+	/* POST a new credential definition.  Credential definitions support revocation if it is turned on, unless `revocable` is false. */
+	router.post('/creddefs', [ middleware.has_permission(PERMISSIONS.CRED_DEFS_WRITE) ], async (req, res, next) => {
 
 		const schema_id = req.body.schema_id;
 		if (!schema_id || typeof schema_id !== 'string')
 			return res.status(400).send({error: CRED_DEF_API_ERRORS.CRED_DEF_INVALID_SCHEMA_ID,
 				reason: 'schema_id ID was not a non-empty string'});
 
+		// Form posts send booleans as strings
+		let revocable = req.body.revocable;
+		if (revocable === undefined)
+			revocable = !!revocation;
+		else if (revocable === 'true' || revocable === 'false')
+			revocable = revocable === 'true';
+		if (typeof revocable !== 'boolean')
+			return res.status(400).send({error: CRED_DEF_API_ERRORS.CRED_DEF_INVALID_REVOCABLE,
+				reason: 'revocable was not a boolean'});
+		if (revocable && !revocation)
+			return res.status(400).send({error: CRED_DEF_API_ERRORS.CRED_DEF_REVOCATION_DISABLED,
+				reason: 'Credential revocation is turned off'});
+
 		try {
-			const cred_def = await agent.createCredentialDefinition(schema_id);
+			const cred_def = await Helpers.createCredentialDefinition(agent, schema_id, revocable);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CRED_DEF_CREATE,
+				target: cred_def.id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {schema_id: schema_id, revocable: revocable}
+			});
 			res.status(201).json({message: `Created credential definition ${cred_def.id}`, cred_def: cred_def});
 
 		} catch (error) {
 			error.code = error.code ? error.code : CRED_DEF_API_ERRORS.UNKNOWN_CRED_DEF_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CRED_DEF_CREATE,
+				target: schema_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
 			return res.status(500).send({error: error.code, reason: error.message});
 
 		}
 	});
 
 	/* GET all credential definitions */
-	router.get('/creddefs', async (req, res, next) => {
+	router.get('/creddefs', [ middleware.has_permission(PERMISSIONS.CRED_DEFS_READ) ], async (req, res, next) => {
 		try {
 			const cred_defs = await agent.getCredentialDefinitions();
 			res.json({message: 'Got the full list of credential definitions', cred_defs: cred_defs});
@@ -72,6 +110,8 @@ exports.createRouter = function (agent, middleware) {
 const CRED_DEF_API_ERRORS = {
 	UNKNOWN_CRED_DEF_API_ERROR: 'UNKNOWN_CRED_DEF_API_ERROR',
 	CRED_DEF_INVALID_NAME: 'CRED_DEF_INVALID_NAME',
-	CRED_DEF_INVALID_SCHEMA_ID: 'CRED_DEF_INVALID_SCHEMA_ID'
+	CRED_DEF_INVALID_SCHEMA_ID: 'CRED_DEF_INVALID_SCHEMA_ID',
+	CRED_DEF_INVALID_REVOCABLE: 'CRED_DEF_INVALID_REVOCABLE',
+	CRED_DEF_REVOCATION_DISABLED: 'CRED_DEF_REVOCATION_DISABLED'
 };
 exports.CRED_DEF_API_ERRORS = CRED_DEF_API_ERRORS;
\ No newline at end of file
@@ -18,6 +18,10 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const compression = require('compression');
 
+const FlowEvents = require('./flow_events.js');
+const PERMISSIONS = require('../libs/roles.js').PERMISSIONS;
+const ISSUANCE_MANAGER_ERRORS = require('../libs/credentials.js').ISSUANCE_MANAGER_ERRORS;
+
 /**
  * Creates an express router representing a Credentials REST API for managing user credentials.
  * @param {IssuanceManager} issuance_manager An instance of the Credentials class which provides backend functionality for
@@ -37,7 +41,7 @@ exports.createRouter = function (issuance_manager, middleware) {
 	router.use(compression());
 
 	/* POST issue a credential */
-	router.post('/credentials', [ middleware.is_logged_in ], (req, res, next) => {
+	router.post('/credentials', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], async (req, res, next) => {
 		if (!req.session || !req.session.user_id)
 			return res.status(400).json({
 				error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
@@ -50,14 +54,60 @@ exports.createRouter = function (issuance_manager, middleware) {
 				reason: 'Invalid connection_method for issuing the credential'
 			});
 
-		req.session.issuance_id = issuance_manager.create_issuance(req.session.user_id, req.body.connection_method);
-		res.status(201).json({
-			message: 'Credential issuance started'
-		});
+		const selector = {};
+		for (const key of [ 'cred_def_id', 'schema_id' ]) {
+			if (req.body[key] === undefined || req.body[key] === null || req.body[key] === '')
+				continue;
+			if (typeof req.body[key] !== 'string')
+				return res.status(400).json({
+					error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
+					reason: `Invalid ${key} for issuing the credential`
+				});
+			selector[key] = req.body[key];
+		}
+		if (selector.cred_def_id && selector.schema_id)
+			return res.status(400).json({
+				error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
+				reason: 'Only one of cred_def_id and schema_id can be used to pick a credential'
+			});
+
+		try {
+			req.session.issuance_id = await issuance_manager.create_issuance(req.session.user_id, req.body.connection_method, selector);
+			res.status(201).json({
+				message: 'Credential issuance started'
+			});
+		} catch (e) {
+			return res.status(500).json({
+				error: e.code ? e.code : CREDENTIAL_API_ERRORS.UNKNOWN_CREDENTIALS_API_ERROR,
+				reason: `Failed to start credential issuance: ${e.message}`
+			});
+		}
+	});
+
+	/* GET the credentials the logged in user can be issued */
+	router.get('/credentials/eligible', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], async (req, res, next) => {
+		if (!req.session || !req.session.user_id)
+			return res.status(400).json({
+				error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
+				reason: 'A user ID is required in order to look up eligible credentials'
+			});
+
+		try {
+			const credentials = await issuance_manager.get_eligible_credentials(req.session.user_id);
+			res.json({
+				message: `Got the credentials ${req.session.user_id} can be issued`,
+				credentials: credentials
+			});
+		} catch (e) {
+			return res.status(500).json({
+				error: e.code ? e.code : CREDENTIAL_API_ERRORS.UNKNOWN_CREDENTIALS_API_ERROR,
+				reason: `Failed to look up eligible credentials: ${e.message}`
+			});
+		}
 	});
 
 	/* GET check the status of a credential issuance flow */
-	router.get('/credentials/', [ middleware.is_logged_in ], (req, res, next) => {
+	router.get('/credentials/', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], async (req, res, next) => {
 
 		if (!req.session || !req.session.issuance_id)
 			return res.status(400).json({
@@ -66,7 +116,7 @@ exports.createRouter = function (issuance_manager, middleware) {
 			});
 
 		try {
-			const status = issuance_manager.get_issuance_status(req.session.issuance_id);
+			const status = await issuance_manager.get_issuance_status(req.session.issuance_id);
 			status.message = 'Got the issuance status';
 			res.json(status);
 		} catch (e) {
@@ -77,8 +127,49 @@ exports.createRouter = function (issuance_manager, middleware) {
 		}
 	});
 
+	/* GET a stream of status updates for a credential issuance flow */
+	router.get('/credentials/events', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], async (req, res, next) => {
+
+		if (!req.session || !req.session.issuance_id)
+			return res.status(400).json({
+				error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
+				reason: 'There is no issuance flow associated with this user'
+			});
+
+		await FlowEvents.streamStatus(req, res, (listener) => {
+			return issuance_manager.watch_issuance(req.session.issuance_id, listener);
+		}, CREDENTIAL_API_ERRORS.UNKNOWN_CREDENTIALS_API_ERROR);
+	});
+
+	/* POST resend the offer that a TIMED_OUT credential issuance flow is waiting on */
+	router.post('/credentials/resend', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], async (req, res, next) => {
+
+		if (!req.session || !req.session.issuance_id)
+			return res.status(400).json({
+				error: CREDENTIAL_API_ERRORS.BAD_REQUEST,
+				reason: 'There is no issuance flow associated with this user'
+			});
+
+		try {
+			await issuance_manager.resend_issuance(req.session.issuance_id);
+			res.json({
+				message: 'Resending the credential issuance offer'
+			});
+		} catch (e) {
+			let status = 500;
+			if (e.code === ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_FOUND)
+				status = 404;
+			else if (e.code === ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_TIMED_OUT || e.code === ISSUANCE_MANAGER_ERRORS.ISSUANCE_NOT_LOCAL)
+				status = 409;
+			return res.status(status).json({
+				error: e.code ? e.code : CREDENTIAL_API_ERRORS.UNKNOWN_CREDENTIALS_API_ERROR,
+				reason: `Failed to resend the credential issuance offer: ${e.message}`
+			});
+		}
+	});
+
 	/* DELETE stop a credential issuance flow */
-	router.delete('/credentials/', [ middleware.is_logged_in ], (req, res, next) => {
+	router.delete('/credentials/', [ middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST) ], (req, res, next) => {
 
 		if (!req.session || !req.session.issuance_id)
 			return res.status(400).json({
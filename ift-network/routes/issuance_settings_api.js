@@ -0,0 +1,204 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const compression = require('compression');
+
+const PREVIOUS_CREDENTIAL_ACTIONS = require('../libs/issuance_settings.js').PREVIOUS_CREDENTIAL_ACTIONS;
+const AuditLog = require('../libs/audit_log.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
+
+/**
+ * Creates an express router representing a REST API for managing which credentials are issued to users.
+ * @param {IssuanceSettings} issuance_settings The issuance settings.
+ * @param {Agent} agent An agent for looking up credential definitions.
+ * @param {AuditLog} audit_log Records the changes admins make to the issuance settings.
+ * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @returns {object} An express router for the issuance settings API.
+ */
+exports.createRouter = function (issuance_settings, agent, audit_log, middleware) {
+
+	if (!issuance_settings || typeof issuance_settings.read_settings !== 'function')
+		throw new TypeError('Issuance Settings API was not given an IssuanceSettings instance');
+	if (!agent || typeof agent.getCredentialDefinitions !== 'function')
+		throw new TypeError('Issuance Settings API was not given an Agent');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Issuance Settings API was not given an AuditLog');
+
+	const router = express.Router();
+	router.use(bodyParser.urlencoded({extended: true}));
+	router.use(bodyParser.json());
+	router.use(bodyParser.text());
+	router.use(compression());
+
+	/* GET the issuance settings */
+	router.get('/issuance_settings', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const settings = await issuance_settings.read_settings();
+			res.json({message: 'Got the issuance settings', settings: settings});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_SETTINGS_API_ERRORS.UNKNOWN_ISSUANCE_SETTINGS_API_ERROR;
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* PUT the credential definition to issue when users don't choose one.  A null cred_def_id clears the default. */
+	router.put('/issuance_settings/default_cred_def', [ middleware.is_admin ], async (req, res, next) => {
+		const cred_def_id = req.body && req.body.cred_def_id ? req.body.cred_def_id : null;
+		if (cred_def_id !== null && typeof cred_def_id !== 'string')
+			return res.status(400).json({
+				error: ISSUANCE_SETTINGS_API_ERRORS.BAD_REQUEST,
+				reason: 'cred_def_id was not a string or null'
+			});
+
+		try {
+			if (cred_def_id) {
+				const cred_defs = await agent.getCredentialDefinitions();
+				const exists = cred_defs.find((cred_def) => {
+					return cred_def.id === cred_def_id;
+				});
+				if (!exists)
+					return res.status(404).json({
+						error: ISSUANCE_SETTINGS_API_ERRORS.CRED_DEF_NOT_FOUND,
+						reason: `Credential definition ${cred_def_id} was not found`
+					});
+			}
+
+			const settings = await issuance_settings.set_default_cred_def(cred_def_id);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'default_cred_def',
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {cred_def_id: cred_def_id}
+			});
+			res.json({message: 'Updated the default credential definition', settings: settings});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_SETTINGS_API_ERRORS.UNKNOWN_ISSUANCE_SETTINGS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'default_cred_def',
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {cred_def_id: cred_def_id, error: error.code, reason: error.message}
+			});
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* PUT the mapping from personal info fields to the attributes of a schema.  An empty mapping removes it. */
+	router.put('/issuance_settings/attribute_mappings/:schema_id', [ middleware.is_admin ], async (req, res, next) => {
+		const mapping = req.body ? req.body.mapping : undefined;
+		if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))
+			return res.status(400).json({
+				error: ISSUANCE_SETTINGS_API_ERRORS.BAD_REQUEST,
+				reason: 'mapping was not an object'
+			});
+
+		// Blank fields mean the attribute isn't mapped
+		const cleaned = {};
+		for (const attr_name in mapping) {
+			if (mapping[attr_name] === undefined || mapping[attr_name] === null || mapping[attr_name] === '')
+				continue;
+			if (typeof mapping[attr_name] !== 'string')
+				return res.status(400).json({
+					error: ISSUANCE_SETTINGS_API_ERRORS.BAD_REQUEST,
+					reason: `The mapping for ${attr_name} was not a string`
+				});
+			cleaned[attr_name] = mapping[attr_name];
+		}
+
+		try {
+			const settings = await issuance_settings.set_attribute_mapping(req.params.schema_id, cleaned);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'attribute_mappings',
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {schema_id: req.params.schema_id, mapping: cleaned}
+			});
+			res.json({message: `Updated the attribute mapping for ${req.params.schema_id}`, settings: settings});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_SETTINGS_API_ERRORS.UNKNOWN_ISSUANCE_SETTINGS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'attribute_mappings',
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {schema_id: req.params.schema_id, error: error.code, reason: error.message}
+			});
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* PUT what happens to issued credentials when a user's personal info changes */
+	router.put('/issuance_settings/reissuance', [ middleware.is_admin ], async (req, res, next) => {
+		const reissuance = {};
+		if (req.body && req.body.auto_offer !== undefined) {
+			if (typeof req.body.auto_offer !== 'boolean')
+				return res.status(400).json({
+					error: ISSUANCE_SETTINGS_API_ERRORS.BAD_REQUEST,
+					reason: 'auto_offer was not a boolean'
+				});
+			reissuance.auto_offer = req.body.auto_offer;
+		}
+		if (req.body && req.body.previous_credential !== undefined) {
+			if (Object.values(PREVIOUS_CREDENTIAL_ACTIONS).indexOf(req.body.previous_credential) < 0)
+				return res.status(400).json({
+					error: ISSUANCE_SETTINGS_API_ERRORS.BAD_REQUEST,
+					reason: `previous_credential was not one of ${Object.values(PREVIOUS_CREDENTIAL_ACTIONS).join(', ')}`
+				});
+			reissuance.previous_credential = req.body.previous_credential;
+		}
+
+		try {
+			const settings = await issuance_settings.set_reissuance(reissuance);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'reissuance',
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: settings.reissuance
+			});
+			res.json({message: 'Updated the reissuance settings', settings: settings});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUANCE_SETTINGS_API_ERRORS.UNKNOWN_ISSUANCE_SETTINGS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.ISSUANCE_SETTINGS_UPDATE,
+				target: 'reissuance',
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {error: error.code, reason: error.message}
+			});
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	return router;
+};
+
+const ISSUANCE_SETTINGS_API_ERRORS = {
+	UNKNOWN_ISSUANCE_SETTINGS_API_ERROR: 'UNKNOWN_ISSUANCE_SETTINGS_API_ERROR',
+	CRED_DEF_NOT_FOUND: 'CRED_DEF_NOT_FOUND',
+	BAD_REQUEST: 'BAD_REQUEST'
+};
+exports.ISSUANCE_SETTINGS_API_ERRORS = ISSUANCE_SETTINGS_API_ERRORS;
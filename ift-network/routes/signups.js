@@ -19,6 +19,8 @@ const bodyParser = require('body-parser');
 const compression = require('compression');
 
 const SIGNUP_STEPS = require('../libs/signups.js').SIGNUP_STEPS;
+const SIGNUP_MANAGER_ERRORS = require('../libs/signups.js').SIGNUP_MANAGER_ERRORS;
+const FlowEvents = require('./flow_events.js');
 
 // Logging setup
 const Logger = require('../libs/logger.js').Logger;
@@ -41,7 +43,7 @@ exports.createRouter = function (signup_manager) {
 	router.use(compression());
 
 	/* Get the status of the current signup flow */
-	router.get('/signup/status', [ middleware ], (req, res) => {
+	router.get('/signup/status', [ middleware ], async (req, res) => {
 
 		if (!req.session.signup)
 			return res.status(400).json({
@@ -49,30 +51,85 @@ exports.createRouter = function (signup_manager) {
 				reason: 'There is no signup process associate with this session'
 			});
 
-		const status = signup_manager.get_signup_status(req.session.signup);
-		logger.debug(`Signup ${req.session.signup} status is ${status.status}`);
-		if (status.status === SIGNUP_STEPS.FINISHED) {
-			// Log the user in and cleanup the signup and session when the signup is complete
-			req.session.user_id = signup_manager.get_signup_user(req.session.signup);
-			res.cookie('user_id', req.session.user_id);
+		try {
+			const status = await signup_manager.get_signup_status(req.session.signup);
+			logger.debug(`Signup ${req.session.signup} status is ${status.status}`);
+			if (status.status === SIGNUP_STEPS.FINISHED) {
+				// Log the user in and cleanup the signup and session when the signup is complete
+				const user_id = await signup_manager.get_signup_user(req.session.signup);
+				await signup_manager.delete_signup(req.session.signup);
+
+				// Start a fresh session for the new user, like the password login, so a session planted before the
+				// signup can't ride on it
+				await new Promise((resolve, reject) => {
+					req.session.regenerate((error) => error ? reject(error) : resolve());
+				});
+				req.session.user_id = user_id;
+				res.cookie('user_id', req.session.user_id);
+				res.json({
+					message: 'User has been signed up and logged in',
+					signup: status
+				});
+
+			} else {
+				res.json({
+					message: 'Retrieved signup status',
+					signup: status
+				});
+			}
+		} catch (error) {
+			logger.error(`Failed to get the status of signup ${req.session.signup}: ${error}`);
+			return res.status(500).json({
+				error: error.code ? error.code : SIGNUP_API_ERRORS.UNKNOWN_SIGNUP_API_ERROR,
+				reason: `Failed to lookup signup status: ${error.message}`
+			});
+		}
+	});
 
-			signup_manager.delete_signup(req.session.signup);
-			delete req.session.signup;
-			res.json({
-				message: 'User has been signed up and logged in',
-				signup: status
+	/* Stream status updates for the current signup flow.  The status API still has to be called to finish signing up */
+	router.get('/signup/events', [ middleware ], async (req, res) => {
+
+		if (!req.session.signup)
+			return res.status(400).json({
+				error: SIGNUP_API_ERRORS.NOT_SIGNING_UP,
+				reason: 'There is no signup process associate with this session'
+			});
+
+		await FlowEvents.streamStatus(req, res, (listener) => {
+			return signup_manager.watch_signup(req.session.signup, listener);
+		}, SIGNUP_API_ERRORS.UNKNOWN_SIGNUP_API_ERROR);
+	});
+
+	/* POST resend the offer that a TIMED_OUT signup flow is waiting on */
+	router.post('/signup/resend', [ middleware ], async (req, res) => {
+
+		if (!req.session.signup)
+			return res.status(400).json({
+				error: SIGNUP_API_ERRORS.NOT_SIGNING_UP,
+				reason: 'There is no signup process associate with this session'
 			});
 
-		} else {
+		try {
+			await signup_manager.resend_signup(req.session.signup);
 			res.json({
-				message: 'Retrieved signup status',
-				signup: status
+				message: 'Resending the signup offer'
+			});
+		} catch (error) {
+			logger.error(`Failed to resend the offer for signup ${req.session.signup}: ${error}`);
+			let status = 500;
+			if (error.code === SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_FOUND)
+				status = 404;
+			else if (error.code === SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_TIMED_OUT || error.code === SIGNUP_MANAGER_ERRORS.SIGNUP_NOT_LOCAL)
+				status = 409;
+			return res.status(status).json({
+				error: error.code ? error.code : SIGNUP_API_ERRORS.UNKNOWN_SIGNUP_API_ERROR,
+				reason: `Failed to resend the signup offer: ${error.message}`
 			});
 		}
 	});
 
 	/* POST start a new account signup flow */
-	router.post('/signup', [ middleware ], (req, res) => {
+	router.post('/signup', [ middleware ], async (req, res) => {
 		if (!req.body || !req.body.username || typeof req.body.username !== 'string') {
 			return res.status(400).json({
 				error: SIGNUP_API_ERRORS.MISSING_REQUIRED_PARAMETERS,
@@ -103,14 +160,28 @@ exports.createRouter = function (signup_manager) {
 				reason: 'Invalid connection_method for issuing the credential'
 			});
 
-		if (!req.body.credential_type || typeof req.body.credential_type !== 'string') {
+		// Users can pick which of the alternative signup proofs to answer.  Otherwise, each one is tried in order.
+		const proof_path = req.body.proof_path ? req.body.proof_path : null;
+		if (proof_path !== null && typeof proof_path !== 'string')
 			return res.status(400).json({
 				error: SIGNUP_API_ERRORS.MISSING_REQUIRED_PARAMETERS,
-				reason: 'Invalid credential_type for verifying the credentials'
+				reason: 'Invalid proof_path for verifying the credentials'
 			});
-		}
 
-		const signup_id = signup_manager.create_signup(username, agent_name, password, req.body.connection_method, req.body.credential_type);
+		let signup_id;
+		try {
+			signup_id = await signup_manager.create_signup(username, agent_name, password, req.body.connection_method, proof_path);
+		} catch (error) {
+			if (error.code === SIGNUP_MANAGER_ERRORS.UNKNOWN_PROOF_PATH)
+				return res.status(400).json({
+					error: error.code,
+					reason: error.message
+				});
+			return res.status(500).json({
+				error: error.code ? error.code : SIGNUP_API_ERRORS.UNKNOWN_SIGNUP_API_ERROR,
+				reason: `Failed to start signup: ${error.message}`
+			});
+		}
 		req.session.signup = signup_id;
 		res.status(201).json({
 			message: 'Signup process initiated',
@@ -0,0 +1,282 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const uuidv4 = require('uuid/v4');
+
+const FLOW_STATES = require('./flows.js').FLOW_STATES;
+
+const audit_log_design_doc = require('./design_docs/audit_log.json');
+const DESIGN_DOC = audit_log_design_doc._id.split('/')[1];
+const VIEW_AUDIT_EVENTS = 'audit_events';
+const VIEW_AUDIT_EVENTS_BY = {
+	actor: 'audit_events_by_actor',
+	action: 'audit_events_by_action',
+	target: 'audit_events_by_target'
+};
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * How many events are returned by a query that doesn't set a limit.
+ * @type {number}
+ */
+const DEFAULT_EVENT_LIMIT = 100;
+
+/**
+ * Keeps an append-only record of administrative actions and of the credentials and logins the app hands out.  Events
+ * can't be changed or deleted once they're written; the design doc rejects any update to an existing event.
+ */
+class AuditLog {
+
+	/**
+	 * Constructs an AuditLog instance that will manage audit events in the given database.
+	 * @param {object} auditDB A nano database instance.  Generally the same database as the user records.
+	 */
+	constructor (auditDB) {
+		if (!auditDB || typeof auditDB !== 'object' || typeof auditDB.get !== 'function')
+			throw new TypeError('Audit log database was not a nano database instance');
+
+		this.auditDB = auditDB;
+	}
+
+	/**
+	 * Publishes the couchdb design doc for looking up audit events and keeping them from being changed.
+	 * @return {Promise<void>} A promise that resolves when the design doc is updated and rejects otherwise.
+	 */
+	async publish_design_doc () {
+
+		// Don't pollute other instances of AuditLog's design docs
+		const design_doc = JSON.parse(JSON.stringify(audit_log_design_doc));
+
+		logger.info('Publishing AuditLog design doc');
+		try {
+			const existing_doc = await this.auditDB.get(design_doc._id);
+			design_doc._rev = existing_doc._rev;
+		} catch (error) {
+			// If the document is missing, we'll get an error that we don't need to handle.  We'll just create it.
+		}
+
+		try {
+			const response = await this.auditDB.insert(design_doc, null);
+			logger.debug(`AuditLog design doc published. rev: ${response.rev}`);
+		} catch (error) {
+			logger.error(`Failed to publish AuditLog design doc: ${error}`);
+			error.code = AUDIT_LOG_ERRORS.DESIGN_DOC_PUBLISHING_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Describes something that happened in the app.
+	 * @typedef {object} AuditEvent
+	 * @property {string} _id The ID of the event.
+	 * @property {string} type Always 'audit_event'.  Distinguishes these records from user records.
+	 * @property {number} timestamp When the event happened, in milliseconds since the epoch.
+	 * @property {string} actor The user that did the action, or 'anonymous' if nobody was logged in.
+	 * @property {string} action What was done.  One of AUDIT_ACTIONS.
+	 * @property {string|null} target What the action was done to, such as a user, schema, or credential ID.
+	 * @property {'success'|'failure'} outcome Whether the action worked.
+	 * @property {object} [details] Anything else worth knowing about the event, such as why it failed.
+	 */
+
+	/**
+	 * Appends an event to the audit log.  Failures to write the event are logged rather than thrown so that a broken
+	 * audit log doesn't undo the action that was being recorded.
+	 * @param {object} event The event.  Must have an `action` and an `outcome`.
+	 * @param {string} [event.actor] The user that did the action.
+	 * @param {string} event.action What was done.
+	 * @param {string} [event.target] What the action was done to.
+	 * @param {'success'|'failure'} event.outcome Whether the action worked.
+	 * @param {object} [event.details] Anything else worth knowing about the event.
+	 * @returns {Promise<AuditEvent|null>} A promise that resolves with the saved event, or null if it couldn't be saved.
+	 */
+	async record_event (event) {
+		if (!event || typeof event !== 'object')
+			throw new TypeError('Audit event was not an object');
+		if (!event.action || typeof event.action !== 'string')
+			throw new TypeError('Audit event action was not a non-empty string');
+		if (Object.values(AUDIT_OUTCOMES).indexOf(event.outcome) < 0)
+			throw new TypeError(`Audit event outcome was not one of ${Object.values(AUDIT_OUTCOMES).join(', ')}`);
+
+		const timestamp = Date.now();
+		const doc = {
+			_id: `audit_event:${timestamp}:${uuidv4()}`,
+			type: 'audit_event',
+			timestamp: timestamp,
+			actor: event.actor && typeof event.actor === 'string' ? event.actor : 'anonymous',
+			action: event.action,
+			target: event.target && typeof event.target === 'string' ? event.target : null,
+			outcome: event.outcome
+		};
+		if (event.details && typeof event.details === 'object')
+			doc.details = JSON.parse(JSON.stringify(event.details));
+
+		logger.info(`Audit: ${doc.actor} ${doc.action} ${doc.target} ${doc.outcome}`);
+		try {
+			await this.auditDB.insert(doc, null);
+			return doc;
+		} catch (error) {
+			logger.error(`Failed to record audit event ${JSON.stringify(doc)}: ${error}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Records the outcome of an issuance, login, or signup flow that has ended.  The user of the flow is the actor.
+	 * @param {string} action What the flow did.  One of AUDIT_ACTIONS.
+	 * @param {object} flow_doc The flow record of the flow.
+	 * @param {string} [target] What the flow acted on.  Defaults to the user of the flow.
+	 * @returns {Promise<AuditEvent|null>} A promise that resolves with the saved event, or null if it couldn't be saved.
+	 */
+	async record_flow (action, flow_doc, target) {
+		const details = {
+			flow_id: flow_doc._id,
+			status: flow_doc.status
+		};
+		if (flow_doc.error)
+			details.error = flow_doc.error;
+
+		return this.record_event({
+			actor: flow_doc.user,
+			action: action,
+			target: target ? target : flow_doc.user,
+			outcome: flow_doc.status === FLOW_STATES.FINISHED ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.FAILURE,
+			details: details
+		});
+	}
+
+	/**
+	 * Describes which audit events to return.
+	 * @typedef {object} AuditFilters
+	 * @property {string} [actor] Only return events done by this user.
+	 * @property {string} [action] Only return events with this action.
+	 * @property {string} [target] Only return events done to this target.
+	 * @property {'success'|'failure'} [outcome] Only return events with this outcome.
+	 * @property {number} [since] Only return events at or after this time, in milliseconds since the epoch.
+	 * @property {number} [until] Only return events at or before this time, in milliseconds since the epoch.
+	 * @property {number} [limit] The most events to return.  Defaults to 100.
+	 */
+
+	/**
+	 * Looks up audit events, newest first.
+	 * @param {AuditFilters} [filters] Which events to return.
+	 * @returns {Promise<AuditEvent[]>} A promise that resolves with the matching events.
+	 */
+	async read_events (filters) {
+		filters = filters ? filters : {};
+		for (const field of [ 'actor', 'action', 'target', 'outcome' ]) {
+			if (filters[field] !== undefined && (!filters[field] || typeof filters[field] !== 'string'))
+				throw new TypeError(`Audit filter ${field} was not a non-empty string`);
+		}
+		for (const field of [ 'since', 'until', 'limit' ]) {
+			if (filters[field] !== undefined && (typeof filters[field] !== 'number' || isNaN(filters[field]) || filters[field] < 0))
+				throw new TypeError(`Audit filter ${field} was not a number >= 0`);
+		}
+		const limit = filters.limit ? filters.limit : DEFAULT_EVENT_LIMIT;
+		const since = filters.since ? filters.since : 0;
+		const until = filters.until !== undefined ? filters.until : Number.MAX_SAFE_INTEGER;
+
+		// Query the view for the first field being filtered on and check the rest of the filters here
+		let view = VIEW_AUDIT_EVENTS;
+		let key_field = null;
+		for (const field in VIEW_AUDIT_EVENTS_BY) {
+			if (filters[field]) {
+				view = VIEW_AUDIT_EVENTS_BY[field];
+				key_field = field;
+				break;
+			}
+		}
+		const other_filters = [ 'actor', 'action', 'target', 'outcome' ].filter((field) => {
+			return field !== key_field && filters[field];
+		});
+
+		const opts = {
+			reduce: false,
+			include_docs: true,
+			descending: true,
+			startkey: key_field ? [ filters[key_field], until ] : until,
+			endkey: key_field ? [ filters[key_field], since ] : since
+		};
+		if (!other_filters.length)
+			opts.limit = limit;
+
+		try {
+			const view_resp = await this.auditDB.view(DESIGN_DOC, view, opts);
+			return view_resp.rows.map((row) => {
+				delete row.doc._rev;
+				return row.doc;
+			}).filter((doc) => {
+				for (const field of other_filters) {
+					if (doc[field] !== filters[field])
+						return false;
+				}
+				return true;
+			}).slice(0, limit);
+
+		} catch (error) {
+			logger.error(`Failed to read audit events: ${error}`);
+			error.code = AUDIT_LOG_ERRORS.UNKNOWN_AUDIT_READ_FAILURE;
+			throw error;
+		}
+	}
+}
+
+exports.AuditLog = AuditLog;
+
+/**
+ * The actions that are recorded in the audit log.
+ * @enum {string}
+ */
+const AUDIT_ACTIONS = {
+	SCHEMA_CREATE: 'schema.create',
+	SCHEMA_DEPRECATE: 'schema.deprecate',
+	SCHEMA_UNDEPRECATE: 'schema.undeprecate',
+	CRED_DEF_CREATE: 'cred_def.create',
+	USER_CREATE: 'user.create',
+	USER_UPDATE: 'user.update',
+	USER_DELETE: 'user.delete',
+	USER_IMPORT: 'user.import',
+	USER_EXPORT: 'user.export',
+	USER_ROLES_UPDATE: 'user.roles.update',
+	USER_CONNECTION_DELETE: 'user.connection.delete',
+	ISSUANCE_SETTINGS_UPDATE: 'issuance_settings.update',
+	CREDENTIAL_ISSUE: 'credential.issue',
+	CREDENTIAL_REVOKE: 'credential.revoke',
+	CREDENTIAL_REISSUE: 'credential.reissue',
+	CREDENTIAL_SUPERSEDE: 'credential.supersede',
+	ISSUANCE_JOB_CREATE: 'issuance_job.create',
+	ISSUANCE_JOB_CANCEL: 'issuance_job.cancel',
+	LOGIN_PROOF: 'login.proof',
+	SIGNUP: 'signup'
+};
+exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+/**
+ * Whether an audited action worked.
+ * @enum {string}
+ */
+const AUDIT_OUTCOMES = {
+	SUCCESS: 'success',
+	FAILURE: 'failure'
+};
+exports.AUDIT_OUTCOMES = AUDIT_OUTCOMES;
+
+const AUDIT_LOG_ERRORS = {
+	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE',
+	UNKNOWN_AUDIT_READ_FAILURE: 'UNKNOWN_AUDIT_READ_FAILURE'
+};
+exports.AUDIT_LOG_ERRORS = AUDIT_LOG_ERRORS;
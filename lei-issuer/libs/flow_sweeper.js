@@ -0,0 +1,300 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const FLOW_STATES = require('./flows.js').FLOW_STATES;
+const FINAL_STATES = require('./flows.js').FINAL_STATES;
+const OFFER_STAGES = require('./offer_policy.js').OFFER_STAGES;
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * How long, in seconds, a flow can sit in each state before it is reaped.  Running flows give up on users well before
+ * these limits, so in-progress flows that hit them are stuck.
+ * @type {object}
+ */
+const DEFAULT_TTLS = {
+	CREATED: 300,
+	BUILDING_CREDENTIAL: 300,
+	ESTABLISHING_CONNECTION: 600,
+	CHECKING_CREDENTIAL: 600,
+	ISSUING_CREDENTIAL: 600,
+	TIMED_OUT: 600,
+	FINISHED: 3600,
+	STOPPED: 600,
+	ERROR: 3600
+};
+
+/**
+ * The offers that flows wait on users to answer in each state.
+ * @type {object}
+ */
+const WAITING_STAGES = {
+	ESTABLISHING_CONNECTION: OFFER_STAGES.CONNECTION,
+	CHECKING_CREDENTIAL: OFFER_STAGES.PROOF,
+	ISSUING_CREDENTIAL: OFFER_STAGES.CREDENTIAL
+};
+
+/**
+ * How often, in seconds, to look for stale flows by default.
+ * @type {number}
+ */
+const DEFAULT_SWEEP_INTERVAL = 60;
+
+/**
+ * Periodically removes issuance, login, and signup flows that have been in the same state for too long.  Finished
+ * flows are simply forgotten.  Stuck flows are stopped, and the connection offers, verifications, and credential
+ * offers they left behind on the agent are deleted.
+ */
+class FlowSweeper {
+
+	/**
+	 * @param {Agent} agent The agent the flows were created on.
+	 * @param {Flows} flow_records The database where the state of the flows is saved.
+	 * @param {object} [ttls] Overrides the number of seconds a flow can sit in a given state, keyed by state.
+	 * @param {number} [sweep_interval] The number of seconds between sweeps.  0 disables sweeping.
+	 */
+	constructor (agent, flow_records, ttls, sweep_interval) {
+		if (!agent || typeof agent.deleteConnection !== 'function')
+			throw new TypeError('FlowSweeper was not given an Agent instance');
+		if (!flow_records || typeof flow_records.read_flows_by_status !== 'function')
+			throw new TypeError('FlowSweeper was not given a Flows instance');
+		if (ttls !== undefined && (!ttls || typeof ttls !== 'object' || Array.isArray(ttls)))
+			throw new TypeError('Flow TTLs must be an object');
+		if (sweep_interval !== undefined && (typeof sweep_interval !== 'number' || isNaN(sweep_interval) || sweep_interval < 0))
+			throw new TypeError('Flow sweep interval must be a number >= 0');
+
+		this.ttls = Object.assign({}, DEFAULT_TTLS);
+		for (const state in ttls) {
+			if (!FLOW_STATES[state])
+				throw new TypeError(`Flow TTLs contained an unknown flow state: ${state}`);
+			if (typeof ttls[state] !== 'number' || isNaN(ttls[state]) || ttls[state] <= 0)
+				throw new TypeError(`Flow TTL for ${state} must be a number > 0`);
+			this.ttls[state] = ttls[state];
+		}
+
+		this.agent = agent;
+		this.flow_records = flow_records;
+		this.sweep_interval = sweep_interval !== undefined ? sweep_interval : DEFAULT_SWEEP_INTERVAL;
+		this.managers = {};
+		this.timer = null;
+		this.stats = {
+			sweeps: 0,
+			last_sweep: null,
+			total_reaped: 0,
+			reaped: {}
+		};
+	}
+
+	/**
+	 * Lets the sweeper stop flows of the given type that are running in this instance of the app.
+	 * @param {string} flow_type The type of flows the manager runs.
+	 * @param {object} manager A flow manager with a `stop_flow(flow_id)` method that resolves once the flow has given up.
+	 * @returns {void}
+	 */
+	addManager (flow_type, manager) {
+		if (!flow_type || typeof flow_type !== 'string')
+			throw new TypeError('Invalid flow type was provided to flow sweeper');
+		if (!manager || typeof manager.stop_flow !== 'function')
+			throw new TypeError(`Invalid manager was provided for ${flow_type} flows`);
+		this.managers[flow_type] = manager;
+	}
+
+	/**
+	 * Starts sweeping stale flows in the background.
+	 * @returns {void}
+	 */
+	start () {
+		if (!this.sweep_interval) {
+			logger.info('Flow sweeping is disabled');
+			return;
+		}
+		if (this.timer)
+			return;
+
+		logger.info(`Sweeping stale flows every ${this.sweep_interval} seconds`);
+		const next_sweep = () => {
+			this.timer = setTimeout(async () => {
+				try {
+					await this.sweep();
+				} catch (error) {
+					logger.error(`Flow sweep failed: ${error}`);
+				}
+				if (this.timer)
+					next_sweep();
+			}, this.sweep_interval * 1000);
+		};
+		next_sweep();
+	}
+
+	/**
+	 * Stops sweeping stale flows.
+	 * @returns {void}
+	 */
+	stop () {
+		if (this.timer)
+			clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Reaps every flow that has been in its current state for longer than that state's TTL.
+	 * @returns {Promise<number>} A promise that resolves with the number of flows that were reaped.
+	 */
+	async sweep () {
+		const flows = await this.flow_records.read_flows_by_status(Object.values(FLOW_STATES));
+		const now = Date.now();
+
+		let reaped = 0;
+		for (const index in flows) {
+			const flow = flows[index];
+			const ttl = this.ttls[flow.status];
+			if (!ttl || now - flow.updated < ttl * 1000)
+				continue;
+
+			try {
+				if (await this.reap(flow))
+					reaped++;
+			} catch (error) {
+				logger.error(`Failed to reap ${flow.flow_type} flow ${flow._id}: ${error}`);
+			}
+		}
+
+		this.stats.sweeps++;
+		this.stats.last_sweep = now;
+		if (reaped)
+			logger.info(`Reaped ${reaped} stale flows`);
+		return reaped;
+	}
+
+	/**
+	 * Stops a flow, cleans up what it left behind on the agent, and deletes its record.  The record is only deleted after
+	 * a flow running in this instance of the app has given up, so the flow can't save it again.  A flow running in another
+	 * instance of the app is left to that instance to stop and delete, unless it still hasn't by the next sweep, meaning
+	 * the instance is gone.
+	 * @param {FlowRecord} flow The record of the flow.
+	 * @returns {Promise<boolean>} A promise that resolves with true when the flow has been reaped, or false if the
+	 * instance running it was asked to stop it.
+	 */
+	async reap (flow) {
+		if (FINAL_STATES.indexOf(flow.status) < 0) {
+			const manager = this.managers[flow.flow_type];
+			const stopped = manager ? await manager.stop_flow(flow._id) : false;
+
+			if (!stopped && flow.owner !== this.flow_records.owner) {
+				if (!flow.stop_requested) {
+					logger.info(`Asking ${flow.owner} to stop ${flow.flow_type} flow ${flow._id}, which has been ${flow.status} since ${new Date(flow.updated).toISOString()}`);
+					await this.flow_records.request_stop(flow._id);
+					return false;
+				}
+				if (Date.now() - flow.stop_requested.at < this.sweep_interval * 1000)
+					return false;
+			}
+		}
+		logger.info(`Reaping ${flow.flow_type} flow ${flow._id}, which has been ${flow.status} since ${new Date(flow.updated).toISOString()}`);
+
+		if (FINAL_STATES.indexOf(flow.status) < 0) {
+
+			if (flow.status === FLOW_STATES.ESTABLISHING_CONNECTION && flow.connection_offer && flow.connection_offer.id)
+				await this.cleanup('connection offer', flow.connection_offer.id, this.agent.deleteConnection.bind(this.agent));
+			if (flow.status === FLOW_STATES.CHECKING_CREDENTIAL && flow.verification && flow.verification.id)
+				await this.cleanup('verification', flow.verification.id, this.agent.deleteVerification.bind(this.agent));
+			if (flow.status === FLOW_STATES.ISSUING_CREDENTIAL && flow.credential && flow.credential.id)
+				await this.cleanup('credential offer', flow.credential.id, this.agent.deleteCredential.bind(this.agent));
+
+			// Timed out flows leave behind the offer the user didn't answer
+			if (flow.status === FLOW_STATES.TIMED_OUT && flow.timed_out) {
+				if (flow.timed_out.stage === OFFER_STAGES.CONNECTION && flow.connection_offer && flow.connection_offer.id)
+					await this.cleanup('connection offer', flow.connection_offer.id, this.agent.deleteConnection.bind(this.agent));
+				if (flow.timed_out.stage === OFFER_STAGES.PROOF && flow.verification && flow.verification.id)
+					await this.cleanup('verification', flow.verification.id, this.agent.deleteVerification.bind(this.agent));
+				if (flow.timed_out.stage === OFFER_STAGES.CREDENTIAL && flow.credential && flow.credential.id)
+					await this.cleanup('credential offer', flow.credential.id, this.agent.deleteCredential.bind(this.agent));
+			}
+		}
+
+		await this.flow_records.delete_flow(flow._id);
+
+		if (!this.stats.reaped[flow.flow_type])
+			this.stats.reaped[flow.flow_type] = {};
+		const reaped = this.stats.reaped[flow.flow_type];
+		reaped[flow.status] = reaped[flow.status] ? reaped[flow.status] + 1 : 1;
+		this.stats.total_reaped++;
+		return true;
+	}
+
+	/**
+	 * Deletes an object a flow left behind on the agent.  The object may have already been cleaned up by the flow, so
+	 * failures are logged rather than thrown.
+	 * @param {string} description What kind of object is being deleted.
+	 * @param {string} id The ID of the object.
+	 * @param {function} deleter Deletes the object from the agent.
+	 * @returns {Promise<void>} A promise that resolves when the object has been deleted.
+	 */
+	async cleanup (description, id, deleter) {
+		try {
+			logger.info(`Deleting ${description} ${id}`);
+			await deleter(id);
+		} catch (error) {
+			logger.warn(`Failed to delete ${description} ${id}: ${error}`);
+		}
+	}
+
+	/**
+	 * @typedef {object} SweeperStats
+	 * @property {number} sweep_interval The number of seconds between sweeps.
+	 * @property {object} ttls The number of seconds a flow can sit in each state.
+	 * @property {number} sweeps The number of sweeps that have run.
+	 * @property {number|null} last_sweep When the last sweep ran.
+	 * @property {number} total_reaped The number of flows that have been reaped.
+	 * @property {object} reaped The number of flows that have been reaped, by flow type and state.
+	 */
+
+	/**
+	 * Gets the configuration of the sweeper and counts of the flows it has reaped since the app started.
+	 * @returns {SweeperStats} Information on the sweeper.
+	 */
+	getStats () {
+		return {
+			sweep_interval: this.sweep_interval,
+			ttls: Object.assign({}, this.ttls),
+			sweeps: this.stats.sweeps,
+			last_sweep: this.stats.last_sweep,
+			total_reaped: this.stats.total_reaped,
+			reaped: JSON.parse(JSON.stringify(this.stats.reaped))
+		};
+	}
+}
+
+/**
+ * Works out the shortest TTLs that won't reap flows that are still waiting on users.  A flow waiting on an offer saves
+ * its record every time it sends the offer, and a TIMED_OUT flow waits out the resend window.
+ * @param {OfferPolicy[]} offer_policies The offer policies the flows run with.
+ * @returns {object} The minimum number of seconds for each state that flows wait in, keyed by state.
+ */
+function minimumTtls (offer_policies) {
+	const ttls = {};
+	for (const policy of offer_policies) {
+		for (const state in WAITING_STAGES)
+			ttls[state] = Math.max(ttls[state] ? ttls[state] : 0, policy.longestWait(WAITING_STAGES[state]));
+		ttls.TIMED_OUT = Math.max(ttls.TIMED_OUT ? ttls.TIMED_OUT : 0, Math.ceil(policy.resend_window));
+	}
+	return ttls;
+}
+
+exports.FlowSweeper = FlowSweeper;
+exports.DEFAULT_TTLS = DEFAULT_TTLS;
+exports.minimumTtls = minimumTtls;
@@ -0,0 +1,275 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const FLOW_STATES = require('./flows.js').FLOW_STATES;
+const FLOWS_ERRORS = require('./flows.js').FLOWS_ERRORS;
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * How long flows wait on users, and how they resend offers that users don't answer, by default.  Timeouts and windows
+ * are in seconds, and the poll interval is in milliseconds.
+ * @type {OfferPolicyOptions}
+ */
+const DEFAULT_POLICY = {
+	connection_timeout: 90,
+	offer_timeout: 90,
+	poll_interval: 3000,
+	auto_resends: 0,
+	max_resends: 3,
+	backoff: 1.5,
+	resend_window: 300
+};
+
+/**
+ * The offers a flow can wait on a user to answer.
+ * @enum {string}
+ */
+const OFFER_STAGES = {
+	CONNECTION: 'connection',
+	CREDENTIAL: 'credential',
+	PROOF: 'proof'
+};
+
+/**
+ * @typedef {object} OfferPolicyOptions
+ * @property {number} [connection_timeout] How many seconds to wait for a connection offer to be accepted.
+ * @property {number} [offer_timeout] How many seconds to wait for a credential offer or proof request to be answered.
+ * @property {number} [poll_interval] How many milliseconds to wait between checks on an offer.
+ * @property {number} [auto_resends] How many times an offer is resent without asking the user first.
+ * @property {number} [max_resends] How many times an offer can be resent in total.
+ * @property {number} [backoff] How much longer to wait on each resent offer than the offer before it.
+ * @property {number} [resend_window] How many seconds a timed out flow waits for the user to ask for a resend before
+ * giving up.
+ */
+
+/**
+ * @typedef {object} TimedOutOffer
+ * @property {OFFER_STAGES} stage The offer that the user didn't answer in time.
+ * @property {number} resends_left How many more times the offer can be resent.
+ * @property {number} expires When the flow gives up if the offer isn't resent.
+ */
+
+/**
+ * Decides how long issuance, login, and signup flows wait for users to answer connection offers, credential offers,
+ * and proof requests, and what happens when users don't answer in time.  Unanswered offers are resent automatically a
+ * few times, then the flow moves to the TIMED_OUT state and waits for the user to ask for another one.  Each resent
+ * offer waits a little longer than the one before it.
+ */
+class OfferPolicy {
+
+	/**
+	 * @param {OfferPolicyOptions} [opts] Overrides the default policy.
+	 */
+	constructor (opts) {
+		if (opts !== undefined && (!opts || typeof opts !== 'object' || Array.isArray(opts)))
+			throw new TypeError('Offer policy must be an object');
+
+		const policy = Object.assign({}, DEFAULT_POLICY);
+		for (const key in opts) {
+			if (!DEFAULT_POLICY.hasOwnProperty(key))
+				throw new TypeError(`Offer policy contained an unknown setting: ${key}`);
+			const value = opts[key];
+			if (typeof value !== 'number' || isNaN(value))
+				throw new TypeError(`Offer policy setting ${key} must be a number`);
+			if ([ 'auto_resends', 'max_resends' ].indexOf(key) >= 0 ? !Number.isInteger(value) || value < 0 : value <= 0)
+				throw new TypeError(`Offer policy setting ${key} must be ${key.endsWith('resends') ? 'an integer >= 0' : 'a number > 0'}`);
+			policy[key] = value;
+		}
+		if (policy.backoff < 1)
+			throw new TypeError('Offer policy setting backoff must be a number >= 1');
+		if (policy.auto_resends > policy.max_resends)
+			throw new TypeError('Offer policy setting auto_resends can\'t be more than max_resends');
+
+		Object.assign(this, policy);
+	}
+
+	/**
+	 * Gets how long to wait for the user to answer an offer.
+	 * @param {OFFER_STAGES} stage The kind of offer.
+	 * @param {number} resends How many times the offer has been resent.
+	 * @returns {number} The number of seconds to wait.
+	 */
+	timeout (stage, resends) {
+		const timeout = stage === OFFER_STAGES.CONNECTION ? this.connection_timeout : this.offer_timeout;
+		return timeout * Math.pow(this.backoff, resends);
+	}
+
+	/**
+	 * Gets the longest this policy waits for the user to answer a single offer, which is the wait on the last resend.
+	 * Flows save their record each time they send an offer, so this is also the longest a flow waiting on the user goes
+	 * without updating its record.
+	 * @param {OFFER_STAGES} stage The kind of offer.
+	 * @returns {number} The number of seconds.
+	 */
+	longestWait (stage) {
+		const checks = Math.max(1, Math.ceil(this.timeout(stage, this.max_resends) * 1000 / this.poll_interval));
+		return Math.ceil(checks * this.poll_interval / 1000);
+	}
+
+	/**
+	 * Sends an offer to the user and waits for them to answer it, resending it according to this policy if they
+	 * don't answer in time.  The flow must be an EventEmitter with `id`, `status`, and `timed_out` properties and a
+	 * `setStatus(status)` method.  While it is waiting for the user to ask for a resend, the flow is TIMED_OUT, and
+	 * emitting `resend` on the flow sends the offer again.
+	 * @param {EventEmitter} flow The flow that is sending the offer.
+	 * @param {OFFER_STAGES} stage The kind of offer.
+	 * @param {function} send Sends the offer.  Resolves with the ID of the offer.
+	 * @param {function} wait Called with the ID of the offer, the number of times to check on it, and how long to wait
+	 * between checks.  Resolves with the answered offer.
+	 * @param {function} discard Called with the ID of an offer that timed out, before the offer is resent.
+	 * @returns {Promise<object>} A promise that resolves with the answered offer, or rejects if the offer couldn't be sent,
+	 * couldn't be checked, or was never answered.  Stopping the flow rejects the promise right away with a FLOW_STOPPED
+	 * error.  The last offer is not discarded when the promise rejects.
+	 */
+	async waitForAnswer (flow, stage, send, wait, discard) {
+		let resends = 0;
+		for (;;) {
+			const offer_id = await send();
+			const timeout = this.timeout(stage, resends);
+			try {
+				return await unlessStopped(flow, wait(offer_id, Math.max(1, Math.ceil(timeout * 1000 / this.poll_interval)), this.poll_interval));
+			} catch (error) {
+				if (!isTimeout(error))
+					throw error;
+
+				logger.info(`The ${stage} offer ${offer_id} for flow ${flow.id} was not answered within ${timeout} seconds`);
+				if (resends >= this.max_resends || (resends >= this.auto_resends && !await this.waitForResend(flow, stage, this.max_resends - resends)))
+					throw timedOut(stage, offer_id);
+
+				logger.info(`Resending the ${stage} offer for flow ${flow.id}`);
+				try {
+					await discard(offer_id);
+				} catch (error) {
+					logger.warn(`Failed to delete ${stage} offer ${offer_id}: ${error}`);
+				}
+				resends++;
+			}
+		}
+	}
+
+	/**
+	 * Moves a flow to the TIMED_OUT state until the user asks for an offer to be resent, the flow is stopped, or the
+	 * resend window closes.
+	 * @param {EventEmitter} flow The flow that is waiting.
+	 * @param {OFFER_STAGES} stage The offer that wasn't answered in time.
+	 * @param {number} resends_left How many more times the offer can be resent.
+	 * @returns {Promise<boolean>} A promise that resolves with true if the offer should be resent.
+	 */
+	async waitForResend (flow, stage, resends_left) {
+		const previous_status = flow.status;
+		flow.timed_out = {
+			stage: stage,
+			resends_left: resends_left,
+			expires: Date.now() + this.resend_window * 1000
+		};
+		await flow.setStatus(FLOW_STATES.TIMED_OUT);
+
+		const resend = await new Promise((resolve) => {
+			const finish = (result) => {
+				clearTimeout(timer);
+				flow.removeListener('resend', on_resend);
+				flow.removeListener('status', on_status);
+				resolve(result);
+			};
+			const on_resend = () => {
+				finish(true);
+			};
+			const on_status = (status) => {
+				if (status.status === FLOW_STATES.STOPPED)
+					finish(false);
+			};
+			const timer = setTimeout(() => {
+				finish(false);
+			}, this.resend_window * 1000);
+			flow.on('resend', on_resend);
+			flow.on('status', on_status);
+		});
+
+		flow.timed_out = null;
+		if (!resend) {
+			logger.info(`Flow ${flow.id} was not asked to resend its ${stage} offer`);
+			return false;
+		}
+		await flow.setStatus(previous_status);
+		return true;
+	}
+}
+
+/**
+ * Waits on a promise until the flow is stopped.  The flow's status events are watched, so the wait ends as soon as the
+ * flow is stopped instead of when the user finally answers the offer.
+ * @param {EventEmitter} flow The flow that is waiting.
+ * @param {Promise<object>} promise The wait on the offer.
+ * @returns {Promise<object>} A promise that settles like the given one, or rejects with a FLOW_STOPPED error if the flow
+ * is stopped first.
+ */
+function unlessStopped (flow, promise) {
+	let on_status;
+	const stopped = new Promise((resolve, reject) => {
+		on_status = (status) => {
+			if (status.status !== FLOW_STATES.STOPPED)
+				return;
+			const error = new Error(`Flow ${flow.id} was stopped while it was waiting on an offer`);
+			error.code = FLOWS_ERRORS.FLOW_STOPPED;
+			reject(error);
+		};
+		flow.on('status', on_status);
+		on_status({status: flow.status});
+	});
+
+	return Promise.race([ promise, stopped ]).then((result) => {
+		flow.removeListener('status', on_status);
+		return result;
+	}, (error) => {
+		flow.removeListener('status', on_status);
+		// The abandoned wait keeps polling until it gives up, and nobody is listening for how it ends
+		promise.catch(() => {});
+		throw error;
+	});
+}
+
+/**
+ * Checks whether waiting on an offer failed because the user didn't answer it in time.  The agent SDK gives up with a
+ * "still waiting" error.
+ * @param {Error} error The error from waiting on the offer.
+ * @returns {boolean} True if the offer timed out.
+ */
+function isTimeout (error) {
+	return !!error && /still waiting/i.test(error.message);
+}
+
+/**
+ * Creates the error for an offer that was never answered.
+ * @param {OFFER_STAGES} stage The kind of offer.
+ * @param {string} offer_id The ID of the last offer.
+ * @returns {Error} The error.
+ */
+function timedOut (stage, offer_id) {
+	const error = new Error(`The ${stage} offer ${offer_id} was not answered in time`);
+	error.code = OFFER_POLICY_ERRORS.OFFER_TIMED_OUT;
+	return error;
+}
+
+exports.OfferPolicy = OfferPolicy;
+exports.OFFER_STAGES = OFFER_STAGES;
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
+
+const OFFER_POLICY_ERRORS = {
+	OFFER_TIMED_OUT: 'OFFER_TIMED_OUT'
+};
+exports.OFFER_POLICY_ERRORS = OFFER_POLICY_ERRORS;
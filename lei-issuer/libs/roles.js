@@ -0,0 +1,113 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * The roles that can be given to a user.  A user can have more than one role, in which case they get the permissions of
+ * all of them.
+ * @type {object}
+ */
+const ROLES = {
+	ADMIN: 'admin',
+	AUDITOR: 'auditor',
+	ISSUER_OPERATOR: 'issuer-operator',
+	MEMBER: 'member'
+};
+exports.ROLES = ROLES;
+
+/**
+ * The permissions that are checked by the API routes.
+ * @type {object}
+ */
+const PERMISSIONS = {
+	USERS_READ: 'users:read',
+	USERS_WRITE: 'users:write',
+	USERS_ROLES: 'users:roles',
+	SCHEMAS_READ: 'schemas:read',
+	SCHEMAS_WRITE: 'schemas:write',
+	CRED_DEFS_READ: 'cred_defs:read',
+	CRED_DEFS_WRITE: 'cred_defs:write',
+	CREDENTIALS_REQUEST: 'credentials:request',
+	AUDIT_READ: 'audit:read'
+};
+exports.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Maps each role to the permissions it grants.
+ * @type {object}
+ */
+const ROLE_PERMISSIONS = {};
+ROLE_PERMISSIONS[ROLES.ADMIN] = Object.values(PERMISSIONS);
+ROLE_PERMISSIONS[ROLES.AUDITOR] = [
+	PERMISSIONS.USERS_READ,
+	PERMISSIONS.SCHEMAS_READ,
+	PERMISSIONS.CRED_DEFS_READ,
+	PERMISSIONS.AUDIT_READ
+];
+ROLE_PERMISSIONS[ROLES.ISSUER_OPERATOR] = [
+	PERMISSIONS.USERS_READ,
+	PERMISSIONS.SCHEMAS_READ,
+	PERMISSIONS.SCHEMAS_WRITE,
+	PERMISSIONS.CRED_DEFS_READ,
+	PERMISSIONS.CRED_DEFS_WRITE
+];
+ROLE_PERMISSIONS[ROLES.MEMBER] = [
+	PERMISSIONS.SCHEMAS_READ,
+	PERMISSIONS.CRED_DEFS_READ,
+	PERMISSIONS.CREDENTIALS_REQUEST
+];
+exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+/**
+ * Gets the roles of a user.  User records that were created before roles existed are members.
+ * @param {User} user_doc A user record.
+ * @returns {string[]} The roles of the user.
+ */
+function userRoles (user_doc) {
+	return user_doc && Array.isArray(user_doc.roles) ? user_doc.roles : [ ROLES.MEMBER ];
+}
+exports.userRoles = userRoles;
+
+/**
+ * Checks whether any of the given roles grants a permission.
+ * @param {string[]} roles A list of roles.
+ * @param {string} permission A permission from PERMISSIONS.
+ * @returns {boolean} True if the permission is granted, false otherwise.
+ */
+function hasPermission (roles, permission) {
+	for (const role of roles) {
+		if (ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].indexOf(permission) >= 0)
+			return true;
+	}
+	return false;
+}
+exports.hasPermission = hasPermission;
+
+/**
+ * Makes sure a list of roles only contains known roles.
+ * @param {string[]} roles A list of roles.
+ * @returns {void}
+ */
+function validateRoles (roles) {
+	if (!Array.isArray(roles))
+		throw new TypeError('Roles were not an array');
+
+	const known = Object.values(ROLES);
+	for (const role of roles) {
+		if (known.indexOf(role) < 0)
+			throw new TypeError(`Role ${role} is not one of ${known.join(', ')}`);
+	}
+}
+exports.validateRoles = validateRoles;
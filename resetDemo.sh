@@ -0,0 +1,29 @@
+#!/bin/sh
+
+usage() {
+  echo "** Resets the users, connections, credentials and verifications from demo runs in all six apps **"
+  echo "syntax: resetDemo [--since <date or timestamp>] [--supplier <username>] [--dry-run] [--issuer-connections]"
+  echo "  --since               only reset what was created after the given ISO date or millisecond timestamp"
+  echo "  --supplier            only reset the given supplier's accounts and their agent's connections and credentials"
+  echo "  --dry-run             report what would be reset without deleting anything"
+  echo "  --issuer-connections  also delete the connections between the apps and their trusted issuers"
+}
+
+RESET_DRY_RUN=false
+RESET_ISSUER_CONNECTIONS=false
+while [ $# -gt 0 ]
+do
+  case "$1" in
+    --since) RESET_SINCE=$2; shift ;;
+    --supplier) RESET_SUPPLIER=$2; shift ;;
+    --dry-run) RESET_DRY_RUN=true ;;
+    --issuer-connections) RESET_ISSUER_CONNECTIONS=true ;;
+    --help|"/?"|"?") usage; exit 0 ;;
+    *) usage; exit 1 ;;
+  esac
+  shift
+done
+
+echo "** resetting the demo **"
+CA_TEST_NAME=resetDemo RESET_SINCE=$RESET_SINCE RESET_SUPPLIER=$RESET_SUPPLIER RESET_DRY_RUN=$RESET_DRY_RUN \
+  RESET_ISSUER_CONNECTIONS=$RESET_ISSUER_CONNECTIONS docker-compose up --exit-code-from test test
@@ -0,0 +1,11 @@
+#!/bin/sh
+
+if [ "$1" = "/?" ] || [ "$1" = "--help" ] || [ "$1" = "?" ]
+then
+  echo "** Runs the supplier through the demo: LEI issuer, TYS, IFT Founder and IFT Network **"
+  echo "** Exits non-zero if any step of the demo fails **"
+  echo "syntax: runDemoTest"
+else
+  echo "** running the supplier through the demo **"
+  CA_TEST_NAME=holder docker-compose up --exit-code-from test test
+fi
@@ -52,7 +52,12 @@ const ev = {
     IFT_FOUNDER_AGENT_PASSWORD: process.env.IFT_FOUNDER_AGENT_PASSWORD,
     IFT_NETWORK_AGENT_NAME: process.env.IFT_NETWORK_AGENT_NAME,
 	IFT_NETWORK_AGENT_PASSWORD: process.env.IFT_NETWORK_AGENT_PASSWORD,
-	CA_TEST_CLEANUP_ACCOUNTS: process.env.CA_TEST_CLEANUP_ACCOUNTS
+	CA_TEST_CLEANUP_ACCOUNTS: process.env.CA_TEST_CLEANUP_ACCOUNTS,
+	ADMIN_API_USERNAME: process.env.ADMIN_API_USERNAME,
+	ADMIN_API_PASSWORD: process.env.ADMIN_API_PASSWORD,
+	TYS_APP_URL: process.env.TYS_APP_URL ? process.env.TYS_APP_URL : 'http://tys:3000',
+	IFT_FOUNDER_APP_URL: process.env.IFT_FOUNDER_APP_URL ? process.env.IFT_FOUNDER_APP_URL : 'http://ift-founder:3000',
+	IFT_NETWORK_APP_URL: process.env.IFT_NETWORK_APP_URL ? process.env.IFT_NETWORK_APP_URL : 'http://ift-network:3000'
 };
 
 /*
@@ -92,13 +97,9 @@ for (const key in ev) {
 			// no accounts to delete
 			console.info('Not deleting any accounts, no accounts specified')
 		} else {
-			// accounts to delete, make sure we have the information we need
-			if ((!ev.IFT_FOUNDER_URL || ev.IFT_FOUNDER_URL.length === 0) ||
-				(!ev.TYS_URL || ev.TYS_URL.length === 0) ||
-				(!ev.IFT_NETWORK_URL || ev.IFT_NETWORK_URL.length === 0)) {
-
-				console.error('cannot delete accounts if ift-founder, tys and/or ift-network urls not specified');
-			}
+			// accounts to delete, make sure we have the information we need.  Deleting users is an admin API.
+			if (!ev.ADMIN_API_USERNAME || !ev.ADMIN_API_PASSWORD)
+				throw new Error('cannot delete accounts if ADMIN_API_USERNAME and ADMIN_API_PASSWORD are not specified');
 		}
 
 		// initialize agents
@@ -135,6 +136,7 @@ for (const key in ev) {
 	} catch (error){
 		console.error(`Encountered error: ${error}`);
 		console.error(`stack: ${error.stack}`);
+		process.exitCode = 1;
 	}
 
 	async function deleteConnections(fromAgent, toAgent) {
@@ -204,152 +206,48 @@ for (const key in ev) {
 			return;
 		}
 
+		// the users API is admin only, so log in to each app as the admin first, like holder.js does
+		const apps = [ ev.TYS_APP_URL, ev.IFT_FOUNDER_APP_URL, ev.IFT_NETWORK_APP_URL ];
+		const cookies = {};
+		for (const url of apps) {
+			cookies[url] = await adminLogin(url);
+		}
+
 		console.info(`*************** ${usernameArray.length} USERNAMES TO DELETE ***************`);
 		for (let i=0; i < usernameArray.length; i++) {
 			const username = usernameArray[i];
 			try {
 				console.info(`*************** DELETING USERNAME: ${username} ***************`);
-				await fetch(`http://tys:3000/api/users/${username}`, {'method': 'DELETE'});
-				await fetch(`http://ift-founder:3000/api/users/${username}`, {'method': 'DELETE'});
-				await fetch(`http://ift-network:3000/api/users/${username}`, {'method': 'DELETE'});
+				for (const url of apps) {
+					const res = await fetch(`${url}/api/users/${encodeURIComponent(username)}`, {
+						method: 'DELETE',
+						headers: {'Cookie': cookies[url]}
+					});
+					if (!res.ok)
+						throw new Error(`DELETE ${url}/api/users/${username} returned ${res.status}: ${await res.text()}`);
+				}
 			} catch (error) {
 				console.error(`Error while deleting username: ${username}, exiting deleteAccounts`);
 				throw error;
 			}
 		}
 	}
-/*
-	if (ev.CREDENTIALS_CLEANUP) {
-		logger.info('***************DELETING CREDENTIALS***************');
-		const credentials = await gleifAgent.getCredentials();
-		logger.info(`***************${credentials.length} CREDENTIALS TO DELETE***************`);
-		for (const index in credentials) {
-			logger.debug(`***************DELETING CREDENTIAL ${credentials[index].id}***************`);
-			try {
-				await agent.deleteCredential(credentials[index].id);
-			} catch (error) {
-				logger.error(`Error when deleting connection ${credentials[index].id}: ${error}`);
-			}
-		}
-	}
 
-	if (ev.VERIFICATIONS_CLEANUP) {
-		logger.info('***************DELETING VERIFICATION***************');
-		const verifications = await agent.getVerifications();
-		logger.info(`***************${verifications.length} VERIFICATIONS TO DELETE***************`);
-		for (const index in verifications) {
-			logger.debug(`***************DELETING VERIFICATION ${verifications[index].id}***************`);
-			try {
-				await agent.deleteVerification(verifications[index].id);
-			} catch (error) {
-				logger.error(`Error when deleting verification ${verifications[index].id}: ${error}`);
-			}
-		}
-	}
-
-	async function loop () {
-		console.log('######################################### loop()...');
-		console.log(`My Agency ID is: ${ev.AGENT_NAME}`);
-
-		const offers = await agent.getConnections({
-			state: 'inbound_offer'
+	// log in to an app with the admin's username and password and return the session cookie
+	async function adminLogin (url) {
+		const res = await fetch(`${url}/login/userpass`, {
+			method: 'POST',
+			headers: {'Content-Type': 'application/json'},
+			body: JSON.stringify({username: ev.ADMIN_API_USERNAME, password: ev.ADMIN_API_PASSWORD})
 		});
-		logger.info('Connection Offers: '+offers.length);
-		if (offers.length > 0) {
-			logger.debug('offers='+jsonPrint(offers));
-			const offer = offers[0];
-			try {
-				logger.info(`Accepting connection offer ${offer.id} from  ${offer.remote.name}`);
-				const r = await agent.acceptConnection(offer.id);
-				logger.info('Accepted connection offer '+r.id+' from '+r.remote.name);
-			} catch (error) {
-				logger.error(`Couldn't accept connection offer ${offer.id}.  You may want to delete it. Error: ${error}`);
-				if (ev.DELETE_BAD_CONNECTION_OFFERS) {
-					logger.info(`Deleting bad connection offer ${offer.id}`);
-					await agent.deleteConnection(offer.id);
-				}
-			}
-		}
-
-		const credentials = await agent.getCredentials({
-			state: 'inbound_offer'
-		});
-		logger.info('Credential Offers: '+credentials.length);
-		if (credentials.length > 0) {
-			//logger.info("credentials="+jsonPrint(credentials));
-			const credential = credentials[0];
-			try {
-				logger.info(`Accepting credential offer ${credential.id}...`);
-				const r = await agent.updateCredential(credential.id, 'accepted');
-				logger.info(`Accepted credential offer ${credential.id}`);
-				logger.debug('Accepted credential offer '+jsonPrint(r));
-			} catch (error) {
-				logger.error(`Couldn't accept credential offer ${credential.id}. You may want to delete it. Error: ${error}`);
-				if (ev.DELETE_BAD_CREDENTIAL_OFFERS) {
-					logger.info(`Deleting bad credential offer ${credential.id}`);
-					await agent.deleteCredential(credential.id);
-				}
-			}
-		}
-
-		// Check for new verification requests
-		const verificationRequests = await agent.getVerifications({
-			state: {$nin: [ 'passed', 'proof_shared' ]}
-		});
-		//logger.info("Requests="+jsonPrint(verificationRequests));
-		logger.info(`Verification Requests: ${verificationRequests.length}`);
-		for (const c in verificationRequests) {
-			const request = verificationRequests[c];
+		if (!res.ok)
+			throw new Error(`Logging in to ${url} as ${ev.ADMIN_API_USERNAME} returned ${res.status}: ${await res.text()}`);
 
-			logger.debug(`Verification request: ${jsonPrint(request)}`);
-			logger.info(`Verification request status: ${request.state}`);
-			if (request.state === 'inbound_proof_request') {
-				try {
-					//logger.info(" --- proof icon="+request.properties.icon);
-					await agent.updateVerification(request.id, 'proof_generated');
-					logger.info('Accepted proof request');
-				}
-				catch (e) {
-					logger.error('Error accepting proof request: '+e.message);
-
-					logger.info('***************DELETING PROOF REQUEST proof request***************');
-					await agent.deleteVerification(request.id);
-					logger.info('Deleted');
-					//process.exit(1);
-				}
-			}
-			else if (request.state === 'proof_generated') {
-				logger.info('Displaying proof values to be returned:');
-				const attributes = request['proof_view']['attributes'];
-				for (const i in attributes) {
-					let verifiedAttribute = ' ';
-					if (attributes[i]['cred_def_id']) {
-						verifiedAttribute = '*';
-					}
-					logger.info('  ' + verifiedAttribute + attributes[i].name + '=' +attributes[i].value);
-				}
-				logger.info('(*Value from credential)');
-				try {
-					const r = await agent.updateVerification(request.id, 'proof_shared');
-					//logger.info("Send proof response "+jsonPrint(r));
-					if (r.state === 'passed') {
-						logger.info('Proof response successfully sent');
-					}
-					else {
-						logger.error('Error sending proof response');
-						process.exit(1);
-					}
-				}
-				catch (e) {
-					logger.error('Error sending proof response: '+e.message);
-					process.exit(1);
-				}
-			}
-		}
-		setTimeout(loop, ev.LOOP_INTERVAL ? ev.LOOP_INTERVAL : 5000);
+		const set_cookies = res.headers.raw()['set-cookie'] ? res.headers.raw()['set-cookie'] : [];
+		return set_cookies.map((set_cookie) => {
+			return set_cookie.split(';')[0];
+		}).join('; ');
 	}
-	loop();
-*/
 
 })();
 
@@ -0,0 +1,570 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const Agent = require('openssi-websdk').Agent;
+const fetch = require('node-fetch');
+const Nano = require('nano');
+const MockAgent = require('./libs/mock_agent.js').MockAgent;
+
+// Logging setup
+const Logger = require('./libs/logger.js').Logger;
+if (process.env['LOG_LEVEL'])
+	Logger.setLogLevel(process.env['LOG_LEVEL']);
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+// The test holder plays the supplier from docs/TYS_script.md, so it uses Acme's agent unless it is told otherwise
+const ev = {
+	ACCOUNT_URL: process.env.ACCOUNT_URL,
+	HOLDER_AGENT_NAME: process.env.HOLDER_AGENT_NAME ? process.env.HOLDER_AGENT_NAME : process.env.ACME_AGENT_NAME,
+	HOLDER_AGENT_PASSWORD: process.env.HOLDER_AGENT_PASSWORD ? process.env.HOLDER_AGENT_PASSWORD : process.env.ACME_AGENT_PASSWORD,
+	HOLDER_USERNAME: process.env.HOLDER_USERNAME ? process.env.HOLDER_USERNAME : 'acme@example.com',
+	HOLDER_PASSWORD: process.env.HOLDER_PASSWORD ? process.env.HOLDER_PASSWORD : 'acme',
+	HOLDER_LEI: process.env.HOLDER_LEI ? process.env.HOLDER_LEI : '549300VKX8CWI7ZGME90',
+	ADMIN_API_USERNAME: process.env.ADMIN_API_USERNAME,
+	ADMIN_API_PASSWORD: process.env.ADMIN_API_PASSWORD,
+	LEI_ISSUER_APP_URL: process.env.LEI_ISSUER_APP_URL ? process.env.LEI_ISSUER_APP_URL : 'http://lei-issuer:3000',
+	TYS_APP_URL: process.env.TYS_APP_URL ? process.env.TYS_APP_URL : 'http://tys:3000',
+	IFT_FOUNDER_APP_URL: process.env.IFT_FOUNDER_APP_URL ? process.env.IFT_FOUNDER_APP_URL : 'http://ift-founder:3000',
+	IFT_NETWORK_APP_URL: process.env.IFT_NETWORK_APP_URL ? process.env.IFT_NETWORK_APP_URL : 'http://ift-network:3000',
+	FLOW_TIMEOUT: process.env.FLOW_TIMEOUT ? parseInt(process.env.FLOW_TIMEOUT, 10) : 300,
+	FLOW_MAX_RESENDS: process.env.FLOW_MAX_RESENDS ? parseInt(process.env.FLOW_MAX_RESENDS, 10) : 2,
+	LOOP_INTERVAL: process.env.LOOP_INTERVAL ? parseInt(process.env.LOOP_INTERVAL, 10) : 2000,
+	AGENT_LOG_LEVEL: process.env.AGENT_LOG_LEVEL,
+	MOCK_AGENT: process.env.MOCK_AGENT === 'true',
+	MOCK_AGENT_DB: process.env.MOCK_AGENT_DB ? process.env.MOCK_AGENT_DB : 'mock_agent',
+	DB_CONNECTION_STRING: process.env.DB_CONNECTION_STRING
+};
+
+const required = [ 'HOLDER_AGENT_NAME', 'ADMIN_API_USERNAME', 'ADMIN_API_PASSWORD' ];
+if (ev.MOCK_AGENT)
+	required.push('DB_CONNECTION_STRING');
+else
+	required.push('ACCOUNT_URL', 'HOLDER_AGENT_PASSWORD');
+for (const key of required) {
+	if (!ev[key])
+		throw new Error(`Missing environment parameter ${key}`);
+}
+for (const key of [ 'FLOW_TIMEOUT', 'FLOW_MAX_RESENDS', 'LOOP_INTERVAL' ]) {
+	if (isNaN(ev[key]) || ev[key] < 0)
+		throw new Error(`Environment parameter ${key} was not a non-negative number`);
+}
+
+for (const key in ev) {
+	if (key.toLowerCase().indexOf('password') >= 0 || key === 'DB_CONNECTION_STRING') continue;
+	logger.debug(`${key}: ${ev[key]}`);
+}
+
+const FLOW_STEPS = {
+	FINISHED: 'FINISHED',
+	TIMED_OUT: 'TIMED_OUT',
+	ERROR: 'ERROR',
+	STOPPED: 'STOPPED'
+};
+
+/**
+ * The webapps the supplier visits, in the order they are visited in docs/TYS_script.md.  The LEI issuer's admin creates
+ * the supplier's account and the supplier asks for their credential.  The other webapps issue a credential as part of
+ * signing up.  `fields` lists what the resulting user record's personal info must contain: a value that has to match,
+ * `true` for any value, or `{from: <app id>}` for the value the supplier got from an earlier webapp.
+ */
+const APPS = [
+	{
+		id: 'lei-issuer',
+		url: ev.LEI_ISSUER_APP_URL,
+		schema_name: 'Legal Entity Credential',
+		signup: false,
+		fields: {
+			LEI: ev.HOLDER_LEI
+		}
+	},
+	{
+		id: 'tys',
+		url: ev.TYS_APP_URL,
+		schema_name: 'Trust Your Supplier Credential',
+		signup: true,
+		fields: {
+			LEI: ev.HOLDER_LEI,
+			company_name: true,
+			tys_identifier: true,
+			member_since: true,
+			trust_value: true
+		}
+	},
+	{
+		id: 'ift-founder',
+		url: ev.IFT_FOUNDER_APP_URL,
+		schema_name: 'Supplier Record',
+		signup: true,
+		fields: {
+			LEI: ev.HOLDER_LEI,
+			company_name: {from: 'tys'},
+			supplier_identifier: true,
+			supplier_since: true,
+			supplier_rating: true
+		}
+	},
+	{
+		id: 'ift-network',
+		url: ev.IFT_NETWORK_APP_URL,
+		schema_name: 'IFT Network Member Record',
+		signup: true,
+		fields: {
+			company_name: {from: 'ift-founder'},
+			supplier_identifier: {from: 'ift-founder'},
+			tys_identifier: {from: 'tys'},
+			member_identifier: true
+		}
+	}
+];
+
+/**
+ * Talks to a webapp's HTTP API, holding on to the session cookie like a browser would.
+ */
+class AppSession {
+
+	/**
+	 * @param {string} app_id Identifies the webapp in log messages.
+	 * @param {string} url The base URL of the webapp.
+	 */
+	constructor (app_id, url) {
+		this.app_id = app_id;
+		this.url = url.replace(/\/+$/, '');
+		this.cookies = {};
+	}
+
+	/**
+	 * Makes a request to the webapp.
+	 * @param {string} method The HTTP method.
+	 * @param {string} path The path of the API, ex. `/api/users`.
+	 * @param {object} [body] The JSON body of the request.
+	 * @returns {Promise<{status: number, body: object}>} A promise that resolves with the status and the parsed body of
+	 * the response.
+	 */
+	async request (method, path, body) {
+		const headers = {};
+		const cookies = Object.keys(this.cookies).map((name) => {
+			return `${name}=${this.cookies[name]}`;
+		});
+		if (cookies.length)
+			headers['Cookie'] = cookies.join('; ');
+		if (body !== undefined)
+			headers['Content-Type'] = 'application/json';
+
+		logger.debug(`${this.app_id}: ${method} ${path}`);
+		const response = await fetch(`${this.url}${path}`, {
+			method: method,
+			headers: headers,
+			body: body !== undefined ? JSON.stringify(body) : undefined,
+			redirect: 'manual'
+		});
+
+		const set_cookies = response.headers.raw()['set-cookie'] ? response.headers.raw()['set-cookie'] : [];
+		for (const set_cookie of set_cookies) {
+			const pair = set_cookie.split(';')[0];
+			const separator = pair.indexOf('=');
+			if (separator > 0)
+				this.cookies[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+		}
+
+		const text = await response.text();
+		let parsed = text;
+		try {
+			parsed = text ? JSON.parse(text) : {};
+		} catch (error) {
+			// Not every response is JSON, ex. redirects
+		}
+		return {status: response.status, body: parsed};
+	}
+
+	/**
+	 * Makes a request to the webapp and fails if the response doesn't have the expected status.
+	 * @param {string} method The HTTP method.
+	 * @param {string} path The path of the API, ex. `/api/users`.
+	 * @param {object|undefined} body The JSON body of the request.
+	 * @param {number|number[]} expected The acceptable response statuses.
+	 * @returns {Promise<object>} A promise that resolves with the parsed body of the response.
+	 */
+	async expect (method, path, body, expected) {
+		const response = await this.request(method, path, body);
+		if ([].concat(expected).indexOf(response.status) < 0) {
+			const reason = response.body && response.body.reason ? response.body.reason : JSON.stringify(response.body);
+			throw new Error(`${this.app_id}: ${method} ${path} returned ${response.status} instead of ${expected}: ${reason}`);
+		}
+		return response.body;
+	}
+
+	/**
+	 * Logs in with a username and password.
+	 * @param {string} username The username.
+	 * @param {string} password The password.
+	 * @returns {Promise<object>} A promise that resolves with the login response.
+	 */
+	async login (username, password) {
+		logger.info(`${this.app_id}: logging in as ${username}`);
+		return this.expect('POST', '/login/userpass', {username: username, password: password}, 200);
+	}
+
+	/**
+	 * Polls a flow status API until the flow finishes, resending the offer the flow is waiting on when it times out.
+	 * @param {string} status_path The path of the status API.
+	 * @param {string} resend_path The path of the resend API.
+	 * @param {function} pick Gets the flow status from the status API's response.
+	 * @returns {Promise<object>} A promise that resolves with the final status, or rejects if the flow didn't finish.
+	 */
+	async waitForFlow (status_path, resend_path, pick) {
+		const deadline = Date.now() + ev.FLOW_TIMEOUT * 1000;
+		let resends = 0;
+		let last_status;
+		while (Date.now() < deadline) {
+			const status = pick(await this.expect('GET', status_path, undefined, 200));
+			if (!status || !status.status)
+				throw new Error(`${this.app_id}: ${status_path} did not return a flow status`);
+			if (status.status !== last_status)
+				logger.info(`${this.app_id}: ${status_path} is ${status.status}`);
+			last_status = status.status;
+
+			if (status.status === FLOW_STEPS.FINISHED)
+				return status;
+			if (status.status === FLOW_STEPS.ERROR || status.status === FLOW_STEPS.STOPPED)
+				throw new Error(`${this.app_id}: flow ended in ${status.status}. ${status.error ? status.error : ''} ${status.reason ? status.reason : ''}`.trim());
+			if (status.status === FLOW_STEPS.TIMED_OUT) {
+				if (resends >= ev.FLOW_MAX_RESENDS)
+					throw new Error(`${this.app_id}: flow timed out ${resends + 1} times`);
+				resends++;
+				logger.warn(`${this.app_id}: flow timed out.  Resending (${resends}/${ev.FLOW_MAX_RESENDS})`);
+				await this.expect('POST', resend_path, {}, 200);
+			}
+			await sleep(ev.LOOP_INTERVAL);
+		}
+		throw new Error(`${this.app_id}: ${status_path} was still ${last_status} after ${ev.FLOW_TIMEOUT} seconds`);
+	}
+}
+
+/**
+ * Answers everything the webapps send to the holder's agent: connection offers, credential offers and proof requests.
+ */
+class HolderResponder {
+
+	/**
+	 * @param {Agent|MockAgent} agent The holder's agent.
+	 */
+	constructor (agent) {
+		this.agent = agent;
+		this.running = false;
+		this.timer = null;
+	}
+
+	/**
+	 * Starts answering offers and proof requests.
+	 * @returns {void}
+	 */
+	start () {
+		this.running = true;
+		this.loop();
+	}
+
+	/**
+	 * Stops answering offers and proof requests.
+	 * @returns {void}
+	 */
+	stop () {
+		this.running = false;
+		if (this.timer)
+			clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Answers everything that is waiting on the holder, then checks again after `LOOP_INTERVAL`.
+	 * @returns {Promise<void>} A promise that resolves when this round of answers is done.
+	 */
+	async loop () {
+		try {
+			await this.acceptConnections();
+			await this.acceptCredentials();
+			await this.answerProofRequests();
+		} catch (error) {
+			logger.error(`Failed to check the holder's agent for offers: ${error}`);
+		}
+		if (this.running)
+			this.timer = setTimeout(this.loop.bind(this), ev.LOOP_INTERVAL);
+	}
+
+	/**
+	 * Accepts connection offers.
+	 * @returns {Promise<void>} A promise that resolves when the offers are accepted.
+	 */
+	async acceptConnections () {
+		const offers = await this.agent.getConnections({state: 'inbound_offer'});
+		for (const offer of offers) {
+			try {
+				logger.info(`Accepting connection offer ${offer.id} from ${offer.remote ? offer.remote.name : 'nobody'}`);
+				await this.agent.acceptConnection(offer.id);
+			} catch (error) {
+				logger.error(`Couldn't accept connection offer ${offer.id}: ${error}`);
+			}
+		}
+	}
+
+	/**
+	 * Accepts credential offers.
+	 * @returns {Promise<void>} A promise that resolves when the offers are accepted.
+	 */
+	async acceptCredentials () {
+		const offers = await this.agent.getCredentials({state: 'inbound_offer'});
+		for (const offer of offers) {
+			try {
+				logger.info(`Accepting ${offer.schema_name} credential offer ${offer.id}`);
+				await this.agent.updateCredential(offer.id, 'accepted');
+			} catch (error) {
+				logger.error(`Couldn't accept credential offer ${offer.id}: ${error}`);
+			}
+		}
+	}
+
+	/**
+	 * Generates proofs for proof requests, then shares them.  Proof requests that can't be answered are deleted so
+	 * that the webapp sees the failure instead of waiting for its proof request to time out.
+	 * @returns {Promise<void>} A promise that resolves when the proof requests are answered.
+	 */
+	async answerProofRequests () {
+		const requests = await this.agent.getVerifications({
+			state: {$in: [ 'inbound_proof_request', 'proof_generated' ]}
+		});
+		for (const request of requests) {
+			try {
+				if (request.state === 'inbound_proof_request') {
+					logger.info(`Generating a proof for proof request ${request.id}`);
+					await this.agent.updateVerification(request.id, 'proof_generated');
+
+				} else {
+					const attributes = request.proof_view && request.proof_view.attributes ? request.proof_view.attributes : [];
+					logger.info(`Sharing proof ${request.id}:`);
+					for (const attribute of attributes)
+						logger.info(`  ${attribute.cred_def_id ? '*' : ' '}${attribute.name} = ${attribute.value}`);
+					const shared = await this.agent.updateVerification(request.id, 'proof_shared');
+					logger.info(`Proof ${request.id} is ${shared.state}`);
+				}
+			} catch (error) {
+				logger.error(`Couldn't answer proof request ${request.id}.  Deleting it. error: ${error}`);
+				await this.agent.deleteVerification(request.id);
+			}
+		}
+	}
+}
+
+(async () => {
+	let responder;
+	try {
+		let agent;
+		if (ev.MOCK_AGENT) {
+			logger.warn(`MOCK_AGENT is on.  Using mock agent ${ev.HOLDER_AGENT_NAME} in database ${ev.MOCK_AGENT_DB}`);
+			const nano = Nano(ev.DB_CONNECTION_STRING);
+			agent = new MockAgent(nano.use(ev.MOCK_AGENT_DB), ev.HOLDER_AGENT_NAME, 'Test Holder', ev.ACCOUNT_URL);
+			await agent.publish_design_doc();
+		} else {
+			agent = new Agent(ev.ACCOUNT_URL, ev.HOLDER_AGENT_NAME, ev.HOLDER_AGENT_PASSWORD, 'Test Holder');
+		}
+		agent.setLoggingLevel(ev.AGENT_LOG_LEVEL ? ev.AGENT_LOG_LEVEL : 'info');
+		const identity = await agent.getIdentity();
+		logger.info(`Holder agent: ${identity.name} ${identity.url}`);
+
+		for (const app of APPS)
+			await prepareApp(app);
+
+		responder = new HolderResponder(agent);
+		responder.start();
+
+		const records = {};
+		for (const app of APPS) {
+			logger.info(`*************** ${app.id.toUpperCase()} ***************`);
+			const stored = await storedCredentials(app, agent);
+			const session = app.signup ? await signUp(app) : await requestCredential(app);
+			records[app.id] = await checkUserRecord(app, session, records);
+			await checkHolderCredential(app, agent, stored);
+			await loginWithCredential(app);
+		}
+
+		responder.stop();
+		logger.info('The supplier made it through every webapp');
+		process.exit(0);
+	} catch (error) {
+		if (responder)
+			responder.stop();
+		logger.error(`Test holder failed: ${error}`);
+		logger.debug(`stack: ${error.stack}`);
+		process.exit(1);
+	}
+})();
+
+/**
+ * Gets a webapp ready for the supplier: removes the supplier's account from previous runs and publishes the webapp's
+ * credential schema and credential definition if they aren't published yet.
+ * @param {object} app A webapp from the APPS list.
+ * @returns {Promise<void>} A promise that resolves when the webapp is ready.
+ */
+async function prepareApp (app) {
+	const admin = new AppSession(app.id, app.url);
+	await admin.login(ev.ADMIN_API_USERNAME, ev.ADMIN_API_PASSWORD);
+
+	const username = encodeURIComponent(ev.HOLDER_USERNAME);
+	await admin.expect('DELETE', `/api/users/${username}`, undefined, [ 200, 404 ]);
+
+	const template = (await admin.expect('GET', '/api/schema_templates/default', undefined, 200)).schema;
+	const schemas = (await admin.expect('GET', '/api/schemas', undefined, 200)).schemas;
+	let schema = schemas.find((schema) => {
+		return schema.name === template.name && schema.version === template.version;
+	});
+	if (!schema) {
+		logger.info(`${app.id}: publishing schema ${template.name} ${template.version}`);
+		schema = (await admin.expect('POST', '/api/schemas', template, 201)).schema;
+	}
+
+	const cred_defs = (await admin.expect('GET', '/api/creddefs', undefined, 200)).cred_defs;
+	if (!cred_defs.some((cred_def) => cred_def.schema_id === schema.id)) {
+		logger.info(`${app.id}: publishing a credential definition for ${schema.id}`);
+		await admin.expect('POST', '/api/creddefs', {schema_id: schema.id}, 201);
+	}
+
+	if (!app.signup) {
+		logger.info(`${app.id}: creating the ${ev.HOLDER_USERNAME} account`);
+		await admin.expect('POST', `/api/users/${username}`, {
+			password: ev.HOLDER_PASSWORD,
+			personal_info: {LEI: ev.HOLDER_LEI},
+			opts: {agent_name: ev.HOLDER_AGENT_NAME}
+		}, 201);
+	}
+	await admin.expect('GET', '/logout', undefined, [ 200, 302 ]);
+}
+
+/**
+ * Logs in to a webapp with a password and asks for the user's credential.
+ * @param {object} app A webapp from the APPS list.
+ * @returns {Promise<AppSession>} A promise that resolves with the supplier's session once the credential is issued.
+ */
+async function requestCredential (app) {
+	const session = new AppSession(app.id, app.url);
+	await session.login(ev.HOLDER_USERNAME, ev.HOLDER_PASSWORD);
+	await session.expect('POST', '/api/credentials', {connection_method: 'in_band'}, 201);
+	await session.waitForFlow('/api/credentials/', '/api/credentials/resend', (body) => body);
+	return session;
+}
+
+/**
+ * Signs up for a webapp account by proving the credentials from the webapps visited before it.
+ * @param {object} app A webapp from the APPS list.
+ * @returns {Promise<AppSession>} A promise that resolves with the supplier's session once they are signed up.
+ */
+async function signUp (app) {
+	const session = new AppSession(app.id, app.url);
+	logger.info(`${app.id}: signing up as ${ev.HOLDER_USERNAME}`);
+	await session.expect('POST', '/signup', {
+		username: ev.HOLDER_USERNAME,
+		password: ev.HOLDER_PASSWORD,
+		agent_name: ev.HOLDER_AGENT_NAME,
+		connection_method: 'in_band'
+	}, 201);
+	await session.waitForFlow('/signup/status', '/signup/resend', (body) => body.signup);
+	return session;
+}
+
+/**
+ * Logs in to a webapp by proving the credential the webapp issued.
+ * @param {object} app A webapp from the APPS list.
+ * @returns {Promise<void>} A promise that resolves when the supplier is logged in.
+ */
+async function loginWithCredential (app) {
+	const session = new AppSession(app.id, app.url);
+	logger.info(`${app.id}: logging in as ${ev.HOLDER_USERNAME} with a credential`);
+	await session.expect('POST', '/login/vc', {username: ev.HOLDER_USERNAME, connection_method: 'in_band'}, 201);
+	await session.waitForFlow('/login/vc/status', '/login/vc/resend', (body) => body.vc_login);
+	await session.expect('GET', `/api/users/${encodeURIComponent(ev.HOLDER_USERNAME)}`, undefined, 200);
+}
+
+/**
+ * Checks the supplier's user record in a webapp against the webapp's expected `fields`.
+ * @param {object} app A webapp from the APPS list.
+ * @param {AppSession} session A session that is logged in as the supplier.
+ * @param {object} records The personal info of the supplier's user records in the webapps visited so far.
+ * @returns {Promise<object>} A promise that resolves with the personal info from the user record.
+ */
+async function checkUserRecord (app, session, records) {
+	const body = await session.expect('GET', `/api/users/${encodeURIComponent(ev.HOLDER_USERNAME)}`, undefined, 200);
+	const user_doc = body[ev.HOLDER_USERNAME];
+	if (!user_doc)
+		throw new Error(`${app.id}: user record for ${ev.HOLDER_USERNAME} was not returned`);
+
+	const problems = [];
+	if (!user_doc.opts || user_doc.opts.agent_name !== ev.HOLDER_AGENT_NAME)
+		problems.push(`agent_name was ${user_doc.opts ? user_doc.opts.agent_name : undefined}`);
+	if (!user_doc.connection || !user_doc.connection.id)
+		problems.push('no connection was linked');
+
+	const personal_info = user_doc.personal_info ? user_doc.personal_info : {};
+	for (const field in app.fields) {
+		let expected = app.fields[field];
+		if (expected && expected.from)
+			expected = records[expected.from] ? records[expected.from][field] : undefined;
+
+		if (expected === true) {
+			if (personal_info[field] === undefined || personal_info[field] === null || personal_info[field] === '')
+				problems.push(`${field} was missing`);
+		} else if (personal_info[field] !== expected) {
+			problems.push(`${field} was ${JSON.stringify(personal_info[field])} instead of ${JSON.stringify(expected)}`);
+		}
+	}
+
+	if (problems.length)
+		throw new Error(`${app.id}: user record for ${ev.HOLDER_USERNAME} was wrong. ${problems.join('; ')}`);
+	logger.info(`${app.id}: user record for ${ev.HOLDER_USERNAME} checks out`);
+	return personal_info;
+}
+
+/**
+ * Counts the credentials from a webapp that the holder's agent has stored.
+ * @param {object} app A webapp from the APPS list.
+ * @param {Agent|MockAgent} agent The holder's agent.
+ * @returns {Promise<number>} A promise that resolves with the number of stored credentials.
+ */
+async function storedCredentials (app, agent) {
+	const credentials = await agent.getCredentials({state: 'stored', schema_name: app.schema_name});
+	return credentials.length;
+}
+
+/**
+ * Checks that the holder's agent stored the credential a webapp issued.  Credentials from previous runs are left in
+ * the holder's wallet, so the holder must have more of them than it had before visiting the webapp.
+ * @param {object} app A webapp from the APPS list.
+ * @param {Agent|MockAgent} agent The holder's agent.
+ * @param {number} before The number of stored credentials from the webapp before visiting it.
+ * @returns {Promise<void>} A promise that resolves if the new credential is in the holder's wallet.
+ */
+async function checkHolderCredential (app, agent, before) {
+	const after = await storedCredentials(app, agent);
+	if (after <= before)
+		throw new Error(`${app.id}: the holder did not store a new ${app.schema_name} credential`);
+	logger.info(`${app.id}: the holder stored a new ${app.schema_name} credential`);
+}
+
+/**
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the given number of milliseconds.
+ */
+function sleep (ms) {
+	return new Promise((resolve) => {
+		setTimeout(resolve, ms);
+	});
+}
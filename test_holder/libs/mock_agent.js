@@ -0,0 +1,1465 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const crypto = require('crypto');
+const uuidv4 = require('uuid/v4');
+
+const mock_agent_design_doc = require('./design_docs/mock_agent.json');
+const DESIGN_DOC = mock_agent_design_doc._id.split('/')[1];
+const VIEW_RECORDS_BY_OWNER = 'records_by_owner';
+const VIEW_AGENTS_BY_URL = 'agents_by_url';
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * The account URL that mock agents report when the app isn't given one.
+ * @type {string}
+ */
+const DEFAULT_ACCOUNT_URL = 'http://mock-agent';
+
+/**
+ * How many times to retry saving a record that another agent changed at the same time.
+ * @type {number}
+ */
+const SAVE_RETRIES = 5;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * The kinds of records a mock agent keeps.
+ * @enum {string}
+ */
+const RECORD_TYPES = {
+	AGENT: 'agent',
+	CREDENTIAL_SCHEMA: 'credential_schema',
+	CREDENTIAL_DEFINITION: 'credential_definition',
+	PROOF_SCHEMA: 'proof_schema',
+	CONNECTION: 'connection',
+	CREDENTIAL: 'credential',
+	VERIFICATION: 'verification'
+};
+
+/**
+ * A stand-in for the openssi-websdk Agent that runs without a cloud agent account.  It implements the parts of the
+ * Agent API that the apps use, and keeps every agent's schemas, credential definitions, connections, credentials, and
+ * verifications in a couchdb database.  Apps that share the database can connect to each other, issue credentials, and
+ * verify proofs just as if they were using real agents on the same account.
+ *
+ * Agents are registered as trust anchors the first time their identity is looked up or another agent on the same
+ * account offers them a connection by name.  Passwords aren't checked.
+ * Methods reject with errors whose `code` is an HTTP status, just like the real Agent.
+ */
+class MockAgent {
+
+	/**
+	 * Constructs a MockAgent that will act as the given agent.
+	 * @param {object} mockDB A nano database instance shared by all mock agents.
+	 * @param {string} agent_name The name of the agent.
+	 * @param {string} [friendly_name] The name to put on connection, credential, and verification offers.
+	 * @param {string} [account_url] The account URL that the agent reports.  Agents that should trust each other's
+	 * connection offers must use the same account URL.
+	 */
+	constructor (mockDB, agent_name, friendly_name, account_url) {
+		if (!mockDB || typeof mockDB !== 'object' || typeof mockDB.get !== 'function')
+			throw new TypeError('Mock agent database was not a nano database instance');
+		if (!agent_name || typeof agent_name !== 'string')
+			throw new TypeError('Mock agent name was not a non-empty string');
+		if (friendly_name !== undefined && typeof friendly_name !== 'string')
+			throw new TypeError('Mock agent friendly name was not a string');
+		if (account_url !== undefined && (!account_url || typeof account_url !== 'string'))
+			throw new TypeError('Mock agent account URL was not a non-empty string');
+
+		this.mockDB = mockDB;
+		this.user = agent_name;
+		this.name = friendly_name;
+		this.url = account_url ? account_url.replace(/\/+$/, '') : DEFAULT_ACCOUNT_URL;
+		this.identity = null;
+	}
+
+	/**
+	 * Publishes the couchdb design doc for looking up mock agent records.
+	 * @return {Promise<void>} A promise that resolves when the design doc is updated and rejects otherwise.
+	 */
+	async publish_design_doc () {
+
+		// Don't pollute other instances of MockAgent's design docs
+		const design_doc = JSON.parse(JSON.stringify(mock_agent_design_doc));
+
+		logger.info('Publishing MockAgent design doc');
+		try {
+			const existing_doc = await this.mockDB.get(design_doc._id);
+			design_doc._rev = existing_doc._rev;
+		} catch (error) {
+			// If the document is missing, we'll get an error that we don't need to handle.  We'll just create it.
+		}
+
+		try {
+			const response = await this.mockDB.insert(design_doc, null);
+			logger.debug(`MockAgent design doc published. rev: ${response.rev}`);
+		} catch (error) {
+			logger.error(`Failed to publish MockAgent design doc: ${error}`);
+			error.code = MOCK_AGENT_ERRORS.DESIGN_DOC_PUBLISHING_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * The mock agent logs through the app's logger, so its log level is set with LOG_LEVEL instead.
+	 * @param {string} level A log level.
+	 * @returns {void}
+	 */
+	setLoggingLevel (level) {
+		logger.debug(`Ignoring log level ${level} for mock agent ${this.user}`);
+	}
+
+	/*************************
+	 * IDENTITY
+	 *************************/
+
+	/**
+	 * Gets the agent's identity, registering the agent as a trust anchor if this is the first time it has been used.
+	 * @returns {Promise<object>} A promise that resolves with the agent's info.
+	 */
+	async getIdentity () {
+		if (this.identity)
+			return this.identity;
+
+		const agent_id = `agent:${this.user}`;
+		let doc = await this.read_doc(agent_id);
+		if (!doc) {
+			const did = randomBase58(16);
+			doc = {
+				_id: agent_id,
+				type: 'mock_agent_record',
+				record_type: RECORD_TYPES.AGENT,
+				owner: this.user,
+				record: {
+					id: this.user,
+					name: this.user,
+					url: `${this.url}/agents/${encodeURIComponent(this.user)}`,
+					account_url: this.url,
+					role: 'TRUST_ANCHOR',
+					did: did,
+					verkey: randomBase58(32),
+					creation_time: new Date().toISOString()
+				}
+			};
+			try {
+				await this.mockDB.insert(doc, null);
+				logger.info(`Registered mock agent ${this.user} as a trust anchor with DID ${did}`);
+			} catch (error) {
+				// Another instance of the app registered the agent first
+				if (error.statusCode !== 409)
+					throw agentError(500, `Failed to register mock agent ${this.user}: ${error.message}`);
+				doc = await this.read_doc(agent_id);
+			}
+		}
+		this.identity = doc.record;
+		return this.identity;
+	}
+
+	/**
+	 * Mock agents are created when their identity is first looked up, so this just returns the identity.
+	 * @returns {Promise<object>} A promise that resolves with the agent's info.
+	 */
+	async createIdentity () {
+		return this.getIdentity();
+	}
+
+	/**
+	 * Mock agents are always trust anchors, so this just returns the identity.
+	 * @returns {Promise<object>} A promise that resolves with the agent's info.
+	 */
+	async onboardAsTrustAnchor () {
+		return this.getIdentity();
+	}
+
+	/*************************
+	 * SCHEMAS AND CREDENTIAL DEFINITIONS
+	 *************************/
+
+	/**
+	 * Publishes a credential schema.
+	 * @param {string} name The name of the schema.
+	 * @param {string} version The version of the schema.
+	 * @param {string[]} attributes The attributes of credentials issued under the schema.
+	 * @returns {Promise<object>} A promise that resolves with the published schema.
+	 */
+	async createCredentialSchema (name, version, attributes) {
+		if (!name || typeof name !== 'string')
+			throw new TypeError('Invalid name for credential schema');
+		if (!version || typeof version !== 'string')
+			throw new TypeError('Invalid version for credential schema');
+		if (!Array.isArray(attributes) || !attributes.length)
+			throw new TypeError('Invalid attributes for credential schema');
+
+		const identity = await this.getIdentity();
+		const schema = {
+			id: `${identity.did}:2:${name}:${version}`,
+			name: name,
+			version: version,
+			namever: `${name}:${version}`,
+			attr_names: attributes,
+			seqno: crypto.randomBytes(3).readUIntBE(0, 3),
+			created_at: new Date().toISOString()
+		};
+		if (await this.read_doc(schema.id))
+			throw agentError(409, `Credential schema ${schema.id} already exists`);
+
+		await this.create_record(RECORD_TYPES.CREDENTIAL_SCHEMA, schema);
+		logger.info(`Mock agent ${this.user} published credential schema ${schema.id}`);
+		return schema;
+	}
+
+	/**
+	 * Gets a published credential schema.  Any agent's schemas can be looked up.
+	 * @param {string} id The ID of the schema.
+	 * @returns {Promise<object>} A promise that resolves with the schema.
+	 */
+	async getCredentialSchema (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Must provide an ID to lookup a credential schema');
+		return (await this.read_record(RECORD_TYPES.CREDENTIAL_SCHEMA, id, true)).record;
+	}
+
+	/**
+	 * Lists the schemas this agent published, or the schemas published by the agents on the other end of connections
+	 * whose properties match the given route.
+	 * @param {object} [opts] A filter for the schemas.
+	 * @param {object} [route] Properties of the connections to look up schemas through.
+	 * @returns {Promise<object[]|object>} A promise that resolves with the schemas.
+	 */
+	async getCredentialSchemas (opts, route) {
+		if (route)
+			return this.routed_records(RECORD_TYPES.CREDENTIAL_SCHEMA, opts, route);
+		return this.list_records(RECORD_TYPES.CREDENTIAL_SCHEMA, opts);
+	}
+
+	/**
+	 * Publishes a credential definition for a schema.  The credential definition does not support revocation.
+	 * @param {string} schema_id The ID of the schema.
+	 * @returns {Promise<object>} A promise that resolves with the credential definition.
+	 */
+	async createCredentialDefinition (schema_id) {
+		return this.create_cred_def(schema_id, false);
+	}
+
+	/**
+	 * Gets a published credential definition.  Any agent's credential definitions can be looked up.
+	 * @param {string} id The ID of the credential definition.
+	 * @returns {Promise<object>} A promise that resolves with the credential definition.
+	 */
+	async getCredentialDefinition (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Must provide an ID to lookup a credential definition');
+		return (await this.read_record(RECORD_TYPES.CREDENTIAL_DEFINITION, id, true)).record;
+	}
+
+	/**
+	 * Lists the credential definitions this agent published, or the credential definitions published by the agents on
+	 * the other end of connections whose properties match the given route.
+	 * @param {object} [opts] A filter for the credential definitions.
+	 * @param {object} [route] Properties of the connections to look up credential definitions through.
+	 * @returns {Promise<object[]|object>} A promise that resolves with the credential definitions.
+	 */
+	async getCredentialDefinitions (opts, route) {
+		if (route)
+			return this.routed_records(RECORD_TYPES.CREDENTIAL_DEFINITION, opts, route);
+		return this.list_records(RECORD_TYPES.CREDENTIAL_DEFINITION, opts);
+	}
+
+	/**
+	 * Publishes a credential definition.
+	 * @param {string} schema_id The ID of the schema.
+	 * @param {boolean} revocable True if credentials issued under the definition can be revoked.
+	 * @returns {Promise<object>} A promise that resolves with the credential definition.
+	 */
+	async create_cred_def (schema_id, revocable) {
+		if (!schema_id || typeof schema_id !== 'string')
+			throw new TypeError('Invalid schema ID for credential definition');
+
+		const identity = await this.getIdentity();
+		const schema = await this.getCredentialSchema(schema_id);
+		const cred_def = {
+			id: `${identity.did}:3:CL:${schema.seqno}:TAG1`,
+			schema_id: schema.id,
+			schema_name: schema.name,
+			schema_version: schema.version,
+			version: schema.version,
+			revocable: revocable,
+			data: {
+				value: {
+					primary: {}
+				}
+			},
+			created_at: new Date().toISOString()
+		};
+		if (revocable)
+			cred_def.data.value.revocation = {};
+		if (await this.read_doc(cred_def.id))
+			throw agentError(409, `Credential definition ${cred_def.id} already exists`);
+
+		await this.create_record(RECORD_TYPES.CREDENTIAL_DEFINITION, cred_def);
+		logger.info(`Mock agent ${this.user} published credential definition ${cred_def.id}`);
+		return cred_def;
+	}
+
+	/**
+	 * Handles the raw agent API calls that the apps make.  Only creating credential definitions and proof schemas is
+	 * supported.
+	 * @param {string} path The API path.
+	 * @param {object} [options] The request options.
+	 * @returns {Promise<object>} A promise that resolves with the response.
+	 */
+	async request (path, options) {
+		const method = options && options.method ? options.method.toUpperCase() : 'GET';
+		const body = options && options.body ? JSON.parse(options.body) : {};
+		if (path === 'credential_definitions' && method === 'POST')
+			return this.create_cred_def(body.schema_id, !!body.revocable);
+		if (path === 'proof_schemas' && method === 'POST')
+			return this.createProofSchema(body.name, body.version, body.requested_attributes, body.requested_predicates, body.nonce);
+		throw agentError(501, `The mock agent does not support ${method} ${path}`);
+	}
+
+	/**
+	 * Creates a proof schema.
+	 * @param {string} name The name of the proof schema.
+	 * @param {string} version The version of the proof schema.
+	 * @param {object} [requested_attributes] The requested attributes, keyed by referent.
+	 * @param {object} [requested_predicates] The requested predicates, keyed by referent.
+	 * @param {string} [nonce] The nonce for proof requests sent from the proof schema.  The SDK can't set one, but the
+	 * apps can through request().
+	 * @returns {Promise<object>} A promise that resolves with the proof schema.
+	 */
+	async createProofSchema (name, version, requested_attributes, requested_predicates, nonce) {
+		if (!name || typeof name !== 'string')
+			throw new TypeError('Invalid name for proof schema');
+		if (!version || typeof version !== 'string')
+			throw new TypeError('Invalid version for proof schema');
+		if (requested_attributes && typeof requested_attributes !== 'object')
+			throw new TypeError('Invalid requested attributes list for proof schema');
+		if (requested_predicates && typeof requested_predicates !== 'object')
+			throw new TypeError('Invalid requested predicates list for proof schema');
+
+		const proof_schema = {
+			id: uuidv4(),
+			name: name,
+			version: version,
+			requested_attributes: requested_attributes ? requested_attributes : {},
+			requested_predicates: requested_predicates ? requested_predicates : {}
+		};
+		if (nonce)
+			proof_schema.nonce = nonce;
+		await this.create_record(RECORD_TYPES.PROOF_SCHEMA, proof_schema);
+		return proof_schema;
+	}
+
+	/*************************
+	 * CONNECTIONS
+	 *************************/
+
+	/**
+	 * Offers a connection to another agent, reusing existing connections and offers like the real Agent does.  If no
+	 * recipient is given, an out-of-band offer is created that another agent can accept with acceptConnection().
+	 * @param {object|null} to Has either the `name` or the `url` of the other agent.
+	 * @param {object} [properties] Metadata for the connection.
+	 * @returns {Promise<object>} A promise that resolves with the connection offer.
+	 */
+	async createConnection (to, properties) {
+		if (properties && typeof properties !== 'object')
+			throw new TypeError('Invalid properties for credential offer');
+		properties = this.offer_properties(properties);
+		if (!properties.type) properties.type = 'child';
+
+		const identity = await this.getIdentity();
+		if (!to) {
+			const offer = {
+				id: uuidv4(),
+				role: 'offerer',
+				state: 'outbound_offer',
+				properties: properties,
+				local: connectionAgent(identity),
+				remote: null
+			};
+			await this.create_record(RECORD_TYPES.CONNECTION, offer);
+			logger.info(`Mock agent ${this.user} created out-of-band connection offer ${offer.id}`);
+			return offer;
+		}
+
+		if (!to.url && !to.name)
+			throw new TypeError('Must specify an agent name or agent url to send a connection offer');
+		if (to.url && to.name)
+			throw new TypeError('Must specify only an agent name or an agent url for a connection, not both');
+
+		// Reuse active connections and offers, and accept offers from the other agent instead of making a new one
+		const existing = await this.getConnections(to.url ? {'remote.url': to.url} : {'remote.name': to.name});
+		const connected = existing.find((connection) => {
+			return connection.state === 'connected';
+		});
+		if (connected)
+			return connected;
+		const outbound = existing.find((connection) => {
+			return connection.state === 'outbound_offer';
+		});
+		if (outbound)
+			return outbound;
+		const inbound = existing.find((connection) => {
+			return connection.state === 'inbound_offer';
+		});
+		if (inbound)
+			return this.acceptConnection(inbound.id, properties);
+
+		const remote = await this.read_agent(to);
+		const offer = {
+			id: uuidv4(),
+			role: 'offerer',
+			state: 'outbound_offer',
+			properties: properties,
+			local: connectionAgent(identity),
+			remote: connectionAgent(remote, true)
+		};
+		const inbound_offer = {
+			id: uuidv4(),
+			role: 'offeree',
+			state: 'inbound_offer',
+			properties: properties,
+			local: null,
+			remote: offer.local
+		};
+		await this.create_record(RECORD_TYPES.CONNECTION, offer, {owner: remote.name, id: inbound_offer.id});
+		await this.create_record(RECORD_TYPES.CONNECTION, inbound_offer, {owner: this.user, id: offer.id}, remote.name);
+		logger.info(`Mock agent ${this.user} offered connection ${offer.id} to ${remote.name}`);
+		return offer;
+	}
+
+	/**
+	 * Accepts a connection offer, either by the ID of an inbound offer or by passing an out-of-band offer.
+	 * @param {string|object} connection The ID of an inbound offer, or an out-of-band offer.
+	 * @param {object} [properties] Metadata for the connection.
+	 * @returns {Promise<object>} A promise that resolves with the connection.
+	 */
+	async acceptConnection (connection, properties) {
+		if (!connection)
+			throw new TypeError('Connection information was not provided');
+		if (properties && typeof properties !== 'object')
+			throw new TypeError('Invalid properties for credential offer');
+
+		const identity = await this.getIdentity();
+		const local = connectionAgent(identity);
+
+		if (typeof connection === 'string') {
+			const doc = await this.read_record(RECORD_TYPES.CONNECTION, connection);
+			if (doc.record.state !== 'inbound_offer')
+				throw agentError(400, `Connection ${connection} is ${doc.record.state}, not an inbound offer`);
+
+			await this.update_peer(doc.peer, (offer) => {
+				if (offer.state !== 'outbound_offer')
+					throw agentError(400, `Connection offer ${offer.id} was already ${offer.state}`);
+				offer.state = 'connected';
+				offer.remote = local;
+			});
+			const accepted = await this.update_record(doc._id, (record) => {
+				record.state = 'connected';
+				record.local = local;
+				record.properties = Object.assign(record.properties, this.offer_properties(properties));
+			});
+			logger.info(`Mock agent ${this.user} accepted connection ${accepted.id} from ${accepted.remote.name}`);
+			return accepted;
+
+		} else if (typeof connection === 'object') {
+			if (!connection.id || !connection.local || !connection.local.url)
+				throw new TypeError('Out-of-band connection offer had invalid offerer information');
+
+			const offer_doc = await this.read_doc(connection.id);
+			if (!offer_doc || offer_doc.record_type !== RECORD_TYPES.CONNECTION || offer_doc.record.local.url !== connection.local.url)
+				throw agentError(404, `Connection offer ${connection.id} was not found`);
+			if (offer_doc.owner === this.user)
+				throw agentError(400, 'Agents cannot accept their own connection offers');
+
+			const accepted = {
+				id: uuidv4(),
+				role: 'offeree',
+				state: 'connected',
+				properties: this.offer_properties(Object.assign({}, offer_doc.record.properties, properties)),
+				local: local,
+				remote: offer_doc.record.local
+			};
+			await this.update_record(offer_doc._id, (offer) => {
+				if (offer.state !== 'outbound_offer')
+					throw agentError(400, `Connection offer ${offer.id} was already ${offer.state}`);
+				offer.state = 'connected';
+				offer.remote = local;
+			}, (doc) => {
+				doc.peer = {owner: this.user, id: accepted.id};
+			});
+			await this.create_record(RECORD_TYPES.CONNECTION, accepted, {owner: offer_doc.owner, id: offer_doc._id});
+			logger.info(`Mock agent ${this.user} accepted out-of-band connection offer ${offer_doc._id} from ${accepted.remote.name}`);
+			return accepted;
+		}
+		throw new TypeError('Invalid connection information');
+	}
+
+	/**
+	 * Gets one of this agent's connections.
+	 * @param {string} id The ID of the connection.
+	 * @returns {Promise<object>} A promise that resolves with the connection.
+	 */
+	async getConnection (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Connection ID must be a string');
+		return (await this.read_record(RECORD_TYPES.CONNECTION, id)).record;
+	}
+
+	/**
+	 * Lists this agent's connections.
+	 * @param {object} [opts] A mongo style filter for the connections, ex. `{state: {$ne: 'inbound_offer'}}`.
+	 * @returns {Promise<object[]>} A promise that resolves with the matching connections.
+	 */
+	async getConnections (opts) {
+		return this.list_records(RECORD_TYPES.CONNECTION, opts);
+	}
+
+	/**
+	 * Deletes one of this agent's connections.  The other agent keeps its side of the connection.
+	 * @param {string} id The ID of the connection.
+	 * @returns {Promise<void>} A promise that resolves when the connection is deleted.
+	 */
+	async deleteConnection (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Connection ID was not provided');
+		await this.delete_record(RECORD_TYPES.CONNECTION, id);
+	}
+
+	/**
+	 * Waits for a connection to be connected or rejected.
+	 * @param {string} id The ID of the connection.
+	 * @param {number} [retries] The number of times to check the connection.
+	 * @param {number} [retry_interval] The number of milliseconds between checks.
+	 * @returns {Promise<object>} A promise that resolves with the connection.
+	 */
+	async waitForConnection (id, retries, retry_interval) {
+		return waitForRecord(this.getConnection.bind(this), id, retries, retry_interval, [ 'connected', 'rejected' ],
+			'Connection', 'connection');
+	}
+
+	/*************************
+	 * CREDENTIALS
+	 *************************/
+
+	/**
+	 * Offers a credential to the agent on the other end of a connection.
+	 * @param {object} to Has either the pairwise `did` or the `name` of the holder.
+	 * @param {string|object} source A credential definition ID, or an object with a `schema_name` and `schema_version`.
+	 * @param {object} attributes The `<string>: <string>` values for each of the schema's attributes.
+	 * @param {object} [properties] Metadata for the credential.
+	 * @returns {Promise<object>} A promise that resolves with the credential offer.
+	 */
+	async offerCredential (to, source, attributes, properties) {
+		if (!to || !to.did && !to.name)
+			throw new TypeError('Must specify an agent name or did to send a credential offer');
+		if (!attributes || typeof attributes !== 'object')
+			throw new TypeError('Invalid credential attributes for credential offer');
+		for (const key in attributes) {
+			if (typeof attributes[key] !== 'string')
+				throw new TypeError(`Invalid credential attribute for credential offer: key: ${key}, value: ${attributes[key]}`);
+		}
+		if (properties && typeof properties !== 'object')
+			throw new TypeError('Invalid properties for credential offer');
+
+		const identity = await this.getIdentity();
+		const connection = await this.find_connection(to);
+
+		let cred_def;
+		if (typeof source === 'string') {
+			cred_def = (await this.read_record(RECORD_TYPES.CREDENTIAL_DEFINITION, source)).record;
+		} else if (source && source.schema_name && source.schema_version) {
+			const cred_defs = await this.getCredentialDefinitions({
+				schema_name: source.schema_name,
+				schema_version: source.schema_version
+			});
+			cred_defs.sort(byCreation);
+			cred_def = cred_defs.pop();
+			if (!cred_def)
+				throw agentError(404, `No credential definition was found for ${source.schema_name}:${source.schema_version}`);
+		} else {
+			throw new TypeError('Invalid credential source for credential offer');
+		}
+
+		const schema = await this.getCredentialSchema(cred_def.schema_id);
+		const missing = schema.attr_names.filter((attr_name) => {
+			return attributes[attr_name] === undefined;
+		});
+		const extra = Object.keys(attributes).filter((key) => {
+			return schema.attr_names.indexOf(key) < 0;
+		});
+		if (missing.length || extra.length)
+			throw agentError(400, `Credential attributes did not match schema ${schema.id}.  Missing: ${missing}, Unknown: ${extra}`);
+
+		const offer = {
+			id: uuidv4(),
+			role: 'issuer',
+			state: 'outbound_offer',
+			schema_name: schema.name,
+			schema_version: schema.version,
+			schema_id: schema.id,
+			credential_definition_id: cred_def.id,
+			issuer_did: identity.did,
+			to: {did: connection.remote.pairwise.did, name: connection.remote.name},
+			offer: {
+				attributes: attributes,
+				data: JSON.stringify(attributes)
+			},
+			properties: this.offer_properties(properties)
+		};
+		const inbound_offer = Object.assign({}, offer, {
+			id: uuidv4(),
+			role: 'holder',
+			state: 'inbound_offer',
+			to: {name: connection.remote.name}
+		});
+		if (cred_def.revocable)
+			offer.rev_reg_id = inbound_offer.rev_reg_id = revocationRegistry(cred_def);
+
+		await this.create_record(RECORD_TYPES.CREDENTIAL, offer, {owner: connection.remote.name, id: inbound_offer.id});
+		await this.create_record(RECORD_TYPES.CREDENTIAL, inbound_offer, {owner: this.user, id: offer.id}, connection.remote.name);
+		logger.info(`Mock agent ${this.user} offered credential ${offer.id} to ${connection.remote.name}`);
+		return offer;
+	}
+
+	/**
+	 * Moves a credential to a new state.  Holders accept or reject credential offers, and issuers revoke issued
+	 * credentials.
+	 * @param {string} id The ID of the credential.
+	 * @param {'accepted'|'rejected'|'revoked'} state The new state.
+	 * @returns {Promise<object>} A promise that resolves with the updated credential.
+	 */
+	async updateCredential (id, state) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid credential ID');
+		if (!state || typeof state !== 'string')
+			throw new TypeError('Invalid credential state');
+
+		const doc = await this.read_record(RECORD_TYPES.CREDENTIAL, id);
+		const credential = doc.record;
+
+		if (credential.role === 'holder' && credential.state === 'inbound_offer' && [ 'accepted', 'rejected' ].indexOf(state) >= 0) {
+			const accepted = state === 'accepted';
+			await this.update_peer(doc.peer, (offer) => {
+				if (offer.state !== 'outbound_offer')
+					throw agentError(400, `Credential offer ${offer.id} was already ${offer.state}`);
+				offer.state = accepted ? 'issued' : 'rejected';
+			});
+			const updated = await this.update_record(id, (record) => {
+				record.state = accepted ? 'stored' : 'rejected';
+			});
+			logger.info(`Mock agent ${this.user} ${state} credential ${id}`);
+			return updated;
+
+		} else if (credential.role === 'issuer' && credential.state === 'issued' && state === 'revoked') {
+			if (!credential.rev_reg_id)
+				throw agentError(400, `Credential ${id} was issued under a credential definition that does not support revocation`);
+
+			// The holder keeps the credential, but can no longer prove that it hasn't been revoked
+			try {
+				await this.update_peer(doc.peer, (held) => {
+					held.revoked = true;
+				});
+			} catch (error) {
+				if (error.code !== 404)
+					throw error;
+			}
+			const updated = await this.update_record(id, (record) => {
+				record.state = 'revoked';
+			});
+			logger.info(`Mock agent ${this.user} revoked credential ${id}`);
+			return updated;
+		}
+
+		throw agentError(400, `Cannot move ${credential.role} credential ${id} from ${credential.state} to ${state}`);
+	}
+
+	/**
+	 * Gets one of this agent's credentials.
+	 * @param {string} id The ID of the credential.
+	 * @returns {Promise<object>} A promise that resolves with the credential.
+	 */
+	async getCredential (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid credential ID');
+		return (await this.read_record(RECORD_TYPES.CREDENTIAL, id)).record;
+	}
+
+	/**
+	 * Lists this agent's credentials.
+	 * @param {object} [opts] A mongo style filter for the credentials.
+	 * @returns {Promise<object[]>} A promise that resolves with the matching credentials.
+	 */
+	async getCredentials (opts) {
+		return this.list_records(RECORD_TYPES.CREDENTIAL, opts);
+	}
+
+	/**
+	 * Deletes one of this agent's credentials.
+	 * @param {string} id The ID of the credential.
+	 * @returns {Promise<void>} A promise that resolves when the credential is deleted.
+	 */
+	async deleteCredential (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid credential ID');
+		await this.delete_record(RECORD_TYPES.CREDENTIAL, id);
+	}
+
+	/**
+	 * Waits for a credential offer to be issued or rejected.
+	 * @param {string} id The ID of the credential.
+	 * @param {number} [retries] The number of times to check the credential.
+	 * @param {number} [retry_interval] The number of milliseconds between checks.
+	 * @returns {Promise<object>} A promise that resolves with the credential.
+	 */
+	async waitForCredential (id, retries, retry_interval) {
+		return waitForRecord(this.getCredential.bind(this), id, retries, retry_interval, [ 'issued', 'rejected' ],
+			'Credential issuance', 'Credential');
+	}
+
+	/*************************
+	 * VERIFICATIONS
+	 *************************/
+
+	/**
+	 * Sends a proof request to the agent on the other end of a connection.
+	 * @param {object} to Has either the pairwise `did` or the `name` of the prover.
+	 * @param {string} proof_schema_id The ID of one of this agent's proof schemas.
+	 * @param {string} state Must be 'outbound_proof_request'.
+	 * @param {object} [properties] Metadata for the verification.
+	 * @returns {Promise<object>} A promise that resolves with the verification.
+	 */
+	async createVerification (to, proof_schema_id, state, properties) {
+		if (!to || !to.did && !to.name)
+			throw new TypeError('Must specify an agent name or did to send a verification');
+		if (!proof_schema_id || typeof proof_schema_id !== 'string')
+			throw new TypeError('Invalid proof schema information for verification');
+		if (state !== 'outbound_proof_request')
+			throw agentError(501, `The mock agent does not support creating ${state} verifications`);
+		if (properties && typeof properties !== 'object')
+			throw new TypeError('Invalid properties for verification');
+
+		const connection = await this.find_connection(to);
+		const proof_schema = (await this.read_record(RECORD_TYPES.PROOF_SCHEMA, proof_schema_id)).record;
+
+		const request = {
+			id: uuidv4(),
+			role: 'verifier',
+			state: 'outbound_proof_request',
+			to: {did: connection.remote.pairwise.did, name: connection.remote.name},
+			proof_request: {
+				name: proof_schema.name,
+				version: proof_schema.version,
+				// Like a real agent, make up a nonce for proof schemas that don't come with one
+				nonce: proof_schema.nonce ? proof_schema.nonce : `${crypto.randomBytes(6).readUIntBE(0, 6)}`,
+				requested_attributes: proof_schema.requested_attributes,
+				requested_predicates: proof_schema.requested_predicates
+			},
+			properties: this.offer_properties(properties)
+		};
+		const inbound_request = Object.assign({}, request, {
+			id: uuidv4(),
+			role: 'prover',
+			state: 'inbound_proof_request',
+			to: {name: connection.remote.name}
+		});
+
+		await this.create_record(RECORD_TYPES.VERIFICATION, request, {owner: connection.remote.name, id: inbound_request.id});
+		await this.create_record(RECORD_TYPES.VERIFICATION, inbound_request, {owner: this.user, id: request.id}, connection.remote.name);
+		logger.info(`Mock agent ${this.user} sent proof request ${request.id} to ${connection.remote.name}`);
+		return request;
+	}
+
+	/**
+	 * Answers a proof request.  'proof_generated' picks credentials for the proof and shows it in the verification's
+	 * `proof_view`.  'proof_shared' sends the proof to the verifier, which passes the verification unless a credential
+	 * that had to be proven unrevoked was revoked.
+	 * @param {string} id The ID of the verification.
+	 * @param {'proof_generated'|'proof_shared'} state The new state.
+	 * @param {object} [choices] The credentials to use, as `{attributes: {<referent>: <choice>}, predicates: {...}}`.
+	 * @param {object} [self_attested_attributes] Values for requested attributes that aren't restricted to credentials.
+	 * @returns {Promise<object>} A promise that resolves with the updated verification.
+	 */
+	async updateVerification (id, state, choices, self_attested_attributes) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid verification ID');
+		if ([ 'proof_generated', 'proof_shared' ].indexOf(state) < 0)
+			throw new TypeError('Invalid state for updating verification');
+		if (choices && typeof choices !== 'object')
+			throw new TypeError('Invalid credential selections for building proof');
+		if (self_attested_attributes && typeof self_attested_attributes !== 'object')
+			throw new TypeError('Invalid self attested attributes list for building proof');
+
+		const doc = await this.read_record(RECORD_TYPES.VERIFICATION, id);
+		const verification = doc.record;
+		if (verification.role !== 'prover' || [ 'inbound_proof_request', 'proof_generated' ].indexOf(verification.state) < 0)
+			throw agentError(400, `Cannot move ${verification.role} verification ${id} from ${verification.state} to ${state}`);
+
+		const credentials = await this.list_records(RECORD_TYPES.CREDENTIAL, {role: 'holder', state: 'stored'}, null, true);
+		const proof = buildProof(verification.proof_request, credentials, choices, self_attested_attributes);
+
+		if (state === 'proof_generated') {
+			const updated = await this.update_record(id, (record) => {
+				record.state = 'proof_generated';
+				record.choices = proof.choices;
+				record.proof_view = {attributes: proof.attributes};
+			});
+			logger.info(`Mock agent ${this.user} generated a proof for verification ${id}`);
+			return updated;
+		}
+
+		const result = proof.revoked.length ? 'failed' : 'passed';
+		if (proof.revoked.length)
+			logger.info(`Proof for verification ${id} fails because credentials were revoked: ${proof.revoked}`);
+		const info = {
+			attributes: proof.attributes
+		};
+		await this.update_peer(doc.peer, (request) => {
+			if (request.state !== 'outbound_proof_request')
+				throw agentError(400, `Proof request ${request.id} was already ${request.state}`);
+			request.state = result;
+			request.info = info;
+		});
+		const updated = await this.update_record(id, (record) => {
+			record.state = result;
+			record.info = info;
+			record.proof_view = {attributes: proof.attributes};
+		});
+		logger.info(`Mock agent ${this.user} shared a proof for verification ${id}, which ${result}`);
+		return updated;
+	}
+
+	/**
+	 * Gets one of this agent's verifications.
+	 * @param {string} id The ID of the verification.
+	 * @returns {Promise<object>} A promise that resolves with the verification.
+	 */
+	async getVerification (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid verification id');
+		return (await this.read_record(RECORD_TYPES.VERIFICATION, id)).record;
+	}
+
+	/**
+	 * Lists this agent's verifications.
+	 * @param {object} [opts] A mongo style filter for the verifications.
+	 * @returns {Promise<object[]>} A promise that resolves with the matching verifications.
+	 */
+	async getVerifications (opts) {
+		return this.list_records(RECORD_TYPES.VERIFICATION, opts);
+	}
+
+	/**
+	 * Deletes one of this agent's verifications.
+	 * @param {string} id The ID of the verification.
+	 * @returns {Promise<void>} A promise that resolves when the verification is deleted.
+	 */
+	async deleteVerification (id) {
+		if (!id || typeof id !== 'string')
+			throw new TypeError('Invalid verification ID');
+		await this.delete_record(RECORD_TYPES.VERIFICATION, id);
+	}
+
+	/**
+	 * Waits for a verification to pass or fail.
+	 * @param {string} id The ID of the verification.
+	 * @param {number} [retries] The number of times to check the verification.
+	 * @param {number} [retry_interval] The number of milliseconds between checks.
+	 * @returns {Promise<object>} A promise that resolves with the verification.
+	 */
+	async waitForVerification (id, retries, retry_interval) {
+		return waitForRecord(this.getVerification.bind(this), id, retries, retry_interval, [ 'passed', 'failed' ],
+			'Verification', 'Verification');
+	}
+
+	/*************************
+	 * RECORD STORAGE
+	 *************************/
+
+	/**
+	 * Adds the friendly name and a timestamp to the properties of an offer, like the real Agent does.
+	 * @param {object} [properties] Metadata for the offer.
+	 * @returns {object} A copy of the properties.
+	 */
+	offer_properties (properties) {
+		const ret = Object.assign({}, properties);
+		if (this.name && !ret.name) ret.name = this.name;
+		if (!ret.time) ret.time = new Date().toISOString();
+		return ret;
+	}
+
+	/**
+	 * Looks up another mock agent.  Agents looked up by name are on this agent's account, so they're registered if their
+	 * apps haven't started yet.
+	 * @param {object} to Has either the `name` or the `url` of the agent.
+	 * @returns {Promise<object>} A promise that resolves with the agent's info.
+	 */
+	async read_agent (to) {
+		let doc;
+		if (to.name) {
+			if (!await this.read_doc(`agent:${to.name}`))
+				await new MockAgent(this.mockDB, to.name, undefined, this.url).getIdentity();
+			doc = await this.read_doc(`agent:${to.name}`);
+		} else {
+			const view_resp = await this.mockDB.view(DESIGN_DOC, VIEW_AGENTS_BY_URL, {reduce: false, include_docs: true, keys: [ to.url ]});
+			doc = view_resp.rows.length ? view_resp.rows[0].doc : null;
+		}
+		if (!doc || doc.record_type !== RECORD_TYPES.AGENT)
+			throw agentError(404, `Agent ${to.name ? to.name : to.url} was not found`);
+		return doc.record;
+	}
+
+	/**
+	 * Finds the newest live connection to another agent.
+	 * @param {object} to Has either the pairwise `did` or the `name` of the other agent.
+	 * @returns {Promise<object>} A promise that resolves with the connection.
+	 */
+	async find_connection (to) {
+		const connections = await this.getConnections(to.did ? {'remote.pairwise.did': to.did} : {'remote.name': to.name});
+		const live = connections.filter((connection) => {
+			return connection.state === 'connected';
+		}).sort(byCreation);
+		if (!live.length)
+			throw agentError(404, `No connection was found to ${to.did ? to.did : to.name}`);
+		return live.pop();
+	}
+
+	/**
+	 * Gets a document from the mock agent database.
+	 * @param {string} _id The ID of the document.
+	 * @returns {Promise<object|null>} A promise that resolves with the document, or null if it doesn't exist.
+	 */
+	async read_doc (_id) {
+		try {
+			return await this.mockDB.get(_id);
+		} catch (error) {
+			if (error.statusCode === 404)
+				return null;
+			throw agentError(500, `Failed to read mock agent record ${_id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Gets one of this agent's records.
+	 * @param {RECORD_TYPES} record_type The kind of record.
+	 * @param {string} id The ID of the record.
+	 * @param {boolean} [any_owner] True if the record can belong to any agent, like schemas on a ledger.
+	 * @returns {Promise<object>} A promise that resolves with the record's document.
+	 */
+	async read_record (record_type, id, any_owner) {
+		const doc = await this.read_doc(id);
+		if (!doc || doc.record_type !== record_type || !any_owner && doc.owner !== this.user)
+			throw agentError(404, `${record_type} ${id} was not found`);
+		return doc;
+	}
+
+	/**
+	 * Lists an agent's records of a given kind.
+	 * @param {RECORD_TYPES} record_type The kind of record.
+	 * @param {object} [opts] A mongo style filter for the records.
+	 * @param {string} [owner] The agent the records belong to.  Defaults to this agent.
+	 * @param {boolean} [with_docs] True to get the records' documents instead of just the records.
+	 * @returns {Promise<object[]>} A promise that resolves with the matching records, oldest first.
+	 */
+	async list_records (record_type, opts, owner, with_docs) {
+		if (opts && typeof opts !== 'object')
+			throw new TypeError('Invalid query parameters');
+
+		let view_resp;
+		try {
+			view_resp = await this.mockDB.view(DESIGN_DOC, VIEW_RECORDS_BY_OWNER,
+				{reduce: false, include_docs: true, keys: [ [ owner ? owner : this.user, record_type ] ]});
+		} catch (error) {
+			throw agentError(500, `Failed to list mock agent records: ${error.message}`);
+		}
+		return view_resp.rows.map((row) => {
+			return row.doc;
+		}).filter((doc) => {
+			return matchesFilter(doc.record, opts);
+		}).sort((a, b) => {
+			return byCreation(a.record, b.record);
+		}).map((doc) => {
+			return with_docs ? doc : doc.record;
+		});
+	}
+
+	/**
+	 * Lists the records published by the agents on the other end of this agent's connections, grouped by agent.
+	 * @param {RECORD_TYPES} record_type The kind of record.
+	 * @param {object} [opts] A mongo style filter for the records.
+	 * @param {object} route The properties that the connections must have.
+	 * @returns {Promise<object>} A promise that resolves with `{agents: [{name, did, url, results: {count, items}}]}`.
+	 */
+	async routed_records (record_type, opts, route) {
+		if (typeof route !== 'object')
+			throw new TypeError('Invalid route parameters');
+
+		const connections = await this.getConnections({state: 'connected'});
+		const agents = [];
+		const seen = [];
+		for (const connection of connections) {
+			const routed = Object.keys(route).every((key) => {
+				return connection.properties && connection.properties[key] === route[key];
+			});
+			if (!routed || seen.indexOf(connection.remote.name) >= 0)
+				continue;
+			seen.push(connection.remote.name);
+
+			const items = await this.list_records(record_type, opts, connection.remote.name);
+			agents.push({
+				name: connection.remote.name,
+				did: connection.remote.public.did,
+				url: connection.remote.url,
+				results: {
+					count: items.length,
+					items: items
+				}
+			});
+		}
+		return {agents: agents};
+	}
+
+	/**
+	 * Saves a new record.
+	 * @param {RECORD_TYPES} record_type The kind of record.
+	 * @param {object} record The record.  Its `id` is used as the document ID.
+	 * @param {object} [peer] The `owner` and `id` of the other agent's side of the record.
+	 * @param {string} [owner] The agent the record belongs to.  Defaults to this agent.
+	 * @returns {Promise<object>} A promise that resolves with the record.
+	 */
+	async create_record (record_type, record, peer, owner) {
+		const now = new Date().toISOString();
+		if (!record.created_at) record.created_at = now;
+		record.updated_at = now;
+		try {
+			await this.mockDB.insert({
+				_id: record.id,
+				type: 'mock_agent_record',
+				record_type: record_type,
+				owner: owner ? owner : this.user,
+				peer: peer ? peer : null,
+				record: record
+			}, null);
+		} catch (error) {
+			throw agentError(error.statusCode === 409 ? 409 : 500, `Failed to save ${record_type} ${record.id}: ${error.message}`);
+		}
+		return record;
+	}
+
+	/**
+	 * Changes a record, retrying if another agent changed it at the same time.
+	 * @param {string} _id The ID of the record's document.
+	 * @param {function} update Called with the record to change it.  Can throw to cancel the change.
+	 * @param {function} [update_doc] Called with the record's document to change fields outside the record.
+	 * @returns {Promise<object>} A promise that resolves with the updated record.
+	 */
+	async update_record (_id, update, update_doc) {
+		for (let attempt = 1; ; attempt++) {
+			const doc = await this.read_doc(_id);
+			if (!doc)
+				throw agentError(404, `Record ${_id} was not found`);
+
+			update(doc.record);
+			if (update_doc)
+				update_doc(doc);
+			doc.record.updated_at = new Date().toISOString();
+			try {
+				await this.mockDB.insert(doc, null);
+				return doc.record;
+			} catch (error) {
+				if (error.statusCode !== 409 || attempt >= SAVE_RETRIES)
+					throw agentError(500, `Failed to save record ${_id}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Changes the other agent's side of a connection, credential, or verification.
+	 * @param {object|null} peer The `owner` and `id` of the other agent's record.
+	 * @param {function} update Called with the record to change it.
+	 * @returns {Promise<object>} A promise that resolves with the updated record.
+	 */
+	async update_peer (peer, update) {
+		if (!peer)
+			throw agentError(404, 'The other agent\'s side of the record was not found');
+		return this.update_record(peer.id, update);
+	}
+
+	/**
+	 * Deletes one of this agent's records.
+	 * @param {RECORD_TYPES} record_type The kind of record.
+	 * @param {string} id The ID of the record.
+	 * @returns {Promise<void>} A promise that resolves when the record is deleted.
+	 */
+	async delete_record (record_type, id) {
+		const doc = await this.read_record(record_type, id);
+		try {
+			await this.mockDB.destroy(doc._id, doc._rev);
+		} catch (error) {
+			throw agentError(error.statusCode === 404 ? 404 : 500, `Failed to delete ${record_type} ${id}: ${error.message}`);
+		}
+	}
+}
+
+exports.MockAgent = MockAgent;
+
+/**
+ * Creates an error like the ones the real Agent throws when the agent API returns an error.
+ * @param {number} status An HTTP status code.
+ * @param {string} message A description of the error.
+ * @returns {Error} The error.
+ */
+function agentError (status, message) {
+	const error = new Error(message);
+	error.code = status;
+	return error;
+}
+
+/**
+ * Generates a random base58 string, like a DID or verkey.
+ * @param {number} bytes The number of random bytes to encode.
+ * @returns {string} The encoded string.
+ */
+function randomBase58 (bytes) {
+	let ret = '';
+	for (const byte of crypto.randomBytes(bytes)) {
+		ret += BASE58_ALPHABET[byte % BASE58_ALPHABET.length];
+	}
+	return ret;
+}
+
+/**
+ * Describes one side of a connection.  Every connection gets its own pairwise DID.
+ * @param {object} identity An agent's info.
+ * @param {boolean} [pending] True if the agent hasn't accepted the connection yet.
+ * @returns {object} A ConnectionAgent.
+ */
+function connectionAgent (identity, pending) {
+	const ret = {
+		name: identity.name,
+		role: identity.role,
+		url: identity.url,
+		public: {
+			did: identity.did,
+			verkey: identity.verkey
+		},
+		container_name: identity.account_url
+	};
+	if (!pending)
+		ret.pairwise = {
+			did: randomBase58(16),
+			verkey: randomBase58(32)
+		};
+	return ret;
+}
+
+/**
+ * Sorts records by when they were created.
+ * @param {object} a A record.
+ * @param {object} b A record.
+ * @returns {number} A negative number if a is older than b.
+ */
+function byCreation (a, b) {
+	return a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0;
+}
+
+/**
+ * Reads a value out of an object by following a dot separated path, ex. `remote.pairwise.did`.
+ * @param {object} obj The object to read from.
+ * @param {string} path The path to the value.
+ * @returns {*} The value, or undefined if the path doesn't exist.
+ */
+function valueAt (obj, path) {
+	return path.split('.').reduce((value, key) => {
+		return value !== null && value !== undefined ? value[key] : undefined;
+	}, obj);
+}
+
+/**
+ * Checks a record against a mongo style filter.  Supports `$or`, `$and`, `$eq`, `$ne`, `$in`, `$nin`, and `$exists`.
+ * @param {object} record A record.
+ * @param {object} [filter] The filter.
+ * @returns {boolean} True if the record matches the filter.
+ */
+function matchesFilter (record, filter) {
+	if (!filter)
+		return true;
+
+	return Object.keys(filter).every((key) => {
+		const condition = filter[key];
+		if (key === '$or')
+			return condition.some((sub_filter) => {
+				return matchesFilter(record, sub_filter);
+			});
+		if (key === '$and')
+			return condition.every((sub_filter) => {
+				return matchesFilter(record, sub_filter);
+			});
+
+		const value = valueAt(record, key);
+		const operators = condition && typeof condition === 'object' && !Array.isArray(condition) ?
+			Object.keys(condition).filter((op) => {
+				return op.startsWith('$');
+			}) : [];
+		if (!operators.length)
+			return JSON.stringify(value) === JSON.stringify(condition);
+
+		return operators.every((op) => {
+			const operand = condition[op];
+			switch (op) {
+			case '$eq':
+				return JSON.stringify(value) === JSON.stringify(operand);
+			case '$ne':
+				return JSON.stringify(value) !== JSON.stringify(operand);
+			case '$in':
+				return operand.indexOf(value) >= 0;
+			case '$nin':
+				return operand.indexOf(value) < 0;
+			case '$exists':
+				return (value !== undefined) === !!operand;
+			default:
+				throw agentError(400, `The mock agent does not support the ${op} query operator`);
+			}
+		});
+	});
+}
+
+/**
+ * Indy removes spaces and capital letters in proof response attribute names.
+ * @param {string} name An attribute name.
+ * @returns {string} The attribute name as it appears in a proof.
+ */
+function proofAttributeName (name) {
+	return name.toLowerCase().split(' ').join('');
+}
+
+/**
+ * The revocation registry for credentials issued under a revocable credential definition.
+ * @param {object} cred_def A credential definition.
+ * @returns {string} The revocation registry ID.
+ */
+function revocationRegistry (cred_def) {
+	return `${cred_def.id.split(':')[0]}:4:${cred_def.id}:CL_ACCUM:TAG1`;
+}
+
+/**
+ * Checks whether a held credential satisfies the restrictions on a requested attribute or predicate.
+ * @param {object} credential A stored credential.
+ * @param {object[]} [restrictions] The restrictions.  A credential has to match every field of any one restriction.
+ * @returns {boolean} True if the credential can be used.
+ */
+function matchesRestrictions (credential, restrictions) {
+	if (!restrictions || !restrictions.length)
+		return true;
+
+	const facts = {
+		cred_def_id: credential.credential_definition_id,
+		schema_id: credential.schema_id,
+		schema_name: credential.schema_name,
+		schema_version: credential.schema_version,
+		issuer_did: credential.issuer_did,
+		schema_issuer_did: credential.schema_id.split(':')[0]
+	};
+	return restrictions.some((restriction) => {
+		return Object.keys(restriction).every((key) => {
+			return facts[key] === restriction[key];
+		});
+	});
+}
+
+/**
+ * Finds the value of an attribute in a held credential.
+ * @param {object} credential A stored credential.
+ * @param {string} name The requested attribute name.
+ * @returns {string|undefined} The value, or undefined if the credential doesn't have the attribute.
+ */
+function credentialValue (credential, name) {
+	const key = Object.keys(credential.offer.attributes).find((attr_name) => {
+		return proofAttributeName(attr_name) === proofAttributeName(name);
+	});
+	return key === undefined ? undefined : credential.offer.attributes[key];
+}
+
+/**
+ * Checks a credential value against a predicate.
+ * @param {string} value The credential value.
+ * @param {object} predicate A requested predicate with a `p_type` and `p_value`.
+ * @returns {boolean} True if the value satisfies the predicate.
+ */
+function satisfiesPredicate (value, predicate) {
+	const number = Number(value);
+	const bound = Number(predicate.p_value);
+	if (value === undefined || isNaN(number) || isNaN(bound))
+		return false;
+
+	switch (predicate.p_type) {
+	case '>=':
+		return number >= bound;
+	case '>':
+		return number > bound;
+	case '<=':
+		return number <= bound;
+	case '<':
+		return number < bound;
+	default:
+		return false;
+	}
+}
+
+/**
+ * Builds a proof for a proof request out of a prover's stored credentials.  Credentials that haven't been revoked are
+ * chosen before ones that have.
+ * @param {object} proof_request The proof request.
+ * @param {object[]} credential_docs The documents for the prover's stored credentials.
+ * @param {object} [choices] The credentials to use, as `{attributes: {<referent>: <choice>}, predicates: {...}}`.
+ * @param {object} [self_attested] Values for requested attributes, keyed by attribute name.
+ * @returns {{choices: object, attributes: object[], revoked: string[]}} The available choices, the proven attributes,
+ * and the referents that were proven with revoked credentials.
+ */
+function buildProof (proof_request, credential_docs, choices, self_attested) {
+	const held = credential_docs.map((doc) => {
+		return Object.assign({}, doc.record, {revoked: !!doc.record.revoked});
+	}).sort((a, b) => {
+		return a.revoked - b.revoked;
+	});
+	const selections = choices ? choices : {};
+	const ret = {
+		choices: {attributes: {}, predicates: {}},
+		attributes: [],
+		revoked: []
+	};
+
+	const pick = (kind, referent, candidates) => {
+		const selected = selections[kind] && selections[kind][referent];
+		const credential = selected ? candidates.find((candidate) => {
+			return candidate.id === selected;
+		}) : candidates[0];
+		if (selected && !credential)
+			throw agentError(400, `Choice ${selected} is not available for ${referent}`);
+		return credential;
+	};
+
+	const requested_attributes = proof_request.requested_attributes ? proof_request.requested_attributes : {};
+	for (const referent in requested_attributes) {
+		const requested = requested_attributes[referent];
+		const candidates = held.filter((credential) => {
+			return credentialValue(credential, requested.name) !== undefined && matchesRestrictions(credential, requested.restrictions);
+		});
+		ret.choices.attributes[referent] = {};
+		for (const candidate of candidates) {
+			ret.choices.attributes[referent][candidate.id] = {
+				name: proofAttributeName(requested.name),
+				value: credentialValue(candidate, requested.name),
+				cred_def_id: candidate.credential_definition_id,
+				schema_id: candidate.schema_id
+			};
+		}
+
+		const unrestricted = !requested.restrictions || !requested.restrictions.length;
+		if (unrestricted && self_attested && self_attested[requested.name] !== undefined) {
+			ret.attributes.push({name: proofAttributeName(requested.name), value: String(self_attested[requested.name])});
+			continue;
+		}
+
+		const credential = pick('attributes', referent, candidates);
+		if (!credential)
+			throw agentError(400, `No credential can prove requested attribute ${requested.name}`);
+
+		const attribute = Object.assign({}, ret.choices.attributes[referent][credential.id]);
+		if (credential.rev_reg_id) {
+			attribute.rev_reg_id = credential.rev_reg_id;
+			if (requested.non_revoked) {
+				// A revoked credential can't be proven unrevoked, so the proof will fail
+				if (credential.revoked)
+					ret.revoked.push(referent);
+				else
+					attribute.timestamp = Math.floor(Date.now() / 1000);
+			}
+		}
+		ret.attributes.push(attribute);
+	}
+
+	const requested_predicates = proof_request.requested_predicates ? proof_request.requested_predicates : {};
+	for (const referent in requested_predicates) {
+		const requested = requested_predicates[referent];
+		const candidates = held.filter((credential) => {
+			return satisfiesPredicate(credentialValue(credential, requested.name), requested) &&
+				matchesRestrictions(credential, requested.restrictions);
+		});
+		ret.choices.predicates[referent] = {};
+		for (const candidate of candidates) {
+			ret.choices.predicates[referent][candidate.id] = {
+				predicate: `${requested.name} ${requested.p_type} ${requested.p_value}`,
+				cred_def_id: candidate.credential_definition_id,
+				schema_id: candidate.schema_id
+			};
+		}
+
+		const credential = pick('predicates', referent, candidates);
+		if (!credential)
+			throw agentError(400, `No credential can prove requested predicate ${requested.name} ${requested.p_type} ${requested.p_value}`);
+		if (credential.revoked && requested.non_revoked)
+			ret.revoked.push(referent);
+	}
+
+	return ret;
+}
+
+/**
+ * Polls a record until it reaches one of the given states.  Errors match the real Agent's, so that callers can tell
+ * when the other agent simply hasn't answered yet.
+ * @param {function} getter Resolves with the record for an ID.
+ * @param {string} id The ID of the record.
+ * @param {number} [retries] The number of times to check the record.  Defaults to 30.
+ * @param {number} [retry_interval] The number of milliseconds between checks.  Defaults to 3000.
+ * @param {string[]} done_states The states to wait for.
+ * @param {string} failure_prefix Describes the record in the error when waiting fails.
+ * @param {string} noun Describes the record in the error when it's still waiting.
+ * @returns {Promise<object>} A promise that resolves with the record.
+ */
+async function waitForRecord (getter, id, retries, retry_interval, done_states, failure_prefix, noun) {
+	const times = retries ? retries : 30;
+	const interval = retry_interval ? retry_interval : 3000;
+	for (let attempt = 1; attempt <= times; attempt++) {
+		let record;
+		try {
+			record = await getter(id);
+		} catch (error) {
+			throw new Error(`${failure_prefix} ${id} failed: ${error}`);
+		}
+		if (!record || !record.state)
+			throw new Error(`${failure_prefix} ${id} failed: Error: ${noun} state could not be determined`);
+		if (done_states.indexOf(record.state) >= 0)
+			return record;
+		if (attempt < times)
+			await new Promise((resolve) => {
+				setTimeout(resolve, interval);
+			});
+	}
+	throw new Error(`${failure_prefix} ${id} failed: Error: Still waiting on ${noun} to be accepted`);
+}
+
+const MOCK_AGENT_ERRORS = {
+	DESIGN_DOC_PUBLISHING_FAILURE: 'DESIGN_DOC_PUBLISHING_FAILURE'
+};
+
+exports.MOCK_AGENT_ERRORS = MOCK_AGENT_ERRORS;
+exports.RECORD_TYPES = RECORD_TYPES;
@@ -0,0 +1,388 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const Agent = require('openssi-websdk').Agent;
+const Nano = require('nano');
+const MockAgent = require('./libs/mock_agent.js').MockAgent;
+
+// Logging setup
+const Logger = require('./libs/logger.js').Logger;
+if (process.env['LOG_LEVEL'])
+	Logger.setLogLevel(process.env['LOG_LEVEL']);
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+const ev = {
+	ACCOUNT_URL: process.env.ACCOUNT_URL,
+	DB_CONNECTION_STRING: process.env.DB_CONNECTION_STRING,
+	RESET_SINCE: process.env.RESET_SINCE,
+	RESET_SUPPLIER: process.env.RESET_SUPPLIER,
+	RESET_DRY_RUN: process.env.RESET_DRY_RUN === 'true',
+	RESET_ISSUER_CONNECTIONS: process.env.RESET_ISSUER_CONNECTIONS === 'true',
+	AGENT_LOG_LEVEL: process.env.AGENT_LOG_LEVEL,
+	MOCK_AGENT: process.env.MOCK_AGENT === 'true',
+	MOCK_AGENT_DB: process.env.MOCK_AGENT_DB ? process.env.MOCK_AGENT_DB : 'mock_agent'
+};
+
+/**
+ * The six demo apps, with the environment variables for their agents and the databases from docker-compose.yml.
+ */
+const APPS = [
+	{id: 'gleif', agent_env: 'GLEIF_AGENT', db: 'gleif_db'},
+	{id: 'lei-issuer', agent_env: 'LEI_ISSUER_AGENT', db: 'lei_issuer_db'},
+	{id: 'acme', agent_env: 'ACME_AGENT', db: 'acme_db'},
+	{id: 'ift-founder', agent_env: 'IFT_FOUNDER_AGENT', db: 'ift-founder_db'},
+	{id: 'tys', agent_env: 'TYS_AGENT', db: 'tys_db'},
+	{id: 'ift-network', agent_env: 'IFT_NETWORK_AGENT', db: 'ift-network_db'}
+];
+
+const required = [ 'DB_CONNECTION_STRING' ];
+if (!ev.MOCK_AGENT)
+	required.push('ACCOUNT_URL');
+for (const app of APPS) {
+	required.push(`${app.agent_env}_NAME`);
+	if (!ev.MOCK_AGENT)
+		required.push(`${app.agent_env}_PASSWORD`);
+}
+for (const key of required) {
+	if (!process.env[key])
+		throw new Error(`Missing environment parameter ${key}`);
+}
+
+let since = null;
+if (ev.RESET_SINCE) {
+	since = new Date(isNaN(ev.RESET_SINCE) ? ev.RESET_SINCE : parseInt(ev.RESET_SINCE, 10)).getTime();
+	if (isNaN(since))
+		throw new Error(`RESET_SINCE was not a date or a timestamp: ${ev.RESET_SINCE}`);
+}
+
+/**
+ * The documents in the apps' databases that a reset removes, by document type, with the field that says when each
+ * one was created.  Audit events can't be deleted, since the audit log is append-only, and issuance settings and
+ * design docs are configuration, so they are all left alone.
+ */
+const DOC_TYPES = {
+	user: {label: 'users', created: 'created'},
+	flow: {label: 'flows', created: 'created'},
+	issued_credential: {label: 'issued credentials', created: 'issued'},
+	issuance_job: {label: 'issuance jobs', created: 'created'}
+};
+
+(async () => {
+	const nano = Nano(ev.DB_CONNECTION_STRING);
+	const mock_db = ev.MOCK_AGENT ? nano.use(ev.MOCK_AGENT_DB) : null;
+	if (mock_db)
+		logger.warn(`MOCK_AGENT is on.  Resetting mock agents in database ${ev.MOCK_AGENT_DB}`);
+
+	logger.info(`Resetting the demo${ev.RESET_DRY_RUN ? ' (dry run)' : ''}.  ${describeSelectors()}`);
+
+	const reports = [];
+	for (const app of APPS) {
+		app.agent_name = process.env[`${app.agent_env}_NAME`];
+		if (mock_db) {
+			app.agent = new MockAgent(mock_db, app.agent_name, app.id, ev.ACCOUNT_URL);
+		} else {
+			app.agent = new Agent(ev.ACCOUNT_URL, app.agent_name, process.env[`${app.agent_env}_PASSWORD`], app.id);
+		}
+		app.agent.setLoggingLevel(ev.AGENT_LOG_LEVEL ? ev.AGENT_LOG_LEVEL : 'info');
+		app.database = nano.use(app.db);
+		reports.push(newReport(app));
+	}
+
+	// A supplier is found through their user records, which name the agent they connected with
+	const supplier = ev.RESET_SUPPLIER ? await findSupplier(reports) : null;
+
+	// The signup flows tag connections to trusted issuers, which the apps need to keep verifying signups
+	const issuer_links = ev.RESET_ISSUER_CONNECTIONS ? {} : await findIssuerLinks(reports);
+
+	for (const report of reports) {
+		await resetAgent(report, supplier, issuer_links);
+		await resetDatabase(report, supplier);
+	}
+
+	printSummary(reports);
+	const failures = reports.reduce((total, report) => total + report.errors.length, 0);
+	process.exit(failures ? 1 : 0);
+})().catch((error) => {
+	logger.error(`Demo reset failed: ${error}`);
+	logger.debug(`stack: ${error.stack}`);
+	process.exit(1);
+});
+
+/**
+ * @returns {string} A description of what the reset will remove.
+ */
+function describeSelectors () {
+	const selectors = [];
+	if (ev.RESET_SUPPLIER)
+		selectors.push(`belonging to supplier ${ev.RESET_SUPPLIER}`);
+	if (since !== null)
+		selectors.push(`created after ${new Date(since).toISOString()}`);
+	return selectors.length ? `Only removing resources ${selectors.join(' and ')}` : 'Removing everything';
+}
+
+/**
+ * @param {object} app An app from the APPS list.
+ * @returns {object} An empty report of what was removed from the app's agent and database.
+ */
+function newReport (app) {
+	const report = {
+		app: app,
+		agent: {connections: 0, credentials: 0, verifications: 0, issuer_connections_kept: 0},
+		database: {audit_events_kept: 0},
+		errors: []
+	};
+	for (const type in DOC_TYPES)
+		report.database[type] = 0;
+	return report;
+}
+
+/**
+ * Looks up the supplier's user records and the agents they connected with.
+ * @param {object[]} reports The reports for each app.
+ * @returns {Promise<object>} A promise that resolves with the supplier's username, agent names, and connection IDs
+ * and DIDs.
+ */
+async function findSupplier (reports) {
+	const supplier = {
+		username: ev.RESET_SUPPLIER,
+		agents: [],
+		connections: [],
+		dids: []
+	};
+	for (const report of reports) {
+		let user_doc;
+		try {
+			user_doc = await report.app.database.get(supplier.username);
+		} catch (error) {
+			if (error.statusCode !== 404)
+				throw error;
+			continue;
+		}
+		if (user_doc.opts && user_doc.opts.agent_name && supplier.agents.indexOf(user_doc.opts.agent_name) < 0)
+			supplier.agents.push(user_doc.opts.agent_name);
+		if (user_doc.connection && user_doc.connection.id)
+			supplier.connections.push(user_doc.connection.id);
+		if (user_doc.connection && user_doc.connection.did)
+			supplier.dids.push(user_doc.connection.did);
+	}
+	logger.info(`Supplier ${supplier.username} connected with agent(s): ${supplier.agents.join(', ') || 'none'}`);
+	return supplier;
+}
+
+/**
+ * Finds the pairs of demo agents that are connected as trusted issuers.  Only the verifier's side of those connections
+ * is tagged, so both sides are looked up by the names of the two agents.
+ * @param {object[]} reports The reports for each app.
+ * @returns {Promise<object>} A promise that resolves with an object whose keys are `<agent name>|<remote name>`.
+ */
+async function findIssuerLinks (reports) {
+	const issuer_links = {};
+	for (const report of reports) {
+		let connections;
+		try {
+			connections = await report.app.agent.getConnections();
+		} catch (error) {
+			report.errors.push(`Failed to list connections: ${error.message}`);
+			continue;
+		}
+		for (const connection of connections) {
+			const properties = connection.properties ? connection.properties : {};
+			const trusted = Object.keys(properties).some((key) => {
+				return key.indexOf('trusted') === 0 && properties[key] === 'true';
+			});
+			if (trusted && connection.remote && connection.remote.name) {
+				issuer_links[`${report.app.agent_name}|${connection.remote.name}`] = true;
+				issuer_links[`${connection.remote.name}|${report.app.agent_name}`] = true;
+			}
+		}
+	}
+	return issuer_links;
+}
+
+/**
+ * @param {object} record A connection, credential or verification from an agent.
+ * @returns {boolean} True if the record was created after RESET_SINCE, or RESET_SINCE is not set.  Records without a
+ * creation time are assumed to be older.
+ */
+function createdSince (record) {
+	if (since === null)
+		return true;
+	return !!record.created_at && new Date(record.created_at).getTime() >= since;
+}
+
+/**
+ * Deletes an app agent's verifications, credentials and connections.  Connections go last so that credentials and
+ * verifications can still be matched to the supplier through them.
+ * @param {object} report The report for an app.
+ * @param {object|null} supplier The supplier to reset, or null to reset every user.
+ * @param {object} issuer_links The connections between trusted issuers, from findIssuerLinks().
+ * @returns {Promise<void>} A promise that resolves when the agent is reset.
+ */
+async function resetAgent (report, supplier, issuer_links) {
+	const app = report.app;
+	const agent = app.agent;
+
+	// The supplier's own agent (Acme's, in the demo) is reset completely
+	const whole_agent = !supplier || supplier.agents.indexOf(app.agent_name) >= 0;
+
+	let connections = [];
+	try {
+		connections = await agent.getConnections();
+	} catch (error) {
+		report.errors.push(`Failed to list connections: ${error.message}`);
+	}
+
+	const supplier_dids = supplier ? supplier.dids.slice() : [];
+	const supplier_connections = connections.filter((connection) => {
+		if (whole_agent)
+			return true;
+		const remote = connection.remote ? connection.remote : {};
+		const to_supplier = supplier.connections.indexOf(connection.id) >= 0 ||
+			supplier.agents.indexOf(remote.name) >= 0 || supplier.agents.indexOf(remote.url) >= 0;
+		if (to_supplier && remote.pairwise && remote.pairwise.did)
+			supplier_dids.push(remote.pairwise.did);
+		return to_supplier;
+	});
+
+	/**
+	 * @param {object} record A credential or verification.
+	 * @returns {boolean} True if the record was exchanged with the supplier.
+	 */
+	const withSupplier = (record) => {
+		if (whole_agent)
+			return true;
+		const to = record.to ? record.to : {};
+		return supplier.agents.indexOf(to.name) >= 0 || supplier.agents.indexOf(to.url) >= 0 ||
+			supplier_dids.indexOf(to.did) >= 0;
+	};
+
+	for (const kind of [ 'verifications', 'credentials' ]) {
+		const list = kind === 'verifications' ? agent.getVerifications.bind(agent) : agent.getCredentials.bind(agent);
+		const remove = kind === 'verifications' ? agent.deleteVerification.bind(agent) : agent.deleteCredential.bind(agent);
+		let records = [];
+		try {
+			records = await list();
+		} catch (error) {
+			report.errors.push(`Failed to list ${kind}: ${error.message}`);
+		}
+		for (const record of records) {
+			if (!withSupplier(record) || !createdSince(record))
+				continue;
+			await removeRecord(report, `${kind.slice(0, -1)} ${record.id}`, () => remove(record.id));
+			report.agent[kind]++;
+		}
+	}
+
+	for (const connection of supplier_connections) {
+		if (!createdSince(connection))
+			continue;
+		const remote_name = connection.remote ? connection.remote.name : null;
+		if (issuer_links[`${app.agent_name}|${remote_name}`]) {
+			report.agent.issuer_connections_kept++;
+			continue;
+		}
+		await removeRecord(report, `connection ${connection.id}`, () => agent.deleteConnection(connection.id));
+		report.agent.connections++;
+	}
+}
+
+/**
+ * Deletes users, flows, issued credentials and issuance jobs from an app's database.  Admins are kept so that the
+ * admin panel keeps working, and audit events are kept because the audit log doesn't allow deletes.
+ * @param {object} report The report for an app.
+ * @param {object|null} supplier The supplier to reset, or null to reset every user.
+ * @returns {Promise<void>} A promise that resolves when the database is reset.
+ */
+async function resetDatabase (report, supplier) {
+	const app = report.app;
+	let rows = [];
+	try {
+		rows = (await app.database.list({include_docs: true})).rows;
+	} catch (error) {
+		// Apps that were never started don't have a database
+		if (error.statusCode === 404)
+			logger.info(`${app.id}: database ${app.db} does not exist`);
+		else
+			report.errors.push(`Failed to list the documents in ${app.db}: ${error.message}`);
+	}
+
+	for (const row of rows) {
+		const doc = row.doc;
+		if (!doc || row.id.indexOf('_design/') === 0)
+			continue;
+		if (doc.type === 'audit_event') {
+			report.database.audit_events_kept++;
+			continue;
+		}
+
+		const doc_type = DOC_TYPES[doc.type];
+		if (!doc_type)
+			continue;
+		if (doc.type === 'user' && Array.isArray(doc.roles) && doc.roles.indexOf('admin') >= 0)
+			continue;
+		if (supplier && (doc.type === 'user' ? doc._id : doc.user) !== supplier.username)
+			continue;
+		if (since !== null && !(doc[doc_type.created] >= since))
+			continue;
+
+		await removeRecord(report, `${doc.type} ${doc._id}`, () => app.database.destroy(doc._id, doc._rev));
+		report.database[doc.type]++;
+	}
+}
+
+/**
+ * Deletes a record, unless this is a dry run.  Failures are added to the report instead of stopping the reset.
+ * @param {object} report The report for an app.
+ * @param {string} description Describes the record for log messages.
+ * @param {function} remove Deletes the record.
+ * @returns {Promise<void>} A promise that resolves when the record is deleted.
+ */
+async function removeRecord (report, description, remove) {
+	if (ev.RESET_DRY_RUN) {
+		logger.debug(`${report.app.id}: would delete ${description}`);
+		return;
+	}
+	try {
+		logger.debug(`${report.app.id}: deleting ${description}`);
+		await remove();
+	} catch (error) {
+		logger.error(`${report.app.id}: failed to delete ${description}: ${error}`);
+		report.errors.push(`Failed to delete ${description}: ${error.message}`);
+	}
+}
+
+/**
+ * Prints what was removed from each app's agent and database.
+ * @param {object[]} reports The reports for each app.
+ * @returns {void}
+ */
+function printSummary (reports) {
+	const verb = ev.RESET_DRY_RUN ? 'would be deleted' : 'deleted';
+	const lines = [ `Demo reset summary${ev.RESET_DRY_RUN ? ' (dry run, nothing was deleted)' : ''}. ${describeSelectors()}` ];
+	for (const report of reports) {
+		const agent = report.agent;
+		const database = report.database;
+		lines.push(`${report.app.id}:`);
+		lines.push(`  agent ${report.app.agent_name}: ${agent.connections} connections, ${agent.credentials} credentials, ` +
+			`${agent.verifications} verifications ${verb}; ${agent.issuer_connections_kept} trusted issuer connections kept`);
+		lines.push(`  database ${report.app.db}: ${Object.keys(DOC_TYPES).map((type) => {
+			return `${database[type]} ${DOC_TYPES[type].label}`;
+		}).join(', ')} ${verb}; ${database.audit_events_kept} audit events kept`);
+		for (const error of report.errors)
+			lines.push(`  ERROR: ${error}`);
+	}
+	logger.info(lines.join('\n'));
+}
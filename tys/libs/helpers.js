@@ -16,7 +16,7 @@
 
 const path = require('path');
 const fs = require('fs');
-const uuidv4 = require('uuid/v4');
+const crypto = require('crypto');
 const async = require('async');
 const request = require('request');
 
@@ -41,6 +41,8 @@ const logger = Logger.makeLogger(Logger.logPrefix(__filename));
 
 /**
  * Checks a proof response.  This might mean check the proof against whatever information is in the opts parameter.
+ * Helpers that support replay protection reject proofs that don't carry the `nonce` given in the opts, or that arrive
+ * too long after `requested_at`.
  * @async
  * @function
  * @name ProofHelper#checkProof
@@ -49,6 +51,16 @@ const logger = Logger.makeLogger(Logger.logPrefix(__filename));
  * @returns {Promise<object>} A promise that resolves with the accepted proof or rejects if the proof was not accepted.
  */
 
+/**
+ * Optional.  Picks the values out of a proof that identify the user who sent it, so users can log in without saying who
+ * they are first.
+ * @async
+ * @function
+ * @name ProofHelper#proofToIdentifiers
+ * @param {object} verification A verification with a proof from the user.
+ * @returns {Promise<object>} A promise that resolves with the personal info fields and values that identify the user.
+ */
+
 /**
  * Allows developers to delegate responsibility for managing proof schemas, proof verification, and user record creation.
  *
@@ -56,6 +68,14 @@ const logger = Logger.makeLogger(Logger.logPrefix(__filename));
  * @extends ProofHelper
  */
 
+/**
+ * Optional.  Lists the alternative proofs that a user can sign up with, in the order they should be tried.  Each name can
+ * be passed to getProofSchema and checkProof as `opts.proof_request`.
+ * @async
+ * @function SignupHelper#getProofAlternatives
+ * @returns {Promise<string[]>} A promise that resolves with the names of the alternative proofs.
+ */
+
 /**
  * @async
  * @function SignupHelper#proofToUserRecord
@@ -63,6 +83,214 @@ const logger = Logger.makeLogger(Logger.logPrefix(__filename));
  * @returns {Promise<object>} A promise that resolves with personal data for a user record extracted from the proof data.
  */
 
+/**
+ * Builds a non-revocation interval for a requested attribute, asking the holder to prove that the credential behind the
+ * attribute has not been revoked as of now.
+ * @returns {object} A non-revocation interval, in seconds since the epoch.
+ */
+function nonRevokedInterval () {
+	return {to: Math.floor(Date.now() / 1000)};
+}
+
+/**
+ * Makes sure that an attribute from a revocable credential came with a proof that the credential has not been revoked.
+ * Credentials issued under credential definitions without revocation support can't be revoked, so they always pass.
+ * @param {object} proof_attr An attribute from a proof response.
+ * @returns {void}
+ */
+function checkNotRevoked (proof_attr) {
+	if (proof_attr.cred_def_id && proof_attr.rev_reg_id && !proof_attr.timestamp)
+		throw new Error(`Attribute ${proof_attr.name} was not proven to come from a credential that has not been revoked`);
+}
+
+/**
+ * Describes a requested predicate, ex. `trust_value >= 3`.
+ * @param {object} predicate A requested predicate from a proof request.
+ * @returns {string} A description of the predicate.
+ */
+function describePredicate (predicate) {
+	return `${predicate.name} ${predicate.p_type} ${predicate.p_value}`;
+}
+
+/**
+ * Makes sure that a verification was answered with all the predicates that we asked for.  The agent only passes a
+ * verification if the proof satisfies the verification's proof request, so a predicate that's still in the proof request
+ * was proven without the holder revealing the attribute's value.
+ * @param {object} verification A verification that passed.
+ * @param {object} [requested_predicates] The predicates that were asked for, keyed by referent.
+ * @returns {void}
+ */
+function checkPredicates (verification, requested_predicates) {
+	const answered_predicates = verification.proof_request && verification.proof_request.requested_predicates ?
+		verification.proof_request.requested_predicates : {};
+	for (const key in requested_predicates) {
+		const requested = requested_predicates[key];
+		const answered = answered_predicates[key];
+		if (!answered || answered.name !== requested.name || answered.p_type !== requested.p_type ||
+			Number(answered.p_value) !== Number(requested.p_value))
+			throw new Error(`Predicate ${describePredicate(requested)} was not proven`);
+	}
+}
+
+/**
+ * Lists the predicates that a verification proved.
+ * @param {object} verification A verification that passed.
+ * @returns {object} Descriptions of the proven predicates, keyed by referent.
+ */
+function provenPredicates (verification) {
+	const ret = {};
+	const predicates = verification.proof_request && verification.proof_request.requested_predicates ?
+		verification.proof_request.requested_predicates : {};
+	for (const key in predicates) {
+		ret[key] = describePredicate(predicates[key]);
+	}
+	return ret;
+}
+
+/**
+ * The default number of seconds a proof response can take to arrive after its proof request was sent.
+ * @type {number}
+ */
+const DEFAULT_PROOF_MAX_AGE = 120;
+
+/**
+ * Generates a cryptographically random nonce for a proof request.  Indy expects nonces to be decimal strings of up to
+ * 80 bits, so random bytes are turned into 24 decimal digits, skipping bytes that would bias the digits.
+ * @returns {string} A new nonce.
+ */
+function generateNonce () {
+	let nonce = '';
+	while (nonce.length < 24) {
+		for (const byte of crypto.randomBytes(24)) {
+			if (byte < 250 && nonce.length < 24)
+				nonce += byte % 10;
+		}
+	}
+	return nonce.replace(/^0+/, '') || '0';
+}
+
+/**
+ * Creates a proof schema on the agent for a proof request.  The nonce is what ties the user's proof to the request it
+ * answers, and the SDK's createProofSchema() leaves it out, so the agent is called directly.
+ * @param {Agent} agent The app's agent.
+ * @param {object} proof_request A proof request from a ProofHelper, with a name, version, nonce, and the requested
+ * attributes and predicates.
+ * @returns {Promise<object>} A promise that resolves with the proof schema.
+ */
+async function createProofSchema (agent, proof_request) {
+	const body = {
+		name: proof_request.name,
+		version: proof_request.version,
+		requested_attributes: proof_request.requested_attributes ? proof_request.requested_attributes : {},
+		requested_predicates: proof_request.requested_predicates ? proof_request.requested_predicates : {}
+	};
+	if (proof_request.nonce)
+		body.nonce = proof_request.nonce;
+
+	logger.info(`Creating proof schema ${body.name} ${body.version}`);
+	return agent.request('proof_schemas', {
+		'method': 'POST',
+		'body': JSON.stringify(body)
+	});
+}
+
+/**
+ * Publishes a credential definition for a schema.  The SDK's createCredentialDefinition() can't ask for revocation
+ * support, so the agent is called directly for a revocable one.  That call isn't part of the SDK's published API, so
+ * the credential definition has to come back with a revocation key, or the agent is assumed not to support it.
+ * @param {Agent} agent The app's agent.
+ * @param {string} schema_id The ID of the schema.
+ * @param {boolean} revocable Whether the credential definition supports revocation.
+ * @returns {Promise<object>} A promise that resolves with the credential definition.
+ */
+async function createCredentialDefinition (agent, schema_id, revocable) {
+	logger.info(`Creating a${revocable ? ' revocable' : ''} credential definition for schema ${schema_id}`);
+	if (!revocable)
+		return agent.createCredentialDefinition(schema_id);
+
+	const cred_def = await agent.request('credential_definitions', {
+		'method': 'POST',
+		'body': JSON.stringify({schema_id: schema_id, revocable: true})
+	});
+	if (!cred_def || !cred_def.data || !cred_def.data.value || !cred_def.data.value.revocation)
+		throw new Error(`The agent published credential definition ${cred_def ? cred_def.id : ''} without revocation support`);
+	return cred_def;
+}
+
+/**
+ * Makes sure that a proof response answers the proof request we sent, and that it arrived in time.  The nonce for a proof
+ * request is stored with the flow that sent it, so a proof from another flow or an older request can't be replayed.  The
+ * user's agent builds the proof over the nonce in the proof request, and the agent only passes a verification whose proof
+ * matches its proof request, so the nonce is checked against the proof request the verification comes back with.
+ * @param {object} verification A verification with a proof from the user.
+ * @param {object} opts What the flow expects of the proof.
+ * @param {string} opts.nonce The nonce that was sent with the proof request.  Every proof request gets one, so a missing
+ * nonce means the flow lost track of its proof request.
+ * @param {number} [opts.requested_at] When the proof request was sent, in milliseconds since the epoch.
+ * @param {number} max_age The number of seconds a proof response can take to arrive.
+ * @returns {void}
+ */
+function checkFreshness (verification, opts, max_age) {
+	if (!opts || !opts.nonce || typeof opts.nonce !== 'string')
+		throw new TypeError(`No nonce was given to check verification ${verification.id} against`);
+
+	const nonce = verification.proof_request && verification.proof_request.nonce ? verification.proof_request.nonce : null;
+	if (nonce !== opts.nonce) {
+		const error = new Error(`Verification ${verification.id} was not an answer to the proof request that was sent`);
+		error.code = PROOF_HELPER_ERRORS.PROOF_NONCE_MISMATCH;
+		throw error;
+	}
+
+	if (opts.requested_at && Date.now() - opts.requested_at > max_age * 1000) {
+		const error = new Error(`Verification ${verification.id} arrived more than ${max_age} seconds after the proof request was sent`);
+		error.code = PROOF_HELPER_ERRORS.PROOF_EXPIRED;
+		throw error;
+	}
+}
+
+/**
+ * Looks up the connection that is linked to a user record, as long as the connection is still live.
+ * @param {Agent} agent The app's agent.
+ * @param {User} user_doc A user record.
+ * @returns {Promise<Connection|null>} A promise that resolves with the linked connection, or null if the user doesn't
+ * have a live one.
+ */
+async function findLinkedConnection (agent, user_doc) {
+	if (!user_doc || !user_doc.connection || !user_doc.connection.id)
+		return null;
+
+	const linked = user_doc.connection;
+	try {
+		const connection = await agent.getConnection(linked.id);
+		if (connection && connection.state === 'connected' && connection.remote && connection.remote.pairwise &&
+			connection.remote.pairwise.did === linked.did)
+			return connection;
+		logger.info(`Connection ${linked.id} that is linked to user ${user_doc._id} is no longer connected`);
+	} catch (error) {
+		logger.info(`Connection ${linked.id} that is linked to user ${user_doc._id} could not be found: ${error}`);
+	}
+	return null;
+}
+
+/**
+ * Links a connection to a user record so that later flows can reuse it.  The flow that established the connection has
+ * already done its job at this point, so failures are logged rather than thrown.
+ * @param {Users} user_records The user records.
+ * @param {User} user_doc The user's record.
+ * @param {Connection} connection An established connection to the user's agent.
+ * @returns {Promise<void>} A promise that resolves when the connection has been linked.
+ */
+async function linkConnection (user_records, user_doc, connection) {
+	if (user_doc.connection && user_doc.connection.id === connection.id)
+		return;
+
+	try {
+		await user_records.link_connection(user_doc._id, connection.id, connection.remote.pairwise.did);
+	} catch (error) {
+		logger.error(`Failed to link connection ${connection.id} to user ${user_doc._id}: ${error}`);
+	}
+}
+
 /**
  * Generates static proof requests for verifiable credential based logins.
  * @class
@@ -73,10 +301,13 @@ class LoginHelper {
 	/**
 	 * Creates a LoginHelper that will serve proof requests based on the given file
 	 * @param {string} proof_schema_file The path to a proof schema file
+	 * @param {number} [proof_max_age] The number of seconds a proof response can take to arrive.  Defaults to 120.
 	 */
-	constructor (proof_schema_file) {
+	constructor (proof_schema_file, proof_max_age) {
 		if (!proof_schema_file || typeof proof_schema_file !== 'string')
 			throw new TypeError('Invalid path to proof schema file');
+		if (proof_max_age !== undefined && (typeof proof_max_age !== 'number' || proof_max_age <= 0))
+			throw new TypeError('Invalid proof max age');
 
 		// Make sure the proof schema is a json file
 		const ext = path.extname(proof_schema_file).toLowerCase().substring(1); // Remove the period in the extension
@@ -89,6 +320,7 @@ class LoginHelper {
 
 		this.proof_schema_file = proof_schema_file;
 		this.proof_schema_template = null;
+		this.proof_max_age = proof_max_age ? proof_max_age : DEFAULT_PROOF_MAX_AGE;
 	}
 
 	async getProofSchema (opts) {
@@ -110,22 +342,32 @@ class LoginHelper {
 		// Keep the login proof schemas unique.
 		const ret = JSON.parse(JSON.stringify(this.proof_schema_template)); // Copy
 		ret.version = ret.version + Date.now();
+		ret.nonce = opts && opts.nonce ? opts.nonce : generateNonce();
 
-		// Assign any restrictions to the proof request, if some were given.
+		// Assign any restrictions to the proof request, if some were given, and make sure the credentials haven't been revoked
 		if (ret.requested_attributes && opts && opts.restrictions) {
 			for (const key in ret.requested_attributes) {
 				ret.requested_attributes[key].restrictions = opts.restrictions;
+				ret.requested_attributes[key].non_revoked = nonRevokedInterval();
+			}
+		}
+		if (ret.requested_predicates && opts && opts.restrictions) {
+			for (const key in ret.requested_predicates) {
+				ret.requested_predicates[key].restrictions = opts.restrictions;
+				ret.requested_predicates[key].non_revoked = nonRevokedInterval();
 			}
 		}
 		return ret;
 	}
 
-	async checkProof (verification, user_record) {
+	async checkProof (verification, user_record, opts) {
 		if (!verification || !verification.info || !verification.info.attributes)
 			throw new TypeError('No attributes found in given Verification');
 		if (!user_record || !user_record.personal_info)
 			throw new TypeError('Invalid user record');
 
+		checkFreshness(verification, opts, this.proof_max_age);
+
 		// Get the schema if we don't already have it.
 		if (!this.proof_schema_template) {
 			logger.info(`Loading proof schema: ${this.proof_schema_file}`);
@@ -158,6 +400,7 @@ class LoginHelper {
 				// Make sure the requested attributes that had restrictions have a credential associated with them
 				if (schema_attr.restrictions && schema_attr.restrictions.length && !proof_attr.cred_def_id)
 					throw new Error(`Requested attribute ${schema_attr.name} did not have an associated credential`);
+				checkNotRevoked(proof_attr);
 
 				logger.debug(`Attribute ${schema_attr.name} was present in the proof and verified`);
 				accepted_proof_attr = proof_attr;
@@ -169,8 +412,32 @@ class LoginHelper {
 			logger.debug(`Proof attribute ${accepted_proof_attr.name} matches the user record`);
 		}
 		logger.info('Verified all proof attributes from the proof');
+
+		checkPredicates(verification, this.proof_schema_template.requested_predicates);
 		return true;
 	}
+
+	/**
+	 * Picks the attributes that the proof schema asked for out of a proof.  Only attributes that were verified by a
+	 * credential are used, since they are what a login proof is checked against.
+	 * @param {object} verification A verification with a proof from the user.
+	 * @returns {Promise<object>} A promise that resolves with the verified attributes, keyed by personal info field.
+	 */
+	async proofToIdentifiers (verification) {
+		if (!verification || !verification.info || !verification.info.attributes)
+			throw new TypeError('No attributes found in given Verification');
+
+		const proof_schema = await this.getProofSchema();
+		const identifiers = {};
+		for (const key in proof_schema.requested_attributes) {
+			const schema_attr = proof_schema.requested_attributes[key];
+			for (const proof_attr of verification.info.attributes) {
+				if (proof_attr.cred_def_id && proof_attr.name === proofAttributeName(schema_attr.name))
+					identifiers[schema_attr.name] = proof_attr.value;
+			}
+		}
+		return identifiers;
+	}
 }
 
 /**
@@ -208,59 +475,229 @@ class NullProofHelper {
 }
 
 /**
- * A helper class to mitigate the amount of hardcoding in the signup.js library.  Facilitates using a drivers license
- * and employment credential to get a bank account.
+ * Matches the placeholder restrictions in signup proof request templates, ex. `{"cred_def_id": "<lei_cred_def_id>"}`,
+ * which are replaced with the credential definitions of the trusted issuer with the given ID.
+ * @type {RegExp}
+ */
+const ISSUER_PLACEHOLDER = /^<(.+)_cred_def_id>$/;
+
+/**
+ * Indy removes spaces and capital letters in proof response attribute names, so names from the config are normalized
+ * the same way before they're compared against a proof.
+ * @param {string} name An attribute name.
+ * @returns {string} The attribute name as it will appear in a proof response.
+ */
+function proofAttributeName (name) {
+	return name.toLowerCase().split(' ').join('');
+}
+
+/**
+ * Reads a value out of an object by following a dot separated path, ex. `Entity.LegalName.$`.
+ * @param {object} obj The object to read from.
+ * @param {string} value_path The path to the value.
+ * @returns {*} The value, or undefined if the path doesn't exist in the object.
+ */
+function valueAtPath (obj, value_path) {
+	let value = obj;
+	for (const part of value_path.split('.')) {
+		if (value === undefined || value === null || typeof value !== 'object')
+			return undefined;
+		value = value[part];
+	}
+	return value;
+}
+
+/**
+ * Replaces the placeholder restrictions in a signup proof request template with the credential definitions of the
+ * matching trusted issuers.
+ * @param {object[]} [restrictions] The restrictions from the template.
+ * @param {object} issuer_restrictions Maps trusted issuer IDs to restrictions on their credential definitions.
+ * @param {string} proof_request_name The name of the proof request, for error messages.
+ * @returns {object[]} The restrictions to put in the proof request.
+ */
+function resolveRestrictions (restrictions, issuer_restrictions, proof_request_name) {
+	let ret = [];
+	for (const restriction of restrictions || []) {
+		const placeholder = restriction.cred_def_id ? ISSUER_PLACEHOLDER.exec(restriction.cred_def_id) : null;
+		if (!placeholder) {
+			ret.push(restriction);
+		} else if (issuer_restrictions[placeholder[1]]) {
+			ret = ret.concat(issuer_restrictions[placeholder[1]]);
+		} else {
+			throw new Error(`Proof request ${proof_request_name} refers to unknown issuer ${placeholder[1]}`);
+		}
+	}
+	return ret;
+}
+
+/**
+ * A signup helper driven by a config file, so that the trusted issuers, the signup proof requests, and the checks on the
+ * proof can be changed without writing code.  See the README for a description of the config file.
  * @class
  * @implements {SignupHelper}
  */
-class AccountSignupHelper {
+class ConfigSignupHelper {
 
 	/**
-	 * Creates a AccountSignupHelper that will create proof requests asking for an LEI.
-	 * @param {string} lei_issuer The agent name for the LEI issuer.
-	 * @param {string} proof_schema_path The path to a proof schema file.
-	 * @param {Agent} agent An Agent instance capable of looking up schemas.
+	 * Describes a trusted issuer whose credentials can be used to sign up.
+	 * @typedef {object} TrustedIssuer
+	 * @property {string} id Identifies the issuer in proof request templates, as in `<{id}_cred_def_id>`.
+	 * @property {string} agent The name or URL of the issuer's agent.
+	 * @property {string} tag The property to set on the connection to the issuer, ex. `trustedLEIIssuer`.
 	 */
-	constructor (lei_issuer, proof_schema_path, agent) {
-		if (!lei_issuer || typeof lei_issuer !== 'string')
-			throw new TypeError('Invalid DMV issuer');
-		if (!proof_schema_path || typeof proof_schema_path !== 'string')
-			throw new TypeError('Invalid proof schema path for signup helper');
+
+	/**
+	 * Describes a proof request that a user can answer to sign up.
+	 * @typedef {object} SignupProofRequest
+	 * @property {string} name The name of the proof request, used to pick it when there are several.
+	 * @property {string} path The path to the proof request template.
+	 * @property {string[]} required The attributes that must be verified by a credential for the proof to be accepted.
+	 */
+
+	/**
+	 * Creates a ConfigSignupHelper from the parsed contents of a signup config file.
+	 * @param {object} config The signup config.
+	 * @param {TrustedIssuer[]} config.issuers The issuers whose credentials can be used to sign up.
+	 * @param {SignupProofRequest[]} config.proof_requests The proof requests a user can answer to sign up.  The first one is
+	 * used unless another is asked for by name.
+	 * @param {Array.<string[]>} [config.matching] Groups of attributes whose values must match each other.
+	 * @param {object} [config.allowed_values] Maps attributes to the list of values that are accepted for them.
+	 * @param {object} [config.user_record] Describes how to build a user record from an accepted proof.
+	 * @param {Agent} agent An Agent instance capable of looking up credential definitions.
+	 * @param {number} [proof_max_age] The number of seconds a proof response can take to arrive.  Defaults to 120.
+	 */
+	constructor (config, agent, proof_max_age) {
+		if (!config || typeof config !== 'object')
+			throw new TypeError('Invalid signup config');
 		if (!agent || typeof agent.getCredentialDefinitions !== 'function')
 			throw new TypeError('Invalid agent');
+		if (proof_max_age !== undefined && (typeof proof_max_age !== 'number' || proof_max_age <= 0))
+			throw new TypeError('Invalid proof max age');
+
+		if (!Array.isArray(config.issuers))
+			throw new TypeError('Signup config did not have a list of issuers');
+		const issuer_ids = [];
+		for (const issuer of config.issuers) {
+			if (!issuer || !issuer.id || typeof issuer.id !== 'string')
+				throw new TypeError('Signup config had an issuer without an ID');
+			if (!issuer.agent || typeof issuer.agent !== 'string')
+				throw new TypeError(`Invalid agent for issuer ${issuer.id}`);
+			if (!issuer.tag || typeof issuer.tag !== 'string')
+				throw new TypeError(`Invalid connection tag for issuer ${issuer.id}`);
+			if (issuer_ids.indexOf(issuer.id) >= 0)
+				throw new TypeError(`Signup config listed issuer ${issuer.id} more than once`);
+			issuer_ids.push(issuer.id);
+		}
 
-		// Make sure the proof schema is a json file
-		const ext = path.extname(proof_schema_path).toLowerCase().substring(1); // Remove the period in the extension
-		if (ext !== 'json')
-			throw new Error (`File ${proof_schema_path} is not a json file!`);
+		if (!Array.isArray(config.proof_requests) || !config.proof_requests.length)
+			throw new TypeError('Signup config did not have a list of proof requests');
+		for (const proof_request of config.proof_requests) {
+			if (!proof_request || !proof_request.name || typeof proof_request.name !== 'string')
+				throw new TypeError('Signup config had a proof request without a name');
+			if (!proof_request.path || typeof proof_request.path !== 'string')
+				throw new TypeError(`Invalid path for proof request ${proof_request.name}`);
+
+			// Make sure the proof schema is a json file
+			const ext = path.extname(proof_request.path).toLowerCase().substring(1); // Remove the period in the extension
+			if (ext !== 'json')
+				throw new Error (`File ${proof_request.path} is not a json file!`);
+			if (!fs.existsSync(proof_request.path))
+				throw new Error(`File ${proof_request.path} does not exist`);
+
+			if (proof_request.required !== undefined && !Array.isArray(proof_request.required))
+				throw new TypeError(`Required attributes for proof request ${proof_request.name} were not a list`);
+		}
 
-		// Make sure the image exists
-		if (!fs.existsSync(proof_schema_path))
-			throw new Error(`File ${proof_schema_path} does not exist`);
+		if (config.matching !== undefined && (!Array.isArray(config.matching) || config.matching.some((group) => !Array.isArray(group))))
+			throw new TypeError('Matching attributes in signup config were not a list of lists');
+		if (config.allowed_values !== undefined && (!config.allowed_values || typeof config.allowed_values !== 'object'))
+			throw new TypeError('Allowed values in signup config were not an object');
+
+		const user_record = config.user_record ? config.user_record : {};
+		if (user_record.lookup) {
+			if (!user_record.lookup.url || typeof user_record.lookup.url !== 'string')
+				throw new TypeError('User record lookup in signup config did not have a url');
+			if (!user_record.lookup.fields || typeof user_record.lookup.fields !== 'object')
+				throw new TypeError('User record lookup in signup config did not have any fields');
+		}
 
-		this.lei_issuer = lei_issuer;
-		this.proof_schema_path = proof_schema_path;
+		this.issuers = config.issuers;
+		this.proof_requests = config.proof_requests;
+		this.matching = config.matching ? config.matching : [];
+		this.allowed_values = config.allowed_values ? config.allowed_values : {};
+		this.user_record = user_record;
 		this.agent = agent;
+		this.proof_max_age = proof_max_age ? proof_max_age : DEFAULT_PROOF_MAX_AGE;
+	}
+
+	/**
+	 * Loads a signup config file.  Proof request paths in the file are relative to the file, and an issuer's agent can be
+	 * read from an environment variable by giving `agent_env` instead of `agent`.
+	 * @param {string} config_path The path to a signup config file.
+	 * @param {Agent} agent An Agent instance capable of looking up credential definitions.
+	 * @param {object} env The environment variables to read issuer agents from.
+	 * @param {number} [proof_max_age] The number of seconds a proof response can take to arrive.
+	 * @returns {Promise<ConfigSignupHelper>} A promise that resolves with a helper for the config.
+	 */
+	static async fromFile (config_path, agent, env, proof_max_age) {
+		if (!config_path || typeof config_path !== 'string')
+			throw new TypeError('Invalid path to signup config file');
+
+		// Make sure the config is a json file
+		const ext = path.extname(config_path).toLowerCase().substring(1); // Remove the period in the extension
+		if (ext !== 'json')
+			throw new Error (`File ${config_path} is not a json file!`);
+
+		logger.info(`Loading signup config: ${config_path}`);
+		const config = JSON.parse(await new Promise((resolve, reject) => {
+			fs.readFile(config_path, (error, file) => {
+				if (error) return reject(error);
+				resolve(file);
+			});
+		}));
+
+		if (Array.isArray(config.issuers)) {
+			for (const issuer of config.issuers) {
+				if (issuer && !issuer.agent && issuer.agent_env) {
+					if (!env || !env[issuer.agent_env])
+						throw new Error(`${issuer.agent_env} must be set in order to use issuer ${issuer.id} for signups`);
+					issuer.agent = env[issuer.agent_env];
+				}
+			}
+		}
+		if (Array.isArray(config.proof_requests)) {
+			for (const proof_request of config.proof_requests) {
+				if (proof_request && typeof proof_request.path === 'string')
+					proof_request.path = path.resolve(path.dirname(config_path), proof_request.path);
+			}
+		}
+		return new ConfigSignupHelper(config, agent, proof_max_age);
 	}
 
 	/**
-	 * Sets up tagged connections to the DMV and HR apps so that we can use the `/credential_definitions?route=trustedLEIIssuer:true`
-	 * or `/credential_definitions?route=trustedLEIIssuer:true` API calls to get their credential definition list later.
+	 * Builds the connection target for an issuer's agent, which can be either a name or a URL.
+	 * @param {TrustedIssuer} issuer A trusted issuer.
+	 * @returns {object} The `to` parameter for creating a connection to the issuer.
+	 */
+	static connectionTarget (issuer) {
+		return issuer.agent.toLowerCase().indexOf('http') >= 0 ? {url: issuer.agent} : {name: issuer.agent};
+	}
+
+	/**
+	 * Sets up tagged connections to each trusted issuer so that we can use the
+	 * `/credential_definitions?route=<tag>:true` API call to get their credential definition lists later.
 	 * @returns {Promise<void>} A promise that resolves when the tagged connections are established.
 	 */
 	async setup () {
-		let to = {};
-		if (this.lei_issuer.toLowerCase().indexOf('http') >= 0)
-			to.url = this.lei_issuer;
-		else
-			to.name = this.lei_issuer;
-
-		logger.info(`Setting up a connection to trusted issuer: ${JSON.stringify(to)}`);
-		let connection_offer = await this.agent.createConnection(to, {
-			trustedLEIIssuer: 'true'
-		});
-		await this.agent.waitForConnection(connection_offer.id);
-		logger.info(`Connection ${connection_offer.id} established`);
+		for (const issuer of this.issuers) {
+			const to = ConfigSignupHelper.connectionTarget(issuer);
+			logger.info(`Setting up a connection to trusted issuer: ${JSON.stringify(to)}`);
+			const connection_offer = await this.agent.createConnection(to, {
+				[issuer.tag]: 'true'
+			});
+			await this.agent.waitForConnection(connection_offer.id);
+			logger.info(`Connection ${connection_offer.id} established`);
+		}
 	}
 
 	/**
@@ -269,14 +706,15 @@ class AccountSignupHelper {
 	 * @returns {Promise<void>} A promise that resolves when the connections created for this flow are deleted.
 	 */
 	async cleanup () {
-		logger.info(`Cleaning up connections to the issuer: ${this.lei_issuer}`);
+		const issuer_agents = this.issuers.map((issuer) => issuer.agent);
+		logger.info(`Cleaning up connections to the issuers: ${issuer_agents.join(', ')}`);
 		const connections = await this.agent.getConnections({
 			$or: [
 				{
-					'remote.name': {$in: [ this.lei_issuer ]}
+					'remote.name': {$in: issuer_agents}
 				},
 				{
-					'remote.url': {$in: [ this.lei_issuer ]}
+					'remote.url': {$in: issuer_agents}
 				}
 			]
 		});
@@ -287,64 +725,141 @@ class AccountSignupHelper {
 		}
 	}
 
+	/**
+	 * Builds a signup proof request, with the placeholder restrictions in the template replaced by the credential
+	 * definitions of the matching trusted issuers.
+	 * @param {object} [opts] Options for the proof request.
+	 * @param {string} [opts.proof_request] The name of the proof request to use.  Defaults to the first one in the config.
+	 * @param {string} [opts.nonce] The nonce for the proof request.  A new one is generated if it's not given.
+	 * @returns {Promise<object>} A promise that resolves with a proof request.
+	 */
 	async getProofSchema (opts) {
-		const PROOF_FORMAT = await new Promise((resolve, reject) => {
-			logger.info(`Loading proof schema: ${this.proof_schema_path}`);
-			fs.readFile(this.proof_schema_path, (error, file) => {
-				if (error) return reject(error);
-				file = JSON.parse(file);
-				if (!file.name || !file.version)
-					return reject(new Error('Invalid proof schema'));
-				resolve(file);
-			});
-		});
+		const proof_request_config = this.selectProofRequest(opts);
+		const PROOF_FORMAT = await this.loadProofTemplate(proof_request_config);
+
+		logger.info('Making sure we still have connections to the trusted issuers');
+		await this.setup();
 
-		logger.info(`Looking up credential definitions for issuer ${this.lei_issuer}`);
-		const lei_issuer_cred_defs = await this.agent.getCredentialDefinitions(null, {trustedLEIIssuer: 'true'});
-		logger.debug(`${this.lei_issuer}'s credential definitions: ${JSON.stringify(lei_issuer_cred_defs, 0, 1)}`);
-		const lei_issuer_restrictions = [];
-		for (const agent_index in lei_issuer_cred_defs.agents) {
-			const agent = lei_issuer_cred_defs.agents[agent_index];
+		const issuer_restrictions = {};
+		for (const issuer of this.issuers) {
+			logger.info(`Looking up credential definitions for issuer ${issuer.agent}`);
+			const cred_defs = await this.agent.getCredentialDefinitions(null, {[issuer.tag]: 'true'});
+			logger.debug(`${issuer.agent}'s credential definitions: ${JSON.stringify(cred_defs, 0, 1)}`);
+			issuer_restrictions[issuer.id] = [];
+			for (const agent_index in cred_defs.agents) {
+				const agent = cred_defs.agents[agent_index];
 
-			for (const cred_def_index in agent.results.items) {
-				const cred_def_id = agent.results.items[cred_def_index].id;
+				for (const cred_def_index in agent.results.items) {
+					const cred_def_id = agent.results.items[cred_def_index].id;
 
-				lei_issuer_restrictions.push({cred_def_id: cred_def_id});
+					issuer_restrictions[issuer.id].push({cred_def_id: cred_def_id});
+				}
 			}
 		}
 
-		logger.info(`Making sure we still have a connection to ${this.lei_issuer}`);
-		await this.setup();
-
 		const proof_request = {
 			'name': PROOF_FORMAT.name,
 			'version': PROOF_FORMAT.version + Date.now(),
-			'requested_attributes': {}
+			'nonce': opts && opts.nonce ? opts.nonce : generateNonce(),
+			'requested_attributes': {},
+			'requested_predicates': {}
 		};
 		for (const key in PROOF_FORMAT.requested_attributes) {
 			const attribute = PROOF_FORMAT.requested_attributes[key].name;
 
-			let restrictions = [];
-			if (key.toLowerCase().indexOf('_lei') >= 0) {
-				restrictions = lei_issuer_restrictions;
-			}
+			const restrictions = resolveRestrictions(PROOF_FORMAT.requested_attributes[key].restrictions, issuer_restrictions, proof_request_config.name);
 			proof_request.requested_attributes[attribute] = {
 				name: attribute,
 				restrictions: restrictions
 			};
+			if (restrictions.length)
+				proof_request.requested_attributes[attribute].non_revoked = nonRevokedInterval();
+		}
+
+		// Predicates keep their keys from the template, since the same attribute can have a lower and an upper bound
+		for (const key in PROOF_FORMAT.requested_predicates) {
+			const predicate = PROOF_FORMAT.requested_predicates[key];
+
+			const restrictions = resolveRestrictions(predicate.restrictions, issuer_restrictions, proof_request_config.name);
+			proof_request.requested_predicates[key] = {
+				name: predicate.name,
+				p_type: predicate.p_type,
+				p_value: predicate.p_value,
+				restrictions: restrictions
+			};
+			if (restrictions.length)
+				proof_request.requested_predicates[key].non_revoked = nonRevokedInterval();
 		}
 		return proof_request;
 	}
 
+	/**
+	 * Loads the template for one of the configured proof requests.
+	 * @param {SignupProofRequest} proof_request_config The config for the proof request.
+	 * @returns {Promise<object>} A promise that resolves with the proof request template.
+	 */
+	async loadProofTemplate (proof_request_config) {
+		return new Promise((resolve, reject) => {
+			logger.info(`Loading proof schema: ${proof_request_config.path}`);
+			fs.readFile(proof_request_config.path, (error, file) => {
+				if (error) return reject(error);
+				file = JSON.parse(file);
+				if (!file.name || !file.version)
+					return reject(new Error('Invalid proof schema'));
+				resolve(file);
+			});
+		});
+	}
+
+	/**
+	 * Lists the configured proof requests, which are alternative ways for a user to sign up, ex. (TYS credential and IFT
+	 * founder record) or (LEI credential and IFT founder record).
+	 * @returns {Promise<string[]>} A promise that resolves with the names of the proof requests, in the order they should
+	 * be tried.
+	 */
+	async getProofAlternatives () {
+		return this.proof_requests.map((proof_request) => proof_request.name);
+	}
+
+	/**
+	 * Picks the proof request to send to a user.
+	 * @param {object} [opts] Options for the proof request.
+	 * @param {string} [opts.proof_request] The name of the proof request to use.  Defaults to the first one in the config.
+	 * @returns {SignupProofRequest} The config for the proof request.
+	 */
+	selectProofRequest (opts) {
+		if (!opts || !opts.proof_request)
+			return this.proof_requests[0];
+
+		const proof_request = this.proof_requests.find((proof_request) => proof_request.name === opts.proof_request);
+		if (!proof_request)
+			throw new Error(`Signup proof request ${opts.proof_request} is not configured`);
+		return proof_request;
+	}
+
+	/**
+	 * Makes sure a signup proof has verified values for all the required attributes of one of the configured proof
+	 * requests, and that those values pass the matching and allowed value checks.
+	 * @param {object} verification A verification with a proof from the user.
+	 * @param {object} [opts] Options for the check.
+	 * @param {string} [opts.proof_request] The name of the proof request the user answered.  If it's not given, the proof
+	 * can satisfy any of the configured proof requests.
+	 * @param {string} [opts.nonce] The nonce that was sent with the proof request.
+	 * @param {number} [opts.requested_at] When the proof request was sent, in milliseconds since the epoch.
+	 * @returns {Promise<object>} A promise that resolves with the accepted verification.
+	 */
 	async checkProof (verification, opts) {
 		if (!verification || !verification.id || !verification.info || !verification.info.attributes)
 			throw new TypeError('Invalid verification');
 
+		checkFreshness(verification, opts, this.proof_max_age);
+
 		logger.debug(`Displaying proof values for verification ${verification.id}:`);
 		const proof_attributes = verification.info.attributes;
 		const attributes = {};
 		for (const i in proof_attributes) {
 			const attr = proof_attributes[i];
+			checkNotRevoked(attr);
 			if (attr.cred_def_id)
 				attributes[attr.name] = attr.value;
 
@@ -352,13 +867,62 @@ class AccountSignupHelper {
 		}
 		logger.debug('(*Verified values from credential)');
 
-		// Make sure the fields we need were provided
-		if (!attributes.lei)
-			throw new Error('Attestations of LEI was not provided');
+		// Make sure the fields and predicates we need were provided
+		const candidates = opts && opts.proof_request ? [ this.selectProofRequest(opts) ] : this.proof_requests;
+		let failure;
+		for (const proof_request of candidates) {
+			const required = proof_request.required ? proof_request.required : [];
+			const missing_attributes = required.filter((name) => !attributes[proofAttributeName(name)]);
+			let candidate_failure = null;
+			if (missing_attributes.length) {
+				candidate_failure = new Error(`Verified attestations of ${missing_attributes.join(', ')} were not provided`);
+			} else {
+				try {
+					checkPredicates(verification, (await this.loadProofTemplate(proof_request)).requested_predicates);
+				} catch (error) {
+					candidate_failure = error;
+				}
+			}
+
+			if (!candidate_failure) {
+				logger.info(`Proof ${verification.id} satisfied signup proof request ${proof_request.name}`);
+				failure = null;
+				break;
+			}
+			if (!failure)
+				failure = candidate_failure;
+		}
+		if (failure)
+			throw failure;
+
+		// Make sure matchable attributes match
+		for (const group of this.matching) {
+			const values = group.map((name) => {
+				const value = attributes[proofAttributeName(name)];
+				return value ? `${value}`.toLowerCase().trim() : value;
+			});
+			if (values.some((value) => value !== values[0]))
+				throw new Error(`Provided values of ${group.join(', ')} did not match`);
+		}
+
+		// Make sure the attributes only have values that we accept
+		for (const name in this.allowed_values) {
+			const value = attributes[proofAttributeName(name)];
+			const allowed = this.allowed_values[name].map((allowed_value) => `${allowed_value}`.toLowerCase().trim());
+			if (!value || allowed.indexOf(`${value}`.toLowerCase().trim()) < 0)
+				throw new Error(`Signups with ${name} ${value} are not permitted`);
+		}
 
 		return verification;
 	}
 
+	/**
+	 * Gathers the attributes of an accepted proof, along with any fields from the configured user record lookup.  Proven
+	 * predicates are included under their key in the proof request template, described as ex. `trust_value >= 3`.
+	 * Which of these end up in the user record is described by the attribute mapping (ATTRIBUTE_MAPPING_PATH).
+	 * @param {object} verification An accepted verification.
+	 * @returns {Promise<object>} A promise that resolves with the data for the user record.
+	 */
 	async proofToUserRecord (verification) {
 		if (!verification || !verification.id || !verification.info || !verification.info.attributes)
 			throw new TypeError('Invalid verification');
@@ -369,60 +933,63 @@ class AccountSignupHelper {
 			const attr = proof_attributes[i];
 			attributes[attr.name] = attr.value;
 		}
+		Object.assign(attributes, provenPredicates(verification));
 
-		if (!attributes.lei) {
-			throw new TypeError('Invalid verification');
-		}
-		let leinumber = attributes.lei;
+		if (!this.user_record.lookup)
+			return attributes;
 
-		// retrieve LEI information
-		return await this.buildUserRecordFromLEI(leinumber);
+		const lookup_fields = await this.lookupUserRecord(attributes);
+		return Object.assign(attributes, lookup_fields);
 	}
 
-	async buildUserRecordFromLEI(lei_number) {
-		if (!lei_number) {
-			return null;
-		}
-		// retrieve LEI information
-		return new Promise((resolve, reject) => {
-			const options = {
-				method: 'GET',
-				url: `https://leilookup.gleif.org/api/v2/leirecords?lei=${lei_number}`,
-				json: true
-			};
-
-			request(options, (error, response, leiInfoArray) => {
-				if (error) {
-					console.debug(`Failed to find LEI info for ${lei_number}: ${JSON.stringify(error)}`);
-					return httpResponse.status(500).sent({error: error.code, reason: error.message});
-				}
-				console.log(`Found LEI info for: ${lei_number}: ${JSON.stringify(leiInfoArray)}`);
-				// make sure an array is coming back with only one item (since only one
-				//  lei_number in the search)
-				if (leiInfoArray && Array.isArray(leiInfoArray) && leiInfoArray.length === 1) {
-					const leiInfo = leiInfoArray[0];
-					let user_record = {};
-					user_record.LEI = leiInfo.LEI.$;
-					user_record.company_name = leiInfo.Entity.LegalName.$;
-					user_record.address_line_1 = leiInfo.Entity.LegalAddress.FirstAddressLine.$;
-					if (leiInfo.Entity.LegalAddress.AdditionalAddressLine && leiInfo.Entity.LegalAddress.AdditionalAddressLine.length > 0) {
-						user_record.address_line_2 = leiInfo.Entity.LegalAddress.AdditionalAddressLine[0].$;
-					}
-					user_record.city = leiInfo.Entity.LegalAddress.City.$;
-					user_record.state = leiInfo.Entity.LegalAddress.Region ? leiInfo.Entity.LegalAddress.Region.$ : "-";
-					user_record.zip_code = leiInfo.Entity.LegalAddress.PostalCode.$;
-					user_record.country = leiInfo.Entity.LegalAddress.Country.$;
+	/**
+	 * Looks up more data for a user record from the service in the config's `user_record.lookup` section, ex. the LEI
+	 * records at GLEIF.  `{attribute}` in the lookup URL is replaced with the proof attribute of that name.  If the service
+	 * responds with a list, it must contain exactly one record.
+	 * @param {object} attributes The attributes of an accepted proof.
+	 * @returns {Promise<object>} A promise that resolves with the fields that were found in the record.
+	 */
+	async lookupUserRecord (attributes) {
+		const lookup = this.user_record.lookup;
+		const url = lookup.url.replace(/{([^}]+)}/g, (match, name) => {
+			const value = attributes[proofAttributeName(name)];
+			if (value === undefined || value === null || value === '')
+				throw new Error(`Proof did not have a value of ${name} to look up a user record with`);
+			return encodeURIComponent(value);
+		});
 
-					return resolve(user_record);
-				}
+		logger.info(`Looking up user record at ${url}`);
+		let record = await new Promise((resolve, reject) => {
+			request({method: 'GET', url: url, json: true}, (error, response, body) => {
+				if (error)
+					return reject(error);
+				if (response.statusCode < 200 || response.statusCode >= 300)
+					return reject(new Error(`User record lookup failed with status ${response.statusCode}`));
+				resolve(body);
 			});
-
 		});
+		logger.debug(`User record lookup response: ${JSON.stringify(record)}`);
+
+		if (Array.isArray(record)) {
+			if (record.length !== 1)
+				throw new Error(`User record lookup found ${record.length} records instead of one`);
+			record = record[0];
+		}
+		if (!record || typeof record !== 'object')
+			throw new Error('User record lookup did not find a record');
+
+		const fields = {};
+		for (const field in lookup.fields) {
+			const value = valueAtPath(record, lookup.fields[field]);
+			if (value !== undefined && value !== null)
+				fields[field] = value;
+		}
+		return fields;
 	}
 }
 
 /**
- * Listens for and accepts incoming connection requests.  The AccountSignupHelper needs the other issuers to be running
+ * Listens for and accepts incoming connection requests.  The ConfigSignupHelper needs the other issuers to be running
  * one of these so that it can establish a connection to look up their credential definitions and build a proof schema.
  */
 class ConnectionResponder {
@@ -496,9 +1063,24 @@ class ConnectionResponder {
 	}
 }
 
+const PROOF_HELPER_ERRORS = {
+	PROOF_NONCE_MISMATCH: 'PROOF_NONCE_MISMATCH',
+	PROOF_EXPIRED: 'PROOF_EXPIRED'
+};
+
 module.exports = {
+	checkNotRevoked,
+	checkPredicates,
+	provenPredicates,
+	checkFreshness,
+	generateNonce,
+	createProofSchema,
+	createCredentialDefinition,
+	findLinkedConnection,
+	linkConnection,
 	LoginHelper,
 	NullProofHelper,
-	AccountSignupHelper,
-	ConnectionResponder
+	ConfigSignupHelper,
+	ConnectionResponder,
+	PROOF_HELPER_ERRORS
 };
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * The ID of the document that holds the issuance settings.
+ * @type {string}
+ */
+const SETTINGS_DOC_ID = 'issuance_settings';
+
+/**
+ * What happens to a user's credentials after their personal info changes, unless the admin chooses otherwise.
+ * @type {ReissuanceSettings}
+ */
+const DEFAULT_REISSUANCE = {
+	auto_offer: false,
+	previous_credential: 'supersede'
+};
+
+/**
+ * Stores the admin's choices about which credentials get issued to users: the credential definition to issue when a
+ * user doesn't pick one, how the fields of a user's personal info map to the attributes of each schema, what happens
+ * to issued credentials when the personal info they were built from changes, and which schemas are deprecated.
+ */
+class IssuanceSettings {
+
+	/**
+	 * Constructs an IssuanceSettings instance that will manage the issuance settings in the given database.
+	 * @param {object} settingsDB A nano database instance.  Generally the same database as the user records.
+	 */
+	constructor (settingsDB) {
+		if (!settingsDB || typeof settingsDB !== 'object' || typeof settingsDB.get !== 'function')
+			throw new TypeError('Issuance settings database was not a nano database instance');
+
+		this.settingsDB = settingsDB;
+	}
+
+	/**
+	 * Describes the issuance settings.
+	 * @typedef {object} IssuanceSettingsDoc
+	 * @property {string|null} default_cred_def_id The credential definition to issue when a user doesn't choose one.
+	 * @property {object} attribute_mappings Maps schema IDs to an object that maps the schema's attributes to fields in a
+	 * user's personal info.  Attributes that aren't mapped are read from the personal info field of the same name.
+	 * @property {ReissuanceSettings} reissuance What happens to issued credentials when a user's personal info changes.
+	 * @property {object} deprecated_schemas Maps the IDs of deprecated schemas to their {@link SchemaDeprecation}.
+	 */
+
+	/**
+	 * Describes why a schema should no longer be issued.  Deprecated schemas can still be issued, but issuing them logs a
+	 * warning.
+	 * @typedef {object} SchemaDeprecation
+	 * @property {number} deprecated When the schema was deprecated, in milliseconds since the epoch.
+	 * @property {string|null} reason Why the schema was deprecated.
+	 * @property {string|null} replaced_by The ID of the schema that replaces it.
+	 */
+
+	/**
+	 * Describes what happens to issued credentials when the personal info they were built from changes.  Out of date
+	 * credentials are always flagged on the user record.
+	 * @typedef {object} ReissuanceSettings
+	 * @property {boolean} auto_offer Offer the updated credentials right away to users with a linked connection.
+	 * @property {'supersede'|'revoke'} previous_credential Whether credentials that were replaced are only marked as
+	 * superseded, or also revoked.  Credentials that don't support revocation are only marked as superseded.
+	 */
+
+	/**
+	 * Retrieves the issuance settings.
+	 * @returns {Promise<IssuanceSettingsDoc>} A promise that resolves with the issuance settings.
+	 */
+	async read_settings () {
+		const doc = await this.read_doc();
+		return {
+			default_cred_def_id: doc.default_cred_def_id,
+			attribute_mappings: doc.attribute_mappings,
+			reissuance: doc.reissuance,
+			deprecated_schemas: doc.deprecated_schemas
+		};
+	}
+
+	/**
+	 * Marks the credential definition to issue when a user doesn't choose one.
+	 * @param {string|null} cred_def_id A credential definition ID, or null to go back to issuing the newest credential
+	 * definition.
+	 * @returns {Promise<IssuanceSettingsDoc>} A promise that resolves with the updated settings.
+	 */
+	async set_default_cred_def (cred_def_id) {
+		if (cred_def_id !== null && (!cred_def_id || typeof cred_def_id !== 'string'))
+			throw new TypeError('Default credential definition ID was not a non-empty string or null');
+
+		const doc = await this.read_doc();
+		doc.default_cred_def_id = cred_def_id;
+		logger.info(`Setting the default credential definition to ${cred_def_id}`);
+		await this.save_doc(doc);
+		return this.read_settings();
+	}
+
+	/**
+	 * Sets how a user's personal info maps to the attributes of a schema.
+	 * @param {string} schema_id The ID of a schema.
+	 * @param {object} mapping Maps schema attribute names to personal info field names.  An empty mapping removes it.
+	 * @returns {Promise<IssuanceSettingsDoc>} A promise that resolves with the updated settings.
+	 */
+	async set_attribute_mapping (schema_id, mapping) {
+		if (!schema_id || typeof schema_id !== 'string')
+			throw new TypeError('Schema ID was not a non-empty string');
+		if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping))
+			throw new TypeError('Attribute mapping was not an object');
+		for (const attr_name in mapping) {
+			if (!mapping[attr_name] || typeof mapping[attr_name] !== 'string')
+				throw new TypeError(`Attribute mapping for ${attr_name} was not a non-empty string`);
+		}
+
+		const doc = await this.read_doc();
+		if (Object.keys(mapping).length)
+			doc.attribute_mappings[schema_id] = mapping;
+		else
+			delete doc.attribute_mappings[schema_id];
+		logger.info(`Setting the attribute mapping for schema ${schema_id}`);
+		await this.save_doc(doc);
+		return this.read_settings();
+	}
+
+	/**
+	 * Sets what happens to issued credentials when a user's personal info changes.
+	 * @param {ReissuanceSettings} reissuance The new reissuance settings.  Settings that are left out keep their value.
+	 * @returns {Promise<IssuanceSettingsDoc>} A promise that resolves with the updated settings.
+	 */
+	async set_reissuance (reissuance) {
+		if (!reissuance || typeof reissuance !== 'object')
+			throw new TypeError('Reissuance settings were not an object');
+		if (reissuance.auto_offer !== undefined && typeof reissuance.auto_offer !== 'boolean')
+			throw new TypeError('Reissuance auto_offer was not a boolean');
+		if (reissuance.previous_credential !== undefined && Object.values(PREVIOUS_CREDENTIAL_ACTIONS).indexOf(reissuance.previous_credential) < 0)
+			throw new TypeError(`Reissuance previous_credential was not one of ${Object.values(PREVIOUS_CREDENTIAL_ACTIONS).join(', ')}`);
+
+		const doc = await this.read_doc();
+		if (reissuance.auto_offer !== undefined)
+			doc.reissuance.auto_offer = reissuance.auto_offer;
+		if (reissuance.previous_credential !== undefined)
+			doc.reissuance.previous_credential = reissuance.previous_credential;
+		logger.info(`Setting the reissuance settings to ${JSON.stringify(doc.reissuance)}`);
+		await this.save_doc(doc);
+		return this.read_settings();
+	}
+
+	/**
+	 * Marks a schema as deprecated, or takes the mark off.
+	 * @param {string} schema_id The ID of a schema.
+	 * @param {boolean} deprecated True to deprecate the schema, false to undo it.
+	 * @param {string} [reason] Why the schema was deprecated.
+	 * @param {string} [replaced_by] The ID of the schema that replaces it.
+	 * @returns {Promise<IssuanceSettingsDoc>} A promise that resolves with the updated settings.
+	 */
+	async set_schema_deprecation (schema_id, deprecated, reason, replaced_by) {
+		if (!schema_id || typeof schema_id !== 'string')
+			throw new TypeError('Schema ID was not a non-empty string');
+		if (typeof deprecated !== 'boolean')
+			throw new TypeError('Deprecated was not a boolean');
+		if (reason !== undefined && reason !== null && typeof reason !== 'string')
+			throw new TypeError('Deprecation reason was not a string');
+		if (replaced_by !== undefined && replaced_by !== null && (!replaced_by || typeof replaced_by !== 'string'))
+			throw new TypeError('Replacement schema ID was not a non-empty string');
+
+		const doc = await this.read_doc();
+		if (deprecated) {
+			doc.deprecated_schemas[schema_id] = {
+				deprecated: Date.now(),
+				reason: reason ? reason : null,
+				replaced_by: replaced_by ? replaced_by : null
+			};
+			logger.info(`Deprecating schema ${schema_id}${replaced_by ? ` in favor of ${replaced_by}` : ''}`);
+		} else {
+			delete doc.deprecated_schemas[schema_id];
+			logger.info(`Removing the deprecation of schema ${schema_id}`);
+		}
+		await this.save_doc(doc);
+		return this.read_settings();
+	}
+
+	/**
+	 * Gets how a user's personal info maps to the attributes of a schema.
+	 * @param {string} schema_id The ID of a schema.
+	 * @returns {Promise<object>} A promise that resolves with the attribute mapping for the schema.  Empty if there is none.
+	 */
+	async read_attribute_mapping (schema_id) {
+		const doc = await this.read_doc();
+		return doc.attribute_mappings[schema_id] ? doc.attribute_mappings[schema_id] : {};
+	}
+
+	/**
+	 * Retrieves the settings document, or a blank one if the settings have never been saved.
+	 * @returns {Promise<object>} A promise that resolves with the settings document.
+	 */
+	async read_doc () {
+		try {
+			const doc = await this.settingsDB.get(SETTINGS_DOC_ID);
+			doc.attribute_mappings = doc.attribute_mappings ? doc.attribute_mappings : {};
+			doc.default_cred_def_id = doc.default_cred_def_id ? doc.default_cred_def_id : null;
+			doc.reissuance = Object.assign({}, DEFAULT_REISSUANCE, doc.reissuance);
+			doc.deprecated_schemas = doc.deprecated_schemas ? doc.deprecated_schemas : {};
+			return doc;
+		} catch (error) {
+			if (error.statusCode === 404) {
+				return {
+					_id: SETTINGS_DOC_ID,
+					type: 'issuance_settings',
+					default_cred_def_id: null,
+					attribute_mappings: {},
+					reissuance: Object.assign({}, DEFAULT_REISSUANCE),
+					deprecated_schemas: {}
+				};
+			}
+			logger.error(`Failed to read issuance settings: ${error}`);
+			error.code = ISSUANCE_SETTINGS_ERRORS.UNKNOWN_SETTINGS_READ_FAILURE;
+			throw error;
+		}
+	}
+
+	/**
+	 * Saves the settings document.
+	 * @param {object} doc The settings document.
+	 * @returns {Promise<void>} A promise that resolves when the document has been saved.
+	 */
+	async save_doc (doc) {
+		try {
+			await this.settingsDB.insert(doc, null);
+		} catch (error) {
+			logger.error(`Failed to save issuance settings: ${error}`);
+			error.code = ISSUANCE_SETTINGS_ERRORS.SETTINGS_SAVE_FAILURE;
+			throw error;
+		}
+	}
+}
+
+exports.IssuanceSettings = IssuanceSettings;
+
+/**
+ * What can happen to a credential after a newer one replaces it.
+ * @enum {string}
+ */
+const PREVIOUS_CREDENTIAL_ACTIONS = {
+	SUPERSEDE: 'supersede',
+	REVOKE: 'revoke'
+};
+exports.PREVIOUS_CREDENTIAL_ACTIONS = PREVIOUS_CREDENTIAL_ACTIONS;
+
+const ISSUANCE_SETTINGS_ERRORS = {
+	SETTINGS_SAVE_FAILURE: 'SETTINGS_SAVE_FAILURE',
+	UNKNOWN_SETTINGS_READ_FAILURE: 'UNKNOWN_SETTINGS_READ_FAILURE'
+};
+
+exports.ISSUANCE_SETTINGS_ERRORS = ISSUANCE_SETTINGS_ERRORS;
@@ -0,0 +1,280 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const fs = require('fs');
+
+const Helpers = require('./helpers.js');
+
+const Logger = require('./logger.js').Logger;
+const logger = Logger.makeLogger(Logger.logPrefix(__filename));
+
+/**
+ * How long, in seconds, to wait for a new schema or credential definition to show up on the ledger by default.
+ * @type {number}
+ */
+const DEFAULT_LEDGER_WAIT = 120;
+
+/**
+ * How often, in milliseconds, to check the ledger for a new schema or credential definition by default.
+ * @type {number}
+ */
+const DEFAULT_POLL_INTERVAL = 2000;
+
+/**
+ * Makes sure that the schema in an issuer's schema template, and a credential definition for it, are published, so that
+ * a fresh environment can issue credentials without anyone clicking through the admin panel.  Only the records that are
+ * missing are published, so running it again, or on every replica of the app, doesn't publish duplicates.
+ */
+class IssuerBootstrap {
+
+	/**
+	 * @param {Agent} agent The agent that issues credentials.
+	 * @param {string} schema_path A path to the issuer's schema template.
+	 * @param {boolean} [revocable] Whether a new credential definition supports revocation.  Defaults to true.
+	 * @param {number} [ledger_wait] How long, in seconds, to wait for new records to show up on the ledger.
+	 * @param {number} [poll_interval] How often, in milliseconds, to check the ledger for new records.
+	 */
+	constructor (agent, schema_path, revocable, ledger_wait, poll_interval) {
+		if (!agent || typeof agent.getCredentialSchemas !== 'function' || typeof agent.getCredentialDefinitions !== 'function')
+			throw new TypeError('IssuerBootstrap was not given an Agent instance');
+		if (!schema_path || typeof schema_path !== 'string')
+			throw new TypeError('IssuerBootstrap was not given a schema template path');
+		if (revocable !== undefined && typeof revocable !== 'boolean')
+			throw new TypeError('IssuerBootstrap revocable must be a boolean');
+		if (ledger_wait !== undefined && (typeof ledger_wait !== 'number' || isNaN(ledger_wait) || ledger_wait <= 0))
+			throw new TypeError('IssuerBootstrap ledger wait must be a number > 0');
+		if (poll_interval !== undefined && (typeof poll_interval !== 'number' || isNaN(poll_interval) || poll_interval <= 0))
+			throw new TypeError('IssuerBootstrap poll interval must be a number > 0');
+
+		this.agent = agent;
+		this.schema_path = schema_path;
+		this.revocable = revocable !== undefined ? revocable : true;
+		this.ledger_wait = ledger_wait !== undefined ? ledger_wait : DEFAULT_LEDGER_WAIT;
+		this.poll_interval = poll_interval !== undefined ? poll_interval : DEFAULT_POLL_INTERVAL;
+
+		this.state = BOOTSTRAP_STATES.PENDING;
+		this.schema_id = null;
+		this.cred_def_id = null;
+		this.published = [];
+		this.error = null;
+		this.finished = null;
+	}
+
+	/**
+	 * Publishes whatever is missing of the schema template and its credential definition.  Failures are logged and
+	 * reported by get_status() instead of thrown, so that the app keeps running and can say why it isn't ready.
+	 * @returns {Promise<BootstrapStatus>} A promise that resolves with the status once the bootstrap is done.
+	 */
+	async run () {
+		this.state = BOOTSTRAP_STATES.PENDING;
+		this.error = null;
+		this.finished = null;
+		try {
+			const template = await readTemplate(this.schema_path);
+			logger.info(`Bootstrapping schema ${template.name} ${template.version} and its credential definition`);
+
+			this.state = BOOTSTRAP_STATES.PUBLISHING_SCHEMA;
+			const schema = await this.ensure_schema(template);
+			this.schema_id = schema.id;
+
+			this.state = BOOTSTRAP_STATES.PUBLISHING_CRED_DEF;
+			const cred_def = await this.ensure_cred_def(schema.id);
+			this.cred_def_id = cred_def.id;
+
+			this.state = BOOTSTRAP_STATES.READY;
+			this.finished = Date.now();
+			logger.info(`Ready to issue credentials from credential definition ${cred_def.id}`);
+		} catch (error) {
+			this.fail(error);
+		}
+		return this.get_status();
+	}
+
+	/**
+	 * Marks the bootstrap as failed, so that get_status() reports why the app isn't ready.
+	 * @param {Error} error The reason the bootstrap failed.
+	 * @returns {void}
+	 */
+	fail (error) {
+		error.code = error.code ? error.code : BOOTSTRAP_ERRORS.UNKNOWN_BOOTSTRAP_ERROR;
+		logger.error(`Failed to bootstrap the schema and credential definition: ${error}`);
+		this.state = BOOTSTRAP_STATES.FAILED;
+		this.error = error;
+		this.finished = Date.now();
+	}
+
+	/**
+	 * Finds the published schema that matches the template, or publishes it if there isn't one.
+	 * @param {object} template The schema template, with a name, version, and attributes.
+	 * @returns {Promise<object>} A promise that resolves with the schema once it is on the ledger.
+	 */
+	async ensure_schema (template) {
+		const schemas = await this.agent.getCredentialSchemas();
+		const existing = schemas.find((schema) => {
+			return schema.name === template.name && schema.version === template.version;
+		});
+
+		if (existing) {
+			const attr_names = existing.attr_names ? existing.attr_names : [];
+			const mismatched = attr_names.length !== template.attributes.length || template.attributes.some((attr_name) => attr_names.indexOf(attr_name) < 0);
+			if (mismatched) {
+				const error = new Error(`Published schema ${existing.id} has different attributes than the template.  Bump the version in ${this.schema_path}`);
+				error.code = BOOTSTRAP_ERRORS.BOOTSTRAP_SCHEMA_MISMATCH;
+				throw error;
+			}
+			logger.info(`Schema ${existing.id} is already published`);
+			return existing;
+		}
+
+		logger.info(`Publishing schema ${template.name} ${template.version}`);
+		const schema = await this.agent.createCredentialSchema(template.name, template.version, template.attributes);
+		this.published.push(schema.id);
+		await this.wait_for_ledger(`schema ${schema.id}`, () => this.agent.getCredentialSchema(schema.id));
+		return schema;
+	}
+
+	/**
+	 * Finds a credential definition for the schema, or publishes one if there isn't one.
+	 * @param {string} schema_id The ID of the schema.
+	 * @returns {Promise<object>} A promise that resolves with the credential definition once it is on the ledger.
+	 */
+	async ensure_cred_def (schema_id) {
+		const cred_defs = await this.agent.getCredentialDefinitions();
+		const existing = cred_defs.find((cred_def) => cred_def.schema_id === schema_id);
+		if (existing) {
+			logger.info(`Credential definition ${existing.id} is already published for schema ${schema_id}`);
+			return existing;
+		}
+
+		const cred_def = await Helpers.createCredentialDefinition(this.agent, schema_id, this.revocable);
+		this.published.push(cred_def.id);
+		await this.wait_for_ledger(`credential definition ${cred_def.id}`, () => this.agent.getCredentialDefinition(cred_def.id));
+		return cred_def;
+	}
+
+	/**
+	 * Waits for a record to be readable from the ledger.
+	 * @param {string} description A description of the record for the logs.
+	 * @param {function(): Promise<object>} lookup Looks up the record.  Throws or resolves with nothing if it isn't there.
+	 * @returns {Promise<object>} A promise that resolves with the record.
+	 */
+	async wait_for_ledger (description, lookup) {
+		const give_up = Date.now() + this.ledger_wait * 1000;
+		let last_error = null;
+		for (;;) {
+			try {
+				const record = await lookup();
+				if (record) {
+					logger.info(`${description} is on the ledger`);
+					return record;
+				}
+			} catch (error) {
+				last_error = error;
+				logger.debug(`${description} is not on the ledger yet: ${error}`);
+			}
+
+			if (Date.now() + this.poll_interval > give_up) {
+				const error = new Error(`${description} was not on the ledger after ${this.ledger_wait} seconds${last_error ? `: ${last_error.message}` : ''}`);
+				error.code = BOOTSTRAP_ERRORS.BOOTSTRAP_LEDGER_TIMEOUT;
+				throw error;
+			}
+			await new Promise((resolve) => setTimeout(resolve, this.poll_interval));
+		}
+	}
+
+	/**
+	 * Describes the progress of the bootstrap.
+	 * @typedef {object} BootstrapStatus
+	 * @property {BOOTSTRAP_STATES} state Where the bootstrap is.
+	 * @property {string|null} schema_id The schema the app issues, once it's known.
+	 * @property {string|null} cred_def_id The credential definition the app issues, once it's known.
+	 * @property {string[]} published The IDs of the records this bootstrap had to publish.
+	 * @property {number|null} finished When the bootstrap finished, in milliseconds since the epoch.
+	 * @property {string} [error] An error code.  Only present if the state is FAILED.
+	 * @property {string} [reason] A description of the error.  Only present if the state is FAILED.
+	 */
+
+	/**
+	 * Gets the progress of the bootstrap.
+	 * @returns {BootstrapStatus} The status of the bootstrap.
+	 */
+	get_status () {
+		const ret = {
+			state: this.state,
+			schema_id: this.schema_id,
+			cred_def_id: this.cred_def_id,
+			published: this.published.slice(),
+			finished: this.finished
+		};
+		if (this.error) {
+			ret.error = this.error.code;
+			ret.reason = this.error.message;
+		}
+		return ret;
+	}
+}
+
+exports.IssuerBootstrap = IssuerBootstrap;
+
+/**
+ * Reads the schema template for an issuer.
+ * @param {string} schema_path A path to the schema template.
+ * @returns {Promise<object>} A promise that resolves with the template's name, version, and attributes.
+ */
+function readTemplate (schema_path) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(schema_path, (error, file) => {
+			if (error) {
+				error.code = BOOTSTRAP_ERRORS.BOOTSTRAP_INVALID_TEMPLATE;
+				return reject(error);
+			}
+			let template;
+			try {
+				template = JSON.parse(file);
+			} catch (parse_error) {
+				parse_error.code = BOOTSTRAP_ERRORS.BOOTSTRAP_INVALID_TEMPLATE;
+				return reject(parse_error);
+			}
+			if (!template.name || !template.version || !Array.isArray(template.attributes) || !template.attributes.length) {
+				const invalid = new Error(`Schema template ${schema_path} needs a name, a version, and a list of attributes`);
+				invalid.code = BOOTSTRAP_ERRORS.BOOTSTRAP_INVALID_TEMPLATE;
+				return reject(invalid);
+			}
+			resolve(template);
+		});
+	});
+}
+
+/**
+ * Where a bootstrap is.
+ * @enum {string}
+ */
+const BOOTSTRAP_STATES = {
+	PENDING: 'PENDING',
+	PUBLISHING_SCHEMA: 'PUBLISHING_SCHEMA',
+	PUBLISHING_CRED_DEF: 'PUBLISHING_CRED_DEF',
+	READY: 'READY',
+	FAILED: 'FAILED'
+};
+exports.BOOTSTRAP_STATES = BOOTSTRAP_STATES;
+
+const BOOTSTRAP_ERRORS = {
+	UNKNOWN_BOOTSTRAP_ERROR: 'UNKNOWN_BOOTSTRAP_ERROR',
+	BOOTSTRAP_INVALID_TEMPLATE: 'BOOTSTRAP_INVALID_TEMPLATE',
+	BOOTSTRAP_SCHEMA_MISMATCH: 'BOOTSTRAP_SCHEMA_MISMATCH',
+	BOOTSTRAP_LEDGER_TIMEOUT: 'BOOTSTRAP_LEDGER_TIMEOUT'
+};
+exports.BOOTSTRAP_ERRORS = BOOTSTRAP_ERRORS;
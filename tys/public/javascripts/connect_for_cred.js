@@ -79,6 +79,7 @@ $(document).ready(() => {
 	});
 
 	populate_user_info();
+	populate_eligible_credentials();
 	docReady.resolve();
 });
 
@@ -125,40 +126,46 @@ async function issue_credential (connection_method) {
 		keyboard: false
 	});
 
+	let status_updates = null;
 	try {
 		const issuance_info = await $.ajax({
 			url: '/api/credentials',
 			method: 'POST',
 			contentType: 'application/json',
 			dataType: 'json',
-			data: JSON.stringify({connection_method: connection_method})
+			data: JSON.stringify({
+				connection_method: connection_method,
+				cred_def_id: $('#credentialSelect').val()
+			})
 		});
 
 		console.log(`Issuance process created: ${JSON.stringify(issuance_info)}`);
 
-		let tries_left = 300;
-		const interval = 3000; // milliseconds
+		// The server pushes updates to the issuance status as they happen
+		status_updates = window.subscribeToStatus('/api/credentials/events');
 		let connection_shown = false;
 		let credential_shown = false;
 		const running = true;
 		while (running) {
 
-			console.log(`Tries left: ${tries_left--}`);
-			if (tries_left <= 0) {
-				throw new Error('Credential issuance took too long');
-			}
-
-			console.log('Getting updated issuance status');
-			const response = await $.ajax({
-				url: '/api/credentials',
-				method: 'GET'
-			});
+			console.log('Waiting for updated issuance status');
+			const response = await status_updates.next();
 
 			if (!response || !response.status)
 				throw new Error(`No status information returned in update response: ${JSON.stringify(response)}`);
 
 			console.log(`Updated issuance status: ${JSON.stringify(response)}`);
 
+			// Offers that weren't answered in time can be resent without starting the flow over
+			if ('TIMED_OUT' === response.status) {
+				if (response.timed_out && response.timed_out.stage === 'connection')
+					connection_shown = false;
+				else if (response.timed_out && response.timed_out.stage === 'credential')
+					credential_shown = false;
+				await window.resendOffer('/api/credentials/resend', response.timed_out);
+				continue;
+			}
+
 
 			// Update the carousel to match the current status
 			if (ISSUANCE_STEPS.hasOwnProperty(response.status))
@@ -206,10 +213,6 @@ async function issue_credential (connection_method) {
 					}
 				}
 			}
-
-			await new Promise((resolve, reject) => {
-				setInterval(resolve, interval);
-			});
 		}
 
 	} catch (error) {
@@ -218,6 +221,9 @@ async function issue_credential (connection_method) {
 		console.error(message);
 		$('#errorMessage').html(message);
 	}
+
+	if (status_updates)
+		status_updates.close();
 }
 
 function populate_user_info () {
@@ -323,3 +329,35 @@ function populate_user_info () {
 		$('#personalInfoAlert').html(window.alertHTML(alertText));
 	});
 }
+
+/**
+ * Lists the credentials the user can be issued so that they can pick one.  The default credential is picked to begin with.
+ * @returns {Promise<void>} Resolves when the list has been populated.
+ */
+async function populate_eligible_credentials () {
+	const select = $('#credentialSelect');
+	try {
+		const response = await $.ajax({
+			url: '/api/credentials/eligible',
+			method: 'GET',
+			dataType: 'json'
+		});
+		console.log(`Eligible credentials: ${JSON.stringify(response.credentials)}`);
+
+		select.empty();
+		for (const index in response.credentials) {
+			const credential = response.credentials[index];
+			select.append($('<option></option>')
+				.val(credential.cred_def_id)
+				.text(`${credential.schema_name} ${credential.schema_version}`)
+				.prop('selected', credential.default));
+		}
+		if (response.credentials.length)
+			select.removeClass('d-none');
+		else
+			select.addClass('d-none');
+
+	} catch (error) {
+		console.error(`Failed to get eligible credentials: ${JSON.stringify(error)}`);
+	}
+}
@@ -0,0 +1,150 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const compression = require('compression');
+
+const ISSUANCE_MANAGER_ERRORS = require('../libs/credentials.js').ISSUANCE_MANAGER_ERRORS;
+const ISSUED_CREDENTIALS_ERRORS = require('../libs/issued_credentials.js').ISSUED_CREDENTIALS_ERRORS;
+const USERS_ERRORS = require('../libs/users.js').USERS_ERRORS;
+const AuditLog = require('../libs/audit_log.js');
+const AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
+const AUDIT_OUTCOMES = AuditLog.AUDIT_OUTCOMES;
+
+/**
+ * Creates an express router representing a REST API for looking up, revoking, and reissuing the credentials issued to
+ * users.
+ * @param {IssuanceManager} issuance_manager Revokes and reissues credentials on the agent.
+ * @param {IssuedCredentials} credential_records The records of the credentials issued to users.
+ * @param {AuditLog} audit_log Records the credentials that are revoked and reissued.
+ * @param {Middleware} middleware Authentication middleware used to protect API endpoints.
+ * @returns {object} An express router for the issued credentials API.
+ */
+exports.createRouter = function (issuance_manager, credential_records, audit_log, middleware) {
+
+	if (!issuance_manager || typeof issuance_manager.revoke_credential !== 'function')
+		throw new TypeError('Issued Credentials API was not given an IssuanceManager');
+	if (!credential_records || typeof credential_records.read_user_credentials !== 'function')
+		throw new TypeError('Issued Credentials API was not given an IssuedCredentials instance');
+	if (!audit_log || typeof audit_log.record_event !== 'function')
+		throw new TypeError('Issued Credentials API was not given an AuditLog');
+
+	const router = express.Router();
+	router.use(bodyParser.urlencoded({extended: true}));
+	router.use(bodyParser.json());
+	router.use(bodyParser.text());
+	router.use(compression());
+
+	/* GET the credentials issued to a user */
+	router.get('/users/:user_id/credentials', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const credentials = await credential_records.read_user_credentials(req.params.user_id);
+			res.json({message: `Got the credentials issued to ${req.params.user_id}`, credentials: credentials});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUED_CREDENTIALS_API_ERRORS.UNKNOWN_ISSUED_CREDENTIALS_API_ERROR;
+			return res.status(500).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* POST revoke a credential issued to a user */
+	router.post('/users/:user_id/credentials/:credential_id/revoke', [ middleware.is_admin ], async (req, res, next) => {
+		const reason = req.body ? req.body.reason : undefined;
+		if (reason !== undefined && typeof reason !== 'string')
+			return res.status(400).json({
+				error: ISSUED_CREDENTIALS_API_ERRORS.BAD_REQUEST,
+				reason: 'Revocation reason must be a string'
+			});
+
+		try {
+			// Make sure admins can't revoke a credential through the wrong user
+			const record = await credential_records.read_credential(req.params.credential_id);
+			if (record.user !== req.params.user_id)
+				return res.status(404).json({
+					error: ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_DOES_NOT_EXIST,
+					reason: `Credential ${req.params.credential_id} was not issued to ${req.params.user_id}`
+				});
+
+			const credential = await issuance_manager.revoke_credential(req.params.credential_id, reason);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CREDENTIAL_REVOKE,
+				target: req.params.credential_id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {user: req.params.user_id, revocation_reason: reason}
+			});
+			res.json({message: `Revoked credential ${credential._id}`, credential: credential});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUED_CREDENTIALS_API_ERRORS.UNKNOWN_ISSUED_CREDENTIALS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CREDENTIAL_REVOKE,
+				target: req.params.credential_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {user: req.params.user_id, error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if (error.code === ISSUED_CREDENTIALS_ERRORS.CREDENTIAL_DOES_NOT_EXIST)
+				status = 404;
+			else if (error.code === ISSUANCE_MANAGER_ERRORS.CREDENTIAL_ALREADY_REVOKED)
+				status = 409;
+			else if (error.code === ISSUANCE_MANAGER_ERRORS.CREDENTIAL_NOT_REVOCABLE || error.code === ISSUANCE_MANAGER_ERRORS.REVOCATION_DISABLED)
+				status = 400;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	/* POST offer updated versions of a user's out of date credentials */
+	router.post('/users/:user_id/reissue', [ middleware.is_admin ], async (req, res, next) => {
+		try {
+			const issuances = await issuance_manager.reissue_credentials(req.params.user_id);
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CREDENTIAL_REISSUE,
+				target: req.params.user_id,
+				outcome: AUDIT_OUTCOMES.SUCCESS,
+				details: {auto_offer: false, issuances: issuances}
+			});
+			res.status(201).json({message: `Started ${issuances.length} reissuances for ${req.params.user_id}`, issuances: issuances});
+
+		} catch (error) {
+			error.code = error.code ? error.code : ISSUED_CREDENTIALS_API_ERRORS.UNKNOWN_ISSUED_CREDENTIALS_API_ERROR;
+			await audit_log.record_event({
+				actor: req.session.user_id,
+				action: AUDIT_ACTIONS.CREDENTIAL_REISSUE,
+				target: req.params.user_id,
+				outcome: AUDIT_OUTCOMES.FAILURE,
+				details: {auto_offer: false, error: error.code, reason: error.message}
+			});
+			let status = 500;
+			if (error.code === USERS_ERRORS.USER_DOES_NOT_EXIST)
+				status = 404;
+			else if (error.code === ISSUANCE_MANAGER_ERRORS.REISSUE_NOT_NEEDED)
+				status = 409;
+			return res.status(status).json({error: error.code, reason: error.message});
+		}
+	});
+
+	return router;
+};
+
+const ISSUED_CREDENTIALS_API_ERRORS = {
+	UNKNOWN_ISSUED_CREDENTIALS_API_ERROR: 'UNKNOWN_ISSUED_CREDENTIALS_API_ERROR',
+	BAD_REQUEST: 'BAD_REQUEST'
+};
+exports.ISSUED_CREDENTIALS_API_ERRORS = ISSUED_CREDENTIALS_API_ERRORS;
@@ -18,111 +18,189 @@
 const Logger = require('../libs/logger.js').Logger;
 const logger = Logger.makeLogger(Logger.logPrefix(__filename));
 
+const Roles = require('../libs/roles.js');
+const USERS_ERRORS = require('../libs/users.js').USERS_ERRORS;
+
 /**
- * Captures all the middleware functions needed to secure the APIs for the app.
+ * Captures all the middleware functions needed to secure the APIs for the app.  Admins and other privileged users log in
+ * like everyone else, and what they can do is decided by the roles on their user records.
  */
 class Middleware {
 
 	/**
-	 * Creates a middleware provider with the given authentication credentials.
-	 * @param {string} admin_user The admin username.
-	 * @param {string} admin_password The admin password.
-	 * @param {string} realm The basic auth login realm.
+	 * Creates a middleware provider that checks requests against the roles of the logged in user.
+	 * @param {Users} users_instance The user records, which hold the roles of each user.
+	 * @param {boolean} [insecure_dev] True if every permission check should pass.  Only meant for local development.
 	 */
-	constructor (admin_user, admin_password, realm) {
-		this.admin_user = admin_user;
-		this.admin_password = admin_password;
-		this.realm = realm;
+	constructor (users_instance, insecure_dev) {
+		if (!users_instance || typeof users_instance.read_user !== 'function')
+			throw new TypeError('Middleware was not given a Users instance');
+
+		this.users_instance = users_instance;
+		this.insecure_dev = !!insecure_dev;
 
 		// Bind function contexts so the functions will have access to `this`
+		this.has_permission = this.has_permission.bind(this);
 		this.is_admin = this.is_admin.bind(this);
-		this.is_admin_or_user = this.is_admin_or_user.bind(this);
+		this.admin_authentication = this.admin_authentication.bind(this);
 	}
 
 	/**
-	 * Makes sure the request is from a user with administrator privileges.
+	 * Gets the roles of the user that is logged in to the session.  Roles are read from the user record on every request
+	 * so that role changes take effect right away.
 	 * @param {object} req An express request object.  Holds the session.
-	 * @param {object} res An express response object.
-	 * @param {function} next The next handler in the express chain.  Generally, it's the endpoint that requires user authentication.
-	 * @returns {void}
+	 * @returns {Promise<string[]|null>} A promise that resolves with the user's roles, or null if nobody is logged in.
 	 */
-	is_admin (req, res, next) {
-		logger.debug('Checking for admin privileges');
-
-		if (!this.admin_password || !this.admin_user) {
-			logger.warn('Admin username and password are not set.  Letting the user through');
-			next();
-			return;
+	async read_roles (req) {
+		if (!req || !req.session || !req.session.user_id || typeof req.session.user_id !== 'string')
+			return null;
+
+		try {
+			const user_doc = await this.users_instance.read_user(req.session.user_id);
+			return Roles.userRoles(user_doc);
+		} catch (error) {
+			// Sessions can outlive the user record they belong to
+			if (error.code === USERS_ERRORS.USER_DOES_NOT_EXIST)
+				return null;
+			throw error;
 		}
+	}
 
-		// parse login and password from headers
-		const b64auth = (req.headers.authorization || '').split(' ')[1] || '';
-		const [ login, password ] = new Buffer(b64auth, 'base64').toString().split(':');
+	/**
+	 * Creates middleware that makes sure the logged in user has a role that grants the given permission.
+	 * @param {string} permission A permission from Roles.PERMISSIONS.
+	 * @param {boolean} [allow_self] True if users can always act on their own record, meaning the `user_id` parameter of
+	 * the route matches the logged in user.
+	 * @returns {function} Express middleware that checks the permission.
+	 */
+	has_permission (permission, allow_self) {
+		if (Object.values(Roles.PERMISSIONS).indexOf(permission) < 0)
+			throw new TypeError(`Unknown permission ${permission}`);
 
-		// Verify login and password are set and correct
-		if (login && password && login === this.admin_user && password === this.admin_password) {
-			// Access granted...
-			logger.info('User has admin privileges');
-			next();
-			return;
-		}
+		return async (req, res, next) => {
+			logger.debug(`Checking for the ${permission} permission`);
+
+			if (this.insecure_dev) {
+				logger.warn(`INSECURE_DEV_MODE is on.  Skipping the check for the ${permission} permission`);
+				req.is_admin = true;
+				return next();
+			}
+
+			let roles;
+			try {
+				roles = await this.read_roles(req);
+			} catch (error) {
+				logger.error(`Failed to read the roles of ${req.session.user_id}: ${error}`);
+				return res.status(500).json({
+					error: error.code ? error.code : 'UNKNOWN_ERROR',
+					reason: `Failed to check permissions: ${error.message}`
+				});
+			}
+
+			if (!roles) {
+				logger.info('User is not logged in.');
+				return res.status(401).json({
+					error: 'NOT_AUTHORIZED',
+					reason: 'You must be logged in to use this API endpoint'
+				});
+			}
+
+			if (Roles.hasPermission(roles, permission)) {
+				logger.info(`User ${req.session.user_id} has the ${permission} permission`);
+				req.is_admin = roles.indexOf(Roles.ROLES.ADMIN) >= 0;
+				return next();
+			}
 
-		logger.info('User does not have admin privileges');
-		res.setHeader('WWW-Authenticate', `Basic realm="${this.realm}"`);
-		res.status(401).json({
-			error: 'NOT_AUTHORIZED',
-			reason: 'You do not have admin access'
-		});
+			if (allow_self && req.params.user_id === req.session.user_id) {
+				logger.info(`User ${req.session.user_id} is acting on their own record`);
+				return next();
+			}
+
+			logger.info(`User ${req.session.user_id} does not have the ${permission} permission`);
+			res.status(403).json({
+				error: 'FORBIDDEN',
+				reason: `You do not have the ${permission} permission`
+			});
+		};
 	}
 
 	/**
-	 * Makes sure the user is an admin or a logged in user.  Useful for API endpoints that should be usable by both
-	 * parties.  Attaches an `is_admin` property to the request to help endpoints using the middleware distinguish
-	 * between requests from admins and requests from logged in users.
+	 * Makes sure the request is from a logged in user with the admin role.
 	 * @param {object} req An express request object.  Holds the session.
 	 * @param {object} res An express response object.
 	 * @param {function} next The next handler in the express chain.  Generally, it's the endpoint that requires user authentication.
-	 * @returns {void}
+	 * @returns {Promise<void>} A promise that resolves when the request has been passed on or rejected.
 	 */
-	is_admin_or_user (req, res, next) {
-		logger.debug('Making sure the user is an admin or a user');
-
-		if (!this.admin_password || !this.admin_user) {
+	async is_admin (req, res, next) {
+		logger.debug('Checking for admin privileges');
 
-			logger.warn('Admin username and password are not set.  Letting the user through');
+		if (this.insecure_dev) {
+			logger.warn('INSECURE_DEV_MODE is on.  Letting the user through as an admin');
 			req.is_admin = true;
-			next();
-			return;
-
-		} else {
-
-			// parse login and password from headers
-			const b64auth = (req.headers.authorization || '').split(' ')[1] || '';
-			const [ login, password ] = new Buffer(b64auth, 'base64').toString().split(':');
+			return next();
+		}
 
-			// Verify login and password are set and correct
-			if (login && password && login === this.admin_user && password === this.admin_password) {
-				// Access granted...
-				logger.info('User has admin privileges');
-				req.is_admin = true;
-				next();
-				return;
-			} else {
-				logger.info('User is not an admin');
-			}
+		let roles;
+		try {
+			roles = await this.read_roles(req);
+		} catch (error) {
+			logger.error(`Failed to read the roles of ${req.session.user_id}: ${error}`);
+			return res.status(500).json({
+				error: error.code ? error.code : 'UNKNOWN_ERROR',
+				reason: `Failed to check permissions: ${error.message}`
+			});
 		}
 
-		logger.debug(`User session: ${JSON.stringify(req.session)}`);
-		if (req && req.session && req.session.user_id && typeof req.session.user_id === 'string') {
-			logger.info(`User ${req.session.user_id} is logged in`);
-			next();
-		} else {
+		if (!roles) {
 			logger.info('User is not logged in.');
-			res.status(401).json({
+			return res.status(401).json({
 				error: 'NOT_AUTHORIZED',
 				reason: 'You must be logged in to use this API endpoint'
 			});
 		}
+
+		if (roles.indexOf(Roles.ROLES.ADMIN) < 0) {
+			logger.info(`User ${req.session.user_id} does not have admin privileges`);
+			return res.status(403).json({
+				error: 'FORBIDDEN',
+				reason: 'You do not have admin access'
+			});
+		}
+
+		logger.info(`User ${req.session.user_id} has admin privileges`);
+		req.is_admin = true;
+		next();
+	}
+
+	/**
+	 * Redirects a user to the login page unless they are logged in with the admin role.  Meant for admin UI pages.
+	 * @param {object} req An express request object.  Holds the session.
+	 * @param {object} res An express response object.  Used to redirect users that aren't logged in.
+	 * @param {function} next The next handler in the express chain.  Generally, it's the page that requires admin access.
+	 * @returns {Promise<void>} A promise that resolves when the request has been passed on or rejected.
+	 */
+	async admin_authentication (req, res, next) {
+		if (this.insecure_dev) {
+			logger.warn('INSECURE_DEV_MODE is on.  Showing the admin page without checking the user');
+			return next();
+		}
+
+		let roles;
+		try {
+			roles = await this.read_roles(req);
+		} catch (error) {
+			return next(error);
+		}
+
+		if (!roles) {
+			logger.info('User is not logged in. Redirecting to /login');
+			return res.redirect('/login');
+		}
+		if (roles.indexOf(Roles.ROLES.ADMIN) < 0) {
+			logger.info(`User ${req.session.user_id} does not have admin privileges`);
+			return res.status(403).send({error: 'FORBIDDEN', reason: 'You do not have admin access'});
+		}
+		next();
 	}
 
 	/**
@@ -0,0 +1,216 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks that cancelling a batch issuance job really stops its issuances, so that no credential is offered after the
+ * job was cancelled.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const IssuanceManager = require('../libs/credentials.js').IssuanceManager;
+const BatchIssuanceManager = require('../libs/batch_issuance.js').BatchIssuanceManager;
+const JOB_STATES = require('../libs/issuance_jobs.js').JOB_STATES;
+const JOB_USER_STATES = require('../libs/issuance_jobs.js').JOB_USER_STATES;
+const AttributeMapper = require('../libs/attribute_mapper.js').AttributeMapper;
+
+/**
+ * How many milliseconds the fake user takes to accept a connection offer.
+ * @type {number}
+ */
+const CONNECTION_DELAY = 200;
+
+/**
+ * Waits for a while.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the wait.
+ */
+function sleep (ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until a check passes.
+ * @param {function(): boolean} check The check.
+ * @param {string} description What is being waited for, for the error if the check never passes.
+ * @returns {Promise<void>} A promise that resolves when the check passes.
+ */
+async function waitFor (check, description) {
+	for (let i = 0; i < 100; i++) {
+		if (check())
+			return;
+		await sleep(10);
+	}
+	throw new Error(`Gave up waiting for ${description}`);
+}
+
+/**
+ * Builds a batch issuance manager whose agent, databases, and user are all fakes.  The user accepts connection offers
+ * after a short delay and would accept any credential offer.
+ * @param {Promise<void>} [created] Holds up the first save of every issuance until it resolves.
+ * @returns {object} The managers, the agent, and the flow records.
+ */
+function setup (created) {
+	const agent = {
+		user: 'issuer',
+		offers: [],
+		connections: {},
+		getCredentialDefinitions: async () => [ {id: 'cred_def', schema_id: 'schema', schema_version: '1.0'} ],
+		getCredentialSchema: async (id) => ({id: id, name: 'schema', version: '1.0', attr_names: [ 'name' ]}),
+		getConnections: async () => [],
+		createConnection: async () => {
+			const connection = {id: `connection${Object.keys(agent.connections).length}`, remote: {pairwise: {did: 'did'}}};
+			agent.connections[connection.id] = connection;
+			return connection;
+		},
+		waitForConnection: async (id) => {
+			await sleep(CONNECTION_DELAY);
+			return agent.connections[id];
+		},
+		deleteConnection: async (id) => {
+			delete agent.connections[id];
+		},
+		offerCredential: async (to, cred_def_id, attributes) => {
+			const offer = {id: `offer${agent.offers.length}`, state: 'issued', credential_definition_id: cred_def_id, attributes: attributes};
+			agent.offers.push(offer);
+			return offer;
+		},
+		waitForCredential: async (id) => agent.offers.find((offer) => offer.id === id),
+		deleteCredential: async () => {}
+	};
+
+	const flow_records = {
+		flows: {},
+		save_flow: async (doc) => {
+			if (doc.status === 'CREATED' && created)
+				await created;
+			flow_records.flows[doc._id] = doc;
+		},
+		delete_flow: async (id) => {
+			delete flow_records.flows[id];
+		},
+		watch_stop_request: () => () => {}
+	};
+
+	const user_records = {
+		read_user: async (user) => ({_id: user, personal_info: {name: user}, opts: {agent_name: 'holder'}}),
+		list_users: async () => ({users: []}),
+		link_connection: async () => {}
+	};
+
+	const credential_records = {
+		credentials: {},
+		record_credential: async (record) => {
+			credential_records.credentials[record._id] = record;
+		},
+		read_credential: async (id) => credential_records.credentials[id],
+		read_user_credentials: async () => []
+	};
+
+	const job_records = {
+		save_job: async (doc) => ({created: Date.now(), doc: doc}),
+		read_job: async (id) => {
+			throw new Error(`Job ${id} should not be read from the database`);
+		}
+	};
+
+	const settings = {attribute_mappings: {}, deprecated_schemas: {}, reissuance: {}};
+	const issuance_manager = new IssuanceManager(agent, user_records, flow_records, credential_records,
+		{read_settings: async () => settings}, new AttributeMapper(),
+		{createCardFront: async () => null}, {getImage: async () => null});
+	const batch_manager = new BatchIssuanceManager(issuance_manager, user_records, job_records, 0);
+
+	return {agent: agent, flow_records: flow_records, issuance_manager: issuance_manager, batch_manager: batch_manager};
+}
+
+/**
+ * Cancels a job while its issuance is waiting on the user to accept a connection.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function cancelWhileConnecting () {
+	const test = setup();
+	const job = await test.batch_manager.create_job({users: [ 'alice' ]});
+	await waitFor(() => {
+		return Object.keys(test.agent.connections).length > 0;
+	}, 'the connection offer');
+
+	const cancelled = await test.batch_manager.cancel_job(job._id);
+	await sleep(CONNECTION_DELAY * 2);
+
+	assert.strictEqual(cancelled.status, JOB_STATES.CANCELLED);
+	assert.strictEqual(cancelled.users[0].status, JOB_USER_STATES.CANCELLED);
+	assert.deepStrictEqual(test.agent.offers, [], 'A credential was offered after the job was cancelled');
+	assert.deepStrictEqual(test.agent.connections, {}, 'The connection offer was not cleaned up');
+	assert.deepStrictEqual(test.flow_records.flows, {}, 'The issuance record was saved after it was deleted');
+}
+
+/**
+ * Cancels a job while its issuance is still being created, before cancel_job can know about the issuance.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function cancelWhileCreating () {
+	let create;
+	const test = setup(new Promise((resolve) => {
+		create = resolve;
+	}));
+	const job = await test.batch_manager.create_job({users: [ 'bob' ]});
+	await waitFor(() => {
+		return test.batch_manager.jobs[job._id].doc.users[0].status === JOB_USER_STATES.RUNNING;
+	}, 'the issuance to be created');
+
+	const cancelled = await test.batch_manager.cancel_job(job._id);
+	create();
+	await sleep(CONNECTION_DELAY * 2);
+
+	assert.strictEqual(cancelled.users[0].status, JOB_USER_STATES.CANCELLED);
+	assert.deepStrictEqual(test.agent.offers, [], 'A credential was offered after the job was cancelled');
+	assert.deepStrictEqual(test.agent.connections, {}, 'A connection was offered after the job was cancelled');
+	assert.deepStrictEqual(test.flow_records.flows, {}, 'The issuance record was saved after it was deleted');
+}
+
+/**
+ * Checks that the fakes can issue a credential at all, so the other tests aren't passing because nothing works.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function issueWithoutCancelling () {
+	const test = setup();
+	const job = await test.batch_manager.create_job({users: [ 'carol' ]});
+	await waitFor(() => {
+		return !test.batch_manager.jobs[job._id];
+	}, 'the job to finish');
+
+	assert.strictEqual(test.agent.offers.length, 1);
+}
+
+const tests = [ issueWithoutCancelling, cancelWhileConnecting, cancelWhileCreating ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
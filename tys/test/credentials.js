@@ -0,0 +1,203 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks that issued credentials are only revoked when revocation is turned on, and only marked revoked once the agent
+ * has revoked them.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const IssuanceManager = require('../libs/credentials.js').IssuanceManager;
+const ISSUANCE_MANAGER_ERRORS = require('../libs/credentials.js').ISSUANCE_MANAGER_ERRORS;
+const ISSUED_CREDENTIAL_STATES = require('../libs/issued_credentials.js').ISSUED_CREDENTIAL_STATES;
+const PREVIOUS_CREDENTIAL_ACTIONS = require('../libs/issuance_settings.js').PREVIOUS_CREDENTIAL_ACTIONS;
+const AttributeMapper = require('../libs/attribute_mapper.js').AttributeMapper;
+
+/**
+ * Builds an issuance manager whose agent and databases are fakes.  The agent revokes credentials by answering with
+ * the given state.
+ * @param {boolean} revocation Whether revocation is turned on.
+ * @param {object[]} credentials The records of the credentials issued to users.
+ * @param {string} [agent_state] The state the agent answers with when a credential is revoked.  Defaults to `revoked`.
+ * @returns {object} The manager, the agent, and the credential records.
+ */
+function setup (revocation, credentials, agent_state) {
+	const agent = {
+		updates: [],
+		offerCredential: async () => {
+			throw new Error('No credentials should be offered');
+		},
+		updateCredential: async (id, state) => {
+			agent.updates.push({id: id, state: state});
+			if (agent_state === null)
+				throw new Error('The agent is down');
+			return {id: id, state: agent_state !== undefined ? agent_state : state};
+		}
+	};
+
+	const credential_records = {
+		credentials: {},
+		record_credential: async () => {},
+		read_credential: async (id) => credential_records.credentials[id],
+		read_user_credentials: async (user) => Object.values(credential_records.credentials).filter((record) => {
+			return record.user === user;
+		}),
+		revoke_credential: async (id, reason) => {
+			Object.assign(credential_records.credentials[id], {state: ISSUED_CREDENTIAL_STATES.REVOKED, revocation_reason: reason});
+			return credential_records.credentials[id];
+		},
+		supersede_credential: async (id, superseded_by) => {
+			const record = credential_records.credentials[id];
+			if (record.state === ISSUED_CREDENTIAL_STATES.ISSUED)
+				record.state = ISSUED_CREDENTIAL_STATES.SUPERSEDED;
+			record.superseded_by = superseded_by;
+			return record;
+		}
+	};
+	for (const record of credentials)
+		credential_records.credentials[record._id] = record;
+
+	const settings = {attribute_mappings: {}, deprecated_schemas: {}, reissuance: {previous_credential: PREVIOUS_CREDENTIAL_ACTIONS.REVOKE}};
+	const manager = new IssuanceManager(agent, {read_user: async (user) => ({_id: user})}, {save_flow: async () => {}},
+		credential_records, {read_settings: async () => settings}, new AttributeMapper(),
+		{createCardFront: async () => null}, {getImage: async () => null}, undefined, undefined, revocation);
+
+	return {manager: manager, agent: agent, credential_records: credential_records};
+}
+
+/**
+ * Builds the record of an issued credential.
+ * @param {string} id The ID of the credential.
+ * @param {object} [fields] The rest of the record.
+ * @returns {object} The record.
+ */
+function credential (id, fields) {
+	return Object.assign({_id: id, user: 'alice', cred_def_id: 'cred_def', revocable: true, state: ISSUED_CREDENTIAL_STATES.ISSUED}, fields);
+}
+
+/**
+ * A revocable credential is revoked on the agent, then marked revoked with the reason.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revoke () {
+	const test = setup(true, [ credential('c1') ]);
+
+	const record = await test.manager.revoke_credential('c1', 'Left the company');
+	assert.strictEqual(record.state, ISSUED_CREDENTIAL_STATES.REVOKED);
+	assert.strictEqual(record.revocation_reason, 'Left the company');
+	assert.deepStrictEqual(test.agent.updates, [ {id: 'c1', state: ISSUED_CREDENTIAL_STATES.REVOKED} ]);
+}
+
+/**
+ * Nothing is revoked while revocation is turned off, not even when a credential is replaced.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revocationDisabled () {
+	const test = setup(false, [ credential('c1'), credential('c2') ]);
+
+	await assert.rejects(test.manager.revoke_credential('c1'), (error) => {
+		return error.code === ISSUANCE_MANAGER_ERRORS.REVOCATION_DISABLED;
+	});
+	await test.manager.replace_previous_credentials('alice', 'c2');
+	assert.strictEqual(test.credential_records.credentials.c1.state, ISSUED_CREDENTIAL_STATES.SUPERSEDED);
+	assert.deepStrictEqual(test.agent.updates, []);
+
+	assert.throws(() => {
+		setup('true', []);
+	}, TypeError);
+}
+
+/**
+ * Credentials that are already revoked, or whose credential definition doesn't support revocation, are refused
+ * without calling the agent.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revokeRefused () {
+	const test = setup(true, [
+		credential('revoked', {state: ISSUED_CREDENTIAL_STATES.REVOKED}),
+		credential('fixed', {revocable: false})
+	]);
+
+	await assert.rejects(test.manager.revoke_credential('revoked'), (error) => {
+		return error.code === ISSUANCE_MANAGER_ERRORS.CREDENTIAL_ALREADY_REVOKED;
+	});
+	await assert.rejects(test.manager.revoke_credential('fixed'), (error) => {
+		return error.code === ISSUANCE_MANAGER_ERRORS.CREDENTIAL_NOT_REVOCABLE;
+	});
+	await assert.rejects(test.manager.revoke_credential(''), TypeError);
+	assert.deepStrictEqual(test.agent.updates, []);
+}
+
+/**
+ * A credential stays issued if the agent fails to revoke it, or answers without having revoked it.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revokeFailed () {
+	for (const agent_state of [ null, ISSUED_CREDENTIAL_STATES.ISSUED ]) {
+		const test = setup(true, [ credential('c1') ], agent_state);
+
+		await assert.rejects(test.manager.revoke_credential('c1'), (error) => {
+			return error.code === ISSUANCE_MANAGER_ERRORS.CREDENTIAL_REVOCATION_FAILED;
+		}, `Revoked a credential the agent answered with ${agent_state}`);
+		assert.strictEqual(test.credential_records.credentials.c1.state, ISSUED_CREDENTIAL_STATES.ISSUED);
+	}
+}
+
+/**
+ * Replaced credentials are revoked when the reissuance settings say so, unless they can't be.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revokeReplaced () {
+	const test = setup(true, [
+		credential('old'),
+		credential('fixed', {revocable: false}),
+		credential('other', {cred_def_id: 'other_cred_def'}),
+		credential('new')
+	]);
+
+	await test.manager.replace_previous_credentials('alice', 'new');
+	const states = {};
+	for (const id in test.credential_records.credentials)
+		states[id] = test.credential_records.credentials[id].state;
+	assert.deepStrictEqual(states, {
+		old: ISSUED_CREDENTIAL_STATES.REVOKED,
+		fixed: ISSUED_CREDENTIAL_STATES.SUPERSEDED,
+		other: ISSUED_CREDENTIAL_STATES.ISSUED,
+		new: ISSUED_CREDENTIAL_STATES.ISSUED
+	});
+	assert.deepStrictEqual(test.agent.updates, [ {id: 'old', state: ISSUED_CREDENTIAL_STATES.REVOKED} ]);
+}
+
+const tests = [ revoke, revocationDisabled, revokeRefused, revokeFailed, revokeReplaced ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
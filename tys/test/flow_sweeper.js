@@ -0,0 +1,199 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks that the flow sweeper cleans up after stale flows, and leaves flows running in other instances of the app to
+ * those instances until they are gone.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const FlowSweeper = require('../libs/flow_sweeper.js').FlowSweeper;
+const FLOW_STATES = require('../libs/flows.js').FLOW_STATES;
+const OFFER_STAGES = require('../libs/offer_policy.js').OFFER_STAGES;
+
+const SWEEP_INTERVAL = 60;
+
+/**
+ * Builds a sweeper whose agent and flow records are fakes.  The sweeper runs in instance `here`, and the issuance
+ * manager can only stop the flows it is given.
+ * @param {object[]} flows The flow records.
+ * @param {string[]} [running] The IDs of the flows running in this instance.
+ * @returns {object} The sweeper, the agent, the flow records, and the manager.
+ */
+function setup (flows, running) {
+	const agent = {
+		deleted: [],
+		deleteConnection: async (id) => {
+			agent.deleted.push(`connection ${id}`);
+		},
+		deleteVerification: async (id) => {
+			agent.deleted.push(`verification ${id}`);
+		},
+		deleteCredential: async (id) => {
+			throw new Error(`Credential ${id} was already deleted`);
+		}
+	};
+
+	const flow_records = {
+		owner: 'here',
+		flows: {},
+		stop_requests: [],
+		read_flows_by_status: async () => Object.values(flow_records.flows),
+		request_stop: async (id) => {
+			flow_records.stop_requests.push(id);
+		},
+		delete_flow: async (id) => {
+			delete flow_records.flows[id];
+		}
+	};
+	for (const flow of flows)
+		flow_records.flows[flow._id] = flow;
+
+	const manager = {
+		stopped: [],
+		stop_flow: async (id) => {
+			if (!running || running.indexOf(id) < 0)
+				return false;
+			manager.stopped.push(id);
+			return true;
+		}
+	};
+
+	const sweeper = new FlowSweeper(agent, flow_records, {ESTABLISHING_CONNECTION: 600}, SWEEP_INTERVAL);
+	sweeper.addManager('issuance', manager);
+	return {sweeper: sweeper, agent: agent, flow_records: flow_records, manager: manager};
+}
+
+/**
+ * Builds a flow record.
+ * @param {string} id The ID of the flow.
+ * @param {string} status The state of the flow.
+ * @param {object} [fields] The rest of the record.
+ * @returns {object} The flow record.
+ */
+function flow (id, status, fields) {
+	return Object.assign({_id: id, flow_type: 'issuance', status: status, owner: 'here', updated: 0}, fields);
+}
+
+/**
+ * Finished flows are forgotten without touching the agent or any manager.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function reapFinished () {
+	const test = setup([ flow('done', FLOW_STATES.FINISHED, {owner: 'elsewhere', connection_offer: {id: 'c1'}}) ]);
+
+	assert.strictEqual(await test.sweeper.reap(test.flow_records.flows.done), true);
+	assert.deepStrictEqual(test.flow_records.flows, {});
+	assert.deepStrictEqual(test.agent.deleted, []);
+	assert.deepStrictEqual(test.manager.stopped, []);
+	assert.deepStrictEqual(test.flow_records.stop_requests, []);
+	assert.deepStrictEqual(test.sweeper.getStats().reaped, {issuance: {FINISHED: 1}});
+}
+
+/**
+ * Stuck flows running here are stopped, and the offer they were waiting on is deleted.  Failing to delete an offer
+ * doesn't keep the record around.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function reapStuck () {
+	const test = setup([
+		flow('connecting', FLOW_STATES.ESTABLISHING_CONNECTION, {connection_offer: {id: 'c1'}}),
+		flow('proving', FLOW_STATES.TIMED_OUT, {verification: {id: 'v1'}, timed_out: {stage: OFFER_STAGES.PROOF}}),
+		flow('issuing', FLOW_STATES.ISSUING_CREDENTIAL, {connection_offer: {id: 'c2'}, credential: {id: 'o1'}})
+	], [ 'connecting', 'proving', 'issuing' ]);
+
+	for (const id of [ 'connecting', 'proving', 'issuing' ])
+		assert.strictEqual(await test.sweeper.reap(test.flow_records.flows[id]), true);
+
+	assert.deepStrictEqual(test.manager.stopped, [ 'connecting', 'proving', 'issuing' ]);
+	assert.deepStrictEqual(test.agent.deleted, [ 'connection c1', 'verification v1' ]);
+	assert.deepStrictEqual(test.flow_records.flows, {});
+	assert.strictEqual(test.sweeper.getStats().total_reaped, 3);
+}
+
+/**
+ * A stuck flow owned by another instance is only asked to stop.  The sweeper reaps it itself once a sweep interval
+ * has gone by without the owner doing so.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function reapElsewhere () {
+	const record = flow('remote', FLOW_STATES.ESTABLISHING_CONNECTION, {owner: 'elsewhere', connection_offer: {id: 'c1'}});
+	const test = setup([ record ]);
+
+	assert.strictEqual(await test.sweeper.reap(record), false);
+	assert.deepStrictEqual(test.flow_records.stop_requests, [ 'remote' ]);
+	assert.ok(test.flow_records.flows.remote, 'The record was deleted while its owner was asked to stop');
+
+	record.stop_requested = {by: 'here', at: Date.now() - 1000};
+	assert.strictEqual(await test.sweeper.reap(record), false);
+	assert.deepStrictEqual(test.flow_records.stop_requests, [ 'remote' ], 'The owner was asked to stop twice');
+	assert.deepStrictEqual(test.agent.deleted, []);
+
+	record.stop_requested.at = Date.now() - SWEEP_INTERVAL * 1000 - 1;
+	assert.strictEqual(await test.sweeper.reap(record), true);
+	assert.deepStrictEqual(test.agent.deleted, [ 'connection c1' ]);
+	assert.deepStrictEqual(test.flow_records.flows, {});
+}
+
+/**
+ * A stuck flow that claims to be owned here but isn't running, like one from before a restart, is reaped right away.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function reapOrphan () {
+	const test = setup([ flow('orphan', FLOW_STATES.CHECKING_CREDENTIAL, {verification: {id: 'v1'}}) ]);
+
+	assert.strictEqual(await test.sweeper.reap(test.flow_records.flows.orphan), true);
+	assert.deepStrictEqual(test.flow_records.stop_requests, []);
+	assert.deepStrictEqual(test.agent.deleted, [ 'verification v1' ]);
+}
+
+/**
+ * A sweep only reaps the flows that have been in their state for longer than its TTL.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function sweepStale () {
+	const now = Date.now();
+	const test = setup([
+		flow('fresh', FLOW_STATES.ESTABLISHING_CONNECTION, {updated: now - 599 * 1000}),
+		flow('stale', FLOW_STATES.ESTABLISHING_CONNECTION, {updated: now - 601 * 1000}),
+		flow('finished', FLOW_STATES.FINISHED, {updated: now - 3601 * 1000})
+	]);
+
+	assert.strictEqual(await test.sweeper.sweep(), 2);
+	assert.deepStrictEqual(Object.keys(test.flow_records.flows), [ 'fresh' ]);
+	assert.strictEqual(test.sweeper.getStats().sweeps, 1);
+}
+
+const tests = [ reapFinished, reapStuck, reapElsewhere, reapOrphan, sweepStale ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,194 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks the proof checks that login and signup flows run on the verifications they get back from users, and how
+ * revocable credential definitions are published.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const Helpers = require('../libs/helpers.js');
+const PROOF_HELPER_ERRORS = Helpers.PROOF_HELPER_ERRORS;
+
+/**
+ * Builds a verification that came back for a proof request.
+ * @param {object} [proof_request] The proof request the agent returns with the verification.
+ * @returns {object} The verification.
+ */
+function verification (proof_request) {
+	return {id: 'verification', proof_request: proof_request};
+}
+
+/**
+ * A proof that answers the proof request it was asked for in time passes.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function freshProof () {
+	const nonce = Helpers.generateNonce();
+	Helpers.checkFreshness(verification({nonce: nonce}), {nonce: nonce, requested_at: Date.now() - 1000}, 5);
+	Helpers.checkFreshness(verification({nonce: nonce}), {nonce: nonce}, 5);
+}
+
+/**
+ * A proof can't be checked without the nonce that was sent, since that would let any proof through.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function freshnessNeedsNonce () {
+	const proof = verification({nonce: Helpers.generateNonce()});
+	for (const opts of [ undefined, null, {}, {nonce: ''}, {nonce: 12}, {requested_at: Date.now()} ]) {
+		assert.throws(() => {
+			Helpers.checkFreshness(proof, opts, 5);
+		}, TypeError, `Checked a proof with ${JSON.stringify(opts)}`);
+	}
+}
+
+/**
+ * A proof for another proof request, or one that doesn't say which proof request it answers, is refused.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function replayedProof () {
+	const nonce = Helpers.generateNonce();
+	for (const proof of [ verification({nonce: Helpers.generateNonce()}), verification({}), verification() ]) {
+		assert.throws(() => {
+			Helpers.checkFreshness(proof, {nonce: nonce, requested_at: Date.now()}, 5);
+		}, (error) => error.code === PROOF_HELPER_ERRORS.PROOF_NONCE_MISMATCH);
+	}
+}
+
+/**
+ * A proof that took longer than the max age to arrive is refused.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function expiredProof () {
+	const nonce = Helpers.generateNonce();
+	assert.throws(() => {
+		Helpers.checkFreshness(verification({nonce: nonce}), {nonce: nonce, requested_at: Date.now() - 6000}, 5);
+	}, (error) => error.code === PROOF_HELPER_ERRORS.PROOF_EXPIRED);
+}
+
+const TRUST_VALUE = {name: 'trust_value', p_type: '>=', p_value: 3};
+
+/**
+ * A verification passes when every predicate that was asked for is still in its proof request.  Agents can hand the
+ * predicate values back as strings.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function predicatesProven () {
+	const answered = {
+		trust_value: {name: 'trust_value', p_type: '>=', p_value: '3', restrictions: [ {cred_def_id: 'cred_def'} ]},
+		extra: {name: 'member_since', p_type: '>=', p_value: 2019}
+	};
+	Helpers.checkPredicates(verification({requested_predicates: answered}), {trust_value: TRUST_VALUE});
+	Helpers.checkPredicates(verification(), {});
+	Helpers.checkPredicates(verification(), undefined);
+}
+
+/**
+ * A verification is refused if a predicate that was asked for is missing or was changed.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function predicatesNotProven () {
+	const answers = [
+		{},
+		{trust_value: {name: 'trust_value', p_type: '>=', p_value: 2}},
+		{trust_value: {name: 'trust_value', p_type: '<=', p_value: 3}},
+		{trust_value: {name: 'member_since', p_type: '>=', p_value: 3}},
+		{other: TRUST_VALUE}
+	];
+	for (const answered of answers) {
+		assert.throws(() => {
+			Helpers.checkPredicates(verification({requested_predicates: answered}), {trust_value: TRUST_VALUE});
+		}, /Predicate trust_value >= 3 was not proven/, `Accepted ${JSON.stringify(answered)}`);
+	}
+	assert.throws(() => {
+		Helpers.checkPredicates(verification(), {trust_value: TRUST_VALUE});
+	}, /was not proven/);
+}
+
+/**
+ * The proven predicates are described by referent, so that they can be stored without the values they hide.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function describeProvenPredicates () {
+	assert.deepStrictEqual(Helpers.provenPredicates(verification({requested_predicates: {trust_value_proven: TRUST_VALUE}})), {
+		trust_value_proven: 'trust_value >= 3'
+	});
+	assert.deepStrictEqual(Helpers.provenPredicates(verification({})), {});
+	assert.deepStrictEqual(Helpers.provenPredicates(verification()), {});
+}
+
+/**
+ * Attributes from revocable credentials have to come with a non-revocation proof, which the agent marks with a
+ * timestamp.  Attributes from credentials that can't be revoked, and self attested ones, pass without one.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function notRevoked () {
+	const attribute = {name: 'email', value: 'alice@example.com', cred_def_id: 'cred_def', rev_reg_id: 'rev_reg'};
+	Helpers.checkNotRevoked(Object.assign({timestamp: 1567000000}, attribute));
+	Helpers.checkNotRevoked({name: 'email', value: 'alice@example.com', cred_def_id: 'cred_def'});
+	Helpers.checkNotRevoked({name: 'email', value: 'alice@example.com'});
+
+	assert.throws(() => {
+		Helpers.checkNotRevoked(attribute);
+	}, /email was not proven/);
+}
+
+/**
+ * Revocable credential definitions have to come back from the agent with a revocation key, since asking for one isn't
+ * part of the SDK's API.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function revocableCredentialDefinition () {
+	const agent = {
+		revocation: {},
+		requests: [],
+		createCredentialDefinition: async (schema_id) => ({id: 'fixed', schema_id: schema_id, data: {value: {}}}),
+		request: async (path, opts) => {
+			agent.requests.push({path: path, body: JSON.parse(opts.body)});
+			return {id: 'revocable', data: {value: {revocation: agent.revocation}}};
+		}
+	};
+
+	assert.strictEqual((await Helpers.createCredentialDefinition(agent, 'schema', false)).id, 'fixed');
+	assert.deepStrictEqual(agent.requests, []);
+	assert.strictEqual((await Helpers.createCredentialDefinition(agent, 'schema', true)).id, 'revocable');
+	assert.deepStrictEqual(agent.requests, [ {path: 'credential_definitions', body: {schema_id: 'schema', revocable: true}} ]);
+
+	agent.revocation = undefined;
+	await assert.rejects(Helpers.createCredentialDefinition(agent, 'schema', true), /without revocation support/);
+}
+
+const tests = [ freshProof, freshnessNeedsNonce, replayedProof, expiredProof, predicatesProven, predicatesNotProven,
+	describeProvenPredicates, notRevoked, revocableCredentialDefinition ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,173 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks that the API permission checks let users through based on the roles on their user records.  Run with
+ * `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const Middleware = require('../routes/middleware.js').Middleware;
+const ROLES = require('../libs/roles.js').ROLES;
+const PERMISSIONS = require('../libs/roles.js').PERMISSIONS;
+const USERS_ERRORS = require('../libs/users.js').USERS_ERRORS;
+
+/**
+ * A fake Users instance.  `broken` fails to be read, and users that aren't listed don't exist.
+ * @type {object}
+ */
+const users = {
+	docs: {
+		admin: {_id: 'admin', roles: [ ROLES.ADMIN ]},
+		auditor: {_id: 'auditor', roles: [ ROLES.AUDITOR ]},
+		member: {_id: 'member', roles: [ ROLES.MEMBER ]},
+		legacy: {_id: 'legacy'}
+	},
+	read_user: async (username) => {
+		if (username === 'broken')
+			throw new Error('The database is down');
+		if (!users.docs[username]) {
+			const error = new Error(`User ${username} does not exist`);
+			error.code = USERS_ERRORS.USER_DOES_NOT_EXIST;
+			throw error;
+		}
+		return users.docs[username];
+	}
+};
+
+/**
+ * Runs a permission check on a request.
+ * @param {function} check The middleware from has_permission().
+ * @param {string} [user_id] The user logged in to the session.
+ * @param {object} [params] The route parameters.
+ * @returns {Promise<object>} A promise that resolves with the request, whether the check passed, and the status and
+ * body of the response if it didn't.
+ */
+async function run (check, user_id, params) {
+	const result = {req: {session: user_id ? {user_id: user_id} : {}, params: params ? params : {}}, passed: false};
+	const res = {
+		status: (status) => {
+			result.status = status;
+			return res;
+		},
+		json: (body) => {
+			result.body = body;
+			return res;
+		}
+	};
+	await check(result.req, res, () => {
+		result.passed = true;
+	});
+	return result;
+}
+
+/**
+ * Users get through when one of their roles grants the permission, and only admins are flagged as admins.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function permissionGranted () {
+	const middleware = new Middleware(users);
+	const check = middleware.has_permission(PERMISSIONS.USERS_READ);
+
+	const admin = await run(check, 'admin');
+	assert.strictEqual(admin.passed, true);
+	assert.strictEqual(admin.req.is_admin, true);
+
+	const auditor = await run(check, 'auditor');
+	assert.strictEqual(auditor.passed, true);
+	assert.strictEqual(auditor.req.is_admin, false);
+
+	// Users from before roles existed are members
+	assert.strictEqual((await run(middleware.has_permission(PERMISSIONS.CREDENTIALS_REQUEST), 'legacy')).passed, true);
+}
+
+/**
+ * Users whose roles don't grant the permission are turned away, unless the route allows them to act on themselves.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function permissionDenied () {
+	const middleware = new Middleware(users);
+
+	const member = await run(middleware.has_permission(PERMISSIONS.USERS_WRITE), 'member', {user_id: 'member'});
+	assert.strictEqual(member.passed, false);
+	assert.strictEqual(member.status, 403);
+	assert.strictEqual(member.body.error, 'FORBIDDEN');
+
+	const self = await run(middleware.has_permission(PERMISSIONS.USERS_WRITE, true), 'member', {user_id: 'member'});
+	assert.strictEqual(self.passed, true);
+	assert.strictEqual(self.req.is_admin, undefined);
+
+	const other = await run(middleware.has_permission(PERMISSIONS.USERS_WRITE, true), 'member', {user_id: 'admin'});
+	assert.strictEqual(other.passed, false);
+	assert.strictEqual(other.status, 403);
+
+	assert.strictEqual((await run(middleware.has_permission(PERMISSIONS.AUDIT_READ), 'legacy')).status, 403);
+}
+
+/**
+ * Sessions without a user, or whose user was deleted, have to log in.  Failing to read the user is a server error.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function notLoggedIn () {
+	const check = new Middleware(users).has_permission(PERMISSIONS.SCHEMAS_READ);
+
+	for (const user_id of [ undefined, 'deleted' ]) {
+		const result = await run(check, user_id);
+		assert.strictEqual(result.passed, false);
+		assert.strictEqual(result.status, 401);
+		assert.strictEqual(result.body.error, 'NOT_AUTHORIZED');
+	}
+
+	const broken = await run(check, 'broken');
+	assert.strictEqual(broken.passed, false);
+	assert.strictEqual(broken.status, 500);
+}
+
+/**
+ * Unknown permissions are a mistake in the routes, so they fail when the routes are set up.  Insecure dev mode lets
+ * everyone through as an admin.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function permissionSetup () {
+	assert.throws(() => {
+		new Middleware(users).has_permission('users:everything');
+	}, TypeError);
+
+	const insecure = await run(new Middleware(users, true).has_permission(PERMISSIONS.USERS_ROLES));
+	assert.strictEqual(insecure.passed, true);
+	assert.strictEqual(insecure.req.is_admin, true);
+}
+
+const tests = [ permissionGranted, permissionDenied, notLoggedIn, permissionSetup ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
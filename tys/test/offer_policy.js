@@ -0,0 +1,246 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks how flows wait on users to answer offers, resend the offers users don't answer, and wait for users to ask for
+ * a resend.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const OfferPolicy = require('../libs/offer_policy.js').OfferPolicy;
+const OFFER_STAGES = require('../libs/offer_policy.js').OFFER_STAGES;
+const OFFER_POLICY_ERRORS = require('../libs/offer_policy.js').OFFER_POLICY_ERRORS;
+const FLOW_STATES = require('../libs/flows.js').FLOW_STATES;
+const FLOWS_ERRORS = require('../libs/flows.js').FLOWS_ERRORS;
+
+/**
+ * Waits for a while.
+ * @param {number} ms The number of milliseconds to wait.
+ * @returns {Promise<void>} A promise that resolves after the wait.
+ */
+function sleep (ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until a check passes.
+ * @param {function(): boolean} check The check.
+ * @param {string} description What is being waited for, for the error if the check never passes.
+ * @returns {Promise<void>} A promise that resolves when the check passes.
+ */
+async function waitFor (check, description) {
+	for (let i = 0; i < 100; i++) {
+		if (check())
+			return;
+		await sleep(10);
+	}
+	throw new Error(`Gave up waiting for ${description}`);
+}
+
+/**
+ * Builds a fake flow and a user who answers the given offers.  Offers the user doesn't answer time out like the
+ * agent SDK's waits do, after the given number of checks.
+ * @param {number[]} answered The offers the user answers, by how many times the offer was sent before.  With -1, waits
+ * on unanswered offers never end.
+ * @returns {object} The flow, and `send`, `wait`, and `discard` functions for waitForAnswer() that record their calls.
+ */
+function setup (answered) {
+	const flow = new EventEmitter();
+	flow.id = 'flow';
+	flow.status = FLOW_STATES.ESTABLISHING_CONNECTION;
+	flow.timed_out = null;
+	flow.statuses = [];
+	flow.setStatus = async (status) => {
+		flow.status = status;
+		flow.statuses.push(status);
+		flow.emit('status', {status: status});
+	};
+
+	const test = {flow: flow, sent: [], checks: [], discarded: []};
+	test.send = async () => {
+		const offer_id = `offer${test.sent.length}`;
+		test.sent.push(offer_id);
+		return offer_id;
+	};
+	test.wait = (offer_id, checks, interval) => {
+		test.checks.push(checks);
+		if (answered.indexOf(test.sent.indexOf(offer_id)) >= 0)
+			return Promise.resolve({id: offer_id, state: 'connected'});
+		if (answered.indexOf(-1) >= 0)
+			return new Promise(() => {});
+		return sleep(checks * interval).then(() => {
+			throw new Error(`Connection ${offer_id} is still waiting after ${checks} checks`);
+		});
+	};
+	test.discard = async (offer_id) => {
+		test.discarded.push(offer_id);
+	};
+	return test;
+}
+
+/**
+ * An offer that is answered right away is only sent once.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function answered () {
+	const test = setup([ 0 ]);
+	const policy = new OfferPolicy({connection_timeout: 0.02, poll_interval: 5});
+	const answer = await policy.waitForAnswer(test.flow, OFFER_STAGES.CONNECTION, test.send, test.wait, test.discard);
+
+	assert.deepStrictEqual(answer, {id: 'offer0', state: 'connected'});
+	assert.deepStrictEqual(test.sent, [ 'offer0' ]);
+	assert.deepStrictEqual(test.checks, [ 4 ]);
+	assert.deepStrictEqual(test.discarded, []);
+	assert.deepStrictEqual(test.flow.statuses, []);
+}
+
+/**
+ * Unanswered offers are discarded and resent automatically, waiting longer each time.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function autoResends () {
+	const test = setup([ 2 ]);
+	const policy = new OfferPolicy({offer_timeout: 0.02, poll_interval: 5, auto_resends: 2, max_resends: 2, backoff: 2});
+	const answer = await policy.waitForAnswer(test.flow, OFFER_STAGES.CREDENTIAL, test.send, test.wait, test.discard);
+
+	assert.strictEqual(answer.id, 'offer2');
+	assert.deepStrictEqual(test.discarded, [ 'offer0', 'offer1' ]);
+	assert.deepStrictEqual(test.checks, [ 4, 8, 16 ]);
+	assert.deepStrictEqual(test.flow.statuses, [], 'The flow timed out during automatic resends');
+}
+
+/**
+ * A flow gives up once it has used up its resends.  The last offer is left for the flow to clean up.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function resendsUsedUp () {
+	const test = setup([]);
+	const policy = new OfferPolicy({offer_timeout: 0.01, poll_interval: 5, auto_resends: 1, max_resends: 1});
+	await assert.rejects(policy.waitForAnswer(test.flow, OFFER_STAGES.PROOF, test.send, test.wait, test.discard),
+		(error) => error.code === OFFER_POLICY_ERRORS.OFFER_TIMED_OUT && /offer1/.test(error.message));
+
+	assert.deepStrictEqual(test.sent, [ 'offer0', 'offer1' ]);
+	assert.deepStrictEqual(test.discarded, [ 'offer0' ]);
+}
+
+/**
+ * After the automatic resends, the flow times out until the user asks for a resend, then goes back to waiting.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function resendOnRequest () {
+	const test = setup([ 1 ]);
+	const policy = new OfferPolicy({connection_timeout: 0.01, poll_interval: 5, max_resends: 2, resend_window: 5});
+	const waiting = policy.waitForAnswer(test.flow, OFFER_STAGES.CONNECTION, test.send, test.wait, test.discard);
+
+	await waitFor(() => test.flow.status === FLOW_STATES.TIMED_OUT, 'the flow to time out');
+	assert.strictEqual(test.flow.timed_out.stage, OFFER_STAGES.CONNECTION);
+	assert.strictEqual(test.flow.timed_out.resends_left, 2);
+	assert.ok(test.flow.timed_out.expires > Date.now() + 4000, 'The resend window was not 5 seconds');
+	assert.deepStrictEqual(test.sent, [ 'offer0' ], 'The offer was resent before the user asked');
+
+	test.flow.emit('resend');
+	const answer = await waiting;
+
+	assert.strictEqual(answer.id, 'offer1');
+	assert.deepStrictEqual(test.discarded, [ 'offer0' ]);
+	assert.strictEqual(test.flow.timed_out, null);
+	assert.deepStrictEqual(test.flow.statuses, [ FLOW_STATES.TIMED_OUT, FLOW_STATES.ESTABLISHING_CONNECTION ]);
+}
+
+/**
+ * A flow that times out gives up when the resend window closes without the user asking for a resend.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function resendWindowCloses () {
+	const test = setup([]);
+	const policy = new OfferPolicy({connection_timeout: 0.01, poll_interval: 5, max_resends: 1, resend_window: 0.05});
+	await assert.rejects(policy.waitForAnswer(test.flow, OFFER_STAGES.CONNECTION, test.send, test.wait, test.discard),
+		(error) => error.code === OFFER_POLICY_ERRORS.OFFER_TIMED_OUT);
+
+	assert.deepStrictEqual(test.sent, [ 'offer0' ]);
+	assert.strictEqual(test.flow.timed_out, null);
+	assert.strictEqual(test.flow.listenerCount('resend'), 0);
+	assert.strictEqual(test.flow.listenerCount('status'), 0);
+}
+
+/**
+ * Stopping a flow that is waiting for a resend request ends the wait right away.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function stoppedWhileTimedOut () {
+	const test = setup([]);
+	const policy = new OfferPolicy({resend_window: 5});
+	const resend = policy.waitForResend(test.flow, OFFER_STAGES.PROOF, 1);
+
+	await waitFor(() => test.flow.status === FLOW_STATES.TIMED_OUT, 'the flow to time out');
+	await test.flow.setStatus(FLOW_STATES.STOPPED);
+
+	assert.strictEqual(await resend, false);
+	assert.strictEqual(test.flow.status, FLOW_STATES.STOPPED);
+	assert.strictEqual(test.flow.timed_out, null);
+}
+
+/**
+ * Stopping a flow that is waiting on an offer ends the wait right away, instead of when the user answers.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function stoppedWhileWaiting () {
+	const test = setup([ -1 ]);
+	const policy = new OfferPolicy();
+	const waiting = policy.waitForAnswer(test.flow, OFFER_STAGES.CONNECTION, test.send, test.wait, test.discard);
+
+	await waitFor(() => test.sent.length > 0, 'the offer to be sent');
+	await test.flow.setStatus(FLOW_STATES.STOPPED);
+
+	await assert.rejects(waiting, (error) => error.code === FLOWS_ERRORS.FLOW_STOPPED);
+	assert.strictEqual(test.flow.listenerCount('status'), 0);
+}
+
+/**
+ * Failing to check on an offer isn't a timeout, so the offer isn't resent.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function waitFails () {
+	const test = setup([]);
+	test.wait = () => Promise.reject(new Error('The agent is down'));
+	const policy = new OfferPolicy({auto_resends: 3});
+	await assert.rejects(policy.waitForAnswer(test.flow, OFFER_STAGES.CONNECTION, test.send, test.wait, test.discard),
+		/The agent is down/);
+	assert.deepStrictEqual(test.sent, [ 'offer0' ]);
+}
+
+const tests = [ answered, autoResends, resendsUsedUp, resendOnRequest, resendWindowCloses, stoppedWhileTimedOut,
+	stoppedWhileWaiting, waitFails ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,39 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Runs every test file in this directory, each in its own process so that one file's timers and fakes can't leak into
+ * the next.  Run with `npm test`, or run a single file with `node test/<file>.js`.
+ */
+
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname).filter((file) => {
+	return file.endsWith('.js') && file !== path.basename(__filename);
+}).sort();
+
+let failed = 0;
+for (const file of files) {
+	console.log(`# ${file}`);
+	const result = child_process.spawnSync(process.execPath, [ path.join(__dirname, file) ], {stdio: 'inherit'});
+	if (result.status !== 0) {
+		failed++;
+		console.log(`not ok - ${file} exited with ${result.error ? result.error : result.status}`);
+	}
+}
+process.exit(failed ? 1 : 0);
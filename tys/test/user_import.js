@@ -0,0 +1,142 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks how bulk user imports are read and checked before any user is created.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+const UserImport = require('../libs/user_import.js');
+const USER_IMPORT_ERRORS = UserImport.USER_IMPORT_ERRORS;
+
+/**
+ * Plain CSV is split into rows and values, with any line ending and without blank lines.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function parsePlainCSV () {
+	assert.deepStrictEqual(UserImport.parseCSV('email,name\r\na@example.com,Alice\n\nb@example.com,Bob\r\r\n'), [
+		[ 'email', 'name' ],
+		[ 'a@example.com', 'Alice' ],
+		[ 'b@example.com', 'Bob' ]
+	]);
+	assert.deepStrictEqual(UserImport.parseCSV(''), []);
+	assert.deepStrictEqual(UserImport.parseCSV('email,,\n'), [ [ 'email', '', '' ] ]);
+}
+
+/**
+ * Quoted values can hold commas, escaped quotes, and line breaks, and a byte order mark is skipped.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function parseQuotedCSV () {
+	const text = '\uFEFFemail,address\n"a@example.com","1 Main St, ""Apt"" 2\r\nSpringfield"\n';
+	assert.deepStrictEqual(UserImport.parseCSV(text), [
+		[ 'email', 'address' ],
+		[ 'a@example.com', '1 Main St, "Apt" 2\r\nSpringfield' ]
+	]);
+	assert.deepStrictEqual(UserImport.parseCSV(UserImport.toCSVLine([ 'a,b', 'say "hi"', undefined, 3 ])), [
+		[ 'a,b', 'say "hi"', '', '3' ]
+	]);
+}
+
+/**
+ * CSV that can't be read at all is refused.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function parseBadCSV () {
+	assert.throws(() => {
+		UserImport.parseCSV('email\n"a@example.com');
+	}, (error) => error.code === USER_IMPORT_ERRORS.INVALID_IMPORT);
+	assert.throws(() => {
+		UserImport.parseCSV(null);
+	}, TypeError);
+}
+
+/**
+ * Rows of a CSV import become users, with the rows that have more values than the header marked.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function readCSVUsers () {
+	const rows = UserImport.readCSVImport('email,password,name\n a@example.com ,,Alice\nb@example.com,secret,,extra\n');
+	assert.deepStrictEqual(rows, [
+		{row: 1, email: 'a@example.com', password: undefined, personal_info: {name: 'Alice'}},
+		{row: 2, email: 'b@example.com', password: 'secret', personal_info: {}, extra_values: 1}
+	]);
+	for (const text of [ '', 'name\nAlice', 'email,name,name\n', 'email,,name\n' ]) {
+		assert.throws(() => {
+			UserImport.readCSVImport(text);
+		}, (error) => error.code === USER_IMPORT_ERRORS.INVALID_IMPORT, `Read ${JSON.stringify(text)}`);
+	}
+}
+
+/**
+ * A well formed user has no problems.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function checkGoodRow () {
+	assert.deepStrictEqual(UserImport.checkImportRow({
+		row: 1,
+		email: 'a@example.com',
+		password: 'secret',
+		personal_info: {name: 'Alice', age: 30},
+		opts: {agent_name: 'alice'}
+	}), []);
+	assert.deepStrictEqual(UserImport.checkImportRow({row: 2, email: 'b@example.com', personal_info: {}}), []);
+}
+
+/**
+ * Each problem with a user is reported, so that the whole row can be fixed at once.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function checkBadRows () {
+	assert.deepStrictEqual(UserImport.checkImportRow({
+		row: 1,
+		email: '',
+		password: 12,
+		personal_info: {name: 'Alice', nested: {a: 1}, missing: null},
+		opts: 'opts',
+		extra_values: 2
+	}), [
+		'email was not a non-empty string',
+		'password was not a string',
+		'personal_info field nested was not a string or a number',
+		'personal_info field missing was not a string or a number',
+		'opts was not an object',
+		'row has 2 more values than the header has columns'
+	]);
+	for (const personal_info of [ undefined, null, 'Alice', [ 'Alice' ] ]) {
+		assert.deepStrictEqual(UserImport.checkImportRow({row: 1, email: 'a@example.com', personal_info: personal_info}),
+			[ 'personal_info was not an object' ]);
+	}
+	assert.deepStrictEqual(UserImport.checkImportRow({row: 1, email: 'a@example.com', personal_info: {}, opts: null}),
+		[ 'opts was not an object' ]);
+}
+
+const tests = [ parsePlainCSV, parseQuotedCSV, parseBadCSV, readCSVUsers, checkGoodRow, checkBadRows ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();
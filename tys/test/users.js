@@ -0,0 +1,241 @@
+/**
+ © Copyright IBM Corp. 2019, 2019
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Checks that paging through the user list with bookmarks lists every user exactly once, in order, even when users
+ * share a value.  Run with `npm test`.
+ */
+
+const assert = require('assert');
+
+// Loggers pick up the log level when they are created, so this has to happen before the libs are loaded
+const Logger = require('../libs/logger.js').Logger;
+Logger.setLogLevel(process.env['LOG_LEVEL'] ? process.env['LOG_LEVEL'] : 'error');
+
+const Users = require('../libs/users.js').Users;
+const USERS_ERRORS = require('../libs/users.js').USERS_ERRORS;
+const users_design_doc = require('../libs/design_docs/users.json');
+
+/**
+ * Compares two view keys the way CouchDB collates them, for the kinds of keys the user views emit: strings, arrays,
+ * and the `{}` that sorts after everything else.
+ * @param {*} a A key.
+ * @param {*} b Another key.
+ * @returns {number} Less than 0 if a sorts first, more than 0 if b sorts first, and 0 if they are the same.
+ */
+function collate (a, b) {
+	const rank = (key) => typeof key === 'string' ? 0 : Array.isArray(key) ? 1 : 2;
+	if (rank(a) !== rank(b))
+		return rank(a) - rank(b);
+	if (typeof a === 'string')
+		return a < b ? -1 : a > b ? 1 : 0;
+	if (!Array.isArray(a))
+		return 0;
+	for (let i = 0; i < Math.min(a.length, b.length); i++) {
+		const order = collate(a[i], b[i]);
+		if (order)
+			return order;
+	}
+	return a.length - b.length;
+}
+
+/**
+ * Builds a fake nano database that answers queries on the users_by_field view by running the view's map function from
+ * the design doc.
+ * @param {object[]} docs The documents in the database.
+ * @returns {object} The database.
+ */
+function usersDB (docs) {
+	const map = users_design_doc.views.users_by_field.map;
+	return {
+		get: async () => {
+			throw new Error('Users should be listed from the view');
+		},
+		view: async (design_doc, view, opts) => {
+			assert.strictEqual(view, 'users_by_field');
+			let rows = [];
+			for (const doc of docs) {
+				const emit = (key, value) => rows.push({id: doc._id, key: key, value: value});
+				new Function('emit', `(${map})(this)`).call(doc, emit);
+			}
+			rows.sort((a, b) => collate(a.key, b.key) || collate(a.id, b.id));
+			if (opts.descending)
+				rows.reverse();
+
+			const direction = opts.descending ? -1 : 1;
+			rows = rows.filter((row) => {
+				const from_start = direction * collate(row.key, opts.startkey);
+				if (from_start < 0 || (from_start === 0 && opts.startkey_docid && direction * collate(row.id, opts.startkey_docid) < 0))
+					return false;
+				return direction * collate(row.key, opts.endkey) <= 0;
+			});
+
+			if (opts.reduce !== false)
+				return {rows: rows.length ? [ {key: null, value: rows.length} ] : []};
+			rows = rows.slice(opts.skip ? opts.skip : 0, opts.limit !== undefined ? (opts.skip ? opts.skip : 0) + opts.limit : undefined);
+			return {
+				rows: rows.map((row) => Object.assign(row, {
+					doc: JSON.parse(JSON.stringify(docs.find((doc) => doc._id === row.id)))
+				}))
+			};
+		}
+	};
+}
+
+/**
+ * Builds a user record.
+ * @param {string} email The username.
+ * @param {object} personal_info The user's personal info.
+ * @returns {object} The user record.
+ */
+function user (email, personal_info) {
+	return {_id: email, type: 'user', email: email, password: 'hash', personal_info: personal_info};
+}
+
+const USERS = [
+	user('dave@example.com', {Company: 'Acme'}),
+	user('Alice@example.com', {Company: 'acme'}),
+	user('carol@example.com', {Company: 'Globex'}),
+	user('bob@example.com', {Company: 'Acme'}),
+	user('erin@example.com', {name: 'Erin'}),
+	{_id: 'settings', type: 'issuance_settings'}
+];
+
+/**
+ * Lists every page of users, following the bookmarks.
+ * @param {Users} users The Users instance.
+ * @param {object} opts The options for list_users(), without a bookmark.
+ * @returns {Promise<object>} A promise that resolves with the usernames on each page and the totals from each page.
+ */
+async function listAll (users, opts) {
+	const result = {pages: [], totals: []};
+	let bookmark;
+	do {
+		const page = await users.list_users(Object.assign({bookmark: bookmark}, opts));
+		for (const doc of page.users)
+			assert.strictEqual(doc.password, undefined, 'A password was listed');
+		result.pages.push(page.users.map((doc) => doc._id));
+		result.totals.push(page.total);
+		bookmark = page.bookmark;
+		assert.ok(result.pages.length <= USERS.length, 'The bookmarks never ran out');
+	} while (bookmark);
+	return result;
+}
+
+/**
+ * Paging by email lists every user once, sorted without regard to case.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function pageByEmail () {
+	const users = new Users(usersDB(USERS));
+
+	assert.deepStrictEqual(await listAll(users, {limit: 2}), {
+		pages: [
+			[ 'Alice@example.com', 'bob@example.com' ],
+			[ 'carol@example.com', 'dave@example.com' ],
+			[ 'erin@example.com' ]
+		],
+		totals: [ 5, 5, 5 ]
+	});
+	assert.deepStrictEqual(await listAll(users, {limit: 2, descending: true}), {
+		pages: [
+			[ 'erin@example.com', 'dave@example.com' ],
+			[ 'carol@example.com', 'bob@example.com' ],
+			[ 'Alice@example.com' ]
+		],
+		totals: [ 5, 5, 5 ]
+	});
+	assert.deepStrictEqual((await listAll(users, {limit: 5})).pages, [ [
+		'Alice@example.com', 'bob@example.com', 'carol@example.com', 'dave@example.com', 'erin@example.com'
+	] ], 'A full last page had a bookmark');
+}
+
+/**
+ * Users that share a value are told apart by username, so a page can end between them.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function pageBySharedValue () {
+	const users = new Users(usersDB(USERS));
+
+	assert.deepStrictEqual(await listAll(users, {field: 'company', limit: 2}), {
+		pages: [
+			[ 'Alice@example.com', 'bob@example.com' ],
+			[ 'dave@example.com', 'carol@example.com' ]
+		],
+		totals: [ 4, 4 ]
+	});
+	assert.deepStrictEqual(await listAll(users, {field: 'COMPANY', limit: 1, descending: true}), {
+		pages: [ [ 'carol@example.com' ], [ 'dave@example.com' ], [ 'bob@example.com' ], [ 'Alice@example.com' ] ],
+		totals: [ 4, 4, 4, 4 ]
+	});
+}
+
+/**
+ * Bookmarks keep working within a search.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function pageSearch () {
+	const users = new Users(usersDB(USERS));
+
+	assert.deepStrictEqual(await listAll(users, {field: 'company', search: 'AC', limit: 2}), {
+		pages: [ [ 'Alice@example.com', 'bob@example.com' ], [ 'dave@example.com' ] ],
+		totals: [ 3, 3 ]
+	});
+	assert.deepStrictEqual(await listAll(users, {field: 'company', search: 'ac', limit: 2, descending: true}), {
+		pages: [ [ 'dave@example.com', 'bob@example.com' ], [ 'Alice@example.com' ] ],
+		totals: [ 3, 3 ]
+	});
+	assert.deepStrictEqual(await listAll(users, {search: 'zed'}), {pages: [ [] ], totals: [ 0 ]});
+}
+
+/**
+ * Bookmarks that weren't made by list_users(), or were made for another field, are refused.
+ * @returns {Promise<void>} A promise that resolves if the test passes.
+ */
+async function badBookmarks () {
+	const users = new Users(usersDB(USERS));
+	const company_bookmark = (await users.list_users({field: 'company', limit: 1})).bookmark;
+	const bookmarks = [
+		'not a bookmark',
+		Buffer.from('{}').toString('base64'),
+		Buffer.from(JSON.stringify([ [ 'email', 'bob@example.com' ] ])).toString('base64'),
+		Buffer.from(JSON.stringify([ [ 'email', 'bob@example.com' ], 12 ])).toString('base64'),
+		company_bookmark
+	];
+	for (const bookmark of bookmarks) {
+		await assert.rejects(users.list_users({bookmark: bookmark}), (error) => {
+			return error.code === USERS_ERRORS.INVALID_BOOKMARK;
+		}, `Accepted bookmark ${bookmark}`);
+	}
+	assert.strictEqual((await users.list_users({field: 'company', bookmark: company_bookmark})).users[0]._id,
+		'bob@example.com');
+}
+
+const tests = [ pageByEmail, pageBySharedValue, pageSearch, badBookmarks ];
+
+(async () => {
+	let failed = 0;
+	for (const test of tests) {
+		try {
+			await test();
+			console.log(`ok - ${test.name}`);
+		} catch (error) {
+			failed++;
+			console.log(`not ok - ${test.name}: ${error.stack}`);
+		}
+	}
+	process.exit(failed ? 1 : 0);
+})();